@@ -0,0 +1,11 @@
+-- Quote submissions, mirroring the R2 JSONL record layout
+-- Apply with: wrangler d1 migrations apply austin-move-finder-leads
+CREATE TABLE IF NOT EXISTS submissions (
+  id TEXT PRIMARY KEY,
+  timestamp TEXT NOT NULL,
+  date_key TEXT NOT NULL,
+  data TEXT NOT NULL,
+  meta TEXT NOT NULL DEFAULT '{}'
+);
+
+CREATE INDEX IF NOT EXISTS idx_submissions_date_key ON submissions (date_key);
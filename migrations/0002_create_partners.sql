@@ -0,0 +1,36 @@
+-- Partner movers that receive leads, and the leads assigned to each of them
+-- Apply with: wrangler d1 migrations apply austin-move-finder-leads
+--
+-- List columns hold JSON arrays; an empty move_sizes or service_types list
+-- means the partner takes every size or type. Add a partner with e.g.
+--   INSERT INTO partners (id, company, email, service_zips, daily_capacity,
+--     created_at, updated_at)
+--   VALUES ('acme', 'Acme Movers', 'leads@acme.example', '["78701","78704"]',
+--     10, datetime('now'), datetime('now'));
+CREATE TABLE IF NOT EXISTS partners (
+  id TEXT PRIMARY KEY,
+  company TEXT NOT NULL,
+  email TEXT NOT NULL,
+  phone TEXT,
+  service_zips TEXT NOT NULL DEFAULT '[]',
+  move_sizes TEXT NOT NULL DEFAULT '[]',
+  service_types TEXT NOT NULL DEFAULT '[]',
+  daily_capacity INTEGER NOT NULL DEFAULT 0,
+  weight INTEGER NOT NULL DEFAULT 1,
+  paused INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+-- date_key is the Austin local date the lead was assigned, which is the day
+-- counted against the partner's daily capacity
+CREATE TABLE IF NOT EXISTS lead_assignments (
+  lead_id TEXT NOT NULL,
+  partner_id TEXT NOT NULL,
+  assigned_at TEXT NOT NULL,
+  date_key TEXT NOT NULL,
+  PRIMARY KEY (lead_id, partner_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_assignments_partner_date
+  ON lead_assignments (partner_id, date_key);
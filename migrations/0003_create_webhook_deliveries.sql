@@ -0,0 +1,28 @@
+-- Partner webhook endpoints and the log of every webhook delivery
+-- Apply with: wrangler d1 migrations apply austin-move-finder-leads
+--
+-- Partners without a webhook_url are notified by email only. The secret is
+-- shared with the partner so they can verify the X-Lead-Signature header.
+ALTER TABLE partners ADD COLUMN webhook_url TEXT;
+ALTER TABLE partners ADD COLUMN webhook_secret TEXT;
+
+-- attempts is a JSON array of {attempt, attemptedAt, ok, statusCode,
+-- latencyMs, responseSnippet, error}; payload is the exact JSON body sent, kept for
+-- redelivery
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  partner_id TEXT NOT NULL,
+  lead_id TEXT,
+  event TEXT NOT NULL,
+  url TEXT NOT NULL,
+  status TEXT NOT NULL,
+  attempts TEXT NOT NULL DEFAULT '[]',
+  payload TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_partner
+  ON webhook_deliveries (partner_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_lead
+  ON webhook_deliveries (lead_id);
@@ -0,0 +1,21 @@
+-- Ping-post auction endpoints for partner buyers, and every auction run
+-- Apply with: wrangler d1 migrations apply austin-move-finder-leads
+--
+-- Buyers need a ping_url, a post_url and a webhook_secret; pings and posts
+-- are signed the same way as webhooks.
+ALTER TABLE partners ADD COLUMN ping_url TEXT;
+ALTER TABLE partners ADD COLUMN post_url TEXT;
+
+-- bids is a JSON array of {partnerId, status, amount, bidId, latencyMs,
+-- error, outcome}; winners is a JSON array of {partnerId, price, bidId}
+CREATE TABLE IF NOT EXISTS auctions (
+  id TEXT PRIMARY KEY,
+  lead_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  bids TEXT NOT NULL DEFAULT '[]',
+  winners TEXT NOT NULL DEFAULT '[]',
+  created_at TEXT NOT NULL,
+  closed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_auctions_lead ON auctions (lead_id);
@@ -0,0 +1,18 @@
+-- Partner API keys and partner responses to the leads assigned to them
+-- Apply with: wrangler d1 migrations apply austin-move-finder-leads
+--
+-- Only a SHA-256 hash of each partner's API key is stored; issue a key with
+--   node scripts/partner-api-key.js <partner id>
+-- and run the UPDATE statement it prints.
+ALTER TABLE partners ADD COLUMN api_key_hash TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_partners_api_key_hash
+  ON partners (api_key_hash);
+
+-- status moves from assigned to accepted or declined, then through
+-- contacted, quoted, booked or lost as the partner reports progress
+ALTER TABLE lead_assignments ADD COLUMN status TEXT NOT NULL DEFAULT 'assigned';
+ALTER TABLE lead_assignments ADD COLUMN decline_reason TEXT;
+ALTER TABLE lead_assignments ADD COLUMN quote_amount REAL;
+ALTER TABLE lead_assignments ADD COLUMN note TEXT;
+ALTER TABLE lead_assignments ADD COLUMN updated_at TEXT;
@@ -0,0 +1,28 @@
+-- Quote lifecycle: the current status of every quote or lead, and every
+-- status change with who made it and why
+-- Apply with: wrangler d1 migrations apply austin-move-finder-leads
+--
+-- Allowed changes are listed in src/config/lifecycle.js
+CREATE TABLE IF NOT EXISTS quote_status (
+  quote_id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_status_status ON quote_status (status);
+
+-- from_status is null for the first status a quote gets; actor is "system",
+-- "distributor", "partner:<id>" or a staff member
+CREATE TABLE IF NOT EXISTS quote_status_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  quote_id TEXT NOT NULL,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  reason TEXT,
+  changed_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_status_history_quote
+  ON quote_status_history (quote_id);
@@ -0,0 +1,13 @@
+-- Partner ratings and the quote details customers compare movers on
+-- Apply with: wrangler d1 migrations apply austin-move-finder-leads
+--
+-- rating is a 0-5 average kept up to date from reviews, e.g.
+--   UPDATE partners SET rating = 4.7, review_count = 132 WHERE id = 'acme';
+ALTER TABLE partners ADD COLUMN rating REAL;
+ALTER TABLE partners ADD COLUMN review_count INTEGER NOT NULL DEFAULT 0;
+
+-- quote_includes is a JSON array of the services included in the quoted
+-- price (see src/config/comparison.js); available_date is the earliest
+-- YYYY-MM-DD the partner can do the move
+ALTER TABLE lead_assignments ADD COLUMN quote_includes TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE lead_assignments ADD COLUMN available_date TEXT;
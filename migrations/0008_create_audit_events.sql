@@ -0,0 +1,33 @@
+-- Append-only audit log of everything that happened to a lead
+-- Apply with: wrangler d1 migrations apply austin-move-finder-leads
+--
+-- lead_id is assigned when a submission is received, so rejected
+-- submissions keep their trail even though no lead is stored. details is a
+-- JSON object whose fields depend on the event type (see
+-- src/config/audit.js).
+CREATE TABLE IF NOT EXISTS audit_events (
+  id TEXT PRIMARY KEY,
+  lead_id TEXT NOT NULL,
+  type TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  details TEXT NOT NULL DEFAULT '{}',
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_lead
+  ON audit_events (lead_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_events_created
+  ON audit_events (created_at);
+
+-- Events are never changed or removed once written
+CREATE TRIGGER IF NOT EXISTS audit_events_no_update
+  BEFORE UPDATE ON audit_events
+BEGIN
+  SELECT RAISE(ABORT, 'audit_events is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS audit_events_no_delete
+  BEFORE DELETE ON audit_events
+BEGIN
+  SELECT RAISE(ABORT, 'audit_events is append-only');
+END;
@@ -0,0 +1,21 @@
+-- Emails waiting to be sent by the scheduled queue drain
+-- Apply with: wrangler d1 migrations apply austin-move-finder-leads
+--
+-- email_data is the JSON message handed to EmailService.sendEmail. Items are
+-- deleted once sent; rank orders priorities (0 = critical ... 3 = low).
+-- Timestamps are ISO strings so they compare as text.
+CREATE TABLE IF NOT EXISTS email_queue (
+  id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  priority TEXT NOT NULL,
+  rank INTEGER NOT NULL,
+  email_data TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  last_attempt TEXT,
+  last_error TEXT,
+  next_retry TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_queue_ready
+  ON email_queue (status, rank, created_at);
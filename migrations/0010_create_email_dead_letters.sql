@@ -0,0 +1,25 @@
+-- Emails that ran out of retries, kept for inspection and replay
+-- Apply with: wrangler d1 migrations apply austin-move-finder-leads
+--
+-- Dead letters keep the email_queue columns so they can be replayed as-is.
+-- failure is the JSON classification of the last send error ({type, code,
+-- message, isRetryable, severity, provider, failedAt}); queued items keep
+-- their latest one too.
+ALTER TABLE email_queue ADD COLUMN failure TEXT;
+
+CREATE TABLE IF NOT EXISTS email_dead_letters (
+  id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  priority TEXT NOT NULL,
+  rank INTEGER NOT NULL,
+  email_data TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  last_attempt TEXT,
+  last_error TEXT,
+  next_retry TEXT,
+  failure TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_dead_letters_order
+  ON email_dead_letters (rank, created_at);
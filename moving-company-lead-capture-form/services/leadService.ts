@@ -16,6 +16,15 @@ const STORAGE_KEY = 'pending_leads';
 const MAX_RETRIES = 5;
 const INITIAL_RETRY_DELAY = 1000; // 1 second
 
+type LeadPayload = Omit<LeadData, 'honeypot_nickname'>;
+
+// Each queued lead keeps the Idempotency-Key of its first attempt so a replay
+// of a lead that actually reached the server is not stored twice
+interface QueuedLead {
+  payload: LeadPayload;
+  idempotencyKey: string;
+}
+
 // This function constructs the final payload by removing the honeypot field
 // and adding tracking data and a server timestamp placeholder.
 const preparePayload = (formData: LeadData) => {
@@ -46,12 +55,13 @@ const preparePayload = (formData: LeadData) => {
 }
 
 
-const postLead = async (payload: Omit<LeadData, 'honeypot_nickname'>): Promise<{ok: boolean, lead_id?: string}> => {
+const postLead = async (payload: LeadPayload, idempotencyKey: string): Promise<{ok: boolean, lead_id?: string}> => {
   const response = await fetch(OPAL_WEBHOOK_URL, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       'X-Webhook-Token': OPAL_WEBHOOK_TOKEN,
+      'Idempotency-Key': idempotencyKey,
     },
     body: JSON.stringify(payload),
   });
@@ -65,22 +75,23 @@ const postLead = async (payload: Omit<LeadData, 'honeypot_nickname'>): Promise<{
 
 export const submitLead = async (formData: LeadData): Promise<{ok: boolean, lead_id?: string}> => {
   const payload = preparePayload(formData);
+  const idempotencyKey = crypto.randomUUID();
   try {
-    const result = await postLead(payload);
+    const result = await postLead(payload, idempotencyKey);
     // On success, try to submit any queued leads
     submitQueuedLeads();
     return result;
   } catch (error) {
     console.error('Failed to submit lead, queueing for later.', error);
-    queueLead(payload);
+    queueLead({ payload, idempotencyKey });
     throw error; // Re-throw to let the UI know it failed
   }
 };
 
-const queueLead = (payload: Omit<LeadData, 'honeypot_nickname'>) => {
+const queueLead = (lead: QueuedLead) => {
   try {
     const queuedLeads = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
-    queuedLeads.push(payload);
+    queuedLeads.push(lead);
     localStorage.setItem(STORAGE_KEY, JSON.stringify(queuedLeads));
   } catch (e) {
     console.error("Could not queue lead in localStorage", e);
@@ -88,9 +99,9 @@ const queueLead = (payload: Omit<LeadData, 'honeypot_nickname'>) => {
 };
 
 const submitQueuedLeads = async () => {
-  let queuedLeads: Omit<LeadData, 'honeypot_nickname'>[] = [];
+  let queuedLeads: QueuedLead[] = [];
   try {
-    queuedLeads = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    queuedLeads = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]').map(toQueuedLead);
   } catch (e) {
      console.error("Could not parse queued leads from localStorage", e);
      return;
@@ -106,7 +117,7 @@ const submitQueuedLeads = async () => {
 
   for (const lead of queuedLeads) {
     try {
-      await postLeadWithRetry(lead, 0);
+      await postLeadWithRetry(lead.payload, lead.idempotencyKey, 0);
     } catch (error) {
       console.error('Failed to submit queued lead after retries, keeping in queue.', error);
       remainingLeads.push(lead);
@@ -116,15 +127,19 @@ const submitQueuedLeads = async () => {
   localStorage.setItem(STORAGE_KEY, JSON.stringify(remainingLeads));
 };
 
-const postLeadWithRetry = async (payload: Omit<LeadData, 'honeypot_nickname'>, attempt: number) => {
+// Leads queued before idempotency keys were added are stored as bare payloads
+const toQueuedLead = (entry: QueuedLead | LeadPayload): QueuedLead =>
+  'idempotencyKey' in entry ? entry : { payload: entry, idempotencyKey: crypto.randomUUID() };
+
+const postLeadWithRetry = async (payload: LeadPayload, idempotencyKey: string, attempt: number) => {
   try {
-    await postLead(payload);
+    await postLead(payload, idempotencyKey);
   } catch (error) {
     if (attempt < MAX_RETRIES) {
       const delay = INITIAL_RETRY_DELAY * Math.pow(2, attempt);
       console.log(`Retrying submission in ${delay}ms... (Attempt ${attempt + 1}/${MAX_RETRIES})`);
       await new Promise(resolve => setTimeout(resolve, delay));
-      await postLeadWithRetry(payload, attempt + 1);
+      await postLeadWithRetry(payload, idempotencyKey, attempt + 1);
     } else {
       throw new Error('Max retries reached for queued lead.');
     }
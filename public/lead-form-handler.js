@@ -30,6 +30,8 @@ class LeadFormHandler {
     this.formData = this.getInitialData();
     this.errors = {};
     this.isSubmitting = false;
+    this.idempotencyKey = null;
+    this.idempotentBody = null;
     this.init();
   }
 
@@ -700,14 +702,32 @@ class LeadFormHandler {
   }
 
   async submitLead(payload) {
+    // Keep the key until the server answers so a resubmit after a dropped
+    // connection replays the original lead instead of creating a new one
+    // The body is kept with the key: a resubmit must send the same bytes,
+    // or the server answers that the key was reused for another request
+    if (!this.idempotencyKey) {
+      this.idempotencyKey = window.crypto.randomUUID
+        ? window.crypto.randomUUID()
+        : this.generateSecureRandomString(32);
+      this.idempotentBody = JSON.stringify(payload);
+    }
+
     const response = await fetch('/api/submit-lead', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Idempotency-Key': this.idempotencyKey,
       },
-      body: JSON.stringify(payload),
+      body: this.idempotentBody,
     });
 
+    // 409 means the original request is still processing
+    if (response.status !== 409) {
+      this.idempotencyKey = null;
+      this.idempotentBody = null;
+    }
+
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
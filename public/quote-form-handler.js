@@ -15,6 +15,8 @@ class QuoteFormHandler {
       phoneMaxLength: 10,
       zipMaxLength: 5,
       apiEndpoint: "/api/submit",
+      estimateEndpoint: "/api/estimate",
+      estimateDelay: 300,
       retryAttempts: 3,
       retryDelay: 1000,
     };
@@ -23,6 +25,10 @@ class QuoteFormHandler {
     this.formState = {};
     this.eventListeners = new Map();
     this.isSubmitting = false;
+    this.idempotencyKey = null;
+    this.trackingData = {};
+    this.estimateTimer = null;
+    this.estimateController = null;
 
     this.init();
   }
@@ -40,6 +46,7 @@ class QuoteFormHandler {
     this.formStepsContainer = document.getElementById("form-steps-container");
     this.messageBox = document.getElementById("message-box");
     this.progressFill = document.getElementById("progress-fill");
+    this.trackingData = this.getTrackingData();
 
     if (!this.form) {
       console.error("[QuoteFormHandler] CRITICAL: Quote form element not found!");
@@ -321,6 +328,7 @@ class QuoteFormHandler {
         // Update radio button state
         const radio = card.querySelector('input[type=\"radio\"]');
         if (radio) radio.checked = true;
+        this.scheduleEstimate();
 
         // Announce selection to screen readers
         this.announceToScreenReader(
@@ -349,10 +357,162 @@ class QuoteFormHandler {
       );
     });
 
+    // Live ballpark estimate, refreshed whenever a priced option changes
+    const estimateInputs = document.querySelectorAll(
+      '#step-2 input[type="checkbox"], #from-floor, #to-floor',
+    );
+    estimateInputs.forEach((input) => {
+      this.addTrackedListener(2, input, "change", () =>
+        this.scheduleEstimate(),
+      );
+    });
+    this.addTrackedListener(2, window, "online", () => this.scheduleEstimate());
+    this.addTrackedListener(2, window, "offline", () =>
+      this.showEstimateUnavailable(),
+    );
+    this.scheduleEstimate();
+
     // Setup Turnstile if available
     this.setupTurnstile();
   }
 
+  scheduleEstimate() {
+    clearTimeout(this.estimateTimer);
+    this.estimateTimer = setTimeout(
+      () => this.updateEstimate(),
+      this.CONFIG.estimateDelay,
+    );
+  }
+
+  async updateEstimate() {
+    const panel = document.getElementById("estimate-panel");
+    if (!panel || !this.form) return;
+
+    if (!navigator.onLine) {
+      this.showEstimateUnavailable();
+      return;
+    }
+
+    // Only the latest request matters while options are being toggled
+    this.estimateController?.abort();
+    const controller = new AbortController();
+    this.estimateController = controller;
+
+    const formData = new FormData(this.form);
+    const params = new URLSearchParams();
+    [
+      "move-size",
+      "from-zip",
+      "to-zip",
+      "move-date",
+      "service-type",
+      "from-floor",
+      "to-floor",
+      "special-items",
+      "packing-supplies",
+      "storage-needed",
+    ].forEach((name) => {
+      formData.getAll(name).forEach((value) => params.append(name, value));
+    });
+
+    panel.classList.add("loading");
+
+    try {
+      const response = await fetch(
+        `${this.CONFIG.estimateEndpoint}?${params}`,
+        {
+          headers: { Accept: "application/json" },
+          signal: controller.signal,
+        },
+      );
+      const result = await response.json();
+
+      if (response.ok && result.success) {
+        this.renderEstimate(result.estimate);
+      } else {
+        // Step 1 details are incomplete, so there is nothing to price yet
+        this.hideEstimate();
+      }
+    } catch (error) {
+      if (error.name === "AbortError") return;
+
+      console.warn("Estimate unavailable:", error);
+      this.showEstimateUnavailable();
+    }
+  }
+
+  renderEstimate(estimate) {
+    const panel = document.getElementById("estimate-panel");
+    if (!panel) return;
+
+    const formatRange = (low, high) =>
+      `${this.formatCurrency(low)} - ${this.formatCurrency(high)}`;
+
+    panel.hidden = false;
+    panel.classList.remove("loading");
+    document.getElementById("estimate-range").textContent = formatRange(
+      estimate.low,
+      estimate.high,
+    );
+
+    const items = document.getElementById("estimate-items");
+    items.replaceChildren(
+      ...estimate.lineItems.map((item) => {
+        const row = document.createElement("li");
+        const label = document.createElement("span");
+        const amount = document.createElement("span");
+        label.textContent = item.label;
+        amount.textContent = formatRange(item.low, item.high);
+        row.append(label, amount);
+        return row;
+      }),
+    );
+
+    document.getElementById("estimate-note").textContent =
+      estimate.notes.join(" ");
+
+    // Submitted with the quote so the business sees what the customer saw
+    this.setEstimateFields(estimate.low, estimate.high);
+  }
+
+  showEstimateUnavailable() {
+    const panel = document.getElementById("estimate-panel");
+    if (!panel) return;
+
+    panel.hidden = false;
+    panel.classList.remove("loading");
+    document.getElementById("estimate-range").textContent =
+      "Estimate unavailable";
+    document.getElementById("estimate-items").replaceChildren();
+    document.getElementById("estimate-note").textContent =
+      "You appear to be offline. Your quotes will include full pricing.";
+    this.setEstimateFields("", "");
+  }
+
+  hideEstimate() {
+    const panel = document.getElementById("estimate-panel");
+    if (!panel) return;
+
+    panel.hidden = true;
+    panel.classList.remove("loading");
+    this.setEstimateFields("", "");
+  }
+
+  setEstimateFields(low, high) {
+    const lowInput = document.getElementById("estimate-low");
+    const highInput = document.getElementById("estimate-high");
+    if (lowInput) lowInput.value = low;
+    if (highInput) highInput.value = high;
+  }
+
+  formatCurrency(amount) {
+    return amount.toLocaleString("en-US", {
+      style: "currency",
+      currency: "USD",
+      maximumFractionDigits: 0,
+    });
+  }
+
   setupTurnstile() {
     const turnstileContainer = document.querySelector(".cf-turnstile");
     if (turnstileContainer && window.turnstile) {
@@ -685,7 +845,7 @@ class QuoteFormHandler {
       await this.submitForm();
     } catch (error) {
       console.error("Form submission error:", error);
-      this.handleSubmissionError(error);
+      await this.handleSubmissionError(error);
     } finally {
       this.isSubmitting = false;
       this.setSubmitButtonState(submitBtn, false);
@@ -697,16 +857,31 @@ class QuoteFormHandler {
     this.syncStep1HiddenFields();
 
     const formData = new FormData(this.form);
+    Object.entries(this.trackingData).forEach(([name, value]) => {
+      formData.set(name, value);
+    });
     const data = this.processFormData(formData);
 
+    // Keep the key until the server answers so retries and resubmits after
+    // a dropped connection replay the original submission
+    if (!this.idempotencyKey) {
+      this.idempotencyKey = this.generateIdempotencyKey();
+    }
+
     const response = await this.fetchWithRetry(this.CONFIG.apiEndpoint, {
       method: "POST",
       headers: {
         Accept: "application/json",
+        "Idempotency-Key": this.idempotencyKey,
       },
       body: formData,
     });
 
+    // 409 means the original request is still processing
+    if (response.status !== 409) {
+      this.idempotencyKey = null;
+    }
+
     const result = await response.json();
 
     if (response.ok && result.success) {
@@ -717,10 +892,37 @@ class QuoteFormHandler {
         window.formEnhancements.clearAutoSave();
       }
     } else {
-      throw new Error(result.error || `Server error (${response.status})`);
+      const error = new Error(
+        result.error || `Server error (${response.status})`,
+      );
+      error.errors = Array.isArray(result.errors) ? result.errors : [];
+      throw error;
     }
   }
 
+  generateIdempotencyKey() {
+    if (window.crypto?.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+
+    return `${Date.now()}-${Math.random().toString(36).substring(2)}`;
+  }
+
+  getTrackingData() {
+    // Lead source (UTM parameters and ad click IDs) used for lead scoring
+    const urlParams = new URLSearchParams(window.location.search);
+    const trackingData = {};
+
+    ["utm_source", "utm_medium", "utm_campaign", "gclid", "fbclid"].forEach(
+      (name) => {
+        const value = urlParams.get(name);
+        if (value) trackingData[name] = value;
+      },
+    );
+
+    return trackingData;
+  }
+
   processFormData(formData) {
     const data = Object.fromEntries(formData.entries());
 
@@ -755,17 +957,31 @@ class QuoteFormHandler {
     }
   }
 
-  handleSubmissionError(error) {
+  async handleSubmissionError(error) {
+    const errors = error.errors || [];
+    const fieldErrors = errors.filter((item) => item.field);
+
+    // Server-side validation errors are shown next to the offending fields
+    if (fieldErrors.length && (await this.showServerFieldErrors(fieldErrors))) {
+      this.showMessage(
+        "Please correct the highlighted fields and try again.",
+        "error",
+        0,
+      );
+      return;
+    }
+
+    const code = errors[0]?.code;
     let errorMessage =
       "There was an error submitting your form. Please try again.";
 
     if (error.message === "Failed to fetch") {
       errorMessage =
         "Network error. Please check your connection and try again.";
-    } else if (error.message.includes("Rate limit")) {
+    } else if (code === "rate_limited") {
       errorMessage =
         "Too many submissions. Please wait a moment and try again.";
-    } else if (error.message.includes("Security verification")) {
+    } else if (code === "verification_failed") {
       errorMessage =
         "Security verification failed. Please refresh the page and try again.";
     } else if (error.message) {
@@ -775,6 +991,49 @@ class QuoteFormHandler {
     this.showMessage(errorMessage, "error", 0);
   }
 
+  // Show server-side validation errors on their form groups, going back to
+  // step 1 first when any of the fields live there. Returns false when none
+  // of the fields are on the form.
+  async showServerFieldErrors(fieldErrors) {
+    const step1Fields = Object.keys(this.formState.step1 || {});
+    const hasStep1Errors = fieldErrors.some(({ field }) =>
+      step1Fields.includes(field),
+    );
+
+    if (hasStep1Errors && this.currentStep !== 1) {
+      await this.navigateToStep(1);
+    }
+
+    const stepElement = document.querySelector(`#step-${this.currentStep}`);
+    if (!stepElement) return false;
+
+    let firstInput = null;
+
+    fieldErrors.forEach(({ field, message }) => {
+      // Skip the hidden copies of step 1 fields kept on step 2
+      const input = stepElement.querySelector(
+        `[name="${field}"]:not([type="hidden"])`,
+      );
+      const group = input?.closest(".form-group");
+      if (!group) return;
+
+      group.classList.add("error");
+      this.showFieldError(group, message);
+      firstInput = firstInput || input;
+    });
+
+    if (!firstInput) return false;
+
+    firstInput.focus();
+    this.announceToScreenReader(
+      `Form has ${fieldErrors.length} errors: ${fieldErrors
+        .map(({ message }) => message)
+        .join(", ")}`,
+    );
+
+    return true;
+  }
+
   showSuccessMessage() {
     this.form.innerHTML = `
             <div style="text-align: center; animation: fadeIn 0.5s ease;">
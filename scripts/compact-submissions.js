@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+// Compact a local copy of the submissions bucket: folds the closed days'
+// submissions/YYYY-MM-DD/<id>.json files into their daily JSONL rollups
+//   node scripts/compact-submissions.js --dir <bucket copy>
+//     [--from YYYY-MM-DD --to YYYY-MM-DD]
+import { parseArgs } from "node:util";
+import { compactSubmissions } from "../src/services/storage/compaction.js";
+import { FileLeadStore } from "../src/services/storage/adapters/filesystem.js";
+
+const { values: args } = parseArgs({
+  options: {
+    dir: { type: "string" },
+    from: { type: "string" },
+    to: { type: "string" },
+  },
+});
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+if (
+  !args.dir ||
+  (args.from && !isDate(args.from)) ||
+  (args.to && !isDate(args.to)) ||
+  (args.from && !args.to)
+) {
+  console.error(
+    "Usage: node scripts/compact-submissions.js --dir <bucket copy> [--from YYYY-MM-DD --to YYYY-MM-DD]",
+  );
+  process.exit(1);
+}
+
+const result = await compactSubmissions(new FileLeadStore(args.dir), {
+  from: args.from,
+  to: args.to,
+});
+if (result.error) {
+  console.error(result.message);
+  process.exit(1);
+}
+
+let compactedCount = 0;
+for (const { dateKey, compacted, total } of result.results) {
+  if (!compacted) continue;
+  compactedCount += compacted;
+  console.log(`${dateKey}: compacted ${compacted}, ${total} in rollup`);
+}
+
+console.log(
+  `Compacted ${compactedCount} submissions over ${result.results.length} days`,
+);
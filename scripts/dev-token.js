@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+// Sign a local dev token that stands in for a Cloudflare Access sign-in;
+// needs the same AUTH_DEV_KEY as the dev server
+//   AUTH_DEV_KEY=... node scripts/dev-token.js <email | partner id> [role]
+import { ROLES } from "../src/config/auth.js";
+import { signDevToken } from "../src/services/auth/accessTokens.js";
+
+const [sub, role = "staff"] = process.argv.slice(2);
+
+if (!sub || !ROLES.includes(role)) {
+  console.error(
+    `Usage: AUTH_DEV_KEY=... node scripts/dev-token.js <email | partner id> [${ROLES.join("|")}]`,
+  );
+  process.exit(1);
+}
+
+const token = await signDevToken({ sub, role }, process.env);
+
+console.log(`Dev token for ${sub} (${role}):`);
+console.log(`  ${token}`);
+console.log("\nSend it as a header, or set it as the CF_Authorization cookie:");
+console.log(`  curl -H "Cf-Access-Jwt-Assertion: ${token}" ...`);
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+// Inspect and replay the dead letters of a local file-backed email queue:
+// queued emails are <dir>/<id>.json, dead letters <dir>/dead-letters/<id>.json
+//   node scripts/email-dead-letters.js --dir <queue dir> [--type TIMEOUT]
+//   node scripts/email-dead-letters.js --dir <queue dir> --id <id> [--to <email>]
+//   node scripts/email-dead-letters.js --dir <queue dir> --replay <id> [--to <email>]
+//   node scripts/email-dead-letters.js --dir <queue dir> --replay-all
+// Replayed emails go back to the queue and are sent by its next drain
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import { DeadLetterQueue } from "../src/services/email/deadLetters.js";
+import { FileEmailQueueStore } from "../src/services/email/fileQueueStore.js";
+
+const { values: args } = parseArgs({
+  options: {
+    dir: { type: "string" },
+    type: { type: "string" },
+    id: { type: "string" },
+    to: { type: "string" },
+    replay: { type: "string", multiple: true },
+    "replay-all": { type: "boolean" },
+  },
+});
+
+if (
+  !args.dir ||
+  (args.id && args.replay) ||
+  (args.to && !args.id && args.replay?.length !== 1) ||
+  (args.to && !/^[^@\s]+@[^@\s]+$/.test(args.to))
+) {
+  console.error(
+    "Usage: node scripts/email-dead-letters.js --dir <queue dir> [--type <error type> | --id <id> [--to <email>] | --replay <id>... [--to <email>] | --replay-all]",
+  );
+  process.exit(1);
+}
+
+const deadLetters = new DeadLetterQueue(
+  new FileEmailQueueStore(join(args.dir, "dead-letters")),
+  new FileEmailQueueStore(args.dir),
+);
+
+if (args.replay || args["replay-all"]) {
+  const ids = args.replay || (await deadLetters.list()).map((item) => item.id);
+  const results = args.to
+    ? [{ id: ids[0], ...(await deadLetters.replay(ids[0], { to: args.to })) }]
+    : await deadLetters.replayMany(ids);
+
+  let failed = 0;
+  for (const result of results) {
+    if (result.error) {
+      failed++;
+      console.error(`${result.id}: ${result.message}`);
+    } else {
+      console.log(`${result.id}: replayed`);
+    }
+  }
+  console.log(
+    `Replayed ${results.length - failed} of ${results.length} emails`,
+  );
+  process.exit(failed ? 1 : 0);
+}
+
+if (args.id) {
+  const outcome = args.to
+    ? await deadLetters.updateRecipient(args.id, args.to)
+    : { deadLetter: await deadLetters.get(args.id) };
+  if (outcome.error || !outcome.deadLetter) {
+    console.error(outcome.message || `No dead letter with ID ${args.id}.`);
+    process.exit(1);
+  }
+
+  console.log(JSON.stringify(outcome.deadLetter, null, 2));
+  process.exit(0);
+}
+
+const items = await deadLetters.list({ type: args.type });
+for (const item of items) {
+  console.log(
+    [
+      item.id,
+      item.failure?.failedAt || item.lastAttempt,
+      item.failure?.type || "UNKNOWN",
+      item.emailData.to,
+      item.emailData.subject,
+    ].join("\t"),
+  );
+}
+
+const metrics = await deadLetters.getMetrics();
+console.log(
+  `${metrics.depth} dead letters${
+    Object.keys(metrics.byType).length
+      ? ` (${Object.entries(metrics.byType)
+          .map(([type, count]) => `${type}: ${count}`)
+          .join(", ")})`
+      : ""
+  }`,
+);
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+// Export leads from a local copy of the submissions bucket (daily
+// submissions/YYYY-MM-DD.jsonl rollups plus submissions/YYYY-MM-DD/<id>.json
+// files not yet compacted) as CSV, JSONL or XLSX; runs through
+// vite-node (a dev dependency) because the export shares the site's
+// modules, some of them TypeScript
+//   npm run export-leads -- --dir <bucket copy>
+//     --from 2030-03-01 --to 2030-03-31 --out leads.csv
+//     [--format csv|jsonl|xlsx] [--mask none|partial|full]
+//     [--columns "id=lead.id,lead.email" | --columns-file columns.json]
+// A columns file holds a [{"header": "...", "field": "..."}] column map
+import { createWriteStream } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { parseArgs } from "node:util";
+import { EXPORT_FORMATS, EXPORT_MASKS } from "../src/config/export.js";
+import {
+  LeadExporter,
+  parseColumnMap,
+  validateColumnMap,
+} from "../src/services/export/leadExport.js";
+import { FileLeadStore } from "../src/services/storage/adapters/filesystem.js";
+
+const { values: args } = parseArgs({
+  options: {
+    dir: { type: "string" },
+    from: { type: "string" },
+    to: { type: "string" },
+    format: { type: "string", default: "csv" },
+    mask: { type: "string", default: "partial" },
+    columns: { type: "string" },
+    "columns-file": { type: "string" },
+    out: { type: "string" },
+  },
+});
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "");
+
+if (
+  !args.dir ||
+  !args.out ||
+  !isDate(args.from) ||
+  !isDate(args.to) ||
+  !EXPORT_FORMATS[args.format] ||
+  !EXPORT_MASKS.includes(args.mask)
+) {
+  console.error(
+    "Usage: npm run export-leads -- --dir <bucket copy> --from YYYY-MM-DD --to YYYY-MM-DD --out <file> [--format csv|jsonl|xlsx] [--mask none|partial|full] [--columns <map> | --columns-file <file>]",
+  );
+  process.exit(1);
+}
+
+let columns;
+if (args["columns-file"]) {
+  columns = validateColumnMap(
+    JSON.parse(await readFile(args["columns-file"], "utf8")),
+  );
+} else if (args.columns) {
+  columns = parseColumnMap(args.columns);
+}
+if (columns?.error) {
+  console.error(columns.message);
+  process.exit(1);
+}
+
+// Local copies carry no lifecycle statuses, so every lead exports as new
+const exporter = new LeadExporter(new FileLeadStore(args.dir));
+const stream = exporter.export(args.from, args.to, {
+  format: args.format,
+  columns: columns?.columns,
+  mask: args.mask,
+});
+
+await pipeline(Readable.fromWeb(stream), createWriteStream(args.out));
+
+console.log(`Exported leads from ${args.from} to ${args.to} to ${args.out}`);
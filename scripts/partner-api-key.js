@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+// Issue a partner lead inbox API key: prints the key to hand to the partner
+// and the D1 statement that stores its hash
+//   node scripts/partner-api-key.js <partner id>
+import {
+  generatePartnerApiKey,
+  hashApiKey,
+} from "../src/services/auth/apiKeys.js";
+
+const partnerId = process.argv[2];
+
+if (!partnerId) {
+  console.error("Usage: node scripts/partner-api-key.js <partner id>");
+  process.exit(1);
+}
+
+const key = generatePartnerApiKey();
+const hash = await hashApiKey(key);
+
+console.log(`API key for ${partnerId} (shown once, store it safely):`);
+console.log(`  ${key}`);
+console.log("\nStore its hash with:");
+console.log(
+  `  wrangler d1 execute austin-move-finder-leads --command "UPDATE partners SET api_key_hash = '${hash}' WHERE id = '${partnerId.replace(/'/g, "''")}'"`,
+);
@@ -0,0 +1,15 @@
+/**
+ * Admin Dashboard Configuration
+ * Paging and date range limits for the /admin/leads dashboard
+ */
+
+export const ADMIN_LEADS = {
+  // Days listed when no date range is given, ending today
+  defaultRangeDays: 30,
+  // Longest date range searched at once; submissions are read day by day
+  maxRangeDays: 92,
+  // Leads per page
+  pageSize: 50,
+  // Most leads one bulk action may change
+  maxBulkLeads: 100,
+};
@@ -0,0 +1,40 @@
+/**
+ * Lead Audit Configuration
+ * Event types recorded in the lead audit log and limits for reading it back
+ */
+
+/**
+ * Audit event types with their dashboard labels; details per type:
+ * - submission_received: {form, ipAddress, userAgent}
+ * - validation: {outcome: passed | failed, errors, flags}
+ * - turnstile: {outcome: passed | failed | skipped}
+ * - spam_verdict: {verdict: spam | clean, reason, duplicateOf, leadScore}
+ * - rate_limited: {limit}
+ * - lead_stored: {store}
+ * - email_sent: {emailType, to, provider, messageId, attempts}
+ * - email_failed: {emailType, to, error}
+ * - email_redirected: {emailId, from, to} (a dead letter's new recipient)
+ * - partner_delivery: {partnerId, channel: email | webhook | auction,
+ *   outcome: delivered | failed, webhookDeliveryId, auctionId, price}
+ * - status_changed: {from, to, reason}
+ */
+export const AUDIT_EVENTS = {
+  submission_received: "Submission received",
+  validation: "Validation",
+  turnstile: "Turnstile check",
+  spam_verdict: "Spam verdict",
+  rate_limited: "Rate limited",
+  lead_stored: "Lead stored",
+  email_sent: "Email sent",
+  email_failed: "Email failed",
+  email_redirected: "Email redirected",
+  partner_delivery: "Partner delivery",
+  status_changed: "Status changed",
+};
+
+export const AUDIT_FORMATS = ["json", "jsonl", "csv"];
+
+export const AUDIT_LIMITS = {
+  // Longest date range read back at once
+  maxRangeDays: 31,
+};
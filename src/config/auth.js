@@ -0,0 +1,31 @@
+/**
+ * Authentication Configuration
+ * The roles routes are guarded by and the limits used when verifying
+ * Cloudflare Access and dev tokens
+ */
+
+export const ROLES = ["admin", "staff", "partner"];
+
+/**
+ * Roles each role acts as; admins can use every staff route
+ */
+export const ROLE_GRANTS = {
+  admin: ["admin", "staff"],
+  staff: ["staff"],
+  partner: ["partner"],
+};
+
+/**
+ * Roles ACCESS_SERVICE_TOKENS can give a service token; partners use their
+ * API keys instead
+ */
+export const SERVICE_TOKEN_ROLES = ["admin", "staff"];
+
+export const AUTH_TOKENS = {
+  // Leeway for clock differences when checking exp and nbf
+  clockSkewSeconds: 60,
+  // How long the Cloudflare Access signing keys are cached
+  certsCacheSeconds: 3600,
+  // Lifetime of dev tokens from scripts/dev-token.js
+  devTokenTtlSeconds: 8 * 60 * 60,
+};
@@ -0,0 +1,21 @@
+/**
+ * Quote Comparison Configuration
+ * What partner quotes can include and how customers can sort them
+ */
+
+/**
+ * Services a partner's quoted price may include, with customer-facing labels
+ */
+export const QUOTE_INCLUSIONS = {
+  packing: "Packing",
+  storage: "Storage",
+  insurance: "Full-value insurance",
+};
+
+/**
+ * Ways customers can sort quotes; the first is the default
+ * - price: lowest quote first
+ * - availability: earliest available date first
+ * - rating: highest rated mover first
+ */
+export const COMPARISON_SORTS = ["price", "availability", "rating"];
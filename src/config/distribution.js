@@ -0,0 +1,47 @@
+/**
+ * Lead Distribution Configuration
+ * How many partner movers receive each lead, when their daily capacity
+ * resets, and how ping-post auctions are run
+ *
+ * The mode can be overridden at runtime with the DISTRIBUTION_MODE variable
+ */
+
+export const DISTRIBUTION_RULES = {
+  // "round-robin" shares every lead; "ping-post" first auctions leads that
+  // carry TCPA consent and shares the ones nobody buys
+  mode: "round-robin",
+
+  // The thank-you page promises 3-5 licensed movers; leads go to fewer when
+  // fewer partners are eligible
+  partnersPerLead: 3,
+
+  // Daily capacity is counted per Austin local day
+  timeZone: "America/Chicago",
+
+  auction: {
+    // Buyers the full lead is posted to; 1 sells it exclusively
+    winners: 1,
+    // Lowest bid accepted, in US dollars
+    reservePrice: 5,
+    // Bids arriving later than this are ignored
+    pingTimeoutMs: 1500,
+    postTimeoutMs: 5000,
+  },
+};
+
+/**
+ * Get the distribution rules, with the mode overridable through the
+ * DISTRIBUTION_MODE runtime variable
+ */
+export function getDistributionRules(env = {}) {
+  if (!env.DISTRIBUTION_MODE) {
+    return DISTRIBUTION_RULES;
+  }
+
+  if (!["round-robin", "ping-post"].includes(env.DISTRIBUTION_MODE)) {
+    console.warn("Ignoring unknown DISTRIBUTION_MODE:", env.DISTRIBUTION_MODE);
+    return DISTRIBUTION_RULES;
+  }
+
+  return { ...DISTRIBUTION_RULES, mode: env.DISTRIBUTION_MODE };
+}
@@ -0,0 +1,26 @@
+/**
+ * Duplicate Lead Configuration
+ * Controls when a new submission is treated as a repeat of an earlier one
+ */
+
+export const DUPLICATE_DETECTION = {
+  // How long after the original a resubmission still counts as a duplicate
+  windowDays: 30,
+  // How far apart the requested move dates may be for the same move
+  moveDateToleranceDays: 7,
+  // Most originals remembered per email or phone
+  maxEntriesPerContact: 20,
+};
+
+/**
+ * Get the duplicate detection settings, with the window overridable
+ * through the DUPLICATE_WINDOW_DAYS runtime variable
+ */
+export function getDuplicateConfig(env = {}) {
+  const windowDays = Number.parseInt(env.DUPLICATE_WINDOW_DAYS, 10);
+
+  return {
+    ...DUPLICATE_DETECTION,
+    ...(windowDays > 0 && { windowDays }),
+  };
+}
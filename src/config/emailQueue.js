@@ -0,0 +1,11 @@
+/**
+ * Email Queue Configuration
+ * Limits for the dead-letter store of emails that ran out of retries
+ */
+
+export const EMAIL_DEAD_LETTERS = {
+  // Most dead letters one bulk replay may move back to the queue
+  maxBulk: 100,
+  // Dead letters waiting at which the queue reports itself unhealthy
+  alertDepth: 25,
+};
@@ -0,0 +1,108 @@
+/**
+ * Lead Export Configuration
+ * Formats, the default column map and the PII fields masked in lead exports
+ *
+ * Columns map a header to a field of the flattened record: `lead.*` holds
+ * the fields every source shares, and the stored payload follows as-is
+ * (`prospect.*`, `move.*`, `tracking.*`, `consent.*` for lead form records,
+ * top-level quote fields for quote form records), then `meta.*`
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  jsonl: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "jsonl",
+  },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+/**
+ * Default columns, in the order downstream imports rely on; add new
+ * columns at the end
+ */
+export const EXPORT_COLUMNS = [
+  { header: "lead_id", field: "lead.id" },
+  { header: "submitted_at", field: "lead.submittedAt" },
+  { header: "source", field: "lead.source" },
+  { header: "status", field: "lead.status" },
+  { header: "name", field: "lead.name" },
+  { header: "email", field: "lead.email" },
+  { header: "phone", field: "lead.phone" },
+  { header: "move_date", field: "lead.moveDate" },
+  { header: "from_zip", field: "lead.fromZip" },
+  { header: "to_zip", field: "lead.toZip" },
+  { header: "move_size", field: "lead.moveSize" },
+  { header: "service_type", field: "lead.serviceType" },
+  { header: "utm_source", field: "lead.utm.source" },
+  { header: "utm_medium", field: "lead.utm.medium" },
+  { header: "utm_campaign", field: "lead.utm.campaign" },
+  { header: "lead_score", field: "lead.leadScore.score" },
+  { header: "lead_grade", field: "lead.leadScore.label" },
+  { header: "duplicate_of", field: "lead.duplicateOf" },
+  { header: "first_name", field: "prospect.first_name" },
+  { header: "last_name", field: "prospect.last_name" },
+  { header: "flexible", field: "move.flexible" },
+  { header: "home_size", field: "move.home_size" },
+  { header: "items_count", field: "move.items_count" },
+  { header: "stairs_or_elevator", field: "move.stairs_or_elevator" },
+  { header: "parking_constraints", field: "move.parking_constraints" },
+  { header: "budget_range", field: "move.budget_range" },
+  { header: "notes", field: "move.notes" },
+  { header: "utm_term", field: "tracking.utm_term" },
+  { header: "utm_content", field: "tracking.utm_content" },
+  { header: "gclid", field: "tracking.gclid" },
+  { header: "fbclid", field: "tracking.fbclid" },
+  { header: "landing_url", field: "tracking.landing_url" },
+  { header: "referrer_url", field: "tracking.referrer_url" },
+  { header: "tcpa_consent", field: "consent.tcpa" },
+  { header: "consent_text", field: "consent.text" },
+  { header: "flexible_dates", field: "flexibleDates" },
+  { header: "from_floor", field: "fromFloor" },
+  { header: "to_floor", field: "toFloor" },
+  { header: "packing_supplies", field: "packingSupplies" },
+  { header: "storage_needed", field: "storageNeeded" },
+  { header: "special_items", field: "specialItems" },
+  { header: "budget", field: "budget" },
+  { header: "additional_info", field: "additionalInfo" },
+  { header: "estimate_low", field: "shownEstimate.low" },
+  { header: "estimate_high", field: "shownEstimate.high" },
+  { header: "ip_address", field: "meta.ipAddress" },
+  { header: "user_agent", field: "meta.userAgent" },
+];
+
+/**
+ * Fields holding personal data, by how they are partially masked
+ */
+export const EXPORT_PII_FIELDS = {
+  name: ["lead.name", "prospect.first_name", "prospect.last_name", "name"],
+  email: ["lead.email", "prospect.email", "email"],
+  phone: ["lead.phone", "prospect.phone", "phone"],
+  ip: ["meta.ipAddress", "tracking.ip", "ipAddress"],
+  text: [
+    "move.notes",
+    "move.parking_constraints",
+    "additionalInfo",
+    "meta.userAgent",
+    "tracking.user_agent",
+    "tracking.session_id",
+  ],
+};
+
+/**
+ * PII masking modes: none keeps values, partial keeps enough to recognize a
+ * lead (initials, email domain, last phone digits) and full blanks them
+ * Staff exports are masked at least partially; only admins export none
+ */
+export const EXPORT_MASKS = ["none", "partial", "full"];
+
+export const EXPORT_LIMITS = {
+  // Days exported when no date range is given, ending today
+  defaultRangeDays: 30,
+  // Longest date range exported at once
+  maxRangeDays: 366,
+};
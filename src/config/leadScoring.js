@@ -0,0 +1,107 @@
+/**
+ * Lead Scoring Configuration
+ * Points awarded for each quote signal and the tiers sales uses to decide
+ * which leads to call first
+ *
+ * Tables list the quote form values and the structured lead form values
+ * side by side; the two forms use different vocabularies that never collide
+ */
+
+export const LEAD_SCORING = {
+  points: {
+    moveSize: {
+      studio: 5,
+      "1-bed": 8,
+      "2-bed": 12,
+      "3-bed": 16,
+      "4-bed": 20,
+      "5-bed-plus": 24,
+      office: 22,
+      "1BR": 8,
+      "2BR": 12,
+      "3BR": 16,
+      "4BR+": 20,
+    },
+
+    serviceType: {
+      "full-service": 15,
+      hybrid: 10,
+      "labor-only": 5,
+    },
+
+    budget: {
+      "under-1000": 3,
+      "1000-2500": 8,
+      "2500-5000": 12,
+      "5000-10000": 15,
+      "over-10000": 18,
+      "<500": 1,
+      "$500-$999": 3,
+      "$1k-$1.9k": 6,
+      "$2k-$3.9k": 10,
+      ">$4k": 14,
+    },
+
+    // Flexible customers are easier to schedule and to win
+    flexibility: {
+      exact: 2,
+      "3-days": 4,
+      "1-week": 5,
+      "2-weeks": 6,
+    },
+
+    // Per special item, up to the cap
+    specialItem: 4,
+    specialItemsMax: 12,
+
+    // Per end of the move; stairs mean a bigger crew and a bigger ticket
+    floor: {
+      ground: 0,
+      elevator: 1,
+      "2nd": 2,
+      "3rd": 3,
+      "4th-plus": 4,
+      none: 0,
+      stairs: 3,
+      both: 4,
+    },
+
+    source: {
+      paid_search: 10,
+      paid_social: 6,
+      campaign: 4,
+      direct: 2,
+    },
+
+    contact: {
+      phone: 10,
+      email: 5,
+    },
+  },
+
+  // utm_medium values that count as paid traffic
+  paidSearchMediums: ["cpc", "ppc", "paid-search", "paidsearch", "sem"],
+  paidSocialMediums: ["paid-social", "paidsocial", "social-paid"],
+
+  // Highest tier first; scores are capped at 100
+  tiers: [
+    {
+      tier: "hot",
+      minScore: 70,
+      label: "Hot",
+      responseTime: "Call within 15 minutes",
+    },
+    {
+      tier: "warm",
+      minScore: 40,
+      label: "Warm",
+      responseTime: "Contact within 2 hours",
+    },
+    {
+      tier: "cold",
+      minScore: 0,
+      label: "Cold",
+      responseTime: "Contact within 24 hours",
+    },
+  ],
+};
@@ -0,0 +1,80 @@
+/**
+ * Quote Lifecycle Configuration
+ * The statuses a quote or lead moves through, which changes are allowed and
+ * which ones the customer is emailed about
+ */
+
+/**
+ * Statuses a quote may move to from each status
+ * Lost leads can be routed again, and spam or duplicate calls can be undone
+ */
+export const QUOTE_TRANSITIONS = {
+  new: ["routed", "contacted", "lost", "spam", "duplicate"],
+  routed: ["contacted", "quoted", "booked", "lost", "spam"],
+  contacted: ["quoted", "booked", "lost"],
+  quoted: ["booked", "lost"],
+  booked: ["completed", "lost"],
+  completed: [],
+  lost: ["routed"],
+  spam: ["new"],
+  duplicate: ["new"],
+};
+
+export const QUOTE_STATUSES = Object.keys(QUOTE_TRANSITIONS);
+
+/**
+ * Changes that send the customer the quote update email
+ */
+export const CUSTOMER_UPDATE_STATUSES = ["booked", "completed"];
+
+/**
+ * How each status is described to customers in quote update emails and on
+ * the quote status page
+ */
+export const QUOTE_STATUS_LABELS = {
+  new: {
+    label: "Request Received",
+    message: "We received your quote request and are matching you with movers.",
+  },
+  routed: {
+    label: "Matched with Movers",
+    message:
+      "We sent your move to licensed Austin movers. Expect them to reach out with quotes shortly.",
+  },
+  contacted: {
+    label: "Movers Are Reaching Out",
+    message: "A matched mover has started working on your quote.",
+  },
+  quoted: {
+    label: "Quotes Are In",
+    message: "You have received a quote for your move.",
+  },
+  booked: {
+    label: "Move Booked",
+    message:
+      "Your move is booked. Your mover will confirm the final details with you before moving day.",
+  },
+  completed: {
+    label: "Move Completed",
+    message: "Your move is complete. Thank you for finding your mover with us!",
+  },
+  lost: {
+    label: "Request Closed",
+    message:
+      "Your quote request has been closed. Reply to this email or call us if you still need movers.",
+  },
+  spam: {
+    label: "Request Closed",
+    message: "Your quote request has been closed.",
+  },
+  duplicate: {
+    label: "Already Received",
+    message:
+      "This request repeats one you already sent us, so we are handling them together.",
+  },
+};
+
+/**
+ * Days a quote status page link stays valid
+ */
+export const STATUS_LINK_TTL_DAYS = 30;
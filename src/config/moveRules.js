@@ -0,0 +1,38 @@
+/**
+ * Move Rules Configuration
+ * Business rules applied to the move date and ZIP codes of every submission
+ *
+ * Each rule's action is "reject" (the submission fails with the reason),
+ * "flag" (stored with the lead for follow-up) or "off"
+ */
+
+export const MOVE_RULES = {
+  // Dates are compared in Austin local time
+  timeZone: "America/Chicago",
+
+  serviceArea: {
+    // Neither ZIP is in the Austin area
+    outside: "reject",
+    // Only one end of the move is in the Austin area
+    partial: "flag",
+  },
+
+  leadTime: {
+    minDays: 1,
+    maxDays: 365,
+    tooSoon: "reject",
+    tooFar: "reject",
+  },
+
+  // Federal holidays movers typically staff lightly or charge more for
+  holidays: {
+    action: "flag",
+  },
+
+  blackoutDates: {
+    action: "reject",
+    // YYYY-MM-DD dates with an optional reason, e.g.
+    // { date: "2030-08-20", reason: "UT move-in weekend" }
+    dates: [],
+  },
+};
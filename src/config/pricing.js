@@ -0,0 +1,106 @@
+/**
+ * Pricing Configuration
+ * Rates behind the ballpark estimator; every amount is a {low, high} range in
+ * US dollars
+ *
+ * Any top-level section can be overridden at runtime by putting JSON in the
+ * PRICING_TABLE variable, e.g. {"hourlyRatePerMover": {"low": 50, "high": 70}}
+ */
+
+export const PRICING_TABLE = {
+  // Crew size and hours on the job for each quote form move size
+  moveSizes: {
+    studio: { movers: 2, hours: { low: 2, high: 4 } },
+    "1-bed": { movers: 2, hours: { low: 3, high: 5 } },
+    "2-bed": { movers: 3, hours: { low: 4, high: 7 } },
+    "3-bed": { movers: 3, hours: { low: 6, high: 9 } },
+    "4-bed": { movers: 4, hours: { low: 7, high: 11 } },
+    "5-bed-plus": { movers: 4, hours: { low: 9, high: 14 } },
+    office: { movers: 4, hours: { low: 5, high: 10 } },
+  },
+
+  hourlyRatePerMover: { low: 45, high: 65 },
+
+  // Packing labor on top of the moving labor, as a fraction of it, and
+  // whether the crew brings a truck
+  serviceTypes: {
+    "full-service": { packingLabor: 0.3, truck: true },
+    hybrid: { packingLabor: 0.15, truck: true },
+    "labor-only": { packingLabor: 0, truck: false },
+  },
+
+  truckFee: { low: 95, high: 150 },
+
+  distance: {
+    // Straight-line miles are multiplied by this to approximate road miles
+    roadFactor: 1.25,
+    // Miles covered by the truck fee
+    includedMiles: 10,
+    perMile: { low: 2, high: 3.5 },
+  },
+
+  // Per end of the move
+  floors: {
+    ground: { low: 0, high: 0 },
+    elevator: { low: 25, high: 75 },
+    "2nd": { low: 50, high: 100 },
+    "3rd": { low: 100, high: 175 },
+    "4th-plus": { low: 150, high: 275 },
+  },
+
+  specialItems: {
+    piano: { low: 250, high: 600 },
+    "pool-table": { low: 250, high: 500 },
+    safe: { low: 150, high: 400 },
+    artwork: { low: 75, high: 250 },
+    antiques: { low: 75, high: 250 },
+    "gym-equipment": { low: 100, high: 250 },
+    "hot-tub": { low: 400, high: 900 },
+  },
+
+  packingSupplies: {
+    studio: { low: 50, high: 120 },
+    "1-bed": { low: 80, high: 180 },
+    "2-bed": { low: 120, high: 260 },
+    "3-bed": { low: 180, high: 380 },
+    "4-bed": { low: 240, high: 500 },
+    "5-bed-plus": { low: 320, high: 650 },
+    office: { low: 150, high: 400 },
+  },
+
+  // First month of storage
+  storage: {
+    studio: { low: 90, high: 160 },
+    "1-bed": { low: 120, high: 200 },
+    "2-bed": { low: 160, high: 260 },
+    "3-bed": { low: 200, high: 320 },
+    "4-bed": { low: 250, high: 400 },
+    "5-bed-plus": { low: 300, high: 480 },
+    office: { low: 250, high: 450 },
+  },
+
+  // Labor surcharges as a fraction of the labor cost
+  date: {
+    // May through August, when Austin leases turn over
+    peakMonths: [5, 6, 7, 8],
+    peakSurcharge: 0.15,
+    weekendSurcharge: 0.1,
+  },
+};
+
+/**
+ * Get the pricing table, with sections overridable through the
+ * PRICING_TABLE runtime variable
+ */
+export function getPricingTable(env = {}) {
+  if (!env.PRICING_TABLE) {
+    return PRICING_TABLE;
+  }
+
+  try {
+    return { ...PRICING_TABLE, ...JSON.parse(env.PRICING_TABLE) };
+  } catch (error) {
+    console.warn("Ignoring invalid PRICING_TABLE override:", error.message);
+    return PRICING_TABLE;
+  }
+}
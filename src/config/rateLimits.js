@@ -0,0 +1,41 @@
+/**
+ * Rate Limit Configuration
+ * Sliding-window limits per route, keyed by client identifier type
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Limits per route: how many requests each identifier may make per window
+ */
+export const RATE_LIMITS = {
+  submit: {
+    windowMs: HOUR_MS,
+    limits: {
+      ip: 5,
+      email: 3,
+      phone: 3,
+    },
+  },
+  "submit-lead": {
+    windowMs: HOUR_MS,
+    limits: {
+      ip: 5,
+      email: 3,
+      phone: 3,
+    },
+  },
+};
+
+/**
+ * Get the rate limit policy for a route
+ */
+export function getRateLimitPolicy(route) {
+  const policy = RATE_LIMITS[route];
+
+  if (!policy) {
+    throw new Error(`No rate limit policy configured for route: ${route}`);
+  }
+
+  return policy;
+}
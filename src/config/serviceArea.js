@@ -0,0 +1,158 @@
+/**
+ * Service Area Configuration
+ * ZIP codes and neighborhoods the Austin moving network serves
+ */
+
+import { AUSTIN_NEIGHBORHOODS } from "./seo";
+
+/**
+ * Austin-area ZIP codes (kept in sync with the suggestions offered by
+ * FormEnhancements.setupZipSuggestions in public/form-enhancements.js)
+ */
+export const SERVICE_AREA_ZIPS = [
+  "78701",
+  "78702",
+  "78703",
+  "78704",
+  "78705",
+  "78712",
+  "78717",
+  "78719",
+  "78721",
+  "78722",
+  "78723",
+  "78724",
+  "78725",
+  "78726",
+  "78727",
+  "78728",
+  "78729",
+  "78730",
+  "78731",
+  "78732",
+  "78733",
+  "78734",
+  "78735",
+  "78736",
+  "78737",
+  "78738",
+  "78739",
+  "78741",
+  "78742",
+  "78744",
+  "78745",
+  "78746",
+  "78747",
+  "78748",
+  "78749",
+  "78750",
+  "78751",
+  "78752",
+  "78753",
+  "78754",
+  "78756",
+  "78757",
+  "78758",
+  "78759",
+];
+
+/**
+ * ZIP codes covering each neighborhood in AUSTIN_NEIGHBORHOODS
+ */
+export const NEIGHBORHOOD_ZIPS = {
+  "Downtown Austin": ["78701"],
+  "South Austin": ["78704", "78745", "78748", "78749"],
+  "East Austin": ["78702", "78721", "78723"],
+  "West Austin": ["78703", "78733", "78746"],
+  "North Austin": ["78727", "78729", "78753", "78758"],
+  "Central Austin": ["78705", "78751", "78756"],
+  Mueller: ["78723"],
+  Zilker: ["78704"],
+  "Barton Hills": ["78704"],
+  Tarrytown: ["78703"],
+  Clarksville: ["78703"],
+  "Hyde Park": ["78751"],
+  Crestview: ["78757"],
+  "Bouldin Creek": ["78704"],
+  "Travis Heights": ["78704"],
+  Allandale: ["78757"],
+  Rosedale: ["78756"],
+  Cherrywood: ["78722"],
+  "Windsor Park": ["78723"],
+  Govalle: ["78702"],
+  Holly: ["78702"],
+  Montopolis: ["78741"],
+  "St. Johns": ["78752"],
+  Riverside: ["78741"],
+  Oltorf: ["78741"],
+};
+
+/**
+ * Check whether a ZIP code is inside the service area
+ */
+export function isServiceAreaZip(zip) {
+  return (
+    SERVICE_AREA_ZIPS.includes(zip) ||
+    AUSTIN_NEIGHBORHOODS.some((name) => NEIGHBORHOOD_ZIPS[name]?.includes(zip))
+  );
+}
+
+/**
+ * Get the neighborhoods a ZIP code covers
+ */
+export function getNeighborhoodsForZip(zip) {
+  return AUSTIN_NEIGHBORHOODS.filter((name) =>
+    NEIGHBORHOOD_ZIPS[name]?.includes(zip),
+  );
+}
+
+/**
+ * Approximate center point [latitude, longitude] of each service area ZIP,
+ * used for ballpark distance pricing
+ */
+export const ZIP_COORDINATES = {
+  78701: [30.2711, -97.7437],
+  78702: [30.2637, -97.7166],
+  78703: [30.2937, -97.7648],
+  78704: [30.2428, -97.7658],
+  78705: [30.2962, -97.7394],
+  78712: [30.2849, -97.7341],
+  78717: [30.4906, -97.7532],
+  78719: [30.1805, -97.6659],
+  78721: [30.2712, -97.6835],
+  78722: [30.2893, -97.7153],
+  78723: [30.3036, -97.6851],
+  78724: [30.2919, -97.62],
+  78725: [30.238, -97.6072],
+  78726: [30.4426, -97.8429],
+  78727: [30.4259, -97.7186],
+  78728: [30.4531, -97.6884],
+  78729: [30.4522, -97.7686],
+  78730: [30.3652, -97.8372],
+  78731: [30.3473, -97.7676],
+  78732: [30.3815, -97.8915],
+  78733: [30.3209, -97.876],
+  78734: [30.3788, -97.9481],
+  78735: [30.2502, -97.8677],
+  78736: [30.2446, -97.9164],
+  78737: [30.1903, -97.958],
+  78738: [30.3335, -97.9823],
+  78739: [30.178, -97.888],
+  78741: [30.2315, -97.7224],
+  78742: [30.2425, -97.6616],
+  78744: [30.183, -97.7373],
+  78745: [30.207, -97.7956],
+  78746: [30.2851, -97.8096],
+  78747: [30.1301, -97.762],
+  78748: [30.1611, -97.8227],
+  78749: [30.2166, -97.8509],
+  78750: [30.4226, -97.7968],
+  78751: [30.3101, -97.723],
+  78752: [30.3316, -97.7004],
+  78753: [30.3649, -97.6827],
+  78754: [30.3557, -97.6417],
+  78756: [30.3222, -97.7389],
+  78757: [30.3516, -97.7316],
+  78758: [30.3876, -97.706],
+  78759: [30.4037, -97.7525],
+};
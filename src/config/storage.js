@@ -0,0 +1,14 @@
+/**
+ * Storage Configuration
+ * Settings for compacting submission objects into daily JSONL rollups
+ */
+
+export const STORAGE_COMPACTION = {
+  // Hours after a UTC day ends before it is compacted, so submissions
+  // received around midnight have landed
+  settleHours: 2,
+  // Closed days each scheduled run checks, counting back from yesterday
+  lookbackDays: 7,
+  // Most days one compaction request may cover
+  maxDays: 31,
+};
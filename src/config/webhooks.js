@@ -0,0 +1,17 @@
+/**
+ * Partner Webhook Configuration
+ * Delivery, retry and signing settings for outbound partner webhooks
+ */
+
+export const WEBHOOK_SETTINGS = {
+  // Attempts per delivery, including the first
+  maxAttempts: 3,
+  // Wait before the second attempt; doubles after every failure
+  baseDelayMs: 500,
+  // Abort requests the partner has not answered by then
+  timeoutMs: 5000,
+  // Characters of the response body kept in the delivery log
+  responseSnippetLength: 500,
+  // How old a signed timestamp partners should accept
+  signatureToleranceSeconds: 300,
+};
@@ -1 +1,11 @@
-/// <reference path="../.astro/types.d.ts" />
\ No newline at end of file
+/// <reference path="../.astro/types.d.ts" />
+
+type Runtime = import("@astrojs/cloudflare").Runtime<{
+  DB?: D1Database;
+  R2_BUCKET?: R2Bucket;
+  SESSION?: KVNamespace;
+}>;
+
+declare namespace App {
+  interface Locals extends Runtime {}
+}
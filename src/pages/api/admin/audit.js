@@ -0,0 +1,13 @@
+/**
+ * Lead audit log: one lead's trail or every event in a date range, as JSON
+ * or a JSONL or CSV download
+ * Staff and admins only, signed in through Cloudflare Access
+ */
+
+import { handleAuditLog } from "../../../services/audit/auditRequest.js";
+
+export async function GET({ request, locals }) {
+  return handleAuditLog(request, {
+    env: locals?.runtime?.env || {},
+  });
+}
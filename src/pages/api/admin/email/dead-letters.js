@@ -0,0 +1,22 @@
+/**
+ * Emails that ran out of queue retries: list them, change a recipient or
+ * replay them into the queue
+ * Staff and admins only, signed in through Cloudflare Access
+ */
+
+import {
+  handleDeadLetterAction,
+  handleDeadLetterList,
+} from "../../../../services/email/deadLetterRequest.js";
+
+export async function GET({ request, locals }) {
+  return handleDeadLetterList(request, {
+    env: locals?.runtime?.env || {},
+  });
+}
+
+export async function POST({ request, locals }) {
+  return handleDeadLetterAction(request, {
+    env: locals?.runtime?.env || {},
+  });
+}
@@ -0,0 +1,13 @@
+/**
+ * Send queued emails
+ * Admins only; run by the scheduled email queue job with an Access service
+ * token
+ */
+
+import { handleQueueDrain } from "../../../../services/email/queueRequest.js";
+
+export async function POST({ request, locals }) {
+  return handleQueueDrain(request, {
+    env: locals?.runtime?.env || {},
+  });
+}
@@ -0,0 +1,13 @@
+/**
+ * Admin lead dashboard: mark leads as spam, restore spam or duplicate leads,
+ * reassign them to a partner or resend their business notification
+ * Staff and admins only, signed in through Cloudflare Access
+ */
+
+import { handleAdminLeadAction } from "../../../../services/admin/leadAdminRequest.js";
+
+export async function POST({ request, locals }) {
+  return handleAdminLeadAction(request, {
+    env: locals?.runtime?.env || {},
+  });
+}
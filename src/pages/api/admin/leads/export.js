@@ -0,0 +1,12 @@
+/**
+ * Lead export: streams stored leads for a date range as CSV, JSONL or XLSX
+ * Staff and admins only, signed in through Cloudflare Access
+ */
+
+import { handleLeadExport } from "../../../../services/export/leadExportRequest.js";
+
+export async function GET({ request, locals }) {
+  return handleLeadExport(request, {
+    env: locals?.runtime?.env || {},
+  });
+}
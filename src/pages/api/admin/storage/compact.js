@@ -0,0 +1,13 @@
+/**
+ * Compact submission objects into daily JSONL rollups
+ * Admins only; run daily by the scheduled compaction job with an Access
+ * service token
+ */
+
+import { handleCompaction } from "../../../../services/storage/compactionRequest.js";
+
+export async function POST({ request, locals }) {
+  return handleCompaction(request, {
+    env: locals?.runtime?.env || {},
+  });
+}
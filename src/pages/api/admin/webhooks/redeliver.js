@@ -0,0 +1,12 @@
+/**
+ * Send a logged partner webhook delivery again
+ * Staff and admins only, signed in through Cloudflare Access
+ */
+
+import { handleWebhookRedelivery } from "../../../../services/partners/webhookRequest.js";
+
+export async function POST({ request, locals }) {
+  return handleWebhookRedelivery(request, {
+    env: locals?.runtime?.env || {},
+  });
+}
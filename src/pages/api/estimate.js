@@ -0,0 +1,19 @@
+/**
+ * API endpoint for ballpark move price estimates
+ * GET takes query parameters and POST takes form data, both using the quote
+ * form field names (move-size, from-zip, to-zip, from-floor, ...)
+ */
+
+import { handleEstimateRequest } from "../../services/estimate/estimateRequest.js";
+
+export async function GET({ request, locals }) {
+  return handleEstimateRequest(request, {
+    env: locals?.runtime?.env || {},
+  });
+}
+
+export async function POST({ request, locals }) {
+  return handleEstimateRequest(request, {
+    env: locals?.runtime?.env || {},
+  });
+}
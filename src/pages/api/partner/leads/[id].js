@@ -0,0 +1,13 @@
+/**
+ * Partner lead inbox: one lead assigned to the calling partner
+ * Authenticated with the partner's API key (Authorization: Bearer <key>)
+ */
+
+import { handlePartnerLead } from "../../../../services/partners/inboxRequest.js";
+
+export async function GET({ request, params, locals }) {
+  return handlePartnerLead(request, {
+    env: locals?.runtime?.env || {},
+    leadId: params.id,
+  });
+}
@@ -0,0 +1,15 @@
+/**
+ * Partner lead inbox: accept, decline, quote or update the status of a lead
+ * assigned to the calling partner
+ * Authenticated with the partner's API key (Authorization: Bearer <key>)
+ */
+
+import { handlePartnerLeadUpdate } from "../../../../../services/partners/inboxRequest.js";
+
+export async function POST({ request, params, locals }) {
+  return handlePartnerLeadUpdate(request, {
+    env: locals?.runtime?.env || {},
+    leadId: params.id,
+    action: params.action,
+  });
+}
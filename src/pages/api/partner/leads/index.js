@@ -0,0 +1,12 @@
+/**
+ * Partner lead inbox: lists the leads assigned to the calling partner
+ * Authenticated with the partner's API key (Authorization: Bearer <key>)
+ */
+
+import { handlePartnerLeadList } from "../../../../services/partners/inboxRequest.js";
+
+export async function GET({ request, locals }) {
+  return handlePartnerLeadList(request, {
+    env: locals?.runtime?.env || {},
+  });
+}
@@ -0,0 +1,13 @@
+/**
+ * Quote comparison: book the move with the mover the customer chose
+ * Authorized by the signed token from the customer's quote status link
+ */
+
+import { handleChooseMover } from "../../../../services/quotes/comparisonRequest.js";
+
+export async function POST({ request, params, locals }) {
+  return handleChooseMover(request, {
+    env: locals?.runtime?.env || {},
+    quoteId: params.id,
+  });
+}
@@ -0,0 +1,15 @@
+/**
+ * API endpoint for the structured lead form (public/lead-form-handler.js)
+ * Validates the JSON payload, enforces TCPA consent and stores the lead
+ */
+
+import { handleLeadSubmission } from "../../services/submission/leadSubmission.js";
+
+export async function POST({ request, locals }) {
+  const ctx = locals?.runtime?.ctx;
+
+  return handleLeadSubmission(request, {
+    env: locals?.runtime?.env || {},
+    waitUntil: ctx && ((promise) => ctx.waitUntil(promise)),
+  });
+}
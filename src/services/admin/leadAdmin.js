@@ -0,0 +1,444 @@
+/**
+ * Lead Admin
+ * Backs the /admin/leads dashboard: searches the stored submission records,
+ * shows a lead's full record with its status history, partner assignments
+ * and audit trail, and applies the bulk actions (mark spam, restore, reassign,
+ * resend the business notification)
+ *
+ * Records are read day by day from the lead store, so searches are limited
+ * to a date range (see src/config/admin.js)
+ */
+
+import { ADMIN_LEADS } from "../../config/admin.js";
+import { auditMailer, createAuditTrail } from "../audit/auditTrail.js";
+import { emailService } from "../email/emailService.js";
+import { createPartnerDirectory } from "../partners/directory.js";
+import {
+  createLeadDistributor,
+  getRecordDistributionLead,
+} from "../partners/distribution.js";
+import { CLOSED_STATUSES } from "../partners/inbox.js";
+import { canTransition, createQuoteLifecycle } from "../quotes/lifecycle.js";
+import { createLeadStore } from "../storage/leadStore.js";
+import { getDateKey, listDateKeys, shiftDateKey } from "../storage/records.js";
+
+/**
+ * Lead statuses that can be reassigned; new and lost leads are routed again
+ * and the others keep their status
+ */
+const REASSIGNABLE_STATUSES = ["new", "routed", "contacted", "quoted", "lost"];
+
+/**
+ * Searches leads and applies admin actions to them
+ */
+export class LeadAdmin {
+  constructor(leadStore, options = {}) {
+    this.leadStore = leadStore;
+    this.lifecycle = options.lifecycle;
+    this.directory = options.directory;
+    this.distributor = options.distributor;
+    this.mailer = options.mailer || emailService;
+    this.audit = options.audit || null;
+    this.settings = options.settings || ADMIN_LEADS;
+  }
+
+  /**
+   * Find leads matching filters from parseLeadFilters, newest first
+   * Returns {leads, total, page, pageCount} with leads in the toAdminLead
+   * shape
+   */
+  async search(filters) {
+    const records = [];
+    for (const dateKey of listDateKeys(filters.from, filters.to)) {
+      records.push(...(await this.leadStore.listByDate(dateKey)));
+    }
+
+    const statuses = await this.lifecycle.getStatuses(
+      records.map(({ id }) => id),
+    );
+    const matches = records
+      .filter((record) => matchesSearch(record, filters.q))
+      .map((record) => toAdminLead(record, statuses.get(record.id)))
+      .filter((lead) => matchesFilters(lead, filters))
+      .sort(
+        (a, b) =>
+          b.submittedAt.localeCompare(a.submittedAt) ||
+          a.id.localeCompare(b.id),
+      );
+
+    const { pageSize } = this.settings;
+    const pageCount = Math.max(1, Math.ceil(matches.length / pageSize));
+    const page = Math.min(filters.page, pageCount);
+
+    return {
+      leads: matches.slice((page - 1) * pageSize, page * pageSize),
+      total: matches.length,
+      page,
+      pageCount,
+    };
+  }
+
+  /**
+   * Get everything known about a lead, or null when it was never stored:
+   * {lead, record, history, assignments, audit}, where record is the full
+   * stored payload, assignments carry their partner's company and audit is
+   * the lead's audit trail, oldest first
+   */
+  async get(id) {
+    const record = await this.leadStore.get(id);
+    if (!record) return null;
+
+    const [quote, assignments, audit] = await Promise.all([
+      this.lifecycle.get(id),
+      this.directory.listAssignments(id),
+      this.audit ? this.audit.listByLead(id) : [],
+    ]);
+
+    return {
+      lead: toAdminLead(record, quote),
+      record,
+      history: quote?.history || [],
+      assignments: await Promise.all(
+        assignments.map(async (assignment) => ({
+          ...assignment,
+          company:
+            (await this.directory.get(assignment.partnerId))?.company || null,
+        })),
+      ),
+      audit,
+    };
+  }
+
+  /**
+   * Mark leads as spam
+   * Returns a {id, ok, error, message} result per lead
+   */
+  async markSpam(ids, { actor }) {
+    return this.eachLead(ids, async (record) => {
+      // Leads stored before the lifecycle existed start out new
+      await this.lifecycle.start(record.id);
+
+      const result = await this.lifecycle.transition(record.id, "spam", {
+        actor,
+        reason: "Marked spam in the admin dashboard",
+      });
+      if (result.error) return result;
+
+      await this.audit?.record(
+        record.id,
+        "spam_verdict",
+        { verdict: "spam", reason: "Marked spam in the admin dashboard" },
+        { actor },
+      );
+      return {};
+    });
+  }
+
+  /**
+   * Put spam or duplicate leads back to new
+   * Returns a {id, ok, error, message} result per lead
+   */
+  async restore(ids, { actor }) {
+    return this.eachLead(ids, async (record) => {
+      await this.lifecycle.start(record.id);
+
+      const result = await this.lifecycle.transition(record.id, "new", {
+        actor,
+        reason: "Restored in the admin dashboard",
+      });
+      if (result.error) return result;
+
+      if (result.change.from === "spam") {
+        await this.audit?.record(
+          record.id,
+          "spam_verdict",
+          { verdict: "clean", reason: "Restored in the admin dashboard" },
+          { actor },
+        );
+      }
+      return {};
+    });
+  }
+
+  /**
+   * Take leads away from the partners working them and give them to another
+   * partner, who is notified like a freshly distributed lead
+   * Booked, completed, spam and duplicate leads are refused before any
+   * assignment changes
+   * Returns a {id, ok, error, message} result per lead
+   */
+  async reassign(ids, partnerId, { actor }) {
+    const partner = await this.directory.get(partnerId);
+    if (!partner) {
+      return ids.map((id) => ({
+        id,
+        ok: false,
+        error: "not_found",
+        message: `Partner ${partnerId} not found`,
+      }));
+    }
+
+    return this.eachLead(ids, async (record) => {
+      // Leads stored before the lifecycle existed start out new
+      const { status } = await this.lifecycle.start(record.id);
+      if (!REASSIGNABLE_STATUSES.includes(status)) {
+        return {
+          error: "invalid_transition",
+          message: `Cannot reassign a ${status} lead`,
+        };
+      }
+
+      const assignments = await this.directory.listAssignments(record.id);
+      if (assignments.some((entry) => entry.partnerId === partner.id)) {
+        return {
+          error: "already_assigned",
+          message: `Lead already went to ${partner.company}`,
+        };
+      }
+
+      const updatedAt = new Date().toISOString();
+      for (const assignment of assignments) {
+        if (CLOSED_STATUSES.includes(assignment.status)) continue;
+        await this.directory.updateAssignment({
+          ...assignment,
+          status: "lost",
+          updatedAt,
+        });
+      }
+
+      await this.distributor.assign(getRecordDistributionLead(record), partner);
+
+      if (!canTransition(status, "routed")) return {};
+      return this.lifecycle.transition(record.id, "routed", {
+        actor,
+        reason: `Reassigned to ${partner.company}`,
+      });
+    });
+  }
+
+  /**
+   * Send the business notification email for leads again
+   * Returns a {id, ok, error, message} result per lead
+   */
+  async resendNotification(ids) {
+    return this.eachLead(ids, async (record) => {
+      const assignments = await this.directory.listAssignments(record.id);
+      const companies = await Promise.all(
+        assignments.map(
+          async ({ partnerId }) =>
+            (await this.directory.get(partnerId))?.company || partnerId,
+        ),
+      );
+
+      await this.mailer.sendBusinessNotification(
+        getNotificationData(
+          record,
+          companies.map((company) => ({ company })),
+        ),
+        record.id,
+      );
+      return {};
+    });
+  }
+
+  /**
+   * Apply an action to each stored lead, one at a time; a lead's failure is
+   * reported in its result and does not stop the others
+   */
+  async eachLead(ids, action) {
+    const results = [];
+
+    for (const id of ids) {
+      try {
+        const record = await this.leadStore.get(id);
+        const outcome = record
+          ? await action(record)
+          : { error: "not_found", message: `Lead ${id} not found` };
+
+        results.push(
+          outcome.error
+            ? { id, ok: false, error: outcome.error, message: outcome.message }
+            : { id, ok: true },
+        );
+      } catch (error) {
+        console.error("Admin lead action failed:", { id, error });
+        results.push({
+          id,
+          ok: false,
+          error: "internal_error",
+          message: error.message,
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Create the lead admin for the current runtime environment
+ */
+export function createLeadAdmin(env = {}, options = {}) {
+  const audit = createAuditTrail(env);
+  const mailer = auditMailer(options.mailer || emailService, audit);
+
+  return new LeadAdmin(createLeadStore(env), {
+    lifecycle: createQuoteLifecycle(env, { mailer, audit }),
+    directory: createPartnerDirectory(env),
+    distributor: createLeadDistributor(env, { mailer, audit }),
+    mailer,
+    audit,
+    ...options,
+  });
+}
+
+/**
+ * Read dashboard filters from URL search params: q (full-text), from and to
+ * (YYYY-MM-DD, submission date), zip (either end of the move), moveSize,
+ * serviceType, status, source (quote-form or lead-form), utmSource,
+ * utmMedium, utmCampaign and page
+ *
+ * The date range defaults to the last defaultRangeDays days and is cut to
+ * maxRangeDays ending at `to`
+ */
+export function parseLeadFilters(
+  params,
+  { now = Date.now(), settings = ADMIN_LEADS } = {},
+) {
+  const text = (name) => params.get(name)?.trim() || null;
+  const date = (name) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(params.get(name) || "") &&
+    !Number.isNaN(Date.parse(params.get(name)))
+      ? params.get(name)
+      : null;
+
+  const to = date("to") || getDateKey(new Date(now).toISOString());
+  const earliest = shiftDateKey(to, -(settings.maxRangeDays - 1));
+  let from = date("from") || shiftDateKey(to, -(settings.defaultRangeDays - 1));
+  if (from < earliest) from = earliest;
+  if (from > to) from = to;
+
+  const page = Number.parseInt(params.get("page"), 10);
+
+  return {
+    q: text("q"),
+    from,
+    to,
+    zip: text("zip"),
+    moveSize: text("moveSize"),
+    serviceType: text("serviceType"),
+    status: text("status"),
+    source: text("source"),
+    utmSource: text("utmSource"),
+    utmMedium: text("utmMedium"),
+    utmCampaign: text("utmCampaign"),
+    page: page > 0 ? page : 1,
+  };
+}
+
+/**
+ * Flatten a stored record for the dashboard list: {id, submittedAt, source,
+ * name, email, phone, moveDate, fromZip, toZip, moveSize, serviceType, utm,
+ * duplicateOf, leadScore, status}
+ * Leads without a lifecycle status are shown as new
+ */
+export function toAdminLead(record, quoteStatus = null) {
+  const lead = getRecordDistributionLead(record);
+  const tracking =
+    record.meta?.source === "lead-form"
+      ? {
+          source: record.data.tracking?.utm_source,
+          medium: record.data.tracking?.utm_medium,
+          campaign: record.data.tracking?.utm_campaign,
+        }
+      : {
+          source: record.meta?.tracking?.utmSource,
+          medium: record.meta?.tracking?.utmMedium,
+          campaign: record.meta?.tracking?.utmCampaign,
+        };
+
+  return {
+    id: record.id,
+    submittedAt: record.timestamp,
+    source: lead.source,
+    name: lead.name,
+    email: lead.email || null,
+    phone: lead.phone || null,
+    moveDate: lead.moveDate,
+    fromZip: lead.fromZip,
+    toZip: lead.toZip,
+    moveSize: lead.moveSize || null,
+    serviceType: lead.serviceType || null,
+    utm: {
+      source: tracking.source || null,
+      medium: tracking.medium || null,
+      campaign: tracking.campaign || null,
+    },
+    duplicateOf: record.meta?.duplicateOf || null,
+    leadScore: record.meta?.leadScore || null,
+    status: quoteStatus?.status || "new",
+  };
+}
+
+/**
+ * Check an admin lead against the non-text filters
+ */
+function matchesFilters(lead, filters) {
+  const same = (value, filter) =>
+    !filter || (value || "").toLowerCase() === filter.toLowerCase();
+
+  return (
+    (!filters.zip ||
+      lead.fromZip === filters.zip ||
+      lead.toZip === filters.zip) &&
+    same(lead.moveSize, filters.moveSize) &&
+    same(lead.serviceType, filters.serviceType) &&
+    same(lead.status, filters.status) &&
+    same(lead.source, filters.source) &&
+    same(lead.utm.source, filters.utmSource) &&
+    same(lead.utm.medium, filters.utmMedium) &&
+    same(lead.utm.campaign, filters.utmCampaign)
+  );
+}
+
+/**
+ * Full-text match: every word of the query appears somewhere in the record's
+ * ID or payload; numbers also match phone numbers whatever their formatting
+ */
+function matchesSearch(record, query) {
+  if (!query) return true;
+
+  const text = `${record.id} ${JSON.stringify(record.data)}`.toLowerCase();
+  const digits = text.replace(/\D/g, "");
+
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .every(
+      (word) =>
+        text.includes(word) ||
+        (/^[\d\s()+.-]+$/.test(word) &&
+          digits.includes(word.replace(/\D/g, ""))),
+    );
+}
+
+/**
+ * The business notification data for a stored record, in the shape the
+ * submission pipelines send it
+ */
+function getNotificationData(record, assignedPartners) {
+  const { shownEstimate, ...data } =
+    record.meta?.source === "lead-form" ? {} : record.data;
+
+  return {
+    ...getRecordDistributionLead(record),
+    ...data,
+    estimateLow: shownEstimate?.low,
+    estimateHigh: shownEstimate?.high,
+    ipAddress: record.meta?.ipAddress,
+    userAgent: record.meta?.userAgent,
+    referrer: record.meta?.referrer,
+    leadScore: record.meta?.leadScore || null,
+    assignedPartners,
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * Lead Admin Request Handler
+ * Serves POST /api/admin/leads/actions, the bulk actions of the
+ * /admin/leads dashboard; every request needs a staff or admin sign-in
+ *
+ * Responses use the lead endpoint's {ok, error, details} shape, with a
+ * {id, ok, error, message} result per lead
+ */
+
+import { z } from "zod";
+import { ADMIN_LEADS } from "../../config/admin.js";
+import { jsonResponse, requireJsonRequest } from "../submission/http.js";
+import { authorizeRequest } from "../auth/guards.js";
+import { createLeadAdmin } from "./leadAdmin.js";
+
+const ActionSchema = z.discriminatedUnion(
+  "action",
+  [
+    z.object({ action: z.literal("spam") }),
+    z.object({ action: z.literal("restore") }),
+    z.object({
+      action: z.literal("reassign"),
+      partnerId: z
+        .string({ required_error: "Choose a partner to reassign to." })
+        .min(1, "Choose a partner to reassign to."),
+    }),
+    z.object({ action: z.literal("resend") }),
+  ],
+  {
+    errorMap: () => ({
+      message: "Action must be spam, restore, reassign or resend.",
+    }),
+  },
+);
+
+const IdsSchema = z.object({
+  ids: z
+    .array(z.string().min(1), {
+      required_error: "Select at least one lead.",
+    })
+    .min(1, "Select at least one lead.")
+    .max(
+      ADMIN_LEADS.maxBulkLeads,
+      `Select at most ${ADMIN_LEADS.maxBulkLeads} leads at a time.`,
+    ),
+});
+
+/**
+ * Handle POST /api/admin/leads/actions with an {action, ids, partnerId}
+ * JSON body, which must be sent as application/json
+ *
+ * Options:
+ * - env: runtime bindings (DB, R2_BUCKET, CF_ACCESS_TEAM_DOMAIN,
+ *   CF_ACCESS_AUD, ADMIN_EMAILS, AUTH_DEV_KEY)
+ * - admin: injectable LeadAdmin, mainly for tests
+ * - now, fetch: passed on to the route guard
+ */
+export async function handleAdminLeadAction(request, options = {}) {
+  try {
+    const { principal, response } = await authorizeRequest(
+      request,
+      options.env,
+      ["staff"],
+      options,
+    );
+    if (!principal) return response;
+
+    const unsupported = requireJsonRequest(request);
+    if (unsupported) return unsupported;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return validationFailed({ body: "Request body must be valid JSON." });
+    }
+
+    const details = {};
+    for (const schema of [ActionSchema, IdsSchema]) {
+      const validation = schema.safeParse(body);
+      for (const issue of validation.error?.issues || []) {
+        details[issue.path.join(".") || "action"] ??= issue.message;
+      }
+    }
+    if (Object.keys(details).length) {
+      return validationFailed(details);
+    }
+
+    const admin = options.admin || createLeadAdmin(options.env);
+    const ids = [...new Set(body.ids)];
+    const actor = `${principal.role}:${principal.id}`;
+
+    let results;
+    if (body.action === "spam") {
+      results = await admin.markSpam(ids, { actor });
+    } else if (body.action === "restore") {
+      results = await admin.restore(ids, { actor });
+    } else if (body.action === "reassign") {
+      results = await admin.reassign(ids, body.partnerId, { actor });
+    } else {
+      results = await admin.resendNotification(ids);
+    }
+
+    console.log("Admin lead action:", {
+      action: body.action,
+      actor,
+      leads: ids.length,
+      failed: results.filter((result) => !result.ok).length,
+    });
+
+    return jsonResponse({ ok: true, results });
+  } catch (error) {
+    console.error("Admin lead action error:", error);
+
+    return jsonResponse({ ok: false, error: "internal_error" }, 500);
+  }
+}
+
+/**
+ * Build a 400 validation_failed response
+ */
+function validationFailed(details) {
+  return jsonResponse({ ok: false, error: "validation_failed", details }, 400);
+}
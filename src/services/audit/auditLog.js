@@ -0,0 +1,256 @@
+/**
+ * Audit Log
+ * Append-only store of lead audit events: {id, leadId, type, actor, details,
+ * createdAt}; events are only ever added, never updated or removed
+ * Schema: migrations/0008_create_audit_events.sql, with R2 objects under
+ * audit/ as the fallback
+ */
+
+import { shiftDateKey } from "../storage/records.js";
+
+/**
+ * Stores events in the Cloudflare D1 `audit_events` table
+ */
+export class D1AuditLog {
+  constructor(db) {
+    this.db = db;
+    this.name = "D1";
+  }
+
+  /**
+   * Add an event
+   */
+  async append(event) {
+    await this.db
+      .prepare(
+        "INSERT INTO audit_events (id, lead_id, type, actor, details, created_at) VALUES (?, ?, ?, ?, ?, ?)",
+      )
+      .bind(
+        event.id,
+        event.leadId,
+        event.type,
+        event.actor,
+        JSON.stringify(event.details),
+        event.createdAt,
+      )
+      .run();
+
+    return event;
+  }
+
+  /**
+   * List a lead's events, oldest first
+   */
+  async listByLead(leadId) {
+    const { results } = await this.db
+      .prepare(
+        "SELECT * FROM audit_events WHERE lead_id = ? ORDER BY created_at ASC, rowid ASC",
+      )
+      .bind(leadId)
+      .all();
+
+    return (results || []).map((row) => this.fromRow(row));
+  }
+
+  /**
+   * List every event recorded from `from` to `to` (YYYY-MM-DD, inclusive,
+   * UTC), oldest first
+   */
+  async listByDate(from, to) {
+    const { results } = await this.db
+      .prepare(
+        "SELECT * FROM audit_events WHERE created_at >= ? AND created_at < ? ORDER BY created_at ASC, rowid ASC",
+      )
+      .bind(`${from}T00:00:00.000Z`, `${shiftDateKey(to, 1)}T00:00:00.000Z`)
+      .all();
+
+    return (results || []).map((row) => this.fromRow(row));
+  }
+
+  /**
+   * Convert a table row into an event
+   */
+  fromRow(row) {
+    return {
+      id: row.id,
+      leadId: row.lead_id,
+      type: row.type,
+      actor: row.actor,
+      details: JSON.parse(row.details),
+      createdAt: row.created_at,
+    };
+  }
+}
+
+/**
+ * Stores each event as its own object in a Cloudflare R2 bucket, once under
+ * its lead and once under its day, so both lookups are prefix listings
+ * Keys start with the event time, so listings come back oldest first;
+ * events from the same millisecond are ordered by ID
+ */
+export class R2AuditLog {
+  constructor(bucket, prefix = "audit/") {
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.name = "R2";
+  }
+
+  /**
+   * Add an event
+   */
+  async append(event) {
+    const body = JSON.stringify(event);
+    const name = `${event.createdAt}-${event.id}.json`;
+    const options = { httpMetadata: { contentType: "application/json" } };
+
+    await this.bucket.put(
+      `${this.getLeadPrefix(event.leadId)}${name}`,
+      body,
+      options,
+    );
+    await this.bucket.put(
+      `${this.getDayPrefix(event.createdAt.slice(0, 10))}${name}`,
+      body,
+      options,
+    );
+
+    return event;
+  }
+
+  /**
+   * List a lead's events, oldest first
+   */
+  async listByLead(leadId) {
+    return this.readPrefix(this.getLeadPrefix(leadId));
+  }
+
+  /**
+   * List every event recorded from `from` to `to` (YYYY-MM-DD, inclusive,
+   * UTC), oldest first
+   */
+  async listByDate(from, to) {
+    const events = [];
+    for (let day = from; day <= to; day = shiftDateKey(day, 1)) {
+      events.push(...(await this.readPrefix(this.getDayPrefix(day))));
+    }
+
+    return events;
+  }
+
+  /**
+   * Prefix of a lead's event objects
+   */
+  getLeadPrefix(leadId) {
+    return `${this.prefix}leads/${encodeURIComponent(leadId)}/`;
+  }
+
+  /**
+   * Prefix of the event objects recorded on a YYYY-MM-DD day
+   */
+  getDayPrefix(dateKey) {
+    return `${this.prefix}days/${dateKey}/`;
+  }
+
+  /**
+   * Read every event object under a prefix, in key order
+   */
+  async readPrefix(prefix) {
+    const keys = [];
+    let cursor;
+    do {
+      const page = await this.bucket.list({ prefix, cursor });
+      keys.push(...page.objects.map(({ key }) => key));
+      cursor = page.truncated ? page.cursor : undefined;
+    } while (cursor);
+
+    const events = [];
+    for (const key of keys) {
+      const object = await this.bucket.get(key);
+      if (object) {
+        events.push(JSON.parse(await object.text()));
+      }
+    }
+
+    return events;
+  }
+}
+
+/**
+ * Process-local log for tests and local development without D1 or R2
+ */
+export class MemoryAuditLog {
+  constructor() {
+    this.events = [];
+    this.name = "Memory";
+  }
+
+  /**
+   * Add an event
+   */
+  async append(event) {
+    this.events.push(structuredClone(event));
+    return event;
+  }
+
+  /**
+   * List a lead's events, oldest first
+   */
+  async listByLead(leadId) {
+    return this.sorted()
+      .filter((event) => event.leadId === leadId)
+      .map((event) => structuredClone(event));
+  }
+
+  /**
+   * List every event recorded from `from` to `to` (YYYY-MM-DD, inclusive,
+   * UTC), oldest first
+   */
+  async listByDate(from, to) {
+    return this.sorted()
+      .filter(({ createdAt }) => {
+        const dateKey = createdAt.slice(0, 10);
+        return dateKey >= from && dateKey <= to;
+      })
+      .map((event) => structuredClone(event));
+  }
+
+  /**
+   * Events by time, in the order they were added within the same instant
+   */
+  sorted() {
+    return [...this.events].sort((a, b) =>
+      a.createdAt.localeCompare(b.createdAt),
+    );
+  }
+
+  /**
+   * Remove all events
+   */
+  clear() {
+    this.events = [];
+  }
+}
+
+/**
+ * Shared in-memory log used when no DB or R2_BUCKET binding is available
+ */
+const fallbackLog = new MemoryAuditLog();
+
+/**
+ * Create the audit log for the current runtime environment: D1, then the
+ * R2 bucket, then memory
+ */
+export function createAuditLog(env = {}) {
+  if (env.DB) {
+    return new D1AuditLog(env.DB);
+  }
+
+  if (env.R2_BUCKET) {
+    return new R2AuditLog(env.R2_BUCKET);
+  }
+
+  console.warn(
+    "No DB or R2_BUCKET binding configured, audit log is in memory only",
+  );
+  return fallbackLog;
+}
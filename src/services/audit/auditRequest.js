@@ -0,0 +1,130 @@
+/**
+ * Audit Log Request Handler
+ * Serves GET /api/admin/audit for staff: one lead's audit trail with
+ * ?lead=<id>, or every event from ?from= to ?to= (YYYY-MM-DD), as JSON or
+ * as a JSONL or CSV download
+ *
+ * Responses use the lead endpoint's {ok, error, details} shape
+ */
+
+import { z } from "zod";
+import { AUDIT_FORMATS, AUDIT_LIMITS } from "../../config/audit.js";
+import { EXPORT_FORMATS } from "../../config/export.js";
+import { authorizeRequest } from "../auth/guards.js";
+import { toCsvLine } from "../export/leadExport.js";
+import { listDateKeys } from "../storage/records.js";
+import { jsonResponse } from "../submission/http.js";
+import { createAuditTrail } from "./auditTrail.js";
+
+const dateKey = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Must be a YYYY-MM-DD date")
+  .refine(
+    (value) => !Number.isNaN(Date.parse(value)),
+    "Must be a valid calendar date",
+  );
+
+const AuditQuerySchema = z
+  .object({
+    lead: z.string().min(1).max(100).optional(),
+    from: dateKey.optional(),
+    to: dateKey.optional(),
+    format: z
+      .enum(AUDIT_FORMATS, {
+        errorMap: () => ({ message: "Format must be json, jsonl or csv." }),
+      })
+      .default("json"),
+  })
+  .refine(({ lead, from, to }) => lead || (from && to), {
+    message: "Give a lead ID or a from and to date.",
+    path: ["lead"],
+  });
+
+const CSV_HEADERS = ["created_at", "lead_id", "type", "actor", "details"];
+
+/**
+ * Handle GET /api/admin/audit
+ *
+ * Options:
+ * - env: runtime bindings (DB and the auth variables)
+ * - audit: injectable AuditTrail, mainly for tests
+ * - now, fetch: passed on to the route guard
+ */
+export async function handleAuditLog(request, options = {}) {
+  try {
+    const { principal, response } = await authorizeRequest(
+      request,
+      options.env,
+      ["staff"],
+      options,
+    );
+    if (!principal) return response;
+
+    const query = Object.fromEntries(new URL(request.url).searchParams);
+    const validation = AuditQuerySchema.safeParse(query);
+    if (!validation.success) {
+      const details = {};
+      for (const issue of validation.error.issues) {
+        details[issue.path.join(".")] ??= issue.message;
+      }
+      return validationFailed(details);
+    }
+
+    const { lead, from, to, format } = validation.data;
+    if (!lead) {
+      if (from > to) {
+        return validationFailed({ from: "Must be on or before the end date." });
+      }
+      if (listDateKeys(from, to).length > AUDIT_LIMITS.maxRangeDays) {
+        return validationFailed({
+          from: `Read at most ${AUDIT_LIMITS.maxRangeDays} days at a time.`,
+        });
+      }
+    }
+
+    const audit = options.audit || createAuditTrail(options.env);
+    const events = lead
+      ? await audit.listByLead(lead)
+      : await audit.listByDate(from, to);
+
+    if (format === "json") {
+      return jsonResponse({ ok: true, events });
+    }
+
+    const body =
+      format === "csv"
+        ? toCsvLine(CSV_HEADERS) +
+          events
+            .map((event) =>
+              toCsvLine([
+                event.createdAt,
+                event.leadId,
+                event.type,
+                event.actor,
+                JSON.stringify(event.details),
+              ]),
+            )
+            .join("")
+        : events.map((event) => JSON.stringify(event) + "\n").join("");
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    return new Response(body, {
+      headers: {
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="audit-${lead || `${from}-to-${to}`}.${extension}"`,
+        "Cache-Control": "no-store",
+      },
+    });
+  } catch (error) {
+    console.error("Audit log error:", error);
+
+    return jsonResponse({ ok: false, error: "internal_error" }, 500);
+  }
+}
+
+/**
+ * Build a 400 validation_failed response
+ */
+function validationFailed(details) {
+  return jsonResponse({ ok: false, error: "validation_failed", details }, 400);
+}
@@ -0,0 +1,109 @@
+/**
+ * Audit Trail
+ * Records what happens to each lead in the append-only audit log: receipt,
+ * validation, Turnstile, spam verdict, storage, emails, partner deliveries
+ * and status changes (event types in src/config/audit.js)
+ *
+ * Recording never fails the action being audited; a failed write is logged
+ */
+
+import { createAuditLog } from "./auditLog.js";
+
+/**
+ * Marks mailers whose sends are already audited
+ */
+const AUDITED = Symbol("audited");
+
+/**
+ * Records and reads back lead audit events
+ */
+export class AuditTrail {
+  constructor(log, options = {}) {
+    this.log = log;
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Record an event for a lead; actor is "system" unless a person or
+   * service ("staff:ops@example.com", "partner:acme") acted
+   */
+  async record(leadId, type, details = {}, { actor = "system" } = {}) {
+    try {
+      await this.log.append({
+        id: crypto.randomUUID(),
+        leadId,
+        type,
+        actor,
+        details,
+        createdAt: new Date(this.now()).toISOString(),
+      });
+    } catch (error) {
+      console.error("Failed to record audit event:", {
+        leadId,
+        type,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * List a lead's events, oldest first
+   */
+  async listByLead(leadId) {
+    return this.log.listByLead(leadId);
+  }
+
+  /**
+   * List the events recorded from `from` to `to` (YYYY-MM-DD, inclusive),
+   * oldest first
+   */
+  async listByDate(from, to) {
+    return this.log.listByDate(from, to);
+  }
+}
+
+/**
+ * Create the audit trail for the current runtime environment
+ */
+export function createAuditTrail(env = {}, options = {}) {
+  return new AuditTrail(createAuditLog(env), options);
+}
+
+/**
+ * Wrap a mailer so every email it sends for a lead is audited with the
+ * provider and messageId returned by sendEmail
+ * The send* helpers reach sendEmail through `this`, so they are audited
+ * too; wrapping an audited mailer again returns it as-is
+ */
+export function auditMailer(mailer, audit) {
+  if (mailer[AUDITED]) return mailer;
+
+  const audited = Object.create(mailer);
+  audited[AUDITED] = true;
+  audited.sendEmail = async (emailData) => {
+    const email = { emailType: emailData.type || null, to: emailData.to };
+
+    try {
+      const result = await mailer.sendEmail.call(audited, emailData);
+      if (emailData.quoteId) {
+        await audit.record(emailData.quoteId, "email_sent", {
+          ...email,
+          provider: result.provider,
+          messageId: result.messageId,
+          attempts: result.attempts,
+        });
+      }
+      return result;
+    } catch (error) {
+      if (emailData.quoteId) {
+        await audit.record(emailData.quoteId, "email_failed", {
+          ...email,
+          error: error.message,
+        });
+      }
+      throw error;
+    }
+  };
+
+  return audited;
+}
@@ -0,0 +1,300 @@
+/**
+ * Access Tokens
+ * Verifies the Cloudflare Access JWTs that identify staff, and signs and
+ * verifies the dev tokens that stand in for them locally
+ *
+ * Access tokens are RS256, signed by the team's rotating keys and checked
+ * against CF_ACCESS_TEAM_DOMAIN and CF_ACCESS_AUD. Dev tokens are HS256,
+ * signed with AUTH_DEV_KEY and never accepted in production
+ */
+
+import { AUTH_TOKENS, ROLES } from "../../config/auth.js";
+
+/**
+ * Header Cloudflare Access adds to requests it let through
+ */
+export const ACCESS_TOKEN_HEADER = "cf-access-jwt-assertion";
+
+/**
+ * Cookie Cloudflare Access sets in signed-in browsers
+ */
+export const ACCESS_TOKEN_COOKIE = "CF_Authorization";
+
+/**
+ * Issuer of dev tokens
+ */
+export const DEV_TOKEN_ISSUER = "austinmovefinder-dev";
+
+/**
+ * Signing keys per team domain: {keys, expiresAt}
+ */
+const certsCache = new Map();
+
+/**
+ * Read the Access token from the Cf-Access-Jwt-Assertion header or the
+ * CF_Authorization cookie
+ */
+export function getRequestAccessToken(request) {
+  const header = request.headers.get(ACCESS_TOKEN_HEADER);
+  if (header) return header.trim();
+
+  const cookie = (request.headers.get("cookie") || "")
+    .split(";")
+    .map((part) => part.trim().split("="))
+    .find(([name]) => name === ACCESS_TOKEN_COOKIE);
+
+  return cookie?.[1] || null;
+}
+
+/**
+ * Verify an Access or dev token
+ * Returns {claims, dev}, where dev marks an HS256 dev token, or
+ * {error: "invalid_token" | "expired_token", message}
+ *
+ * Options:
+ * - now: clock override, in milliseconds
+ * - fetch: fetch override for loading the Access signing keys
+ */
+export async function verifyAccessToken(token, env = {}, options = {}) {
+  const parts = decodeToken(token);
+  if (!parts) {
+    return invalid("Token is not a JWT");
+  }
+
+  const { header, claims } = parts;
+  let verified;
+  if (header.alg === "RS256") {
+    verified = await verifyAccessSignature(parts, env, options);
+  } else if (header.alg === "HS256") {
+    verified = await verifyDevSignature(parts, env);
+  } else {
+    return invalid(`Unsupported token algorithm ${header.alg}`);
+  }
+  if (verified.error) return verified;
+
+  const now = Math.floor((options.now ?? Date.now()) / 1000);
+  const skew = AUTH_TOKENS.clockSkewSeconds;
+  if (typeof claims.exp !== "number" || claims.exp + skew < now) {
+    return { error: "expired_token", message: "Token has expired" };
+  }
+  if (typeof claims.nbf === "number" && claims.nbf - skew > now) {
+    return invalid("Token is not valid yet");
+  }
+
+  return { claims, dev: header.alg === "HS256" };
+}
+
+/**
+ * Sign a dev token with AUTH_DEV_KEY for a role; sub is the staff email, or
+ * the partner ID for partner tokens
+ * Throws in production or when no dev key is configured
+ */
+export async function signDevToken(
+  { sub, role },
+  env = {},
+  { now = Date.now(), ttlSeconds = AUTH_TOKENS.devTokenTtlSeconds } = {},
+) {
+  if (!isDevModeEnabled(env)) {
+    throw new Error("Dev tokens need AUTH_DEV_KEY outside production");
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role ${role}`);
+  }
+
+  const issuedAt = Math.floor(now / 1000);
+  const signingInput = [
+    { alg: "HS256", typ: "JWT" },
+    {
+      iss: DEV_TOKEN_ISSUER,
+      sub,
+      ...(role !== "partner" && { email: sub }),
+      role,
+      iat: issuedAt,
+      exp: issuedAt + ttlSeconds,
+    },
+  ]
+    .map((part) =>
+      encodeBase64Url(new TextEncoder().encode(JSON.stringify(part))),
+    )
+    .join(".");
+
+  const key = await importDevKey(env.AUTH_DEV_KEY, "sign");
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(signingInput),
+  );
+
+  return `${signingInput}.${encodeBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Whether dev tokens are accepted: AUTH_DEV_KEY is set and ENVIRONMENT is
+ * not production
+ */
+export function isDevModeEnabled(env = {}) {
+  return Boolean(env.AUTH_DEV_KEY) && env.ENVIRONMENT !== "production";
+}
+
+/**
+ * Forget the cached Access signing keys
+ */
+export function clearAccessCertsCache() {
+  certsCache.clear();
+}
+
+/**
+ * Check an RS256 token against the team's Access signing keys, audience and
+ * issuer
+ */
+async function verifyAccessSignature(parts, env, options) {
+  const teamDomain = env.CF_ACCESS_TEAM_DOMAIN?.replace(/^https:\/\//, "");
+  if (!teamDomain || !env.CF_ACCESS_AUD) {
+    console.warn(
+      "CF_ACCESS_TEAM_DOMAIN or CF_ACCESS_AUD not configured, Access tokens are refused",
+    );
+    return invalid("Cloudflare Access is not configured");
+  }
+
+  const { header, claims } = parts;
+  if (claims.iss !== `https://${teamDomain}`) {
+    return invalid("Token was issued by another team");
+  }
+  const audiences = [].concat(claims.aud || []);
+  if (!audiences.includes(env.CF_ACCESS_AUD)) {
+    return invalid("Token is for another application");
+  }
+
+  const keys = await getAccessCerts(teamDomain, options);
+  const jwk = keys.find((key) => key.kid === header.kid);
+  if (!jwk) {
+    return invalid("Token was signed by an unknown key");
+  }
+
+  const key = await crypto.subtle.importKey(
+    "jwk",
+    jwk,
+    { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+    false,
+    ["verify"],
+  );
+  const valid = await crypto.subtle.verify(
+    "RSASSA-PKCS1-v1_5",
+    key,
+    parts.signature,
+    parts.signingInput,
+  );
+
+  return valid ? {} : invalid("Token signature does not match");
+}
+
+/**
+ * Check an HS256 dev token against AUTH_DEV_KEY
+ */
+async function verifyDevSignature(parts, env) {
+  if (!isDevModeEnabled(env)) {
+    return invalid("Dev tokens are not accepted here");
+  }
+  if (parts.claims.iss !== DEV_TOKEN_ISSUER) {
+    return invalid("Token was not issued as a dev token");
+  }
+
+  const key = await importDevKey(env.AUTH_DEV_KEY, "verify");
+  const valid = await crypto.subtle.verify(
+    "HMAC",
+    key,
+    parts.signature,
+    parts.signingInput,
+  );
+
+  return valid ? {} : invalid("Token signature does not match");
+}
+
+/**
+ * Load the team's Access signing keys, cached for certsCacheSeconds
+ */
+async function getAccessCerts(
+  teamDomain,
+  { now = Date.now(), fetch = globalThis.fetch } = {},
+) {
+  const cached = certsCache.get(teamDomain);
+  if (cached && cached.expiresAt > now) {
+    return cached.keys;
+  }
+
+  const response = await fetch(`https://${teamDomain}/cdn-cgi/access/certs`);
+  if (!response.ok) {
+    throw new Error(`Failed to load Access certs: HTTP ${response.status}`);
+  }
+
+  const { keys = [] } = await response.json();
+  certsCache.set(teamDomain, {
+    keys,
+    expiresAt: now + AUTH_TOKENS.certsCacheSeconds * 1000,
+  });
+  return keys;
+}
+
+/**
+ * Split a JWT into its decoded {header, claims, signature, signingInput},
+ * or null when it is malformed
+ */
+function decodeToken(token) {
+  const segments = (token || "").split(".");
+  if (segments.length !== 3) return null;
+
+  try {
+    const [header, claims] = segments
+      .slice(0, 2)
+      .map((segment) =>
+        JSON.parse(new TextDecoder().decode(decodeBase64Url(segment))),
+      );
+
+    return {
+      header,
+      claims,
+      signature: decodeBase64Url(segments[2]),
+      signingInput: new TextEncoder().encode(`${segments[0]}.${segments[1]}`),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Import AUTH_DEV_KEY as an HMAC SHA-256 key
+ */
+function importDevKey(secret, usage) {
+  return crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    [usage],
+  );
+}
+
+/**
+ * Build an invalid_token result
+ */
+function invalid(message) {
+  return { error: "invalid_token", message };
+}
+
+/**
+ * Base64url-encode bytes without padding
+ */
+function encodeBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Decode unpadded base64url to bytes
+ */
+function decodeBase64Url(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
@@ -0,0 +1,75 @@
+/**
+ * Partner API Keys
+ * Issues the keys partners use to call the lead inbox API and resolves the
+ * partner behind a request; only SHA-256 hashes of keys are stored
+ */
+
+/**
+ * Prefix that makes partner keys recognizable in logs and secret scanners
+ */
+export const API_KEY_PREFIX = "amf_pk_";
+
+/**
+ * Generate a new random partner API key
+ */
+export function generatePartnerApiKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return API_KEY_PREFIX + toHex(bytes);
+}
+
+/**
+ * Hash an API key for storage and lookup
+ */
+export async function hashApiKey(key) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(key),
+  );
+  return toHex(new Uint8Array(digest));
+}
+
+/**
+ * Issue a new API key for a partner, replacing any previous one
+ * Returns the key, which is not stored and cannot be shown again, or null
+ * when the partner does not exist
+ */
+export async function issuePartnerApiKey(directory, partnerId) {
+  const key = generatePartnerApiKey();
+  const issued = await directory.setApiKeyHash(
+    partnerId,
+    await hashApiKey(key),
+  );
+
+  return issued ? key : null;
+}
+
+/**
+ * Read the API key from an `Authorization: Bearer` or `X-API-Key` header
+ */
+export function getRequestApiKey(request) {
+  const authorization = request.headers.get("authorization") || "";
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i)?.[1];
+
+  return bearer || request.headers.get("x-api-key") || null;
+}
+
+/**
+ * Get the partner a request's API key belongs to, or null
+ */
+export async function authenticatePartner(request, directory) {
+  const key = getRequestApiKey(request);
+  if (!key?.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  return directory.getByApiKeyHash(await hashApiKey(key));
+}
+
+/**
+ * Hex-encode bytes
+ */
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join(
+    "",
+  );
+}
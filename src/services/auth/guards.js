@@ -0,0 +1,194 @@
+/**
+ * Route Guards
+ * Resolves who is calling - staff signed in through Cloudflare Access (or
+ * a dev token locally), partners through their API key - and guards Astro
+ * pages, Astro API routes and Pages Functions by role
+ *
+ * Staff listed in ADMIN_EMAILS are admins; everyone else Access lets
+ * through is staff. Access service tokens, used by scheduled jobs, carry no
+ * email and get the role ACCESS_SERVICE_TOKENS maps their client ID to
+ */
+
+import { ROLE_GRANTS, SERVICE_TOKEN_ROLES } from "../../config/auth.js";
+import { createPartnerDirectory } from "../partners/directory.js";
+import { jsonResponse } from "../submission/http.js";
+import { verifyAccessToken, getRequestAccessToken } from "./accessTokens.js";
+import {
+  API_KEY_PREFIX,
+  authenticatePartner,
+  getRequestApiKey,
+} from "./apiKeys.js";
+
+/**
+ * Resolve the caller of a request
+ * Returns a {role, id, email, partner} principal, or null when the request
+ * carries no valid credentials; partners have a partner and no email
+ *
+ * Options:
+ * - directory: partner directory for API key lookups
+ * - now, fetch: passed on to verifyAccessToken
+ */
+export async function authenticateRequest(request, env = {}, options = {}) {
+  if (getRequestApiKey(request)?.startsWith(API_KEY_PREFIX)) {
+    const partner = await authenticatePartner(
+      request,
+      options.directory || createPartnerDirectory(env),
+    );
+
+    return partner
+      ? { role: "partner", id: partner.id, email: null, partner }
+      : null;
+  }
+
+  const token = getRequestAccessToken(request);
+  if (!token) return null;
+
+  const { claims, dev, message } = await verifyAccessToken(token, env, options);
+  if (!claims) {
+    console.warn("Rejected access token:", message);
+    return null;
+  }
+
+  // Dev tokens name their role; Access tokens only identify the person and
+  // any role claim in them is ignored
+  if (dev) {
+    return getDevPrincipal(claims, env, options);
+  }
+  if (!claims.email) {
+    return getServicePrincipal(claims, env);
+  }
+
+  const email = claims.email.toLowerCase();
+  return {
+    role: getAdminEmails(env).includes(email) ? "admin" : "staff",
+    id: email,
+    email,
+    partner: null,
+  };
+}
+
+/**
+ * Check whether a principal acts as any of the roles
+ */
+export function hasRole(principal, roles) {
+  const granted = ROLE_GRANTS[principal?.role] || [];
+  return roles.some((role) => granted.includes(role));
+}
+
+/**
+ * Authenticate a request and require one of the roles
+ * Returns {principal}, or {response} with the 401 or 403 JSON response to
+ * send instead
+ */
+export async function authorizeRequest(request, env = {}, roles, options = {}) {
+  const principal = await authenticateRequest(request, env, options);
+
+  if (!principal) {
+    return {
+      response: jsonResponse(
+        { ok: false, error: "unauthorized" },
+        401,
+        roles.includes("partner")
+          ? { "WWW-Authenticate": 'Bearer realm="partner"' }
+          : {},
+      ),
+    };
+  }
+
+  if (!hasRole(principal, roles)) {
+    console.warn("Forbidden request:", {
+      url: request.url,
+      role: principal.role,
+      id: principal.id,
+    });
+    return {
+      response: jsonResponse({ ok: false, error: "forbidden" }, 403),
+    };
+  }
+
+  return { principal };
+}
+
+/**
+ * Wrap a route handler so it only runs for the roles
+ * Works for Astro API routes ({request, locals}) and Pages Functions
+ * ({request, env}); the handler is called with (context, principal)
+ */
+export function guardRoute(roles, handler, options = {}) {
+  return async (context) => {
+    try {
+      const env = context.locals?.runtime?.env || context.env || {};
+      const { principal, response } = await authorizeRequest(
+        context.request,
+        env,
+        roles,
+        options,
+      );
+      if (!principal) return response;
+
+      return await handler(context, principal);
+    } catch (error) {
+      console.error("Guarded route error:", error);
+
+      return jsonResponse({ ok: false, error: "internal_error" }, 500);
+    }
+  };
+}
+
+/**
+ * Build the principal of a dev token; partner tokens name the partner ID
+ */
+async function getDevPrincipal(claims, env, options) {
+  if (claims.role !== "partner") {
+    return {
+      role: claims.role,
+      id: claims.sub,
+      email: claims.email || null,
+      partner: null,
+    };
+  }
+
+  const directory = options.directory || createPartnerDirectory(env);
+  const partner = await directory.get(claims.sub);
+
+  return partner
+    ? { role: "partner", id: partner.id, email: null, partner }
+    : null;
+}
+
+/**
+ * Build the principal of an Access service token from the role its client
+ * ID (the common_name claim) has in ACCESS_SERVICE_TOKENS, or null when it
+ * is not listed
+ */
+function getServicePrincipal(claims, env) {
+  const clientId = claims.common_name;
+  const role = clientId && getServiceTokenRoles(env).get(clientId);
+  if (!role) return null;
+
+  return { role, id: clientId, email: null, partner: null };
+}
+
+/**
+ * Read ACCESS_SERVICE_TOKENS: comma-separated <client id>=<admin|staff>
+ */
+function getServiceTokenRoles(env) {
+  return new Map(
+    (env.ACCESS_SERVICE_TOKENS || "")
+      .split(",")
+      .map((entry) => entry.split("=").map((part) => part.trim()))
+      .filter(
+        ([clientId, role]) => clientId && SERVICE_TOKEN_ROLES.includes(role),
+      ),
+  );
+}
+
+/**
+ * Read the lowercased addresses in ADMIN_EMAILS (comma separated)
+ */
+function getAdminEmails(env) {
+  return (env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+}
@@ -0,0 +1,229 @@
+/**
+ * Email Dead Letter Request Handlers
+ * Serve /api/admin/email/dead-letters: GET lists the emails that ran out of
+ * retries, POST changes a recipient or replays them into the queue; every
+ * request needs a staff or admin sign-in, and sending an email to a
+ * different recipient needs an admin
+ *
+ * Responses use the lead endpoint's {ok, error, details} shape, with a
+ * {id, ok, error, message} result per dead letter
+ */
+
+import { z } from "zod";
+import { EMAIL_DEAD_LETTERS } from "../../config/emailQueue.js";
+import { createAuditTrail } from "../audit/auditTrail.js";
+import { authorizeRequest, hasRole } from "../auth/guards.js";
+import { jsonResponse, requireJsonRequest } from "../submission/http.js";
+import { createDeadLetterQueue } from "./deadLetters.js";
+
+const recipient = z
+  .string({ required_error: "Give the new recipient's email address." })
+  .email("Must be a valid email address.");
+
+const ids = z
+  .array(z.string().min(1), {
+    required_error: "Select at least one email.",
+  })
+  .min(1, "Select at least one email.")
+  .max(
+    EMAIL_DEAD_LETTERS.maxBulk,
+    `Select at most ${EMAIL_DEAD_LETTERS.maxBulk} emails at a time.`,
+  );
+
+const ActionSchema = z
+  .discriminatedUnion(
+    "action",
+    [
+      z.object({
+        action: z.literal("update"),
+        id: z
+          .string({ required_error: "Select an email." })
+          .min(1, "Select an email."),
+        to: recipient,
+      }),
+      z.object({
+        action: z.literal("replay"),
+        ids: ids.optional(),
+        all: z.boolean().optional(),
+        to: recipient.optional(),
+      }),
+    ],
+    {
+      errorMap: (issue, ctx) =>
+        issue.code === "invalid_union_discriminator"
+          ? { message: "Action must be update or replay." }
+          : { message: ctx.defaultError },
+    },
+  )
+  .superRefine((body, ctx) => {
+    if (body.action !== "replay") return;
+
+    if (!body.ids && !body.all) {
+      ctx.addIssue({
+        code: "custom",
+        path: ["ids"],
+        message: "Select at least one email.",
+      });
+    }
+    if (body.to && body.ids?.length !== 1) {
+      ctx.addIssue({
+        code: "custom",
+        path: ["to"],
+        message: "Change the recipient of one email at a time.",
+      });
+    }
+  });
+
+/**
+ * Handle GET /api/admin/email/dead-letters?type=&limit=
+ *
+ * Options:
+ * - env: runtime bindings (DB or SESSION and the auth variables)
+ * - deadLetters: injectable DeadLetterQueue, mainly for tests
+ * - audit: AuditTrail for the recipient changes of a POST, when no
+ *   deadLetters is given
+ * - now, fetch: passed on to the route guard
+ */
+export async function handleDeadLetterList(request, options = {}) {
+  try {
+    const { principal, response } = await authorizeRequest(
+      request,
+      options.env,
+      ["staff"],
+      options,
+    );
+    if (!principal) return response;
+
+    const params = new URL(request.url).searchParams;
+    const limit = params.get("limit");
+    if (limit && !/^[1-9]\d*$/.test(limit)) {
+      return validationFailed({ limit: "Must be a positive whole number." });
+    }
+
+    const deadLetters =
+      options.deadLetters || createDeadLetterQueue(options.env);
+
+    return jsonResponse(
+      {
+        ok: true,
+        deadLetters: await deadLetters.list({
+          type: params.get("type") || undefined,
+          limit: limit ? Number(limit) : undefined,
+        }),
+        metrics: await deadLetters.getMetrics(),
+      },
+      200,
+      { "Cache-Control": "no-store" },
+    );
+  } catch (error) {
+    console.error("Dead letter list error:", error);
+
+    return jsonResponse({ ok: false, error: "internal_error" }, 500);
+  }
+}
+
+/**
+ * Handle POST /api/admin/email/dead-letters with an {action, ...} body sent
+ * as application/json:
+ * - {action: "update", id, to} changes a dead letter's recipient (admins)
+ * - {action: "replay", ids, to?} replays the chosen emails, `to` only with
+ *   a single ID and for admins
+ * - {action: "replay", all: true} replays up to maxBulk dead letters,
+ *   oldest first
+ *
+ * Options as for handleDeadLetterList
+ */
+export async function handleDeadLetterAction(request, options = {}) {
+  try {
+    const { principal, response } = await authorizeRequest(
+      request,
+      options.env,
+      ["staff"],
+      options,
+    );
+    if (!principal) return response;
+
+    const unsupported = requireJsonRequest(request);
+    if (unsupported) return unsupported;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return validationFailed({ body: "Request body must be valid JSON." });
+    }
+
+    const validation = ActionSchema.safeParse(body);
+    if (!validation.success) {
+      const details = {};
+      for (const issue of validation.error.issues) {
+        details[issue.path.join(".") || "action"] ??= issue.message;
+      }
+      return validationFailed(details);
+    }
+
+    const action = validation.data;
+    if (
+      (action.action === "update" || action.to) &&
+      !hasRole(principal, ["admin"])
+    ) {
+      return jsonResponse({ ok: false, error: "forbidden" }, 403);
+    }
+
+    const deadLetters =
+      options.deadLetters ||
+      createDeadLetterQueue(options.env, {
+        audit: options.audit || createAuditTrail(options.env),
+      });
+    const actor = `${principal.role}:${principal.id}`;
+
+    let results;
+    if (action.action === "update") {
+      const outcome = await deadLetters.updateRecipient(action.id, action.to, {
+        actor,
+      });
+      results = [toResult(action.id, outcome)];
+    } else if (action.to) {
+      const [id] = action.ids;
+      results = [
+        toResult(id, await deadLetters.replay(id, { to: action.to, actor })),
+      ];
+    } else {
+      const replayIds = action.ids
+        ? [...new Set(action.ids)]
+        : (await deadLetters.list({ limit: EMAIL_DEAD_LETTERS.maxBulk })).map(
+            (item) => item.id,
+          );
+      results = await deadLetters.replayMany(replayIds);
+    }
+
+    console.log("Dead letter action:", {
+      action: action.action,
+      actor,
+      emails: results.length,
+      failed: results.filter((result) => !result.ok).length,
+    });
+
+    return jsonResponse({ ok: true, results });
+  } catch (error) {
+    console.error("Dead letter action error:", error);
+
+    return jsonResponse({ ok: false, error: "internal_error" }, 500);
+  }
+}
+
+/**
+ * Turn a DeadLetterQueue outcome into an {id, ok, error, message} result
+ */
+function toResult(id, outcome) {
+  return outcome.error
+    ? { id, ok: false, error: outcome.error, message: outcome.message }
+    : { id, ok: true };
+}
+
+/**
+ * Build a 400 validation_failed response
+ */
+function validationFailed(details) {
+  return jsonResponse({ ok: false, error: "validation_failed", details }, 400);
+}
@@ -0,0 +1,193 @@
+/**
+ * Email Dead Letters
+ * Emails that ran out of queue retries, kept with the classification of
+ * their last error so staff can inspect them, fix the recipient and replay
+ * them into the queue
+ *
+ * Imports no email configuration, so local tooling can run it under plain
+ * Node with the filesystem stores
+ *
+ * Recipient changes are recorded in the lead audit trail as
+ * email_redirected when an AuditTrail is passed in
+ */
+
+import { EMAIL_DEAD_LETTERS } from "../../config/emailQueue.js";
+import { createDeadLetterStore, createEmailQueueStore } from "./queueStore.js";
+
+/**
+ * Moves failed queue items into the dead-letter store and back
+ */
+export class DeadLetterQueue {
+  constructor(store, queueStore, options = {}) {
+    this.store = store;
+    this.queueStore = queueStore;
+    this.alertDepth = options.alertDepth || EMAIL_DEAD_LETTERS.alertDepth;
+    this.audit = options.audit || null;
+  }
+
+  /**
+   * Store a queue item that ran out of retries with its error classification
+   */
+  async add(item, failure) {
+    const deadLetter = { ...item, status: "failed", nextRetry: null, failure };
+    await this.store.save(deadLetter);
+
+    console.error(`Email ${item.id} moved to the dead-letter store:`, {
+      type: failure.type,
+      provider: failure.provider,
+      attempts: item.attempts,
+    });
+    return deadLetter;
+  }
+
+  /**
+   * List dead letters in queue order, optionally only one error type
+   */
+  async list({ type, limit } = {}) {
+    const deadLetters = await this.store.list();
+    const matching = type
+      ? deadLetters.filter((item) => item.failure?.type === type)
+      : deadLetters;
+
+    return limit ? matching.slice(0, limit) : matching;
+  }
+
+  /**
+   * Get a dead letter by ID, or null
+   */
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Change the recipient of a dead letter before it is replayed; actor is
+   * recorded with the change
+   * Returns {deadLetter} or {error: "not_found", message}
+   */
+  async updateRecipient(id, to, { actor } = {}) {
+    const deadLetter = await this.store.get(id);
+    if (!deadLetter) {
+      return notFound(id);
+    }
+
+    const updated = {
+      ...deadLetter,
+      emailData: { ...deadLetter.emailData, to },
+    };
+    await this.store.save(updated);
+    await this.recordRedirect(deadLetter, to, actor);
+
+    console.log(`Dead letter ${id} recipient changed`);
+    return { deadLetter: updated };
+  }
+
+  /**
+   * Move a dead letter back into the queue with fresh retries, optionally
+   * to a new recipient changed by actor
+   * Returns {item} or {error: "not_found", message}
+   */
+  async replay(id, { to, actor } = {}) {
+    const deadLetter = await this.store.get(id);
+    if (!deadLetter) {
+      return notFound(id);
+    }
+
+    const item = {
+      ...deadLetter,
+      emailData: to ? { ...deadLetter.emailData, to } : deadLetter.emailData,
+      status: "queued",
+      attempts: 0,
+      lastAttempt: null,
+      lastError: null,
+      nextRetry: null,
+      failure: null,
+    };
+
+    // Queue first: a failed delete leaves a copy behind, never loses the email
+    await this.queueStore.save(item);
+    await this.store.delete(id);
+    if (to) {
+      await this.recordRedirect(deadLetter, to, actor);
+    }
+
+    console.log(`Dead letter ${id} replayed into the queue`);
+    return { item };
+  }
+
+  /**
+   * Replay several dead letters; returns an {id, ok, error, message} result
+   * per ID
+   */
+  async replayMany(ids) {
+    const results = [];
+    for (const id of ids) {
+      const outcome = await this.replay(id);
+      results.push(
+        outcome.error
+          ? { id, ok: false, error: outcome.error, message: outcome.message }
+          : { id, ok: true },
+      );
+    }
+    return results;
+  }
+
+  /**
+   * Record a recipient change under the email's lead (its quoteId), or
+   * the dead letter ID for emails sent for no lead
+   */
+  async recordRedirect(deadLetter, to, actor = "system") {
+    await this.audit?.record(
+      deadLetter.emailData.quoteId || deadLetter.id,
+      "email_redirected",
+      { emailId: deadLetter.id, from: deadLetter.emailData.to, to },
+      { actor },
+    );
+  }
+
+  /**
+   * Depth metrics: {depth, byType, oldest, isHealthy}
+   */
+  async getMetrics() {
+    const deadLetters = await this.store.list();
+    const byType = {};
+    for (const { failure } of deadLetters) {
+      const type = failure?.type || "UNKNOWN";
+      byType[type] = (byType[type] || 0) + 1;
+    }
+
+    return {
+      depth: deadLetters.length,
+      byType,
+      oldest:
+        deadLetters
+          .map((item) => item.failure?.failedAt || item.createdAt)
+          .sort()[0] || null,
+      isHealthy: deadLetters.length < this.alertDepth,
+    };
+  }
+}
+
+/**
+ * Build the not_found outcome for a missing dead letter
+ */
+function notFound(id) {
+  return {
+    error: "not_found",
+    message: `No dead letter with ID ${id}.`,
+  };
+}
+
+/**
+ * Create the dead letters for the current runtime environment
+ *
+ * Options:
+ * - store / queueStore: override the stores picked from env
+ * - alertDepth, audit: passed on to DeadLetterQueue
+ */
+export function createDeadLetterQueue(env = {}, options = {}) {
+  return new DeadLetterQueue(
+    options.store || createDeadLetterStore(env),
+    options.queueStore || createEmailQueueStore(env),
+    options,
+  );
+}
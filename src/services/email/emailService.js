@@ -7,12 +7,14 @@ import {
   getEmailConfig,
   getFallbackProviders,
   EMAIL_PROVIDERS,
+  EMAIL_TEMPLATES,
 } from "../../config/email.js";
 import { SendGridProvider } from "./providers/sendgrid.js";
 import { MailgunProvider } from "./providers/mailgun.js";
 import { NodemailerProvider } from "./providers/nodemailer.js";
 import { templateEngine } from "./templateEngine.js";
 import { emailAnalytics } from "./analytics.js";
+import { createEmailQueue } from "./queue.js";
 
 export class EmailService {
   constructor() {
@@ -74,6 +76,7 @@ export class EmailService {
   async sendEmail(emailData) {
     const startTime = Date.now();
     let lastError = null;
+    let lastProvider = null;
     let attemptCount = 0;
 
     // Prepare providers to try (primary + fallbacks)
@@ -134,6 +137,7 @@ export class EmailService {
           };
         } catch (error) {
           lastError = error;
+          lastProvider = provider.name;
           console.error(
             `${providerName} attempt ${attempt} failed:`,
             error.message,
@@ -156,9 +160,13 @@ export class EmailService {
     const totalDuration = Date.now() - startTime;
     this.logEmailFailed(emailData, lastError, attemptCount, totalDuration);
 
-    throw new Error(
+    // Keep the last provider's error so the queue can classify the failure
+    const failure = new Error(
       `All email providers failed. Last error: ${lastError?.message || "Unknown error"}`,
+      { cause: lastError },
     );
+    failure.provider = lastProvider;
+    throw failure;
   }
 
   /**
@@ -351,6 +359,7 @@ export class EmailService {
         businessPhone: this.config.business.phone,
         businessWebsite: this.config.business.website,
         customerEmail: customerData.email,
+        statusUrl: customerData.statusUrl || null,
         unsubscribeUrl: this.config.templates.unsubscribeUrl,
       };
 
@@ -422,6 +431,170 @@ export class EmailService {
     }
   }
 
+  /**
+   * Send a new lead to a partner mover it was assigned to
+   */
+  async sendPartnerLeadNotification(partner, lead) {
+    try {
+      const renderedTemplate = await templateEngine.renderPartnerLead({
+        quoteId: lead.id,
+        companyName: partner.company,
+        customer: lead,
+        businessName: this.config.business.name,
+        businessPhone: this.config.business.phone,
+      });
+
+      const emailData = {
+        to: partner.email,
+        subject: renderedTemplate.subject,
+        html: renderedTemplate.html,
+        text: renderedTemplate.text,
+        type: "partner_lead",
+        quoteId: lead.id,
+        fromName: this.config.business.name,
+        template: "partner-lead",
+        priority: "high",
+      };
+
+      return await this.sendEmail(emailData);
+    } catch (error) {
+      console.error("Failed to send partner lead notification:", error);
+      throw new Error(`Partner lead email failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a customer the quote a partner mover posted for their lead
+   */
+  async sendPartnerQuoteNotification(lead, partner, assignment) {
+    try {
+      const renderedTemplate = await templateEngine.renderPartnerQuote({
+        quoteId: lead.id,
+        customerName: lead.name,
+        companyName: partner.company,
+        companyPhone: partner.phone,
+        quoteAmount: assignment.quoteAmount,
+        note: assignment.note,
+        moveDate: lead.moveDate,
+        fromZip: lead.fromZip,
+        toZip: lead.toZip,
+        businessName: this.config.business.name,
+        businessPhone: this.config.business.phone,
+      });
+
+      const emailData = {
+        to: lead.email,
+        subject: renderedTemplate.subject,
+        html: renderedTemplate.html,
+        text: renderedTemplate.text,
+        type: "partner_quote",
+        quoteId: lead.id,
+        fromName: this.config.business.name,
+        template: "partner-quote",
+      };
+
+      return await this.sendEmail(emailData);
+    } catch (error) {
+      console.error("Failed to send partner quote notification:", error);
+      throw new Error(`Partner quote email failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tell a partner mover the customer chose their quote and booked the move
+   */
+  async sendPartnerBookedNotification(partner, lead, assignment) {
+    try {
+      const renderedTemplate = await templateEngine.renderPartnerBooked({
+        quoteId: lead.id,
+        companyName: partner.company,
+        quoteAmount: assignment.quoteAmount,
+        includes: assignment.quoteIncludes,
+        availableDate: assignment.availableDate,
+        customer: lead,
+        businessName: this.config.business.name,
+        businessPhone: this.config.business.phone,
+      });
+
+      const emailData = {
+        to: partner.email,
+        subject: renderedTemplate.subject,
+        html: renderedTemplate.html,
+        text: renderedTemplate.text,
+        type: "partner_booked",
+        quoteId: lead.id,
+        fromName: this.config.business.name,
+        template: "partner-booked",
+        priority: "high",
+      };
+
+      return await this.sendEmail(emailData);
+    } catch (error) {
+      console.error("Failed to send partner booked notification:", error);
+      throw new Error(`Partner booked email failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a customer the quote update email for a lifecycle status change
+   */
+  async sendQuoteUpdate(customerData, quoteId, change) {
+    try {
+      return await this.sendEmail(
+        await this.getQuoteUpdateEmail(customerData, quoteId, change),
+      );
+    } catch (error) {
+      console.error("Failed to send quote update:", error);
+      throw new Error(`Quote update email failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue the quote update email for a lifecycle status change; the
+   * scheduled queue drain sends it
+   * Returns the queue item ID
+   */
+  async enqueueQuoteUpdate(customerData, quoteId, change, env) {
+    try {
+      return await this.enqueueEmail(
+        await this.getQuoteUpdateEmail(customerData, quoteId, change),
+        "normal",
+        env,
+      );
+    } catch (error) {
+      console.error("Failed to queue quote update:", error);
+      throw new Error(`Quote update email failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render the quote update email for a lifecycle status change
+   */
+  async getQuoteUpdateEmail(customerData, quoteId, change) {
+    const renderedTemplate = await templateEngine.renderQuoteUpdate({
+      quoteId: quoteId,
+      customerName: customerData.name,
+      status: change.to,
+      changedAt: change.changedAt,
+      moveDate: customerData.moveDate,
+      fromZip: customerData.fromZip,
+      toZip: customerData.toZip,
+      businessName: this.config.business.name,
+      businessPhone: this.config.business.phone,
+    });
+
+    return {
+      to: customerData.email,
+      subject: renderedTemplate.subject,
+      html: renderedTemplate.html,
+      text: renderedTemplate.text,
+      type: EMAIL_TEMPLATES.QUOTE_UPDATE,
+      quoteId: quoteId,
+      fromName: this.config.business.name,
+      template: "quote-update",
+    };
+  }
+
   /**
    * Generate tracking ID for email analytics
    */
@@ -430,12 +603,17 @@ export class EmailService {
   }
 
   /**
-   * Add email to queue for background processing
+   * Add email to the persistent queue for background processing
+   * The scheduled queue drain sends it; returns the queue item ID
+   * `env` is the runtime environment whose bindings hold the queue
    */
-  async enqueueEmail(emailData, priority = "normal") {
-    // This would integrate with the email queue service
-    // For now, just send directly
-    return await this.sendEmail(emailData);
+  async enqueueEmail(emailData, priority, env) {
+    if (!env) {
+      throw new Error("Queuing an email needs the runtime environment");
+    }
+    this.validateEmailData(emailData);
+
+    return createEmailQueue(env, { mailer: this }).enqueue(emailData, priority);
   }
 }
 
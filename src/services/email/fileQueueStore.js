@@ -0,0 +1,126 @@
+/**
+ * Filesystem Email Queue Store
+ * Keeps one JSON file per queued email in a local directory, so a local
+ * queue survives restarts
+ * Node-only: used by local tooling and tests, never bundled into Workers
+ */
+
+import { mkdir, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { compareQueueOrder, isReady } from "./queueStore.js";
+
+export class FileEmailQueueStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    this.name = "Filesystem";
+  }
+
+  /**
+   * Insert or update an item
+   */
+  async save(item) {
+    await mkdir(this.baseDir, { recursive: true });
+    await writeFile(this.resolve(item.id), JSON.stringify(item), "utf8");
+    return item;
+  }
+
+  /**
+   * Get an item by ID, or null
+   */
+  async get(id) {
+    try {
+      return JSON.parse(await readFile(this.resolve(id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an item
+   */
+  async delete(id) {
+    await rm(this.resolve(id), { force: true });
+  }
+
+  /**
+   * List items in queue order, optionally filtered by status and priority
+   */
+  async list({ status, priority, limit } = {}) {
+    const items = (await this.readAll())
+      .filter(
+        (item) =>
+          (!status || item.status === status) &&
+          (!priority || item.priority === priority),
+      )
+      .sort(compareQueueOrder);
+
+    return limit ? items.slice(0, limit) : items;
+  }
+
+  /**
+   * List up to `limit` items ready to send at `now`, in queue order
+   */
+  async listReady({ now, staleBefore, limit }) {
+    return (await this.readAll())
+      .filter((item) => isReady(item, now, staleBefore))
+      .sort(compareQueueOrder)
+      .slice(0, limit);
+  }
+
+  /**
+   * Mark an item as being sent if it is still ready; returns the claimed
+   * item, or null when it is no longer ready
+   */
+  async claim(id, { attemptedAt, staleBefore }) {
+    const item = await this.get(id);
+    if (!item || !isReady(item, attemptedAt, staleBefore)) {
+      return null;
+    }
+
+    return this.save({
+      ...item,
+      status: "processing",
+      attempts: item.attempts + 1,
+      lastAttempt: attemptedAt,
+    });
+  }
+
+  /**
+   * Count items per status
+   */
+  async countByStatus() {
+    const counts = {};
+    for (const item of await this.readAll()) {
+      counts[item.status] = (counts[item.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Read every queued item
+   */
+  async readAll() {
+    let names;
+    try {
+      names = await readdir(this.baseDir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const items = [];
+    for (const name of names.filter((name) => name.endsWith(".json"))) {
+      const item = await this.get(name.slice(0, -".json".length));
+      if (item) items.push(item);
+    }
+    return items;
+  }
+
+  /**
+   * Map an item ID onto its file
+   */
+  resolve(id) {
+    return join(this.baseDir, `${id}.json`);
+  }
+}
@@ -1,35 +1,52 @@
 /**
  * Email Queue Service
  * Handles email queuing, retry logic, and background processing
+ *
+ * Items persist in a pluggable store (see queueStore.js) and are sent
+ * through the mailer's sendEmail, so EmailService's provider fallback applies.
+ * Workers have no long-lived process: a scheduled job calls drain()
+ * instead of startProcessing(). Items that run out of retries move to the
+ * dead letters (see deadLetters.js)
  */
 
+import { createDeadLetterQueue, DeadLetterQueue } from "./deadLetters.js";
+import { errorHandler } from "./errorHandler.js";
+import { createEmailQueueStore, MemoryEmailQueueStore } from "./queueStore.js";
+
 export class EmailQueue {
-  constructor(options = {}) {
-    this.queue = [];
+  constructor(store, options = {}) {
+    this.store = store;
+    this.mailer = options.mailer;
+    this.errorHandler = options.errorHandler || errorHandler;
+    this.deadLetters =
+      options.deadLetters ||
+      new DeadLetterQueue(new MemoryEmailQueueStore(), store);
+    this.now = options.now || (() => Date.now());
     this.processing = false;
+    this.timer = null;
     this.maxRetries = options.maxRetries || 3;
     this.retryDelay = options.retryDelay || 5000; // 5 seconds
     this.batchSize = options.batchSize || 10;
     this.processingInterval = options.processingInterval || 30000; // 30 seconds
     this.maxQueueSize = options.maxQueueSize || 1000;
+    // Items left processing this long belong to a run that never finished
+    this.staleAfter = options.staleAfter || 300000; // 5 minutes
 
-    // Stats
+    // Stats for this instance's runs
     this.stats = {
       totalQueued: 0,
       totalProcessed: 0,
       totalFailed: 0,
       currentQueueSize: 0,
     };
-
-    // Start processing interval
-    this.startProcessing();
   }
 
   /**
    * Add email to queue
    */
   async enqueue(emailData, priority = "normal") {
-    if (this.queue.length >= this.maxQueueSize) {
+    const queueSize = await this.getQueueSize();
+    if (queueSize >= this.maxQueueSize) {
       throw new Error("Email queue is full");
     }
 
@@ -38,18 +55,19 @@ export class EmailQueue {
       emailData,
       priority,
       attempts: 0,
-      createdAt: new Date(),
+      createdAt: new Date(this.now()).toISOString(),
       status: "queued",
       lastAttempt: null,
       lastError: null,
       nextRetry: null,
+      failure: null,
     };
 
-    // Insert based on priority
-    this.insertByPriority(queueItem);
+    // The store keeps items in priority order
+    await this.store.save(queueItem);
 
     this.stats.totalQueued++;
-    this.stats.currentQueueSize = this.queue.length;
+    this.stats.currentQueueSize = queueSize + 1;
 
     console.log(`Email queued: ${queueItem.id} (priority: ${priority})`);
 
@@ -57,141 +75,141 @@ export class EmailQueue {
   }
 
   /**
-   * Insert item into queue based on priority
-   */
-  insertByPriority(item) {
-    const priorities = {
-      critical: 0,
-      high: 1,
-      normal: 2,
-      low: 3,
-    };
-
-    const itemPriority = priorities[item.priority] || 2;
-
-    // Find insertion point
-    let insertIndex = this.queue.length;
-    for (let i = 0; i < this.queue.length; i++) {
-      const queuePriority = priorities[this.queue[i].priority] || 2;
-      if (itemPriority < queuePriority) {
-        insertIndex = i;
-        break;
-      }
-    }
-
-    this.queue.splice(insertIndex, 0, item);
-  }
-
-  /**
-   * Process queue items
+   * Process one batch of ready items
+   * Returns {sent, retrying, failed, skipped} counts, or null when another
+   * run of this instance is in progress
    */
   async processQueue() {
-    if (this.processing || this.queue.length === 0) {
-      return;
+    if (this.processing) {
+      return null;
     }
 
     this.processing = true;
-    console.log(`Processing email queue (${this.queue.length} items)`);
 
     try {
-      const batch = this.getProcessableBatch();
-
+      const batch = await this.getProcessableBatch();
       if (batch.length > 0) {
-        await this.processBatch(batch);
+        console.log(`Processing email queue (${batch.length} items)`);
       }
+
+      return await this.processBatch(batch);
     } catch (error) {
       console.error("Queue processing error:", error);
+      return null;
     } finally {
       this.processing = false;
-      this.stats.currentQueueSize = this.queue.length;
+      this.stats.currentQueueSize = await this.getQueueSize().catch(
+        () => this.stats.currentQueueSize,
+      );
     }
   }
 
   /**
-   * Get batch of items ready for processing
+   * Process batches until no item is ready or maxBatches have run
+   * Called by the scheduled drain; returns the summed batch counts
    */
-  getProcessableBatch() {
-    const now = new Date();
-    const batch = [];
-
-    for (
-      let i = 0;
-      i < this.queue.length && batch.length < this.batchSize;
-      i++
-    ) {
-      const item = this.queue[i];
-
-      // Check if item is ready for processing
-      if (
-        item.status === "queued" ||
-        (item.status === "retry" && (!item.nextRetry || now >= item.nextRetry))
-      ) {
-        batch.push(item);
+  async drain({ maxBatches = 10 } = {}) {
+    const totals = { sent: 0, retrying: 0, failed: 0, skipped: 0 };
+
+    for (let batch = 0; batch < maxBatches; batch++) {
+      const counts = await this.processQueue();
+      if (!counts) break;
+
+      for (const key of Object.keys(totals)) {
+        totals[key] += counts[key];
       }
+      if (counts.sent + counts.retrying + counts.failed === 0) break;
     }
 
-    return batch;
+    return totals;
   }
 
   /**
-   * Process a batch of emails
+   * Get batch of items ready for processing
    */
-  async processBatch(batch) {
-    const promises = batch.map((item) => this.processItem(item));
-    await Promise.allSettled(promises);
+  async getProcessableBatch() {
+    const now = this.now();
+
+    return this.store.listReady({
+      now: new Date(now).toISOString(),
+      staleBefore: new Date(now - this.staleAfter).toISOString(),
+      limit: this.batchSize,
+    });
   }
 
   /**
-   * Process individual queue item
+   * Process a batch of emails and count the outcomes
    */
-  async processItem(item) {
-    try {
-      item.status = "processing";
-      item.attempts++;
-      item.lastAttempt = new Date();
-
-      console.log(`Processing email ${item.id} (attempt ${item.attempts})`);
+  async processBatch(batch) {
+    const counts = { sent: 0, retrying: 0, failed: 0, skipped: 0 };
+    const outcomes = await Promise.all(
+      batch.map((item) => this.processItem(item)),
+    );
 
-      // Here you would inject your email service
-      // For now, simulate email sending
-      const result = await this.sendEmail(item.emailData);
+    for (const { status } of outcomes) {
+      counts[status]++;
+    }
+    return counts;
+  }
 
-      // Success
-      item.status = "completed";
-      this.removeFromQueue(item.id);
-      this.stats.totalProcessed++;
+  /**
+   * Process individual queue item
+   * Returns {id, status} where status is sent, retrying, failed or skipped
+   * (another run claimed the item first); sent items carry the send result
+   */
+  async processItem(queued) {
+    const attemptedAt = this.now();
+    const item = await this.store.claim(queued.id, {
+      attemptedAt: new Date(attemptedAt).toISOString(),
+      staleBefore: new Date(attemptedAt - this.staleAfter).toISOString(),
+    });
+    if (!item) {
+      return { id: queued.id, status: "skipped" };
+    }
 
-      console.log(`Email ${item.id} sent successfully`);
+    console.log(`Processing email ${item.id} (attempt ${item.attempts})`);
 
-      return result;
+    let result;
+    try {
+      result = await this.sendEmail(item.emailData);
     } catch (error) {
       console.error(`Email ${item.id} failed:`, error.message);
 
       item.lastError = error.message;
-
-      if (item.attempts >= this.maxRetries) {
-        // Max retries reached
-        item.status = "failed";
-        this.removeFromQueue(item.id);
+      item.failure = this.classifyFailure(error, attemptedAt);
+
+      // Out of retries, or an error retrying cannot fix (a rejected
+      // recipient, bad credentials): keep it as a dead letter before removing
+      // it
+      if (item.attempts >= this.maxRetries || !item.failure.isRetryable) {
+        await this.deadLetters.add(item, item.failure);
+        await this.store.delete(item.id);
         this.stats.totalFailed++;
 
         console.error(
-          `Email ${item.id} permanently failed after ${item.attempts} attempts`,
-        );
-      } else {
-        // Schedule retry
-        item.status = "retry";
-        item.nextRetry = new Date(
-          Date.now() + this.getRetryDelay(item.attempts),
-        );
-
-        console.log(
-          `Email ${item.id} will retry in ${this.getRetryDelay(item.attempts)}ms`,
+          `Email ${item.id} permanently failed after ${item.attempts} attempts (${item.failure.type})`,
         );
+        return { id: item.id, status: "failed" };
       }
 
-      throw error;
+      // Schedule retry
+      const delay = this.getRetryDelay(item.attempts);
+      item.status = "retry";
+      item.nextRetry = new Date(attemptedAt + delay).toISOString();
+      await this.store.save(item);
+
+      console.log(`Email ${item.id} will retry in ${delay}ms`);
+      return { id: item.id, status: "retrying" };
     }
+
+    // Success; if the delete fails the item stays processing and is only
+    // sent again once it goes stale
+    await this.store.delete(item.id);
+    this.stats.totalProcessed++;
+
+    console.log(`Email ${item.id} sent successfully`);
+
+    return { id: item.id, status: "sent", result };
   }
 
   /**
@@ -202,44 +220,43 @@ export class EmailQueue {
   }
 
   /**
-   * Remove item from queue
+   * Classify a send error with EmailErrorHandler.analyzeError
+   * EmailService keeps the last provider's error as the cause
    */
-  removeFromQueue(itemId) {
-    const index = this.queue.findIndex((item) => item.id === itemId);
-    if (index !== -1) {
-      this.queue.splice(index, 1);
-    }
+  classifyFailure(error, failedAt) {
+    const { type, code, message, isRetryable, severity } =
+      this.errorHandler.analyzeError(error.cause || error, error.provider);
+
+    return {
+      type,
+      code: code ?? null,
+      message,
+      isRetryable,
+      severity,
+      provider: error.provider || null,
+      failedAt: new Date(failedAt).toISOString(),
+    };
   }
 
   /**
-   * Simulate email sending (to be replaced with actual email service)
+   * Send through the mailer, which handles provider fallback and retries
    */
   async sendEmail(emailData) {
-    // Simulate processing time
-    await new Promise((resolve) => setTimeout(resolve, Math.random() * 1000));
-
-    // Simulate occasional failures for testing
-    if (Math.random() < 0.1) {
-      // 10% failure rate
-      throw new Error("Simulated email sending failure");
-    }
-
-    return {
-      messageId: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
-      provider: "simulation",
-      timestamp: new Date().toISOString(),
-    };
+    return this.mailer.sendEmail(emailData);
   }
 
   /**
    * Start background processing
+   * Only for long-running processes; Workers drain from a scheduled job
    */
   startProcessing() {
+    if (this.timer) return;
+
     // Process queue immediately
-    setTimeout(() => this.processQueue(), 1000);
+    this.processQueue();
 
     // Set up interval processing
-    setInterval(() => {
+    this.timer = setInterval(() => {
       this.processQueue();
     }, this.processingInterval);
 
@@ -252,58 +269,51 @@ export class EmailQueue {
    * Stop processing
    */
   stopProcessing() {
-    if (this.processingInterval) {
-      clearInterval(this.processingInterval);
-      this.processingInterval = null;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
     }
   }
 
+  /**
+   * Count the items in the queue
+   */
+  async getQueueSize() {
+    const counts = await this.store.countByStatus();
+    return Object.values(counts).reduce((sum, count) => sum + count, 0);
+  }
+
   /**
    * Get queue status
    */
-  getStatus() {
+  async getStatus() {
     const statusCounts = {
       queued: 0,
       processing: 0,
       retry: 0,
       completed: 0,
       failed: 0,
+      ...(await this.store.countByStatus()),
     };
-
-    this.queue.forEach((item) => {
-      statusCounts[item.status] = (statusCounts[item.status] || 0) + 1;
-    });
+    const createdAt = (await this.store.list())
+      .map((item) => item.createdAt)
+      .sort();
 
     return {
-      totalItems: this.queue.length,
+      totalItems: createdAt.length,
       isProcessing: this.processing,
       statusCounts,
       stats: this.stats,
-      oldestItem:
-        this.queue.length > 0
-          ? this.queue[this.queue.length - 1].createdAt
-          : null,
-      newestItem: this.queue.length > 0 ? this.queue[0].createdAt : null,
+      oldestItem: createdAt[0] || null,
+      newestItem: createdAt.at(-1) || null,
     };
   }
 
   /**
    * Get queue items with filtering
    */
-  getItems(filter = {}) {
-    let items = [...this.queue];
-
-    if (filter.status) {
-      items = items.filter((item) => item.status === filter.status);
-    }
-
-    if (filter.priority) {
-      items = items.filter((item) => item.priority === filter.priority);
-    }
-
-    if (filter.limit) {
-      items = items.slice(0, filter.limit);
-    }
+  async getItems(filter = {}) {
+    const items = await this.store.list(filter);
 
     return items.map((item) => ({
       id: item.id,
@@ -320,20 +330,14 @@ export class EmailQueue {
   }
 
   /**
-   * Retry failed items
+   * Retry failed items: replay every dead letter into the queue
    */
-  retryFailed() {
-    let retriedCount = 0;
-
-    this.queue.forEach((item) => {
-      if (item.status === "failed" && item.attempts < this.maxRetries) {
-        item.status = "queued";
-        item.attempts = 0;
-        item.lastError = null;
-        item.nextRetry = null;
-        retriedCount++;
-      }
-    });
+  async retryFailed() {
+    const deadLetters = await this.deadLetters.list();
+    const results = await this.deadLetters.replayMany(
+      deadLetters.map((item) => item.id),
+    );
+    const retriedCount = results.filter((result) => result.ok).length;
 
     console.log(`Retrying ${retriedCount} failed email(s)`);
     return retriedCount;
@@ -342,56 +346,59 @@ export class EmailQueue {
   /**
    * Clear completed items
    */
-  clearCompleted() {
-    const initialLength = this.queue.length;
-    this.queue = this.queue.filter((item) => item.status !== "completed");
-    const clearedCount = initialLength - this.queue.length;
+  async clearCompleted() {
+    const completed = await this.store.list({ status: "completed" });
+    for (const item of completed) {
+      await this.store.delete(item.id);
+    }
 
-    console.log(`Cleared ${clearedCount} completed email(s)`);
-    return clearedCount;
+    console.log(`Cleared ${completed.length} completed email(s)`);
+    return completed.length;
   }
 
   /**
    * Clear all queue items
    */
-  clearAll() {
-    const clearedCount = this.queue.length;
-    this.queue = [];
+  async clearAll() {
+    const items = await this.store.list();
+    for (const item of items) {
+      await this.store.delete(item.id);
+    }
     this.stats.currentQueueSize = 0;
 
-    console.log(`Cleared all ${clearedCount} email(s) from queue`);
-    return clearedCount;
+    console.log(`Cleared all ${items.length} email(s) from queue`);
+    return items.length;
   }
 
   /**
    * Get specific queue item
    */
-  getItem(itemId) {
-    return this.queue.find((item) => item.id === itemId);
+  async getItem(itemId) {
+    return this.store.get(itemId);
   }
 
   /**
    * Remove specific item from queue
    */
-  removeItem(itemId) {
-    const index = this.queue.findIndex((item) => item.id === itemId);
-    if (index !== -1) {
-      const item = this.queue.splice(index, 1)[0];
-      this.stats.currentQueueSize = this.queue.length;
-      return item;
+  async removeItem(itemId) {
+    const item = await this.store.get(itemId);
+    if (item) {
+      await this.store.delete(itemId);
+      this.stats.currentQueueSize = Math.max(
+        0,
+        this.stats.currentQueueSize - 1,
+      );
     }
-    return null;
+    return item;
   }
 
   /**
    * Update item priority
    */
-  updatePriority(itemId, newPriority) {
-    const item = this.getItem(itemId);
+  async updatePriority(itemId, newPriority) {
+    const item = await this.store.get(itemId);
     if (item) {
-      this.removeItem(itemId);
-      item.priority = newPriority;
-      this.insertByPriority(item);
+      await this.store.save({ ...item, priority: newPriority });
       return true;
     }
     return false;
@@ -407,28 +414,32 @@ export class EmailQueue {
   /**
    * Get queue health metrics
    */
-  getHealthMetrics() {
-    const now = new Date();
-    const oneHourAgo = new Date(now.getTime() - 60 * 60 * 1000);
-
-    const recentItems = this.queue.filter(
-      (item) => item.createdAt > oneHourAgo,
-    );
-    const stuckItems = this.queue.filter(
+  async getHealthMetrics() {
+    const now = this.now();
+    const oneHourAgo = new Date(now - 60 * 60 * 1000).toISOString();
+    const staleBefore = new Date(now - this.staleAfter).toISOString();
+    const items = await this.store.list();
+    const deadLetters = await this.deadLetters.getMetrics();
+
+    const recentItems = items.filter((item) => item.createdAt > oneHourAgo);
+    const stuckItems = items.filter(
       (item) =>
         item.status === "processing" &&
         item.lastAttempt &&
-        now - item.lastAttempt > 300000, // 5 minutes
+        item.lastAttempt < staleBefore,
     );
 
     return {
-      queueSize: this.queue.length,
+      queueSize: items.length,
       recentItems: recentItems.length,
       stuckItems: stuckItems.length,
       avgProcessingTime: this.calculateAvgProcessingTime(),
       successRate: this.calculateSuccessRate(),
+      deadLetters,
       isHealthy:
-        this.queue.length < this.maxQueueSize * 0.8 && stuckItems.length === 0,
+        items.length < this.maxQueueSize * 0.8 &&
+        stuckItems.length === 0 &&
+        deadLetters.isHealthy,
     };
   }
 
@@ -451,5 +462,21 @@ export class EmailQueue {
   }
 }
 
-// Export singleton instance
-export const emailQueue = new EmailQueue();
+/**
+ * Create the email queue for the current runtime environment
+ *
+ * Options:
+ * - mailer: sends each item (an EmailService or anything with sendEmail)
+ * - store: overrides the store picked from env (DB > SESSION > memory)
+ * - deadLetters: overrides the DeadLetterQueue picked from env
+ * - the EmailQueue tuning options (maxRetries, retryDelay, batchSize, ...)
+ */
+export function createEmailQueue(env = {}, options = {}) {
+  const store = options.store || createEmailQueueStore(env);
+
+  return new EmailQueue(store, {
+    ...options,
+    deadLetters:
+      options.deadLetters || createDeadLetterQueue(env, { queueStore: store }),
+  });
+}
@@ -0,0 +1,59 @@
+/**
+ * Email Queue Request Handler
+ * Serves POST /api/admin/email/drain for admins, the trigger of the
+ * scheduled job that sends queued emails
+ *
+ * Responses use the lead endpoint's {ok, error, details} shape
+ */
+
+import { auditMailer, createAuditTrail } from "../audit/auditTrail.js";
+import { authorizeRequest } from "../auth/guards.js";
+import { jsonResponse, requireJsonRequest } from "../submission/http.js";
+import { emailService } from "./emailService.js";
+import { createEmailQueue } from "./queue.js";
+
+/**
+ * Handle POST /api/admin/email/drain: send every ready queued email, then
+ * report what happened and what is left per status
+ * The request must be sent as application/json; it needs no body
+ *
+ * Options:
+ * - env: runtime bindings (DB or SESSION and the auth variables)
+ * - queue: injectable email queue, mainly for tests
+ * - now, fetch: passed on to the route guard
+ */
+export async function handleQueueDrain(request, options = {}) {
+  try {
+    const { principal, response } = await authorizeRequest(
+      request,
+      options.env,
+      ["admin"],
+      options,
+    );
+    if (!principal) return response;
+
+    const unsupported = requireJsonRequest(request);
+    if (unsupported) return unsupported;
+
+    const env = options.env || {};
+    const queue =
+      options.queue ||
+      createEmailQueue(env, {
+        mailer: auditMailer(emailService, createAuditTrail(env)),
+      });
+
+    const result = await queue.drain();
+    const pending = await queue.store.countByStatus();
+
+    console.log("Email queue drain:", {
+      actor: `${principal.role}:${principal.id}`,
+      ...result,
+    });
+
+    return jsonResponse({ ok: true, ...result, pending });
+  } catch (error) {
+    console.error("Email queue drain error:", error);
+
+    return jsonResponse({ ok: false, error: "internal_error" }, 500);
+  }
+}
@@ -0,0 +1,504 @@
+/**
+ * Email Queue Stores
+ * Persist queued emails so they survive restarts and can be drained by a
+ * scheduled job: D1 or Workers KV on Cloudflare, memory locally (the
+ * filesystem store lives in fileQueueStore.js)
+ * Schema: migrations/0009_create_email_queue.sql,
+ * migrations/0010_create_email_dead_letters.sql
+ *
+ * Items are {id, emailData, priority, attempts, createdAt, status,
+ * lastAttempt, lastError, nextRetry, failure} with ISO string timestamps;
+ * failure classifies the last send error. Dead letters use the same stores
+ * under their own table, key prefix or directory
+ */
+
+/**
+ * Sort rank of each priority, most urgent first
+ */
+export const QUEUE_PRIORITIES = {
+  critical: 0,
+  high: 1,
+  normal: 2,
+  low: 3,
+};
+
+/**
+ * Sort rank of a priority; unknown priorities sort as normal
+ */
+export function getPriorityRank(priority) {
+  return QUEUE_PRIORITIES[priority] ?? QUEUE_PRIORITIES.normal;
+}
+
+/**
+ * Order items by priority, then oldest first
+ */
+export function compareQueueOrder(a, b) {
+  return (
+    getPriorityRank(a.priority) - getPriorityRank(b.priority) ||
+    a.createdAt.localeCompare(b.createdAt) ||
+    a.id.localeCompare(b.id)
+  );
+}
+
+/**
+ * Whether an item can be sent at `now`: queued, due for a retry, or left
+ * processing since before `staleBefore` by a run that never finished
+ */
+export function isReady(item, now, staleBefore) {
+  return (
+    item.status === "queued" ||
+    (item.status === "retry" && (!item.nextRetry || item.nextRetry <= now)) ||
+    (item.status === "processing" &&
+      !!item.lastAttempt &&
+      item.lastAttempt < staleBefore)
+  );
+}
+
+/**
+ * Mark an item as being sent: the state claim() stores
+ */
+function claimed(item, attemptedAt) {
+  return {
+    ...item,
+    status: "processing",
+    attempts: item.attempts + 1,
+    lastAttempt: attemptedAt,
+  };
+}
+
+/**
+ * Keep the items matching a list() filter, in queue order
+ */
+function filterItems(items, { status, priority, limit } = {}) {
+  const matching = items
+    .filter(
+      (item) =>
+        (!status || item.status === status) &&
+        (!priority || item.priority === priority),
+    )
+    .sort(compareQueueOrder);
+
+  return limit ? matching.slice(0, limit) : matching;
+}
+
+/**
+ * Count items per status
+ */
+function countStatuses(items) {
+  const counts = {};
+  for (const item of items) {
+    counts[item.status] = (counts[item.status] || 0) + 1;
+  }
+  return counts;
+}
+
+const READY_SQL = `(status = 'queued'
+  OR (status = 'retry' AND (next_retry IS NULL OR next_retry <= ?))
+  OR (status = 'processing' AND last_attempt < ?))`;
+
+/**
+ * Stores the queue in a Cloudflare D1 table: `email_queue`, or
+ * `email_dead_letters` for dead letters
+ */
+export class D1EmailQueueStore {
+  constructor(db, table = "email_queue") {
+    this.db = db;
+    this.table = table;
+    this.name = "D1";
+  }
+
+  /**
+   * Insert or update an item
+   */
+  async save(item) {
+    await this.db
+      .prepare(
+        `INSERT INTO ${this.table} (id, status, priority, rank, email_data, attempts, created_at, last_attempt, last_error, next_retry, failure)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET status = excluded.status, priority = excluded.priority, rank = excluded.rank,
+           email_data = excluded.email_data, attempts = excluded.attempts, last_attempt = excluded.last_attempt,
+           last_error = excluded.last_error, next_retry = excluded.next_retry, failure = excluded.failure`,
+      )
+      .bind(
+        item.id,
+        item.status,
+        item.priority,
+        getPriorityRank(item.priority),
+        JSON.stringify(item.emailData),
+        item.attempts,
+        item.createdAt,
+        item.lastAttempt,
+        item.lastError,
+        item.nextRetry,
+        item.failure ? JSON.stringify(item.failure) : null,
+      )
+      .run();
+
+    return item;
+  }
+
+  /**
+   * Get an item by ID, or null
+   */
+  async get(id) {
+    const row = await this.db
+      .prepare(`SELECT * FROM ${this.table} WHERE id = ?`)
+      .bind(id)
+      .first();
+
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * Remove an item
+   */
+  async delete(id) {
+    await this.db
+      .prepare(`DELETE FROM ${this.table} WHERE id = ?`)
+      .bind(id)
+      .run();
+  }
+
+  /**
+   * List items in queue order, optionally filtered by status and priority
+   */
+  async list({ status, priority, limit } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push("status = ?");
+      params.push(status);
+    }
+    if (priority) {
+      conditions.push("priority = ?");
+      params.push(priority);
+    }
+
+    const { results } = await this.db
+      .prepare(
+        `SELECT * FROM ${this.table}${conditions.length ? ` WHERE ${conditions.join(" AND ")}` : ""}
+         ORDER BY rank ASC, created_at ASC, id ASC${limit ? " LIMIT ?" : ""}`,
+      )
+      .bind(...params, ...(limit ? [limit] : []))
+      .all();
+
+    return (results || []).map((row) => this.fromRow(row));
+  }
+
+  /**
+   * List up to `limit` items ready to send at `now`, in queue order
+   */
+  async listReady({ now, staleBefore, limit }) {
+    const { results } = await this.db
+      .prepare(
+        `SELECT * FROM ${this.table} WHERE ${READY_SQL}
+         ORDER BY rank ASC, created_at ASC, id ASC LIMIT ?`,
+      )
+      .bind(now, staleBefore, limit)
+      .all();
+
+    return (results || []).map((row) => this.fromRow(row));
+  }
+
+  /**
+   * Mark an item as being sent if it is still ready; returns the claimed
+   * item, or null when another run claimed it first
+   */
+  async claim(id, { attemptedAt, staleBefore }) {
+    const row = await this.db
+      .prepare(
+        `UPDATE ${this.table} SET status = 'processing', attempts = attempts + 1, last_attempt = ?
+         WHERE id = ? AND ${READY_SQL} RETURNING *`,
+      )
+      .bind(attemptedAt, id, attemptedAt, staleBefore)
+      .first();
+
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * Count items per status
+   */
+  async countByStatus() {
+    const { results } = await this.db
+      .prepare(
+        `SELECT status, COUNT(*) AS count FROM ${this.table} GROUP BY status`,
+      )
+      .all();
+
+    return Object.fromEntries(
+      (results || []).map((row) => [row.status, row.count]),
+    );
+  }
+
+  /**
+   * Convert a table row into a queue item
+   */
+  fromRow(row) {
+    return {
+      id: row.id,
+      emailData: JSON.parse(row.email_data),
+      priority: row.priority,
+      attempts: row.attempts,
+      createdAt: row.created_at,
+      status: row.status,
+      lastAttempt: row.last_attempt,
+      lastError: row.last_error,
+      nextRetry: row.next_retry,
+      failure: row.failure ? JSON.parse(row.failure) : null,
+    };
+  }
+}
+
+/**
+ * Stores the queue in a Workers KV namespace, one entry per item
+ * KV is eventually consistent and has no transactions, so claims are best
+ * effort: prefer D1 when both bindings exist
+ *
+ * Each entry carries its scheduling fields as key metadata, so counting and
+ * finding ready items only lists keys (1000 per request) and reads just the
+ * items it returns, keeping enqueue and drain within the subrequest limit
+ */
+export class KvEmailQueueStore {
+  constructor(namespace, prefix = "email-queue:") {
+    this.namespace = namespace;
+    this.prefix = prefix;
+    this.name = "KV";
+  }
+
+  /**
+   * Insert or update an item
+   */
+  async save(item) {
+    await this.namespace.put(this.prefix + item.id, JSON.stringify(item), {
+      metadata: {
+        id: item.id,
+        priority: item.priority,
+        createdAt: item.createdAt,
+        status: item.status,
+        lastAttempt: item.lastAttempt,
+        nextRetry: item.nextRetry,
+      },
+    });
+    return item;
+  }
+
+  /**
+   * Get an item by ID, or null
+   */
+  async get(id) {
+    return this.namespace.get(this.prefix + id, "json");
+  }
+
+  /**
+   * Remove an item
+   */
+  async delete(id) {
+    await this.namespace.delete(this.prefix + id);
+  }
+
+  /**
+   * List items in queue order, optionally filtered by status and priority
+   */
+  async list(filter = {}) {
+    return filterItems(await this.readAll(), filter);
+  }
+
+  /**
+   * List up to `limit` items ready to send at `now`, in queue order
+   */
+  async listReady({ now, staleBefore, limit }) {
+    const ready = (await this.readIndex())
+      .filter((entry) => isReady(entry, now, staleBefore))
+      .sort(compareQueueOrder)
+      .slice(0, limit);
+
+    const items = [];
+    for (const { id } of ready) {
+      const item = await this.get(id);
+      if (item) items.push(item);
+    }
+    return items;
+  }
+
+  /**
+   * Mark an item as being sent if it is still ready; returns the claimed
+   * item, or null when it is no longer ready
+   */
+  async claim(id, { attemptedAt, staleBefore }) {
+    const item = await this.get(id);
+    if (!item || !isReady(item, attemptedAt, staleBefore)) {
+      return null;
+    }
+
+    return this.save(claimed(item, attemptedAt));
+  }
+
+  /**
+   * Count items per status
+   */
+  async countByStatus() {
+    return countStatuses(await this.readIndex());
+  }
+
+  /**
+   * Read the scheduling fields of every item from the key metadata; items
+   * saved without metadata are read in full
+   */
+  async readIndex() {
+    const entries = [];
+    let cursor;
+    do {
+      const page = await this.namespace.list({ prefix: this.prefix, cursor });
+      for (const { name, metadata } of page.keys) {
+        const entry = metadata || (await this.namespace.get(name, "json"));
+        if (entry) entries.push(entry);
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+
+    return entries;
+  }
+
+  /**
+   * Read every queued item
+   */
+  async readAll() {
+    const items = [];
+    let cursor;
+    do {
+      const page = await this.namespace.list({ prefix: this.prefix, cursor });
+      for (const { name } of page.keys) {
+        const item = await this.namespace.get(name, "json");
+        if (item) items.push(item);
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+
+    return items;
+  }
+}
+
+/**
+ * Process-local queue for tests and local development without D1 or KV
+ */
+export class MemoryEmailQueueStore {
+  constructor() {
+    this.items = new Map();
+    this.name = "Memory";
+  }
+
+  /**
+   * Insert or update an item
+   */
+  async save(item) {
+    this.items.set(item.id, structuredClone(item));
+    return item;
+  }
+
+  /**
+   * Get an item by ID, or null
+   */
+  async get(id) {
+    const item = this.items.get(id);
+    return item ? structuredClone(item) : null;
+  }
+
+  /**
+   * Remove an item
+   */
+  async delete(id) {
+    this.items.delete(id);
+  }
+
+  /**
+   * List items in queue order, optionally filtered by status and priority
+   */
+  async list(filter = {}) {
+    return filterItems(Array.from(this.items.values()), filter).map((item) =>
+      structuredClone(item),
+    );
+  }
+
+  /**
+   * List up to `limit` items ready to send at `now`, in queue order
+   */
+  async listReady({ now, staleBefore, limit }) {
+    return Array.from(this.items.values())
+      .filter((item) => isReady(item, now, staleBefore))
+      .sort(compareQueueOrder)
+      .slice(0, limit)
+      .map((item) => structuredClone(item));
+  }
+
+  /**
+   * Mark an item as being sent if it is still ready; returns the claimed
+   * item, or null when another run claimed it first
+   */
+  async claim(id, { attemptedAt, staleBefore }) {
+    const item = this.items.get(id);
+    if (!item || !isReady(item, attemptedAt, staleBefore)) {
+      return null;
+    }
+
+    return this.save(claimed(item, attemptedAt));
+  }
+
+  /**
+   * Count items per status
+   */
+  async countByStatus() {
+    return countStatuses(this.items.values());
+  }
+
+  /**
+   * Remove all items
+   */
+  clear() {
+    this.items.clear();
+  }
+}
+
+/**
+ * Shared in-memory stores used when no DB or SESSION binding is available
+ */
+const fallbackStore = new MemoryEmailQueueStore();
+const fallbackDeadLetterStore = new MemoryEmailQueueStore();
+
+/**
+ * Create the email queue store for the current runtime environment
+ * Priority order: D1 > KV > in-memory
+ */
+export function createEmailQueueStore(env = {}) {
+  if (env.DB) {
+    return new D1EmailQueueStore(env.DB);
+  }
+
+  if (env.SESSION) {
+    return new KvEmailQueueStore(env.SESSION);
+  }
+
+  console.warn(
+    "No DB or SESSION binding configured, email queue is in memory only",
+  );
+  return fallbackStore;
+}
+
+/**
+ * Create the dead-letter store for the current runtime environment
+ * Priority order: D1 > KV > in-memory, like the queue itself
+ */
+export function createDeadLetterStore(env = {}) {
+  if (env.DB) {
+    return new D1EmailQueueStore(env.DB, "email_dead_letters");
+  }
+
+  if (env.SESSION) {
+    return new KvEmailQueueStore(env.SESSION, "email-dead-letter:");
+  }
+
+  console.warn(
+    "No DB or SESSION binding configured, email dead letters are in memory only",
+  );
+  return fallbackDeadLetterStore;
+}
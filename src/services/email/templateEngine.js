@@ -7,11 +7,29 @@ import { readFileSync } from "fs";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
 import { htmlToText } from "html-to-text";
+import { QUOTE_INCLUSIONS } from "../../config/comparison.js";
+import { QUOTE_STATUS_LABELS } from "../../config/lifecycle.js";
 
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escape free text from partners or customers before it goes into an
+ * HTML email, since processTemplate inserts values as they are
+ */
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+}
+
 export class EmailTemplateEngine {
   constructor(options = {}) {
     this.templateDir =
@@ -172,7 +190,10 @@ export class EmailTemplateEngine {
     // Try to extract from HTML title tag
     const titleMatch = html.match(/<title[^>]*>(.*?)<\/title>/i);
     if (titleMatch) {
-      return this.processTemplate(titleMatch[1], data);
+      // Escaped values in the title are decoded for the plain-text subject
+      return htmlToText(this.processTemplate(titleMatch[1], data), {
+        wordwrap: false,
+      });
     }
 
     // Generate subject from template name and data
@@ -254,6 +275,7 @@ export class EmailTemplateEngine {
       businessPhone: data.businessPhone,
       businessWebsite: data.businessWebsite,
       customerEmail: data.customerEmail,
+      statusUrl: data.statusUrl,
       unsubscribeUrl: data.unsubscribeUrl || "#",
     };
 
@@ -276,13 +298,215 @@ export class EmailTemplateEngine {
         specialItems: data.customer.specialItems || [],
         budget: data.customer.budget || "Not specified",
         additionalInfo: data.customer.additionalInfo || "None provided",
+        shownEstimate: this.formatEstimateRange(
+          data.customer.estimateLow,
+          data.customer.estimateHigh,
+        ),
+        assignedPartners: this.formatAssignedPartners(
+          data.customer.assignedPartners,
+        ),
       },
+      leadScore: this.formatLeadScore(data.customer.leadScore),
       businessName: data.businessName,
     };
 
     return await this.render("business-notification", templateData);
   }
 
+  /**
+   * Render the lead notification sent to an assigned partner mover
+   */
+  async renderPartnerLead(data) {
+    const flexibility = {
+      exact: "Exact date only",
+      "3-days": "+/- 3 days",
+      "1-week": "+/- 1 week",
+      "2-weeks": "+/- 2 weeks",
+    };
+
+    const templateData = {
+      quoteId: data.quoteId,
+      companyName: escapeHtml(data.companyName),
+      customer: {
+        name: escapeHtml(data.customer.name),
+        email: data.customer.email
+          ? escapeHtml(data.customer.email)
+          : "Not provided",
+        phone: data.customer.phone
+          ? escapeHtml(data.customer.phone)
+          : "Not provided",
+        moveDate: this.formatDate(data.customer.moveDate),
+        flexibleDates:
+          flexibility[data.customer.flexibleDates] ||
+          data.customer.flexibleDates,
+        fromZip: data.customer.fromZip,
+        toZip: data.customer.toZip,
+        moveSize: data.customer.moveSize || "Not specified",
+        serviceType: data.customer.serviceType || "Not specified",
+        specialItems: data.customer.specialItems?.length
+          ? escapeHtml(data.customer.specialItems.join(", "))
+          : "None",
+        additionalInfo: data.customer.additionalInfo
+          ? escapeHtml(data.customer.additionalInfo)
+          : "None provided",
+      },
+      businessName: data.businessName,
+      businessPhone: data.businessPhone,
+    };
+
+    return await this.render("partner-lead", templateData);
+  }
+
+  /**
+   * Render the email telling a customer a partner mover sent a quote
+   */
+  async renderPartnerQuote(data) {
+    const templateData = {
+      quoteId: data.quoteId,
+      customerName: escapeHtml(data.customerName),
+      companyName: escapeHtml(data.companyName),
+      companyPhone: data.companyPhone
+        ? escapeHtml(data.companyPhone)
+        : "Not provided",
+      quoteAmount: data.quoteAmount.toLocaleString("en-US", {
+        style: "currency",
+        currency: "USD",
+        maximumFractionDigits: 0,
+      }),
+      note: data.note ? escapeHtml(data.note) : "No details added",
+      moveDate: this.formatDate(data.moveDate),
+      fromZip: data.fromZip,
+      toZip: data.toZip,
+      businessName: data.businessName,
+      businessPhone: data.businessPhone,
+    };
+
+    return await this.render("partner-quote", templateData);
+  }
+
+  /**
+   * Render the email telling a partner mover the customer chose their quote
+   */
+  async renderPartnerBooked(data) {
+    const templateData = {
+      quoteId: data.quoteId,
+      companyName: escapeHtml(data.companyName),
+      quoteAmount: data.quoteAmount.toLocaleString("en-US", {
+        style: "currency",
+        currency: "USD",
+        maximumFractionDigits: 0,
+      }),
+      includes: data.includes?.length
+        ? data.includes
+            .map((inclusion) =>
+              escapeHtml(QUOTE_INCLUSIONS[inclusion] || inclusion),
+            )
+            .join(", ")
+        : "Price only",
+      availableDate: data.availableDate
+        ? this.formatDate(data.availableDate)
+        : "Not given",
+      customer: {
+        name: escapeHtml(data.customer.name),
+        email: data.customer.email
+          ? escapeHtml(data.customer.email)
+          : "Not provided",
+        phone: data.customer.phone
+          ? escapeHtml(data.customer.phone)
+          : "Not provided",
+        moveDate: this.formatDate(data.customer.moveDate),
+        fromZip: data.customer.fromZip,
+        toZip: data.customer.toZip,
+        moveSize: data.customer.moveSize || "Not specified",
+        serviceType: data.customer.serviceType || "Not specified",
+      },
+      businessName: data.businessName,
+      businessPhone: data.businessPhone,
+    };
+
+    return await this.render("partner-booked", templateData);
+  }
+
+  /**
+   * Render the quote update email sent when a quote changes status
+   */
+  async renderQuoteUpdate(data) {
+    const update = QUOTE_STATUS_LABELS[data.status] || {
+      label: "Status Updated",
+      message: "There is an update on your quote request.",
+    };
+
+    const templateData = {
+      quoteId: data.quoteId,
+      customerName: escapeHtml(data.customerName),
+      statusLabel: update.label,
+      statusMessage: update.message,
+      updatedAt: this.formatDateTime(data.changedAt),
+      moveDate: this.formatDate(data.moveDate),
+      fromZip: data.fromZip,
+      toZip: data.toZip,
+      businessName: data.businessName,
+      businessPhone: data.businessPhone,
+    };
+
+    return await this.render("quote-update", templateData);
+  }
+
+  /**
+   * Format the ballpark estimate shown to the customer as a dollar range
+   */
+  formatEstimateRange(low, high) {
+    if (low === undefined || high === undefined) return "Not shown";
+
+    const format = (amount) =>
+      amount.toLocaleString("en-US", {
+        style: "currency",
+        currency: "USD",
+        maximumFractionDigits: 0,
+      });
+    return `${format(low)} - ${format(high)}`;
+  }
+
+  /**
+   * Format the partners a lead was distributed to
+   */
+  formatAssignedPartners(assignments) {
+    if (!assignments?.length) {
+      return "No eligible partners - forward to 3-5 qualified moving partners manually";
+    }
+
+    return `Sent to ${assignments.map((assignment) => assignment.company).join(", ")}`;
+  }
+
+  /**
+   * Format a lead score for display, strongest factors first
+   */
+  formatLeadScore(leadScore) {
+    if (!leadScore) {
+      return {
+        score: "–",
+        label: "Unscored",
+        headline: "Unscored",
+        responseTime: "Contact within 24 hours",
+        summary: "No score available",
+      };
+    }
+
+    const summary = leadScore.factors
+      .filter((factor) => factor.points > 0)
+      .sort((a, b) => b.points - a.points)
+      .map((factor) => `${factor.label} (+${factor.points})`)
+      .join(", ");
+
+    return {
+      score: String(leadScore.score),
+      label: leadScore.label,
+      headline: `${leadScore.label} ${leadScore.score}`,
+      responseTime: leadScore.responseTime,
+      summary: summary || "No scoring signals",
+    };
+  }
+
   /**
    * Format date for display
    */
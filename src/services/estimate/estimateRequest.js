@@ -0,0 +1,62 @@
+/**
+ * Estimate Request Handler
+ * Serves ballpark estimates for the /api/estimate endpoint from query
+ * parameters (GET) or form data (POST) using the quote form field names
+ */
+
+import { getPricingTable } from "../../config/pricing.js";
+import { jsonResponse } from "../submission/http.js";
+import {
+  formatQuoteErrors,
+  normalizeQuoteForm,
+} from "../submission/quoteSchema.js";
+import { calculateEstimate, validateEstimate } from "./estimator.js";
+
+/**
+ * Handle an estimate request and return the JSON response
+ *
+ * Options:
+ * - env: runtime bindings (PRICING_TABLE)
+ * - pricing: overrides the pricing table, mainly for tests
+ *
+ * Responds with {success: true, estimate} or the quote form's
+ * {success: false, error, errors: [{field, code, message}]} error shape
+ */
+export async function handleEstimateRequest(request, options = {}) {
+  const pricing = options.pricing || getPricingTable(options.env);
+
+  let params;
+  try {
+    params =
+      request.method === "GET"
+        ? new URL(request.url).searchParams
+        : await request.formData();
+  } catch {
+    const message = "Request body must be form data";
+    return jsonResponse(
+      {
+        success: false,
+        error: message,
+        errors: [{ field: null, code: "invalid_body", message }],
+      },
+      400,
+    );
+  }
+
+  const validation = validateEstimate(normalizeQuoteForm(params));
+  if (!validation.success) {
+    const errors = formatQuoteErrors(validation.error.issues);
+
+    return jsonResponse(
+      { success: false, error: errors[0].message, errors },
+      400,
+    );
+  }
+
+  const estimate = calculateEstimate(validation.data, { pricing });
+
+  // Estimates only depend on the request, so short-lived caching is safe
+  return jsonResponse({ success: true, estimate }, 200, {
+    "Cache-Control": "public, max-age=300",
+  });
+}
@@ -0,0 +1,198 @@
+/**
+ * Ballpark Estimator
+ * Turns the quote form's move details into a low/high price range with a
+ * line-item breakdown, using the rates in src/config/pricing.js
+ */
+
+import { z } from "zod";
+import { PRICING_TABLE } from "../../config/pricing.js";
+import { ZIP_COORDINATES } from "../../config/serviceArea.js";
+import { MOVE_SIZES, SERVICE_TYPES } from "../submission/quoteSchema.js";
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+const FLOOR_LABELS = {
+  elevator: "elevator building",
+  "2nd": "2nd floor",
+  "3rd": "3rd floor",
+  "4th-plus": "4th floor or higher",
+};
+
+/**
+ * Validation schema for normalized (camelCase) estimate input
+ * Field rules and messages match QuoteSchema; everything but the move size
+ * and ZIP codes is optional
+ */
+export const EstimateSchema = z.object({
+  moveSize: z.enum(MOVE_SIZES, {
+    errorMap: () => ({ message: "Please select your home size" }),
+  }),
+  fromZip: z
+    .string({ required_error: "ZIP code is required" })
+    .regex(/^\d{5}$/, "Please enter a valid ZIP code"),
+  toZip: z
+    .string({ required_error: "ZIP code is required" })
+    .regex(/^\d{5}$/, "Please enter a valid ZIP code"),
+  serviceType: z
+    .enum(SERVICE_TYPES, {
+      errorMap: () => ({ message: "Please select a service type" }),
+    })
+    .optional(),
+  moveDate: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, "Please enter a valid move date")
+    .optional(),
+  fromFloor: z.string().optional(),
+  toFloor: z.string().optional(),
+  specialItems: z.array(z.string()).default([]),
+  packingSupplies: z.boolean().default(false),
+  storageNeeded: z.boolean().default(false),
+});
+
+/**
+ * Validate normalized estimate input
+ */
+export function validateEstimate(data) {
+  return EstimateSchema.safeParse(data);
+}
+
+/**
+ * Estimate a move
+ * Returns {low, high, currency, distanceMiles, lineItems, notes} where each
+ * line item is {code, label, low, high} in whole dollars
+ */
+export function calculateEstimate(input, { pricing = PRICING_TABLE } = {}) {
+  const lineItems = [];
+  const notes = [
+    "Ballpark range only. Movers confirm the final price after reviewing your inventory.",
+  ];
+  const add = (code, label, range) => {
+    lineItems.push({
+      code,
+      label,
+      low: Math.round(range.low),
+      high: Math.round(range.high),
+    });
+  };
+
+  const size = pricing.moveSizes[input.moveSize];
+  const labor = {
+    low: size.movers * pricing.hourlyRatePerMover.low * size.hours.low,
+    high: size.movers * pricing.hourlyRatePerMover.high * size.hours.high,
+  };
+  add(
+    "labor",
+    `Labor: ${size.movers} movers for ${size.hours.low}-${size.hours.high} hours`,
+    labor,
+  );
+
+  // Without a service type the crew is assumed to bring a truck
+  const service = pricing.serviceTypes[input.serviceType] || { truck: true };
+  if (service.packingLabor > 0) {
+    add("packing_labor", "Packing service", {
+      low: labor.low * service.packingLabor,
+      high: labor.high * service.packingLabor,
+    });
+  }
+  if (service.truck) {
+    add("truck", "Truck and equipment", pricing.truckFee);
+  }
+
+  const distanceMiles = getZipDistanceMiles(
+    input.fromZip,
+    input.toZip,
+    pricing.distance.roadFactor,
+  );
+  if (distanceMiles === null) {
+    notes.push(
+      "Distance pricing is only available within the Austin area; long-distance moves are quoted separately.",
+    );
+  } else if (distanceMiles > pricing.distance.includedMiles) {
+    const miles = distanceMiles - pricing.distance.includedMiles;
+    add(
+      "distance",
+      `Travel: ${Math.round(miles)} miles beyond the first ${pricing.distance.includedMiles}`,
+      {
+        low: miles * pricing.distance.perMile.low,
+        high: miles * pricing.distance.perMile.high,
+      },
+    );
+  }
+
+  [
+    ["from_floor", "Pickup", input.fromFloor],
+    ["to_floor", "Drop-off", input.toFloor],
+  ].forEach(([code, end, floor]) => {
+    const range = pricing.floors[floor];
+    if (range?.high > 0) {
+      add(code, `${end}: ${FLOOR_LABELS[floor] || floor}`, range);
+    }
+  });
+
+  input.specialItems.forEach((item) => {
+    const range = pricing.specialItems[item];
+    if (range) {
+      add(`special_item:${item}`, `Special item: ${item}`, range);
+    }
+  });
+
+  if (input.packingSupplies) {
+    add(
+      "packing_supplies",
+      "Packing supplies",
+      pricing.packingSupplies[input.moveSize],
+    );
+  }
+  if (input.storageNeeded) {
+    add("storage", "Storage (first month)", pricing.storage[input.moveSize]);
+  }
+
+  if (input.moveDate) {
+    const date = new Date(`${input.moveDate}T00:00:00Z`);
+    const { peakMonths, peakSurcharge, weekendSurcharge } = pricing.date;
+
+    if (peakMonths.includes(date.getUTCMonth() + 1)) {
+      add("peak_season", "Peak season (May-August)", {
+        low: labor.low * peakSurcharge,
+        high: labor.high * peakSurcharge,
+      });
+    }
+    if ([0, 6].includes(date.getUTCDay())) {
+      add("weekend", "Weekend move", {
+        low: labor.low * weekendSurcharge,
+        high: labor.high * weekendSurcharge,
+      });
+    }
+  }
+
+  return {
+    low: lineItems.reduce((total, item) => total + item.low, 0),
+    high: lineItems.reduce((total, item) => total + item.high, 0),
+    currency: "USD",
+    distanceMiles,
+    lineItems,
+    notes,
+  };
+}
+
+/**
+ * Approximate road miles between two service area ZIP codes, or null when
+ * either ZIP has no known location
+ */
+export function getZipDistanceMiles(fromZip, toZip, roadFactor = 1) {
+  const from = ZIP_COORDINATES[fromZip];
+  const to = ZIP_COORDINATES[toZip];
+  if (!from || !to) return null;
+
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to[0] - from[0]);
+  const dLng = toRadians(to[1] - from[1]);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from[0])) *
+      Math.cos(toRadians(to[0])) *
+      Math.sin(dLng / 2) ** 2;
+  const miles = 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+
+  return Math.round(miles * roadFactor * 10) / 10;
+}
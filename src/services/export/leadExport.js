@@ -0,0 +1,311 @@
+/**
+ * Lead Export
+ * Streams stored submission records for a date range as CSV, JSONL or XLSX,
+ * flattened and laid out by a column map, with optional PII masking
+ *
+ * Records are read day by day from the lead store, so CSV and JSONL exports
+ * never hold more than a day of leads; XLSX workbooks are built whole
+ */
+
+import {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  EXPORT_PII_FIELDS,
+} from "../../config/export.js";
+import { toAdminLead } from "../admin/leadAdmin.js";
+import { createQuoteLifecycle } from "../quotes/lifecycle.js";
+import { createLeadStore } from "../storage/leadStore.js";
+import { listDateKeys } from "../storage/records.js";
+import { buildXlsx } from "./xlsx.js";
+
+/**
+ * Masking kind of each PII field
+ */
+const PII_KINDS = new Map(
+  Object.entries(EXPORT_PII_FIELDS).flatMap(([kind, fields]) =>
+    fields.map((field) => [field, kind]),
+  ),
+);
+
+/**
+ * Exports stored leads
+ */
+export class LeadExporter {
+  constructor(leadStore, options = {}) {
+    this.leadStore = leadStore;
+    this.lifecycle = options.lifecycle || null;
+  }
+
+  /**
+   * Export the leads submitted from `from` to `to` (YYYY-MM-DD, inclusive)
+   * Returns a ReadableStream of the file's bytes
+   *
+   * Options:
+   * - format: csv, jsonl or xlsx
+   * - columns: [{header, field}] column map, EXPORT_COLUMNS by default
+   * - mask: none, partial or full PII masking
+   */
+  export(from, to, { format, columns = EXPORT_COLUMNS, mask = "none" }) {
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unknown export format ${format}`);
+    }
+
+    const rows = this.rows(from, to, columns, mask);
+    if (format === "xlsx") {
+      return toByteStream(toXlsxChunks(columns, rows));
+    }
+
+    return toByteStream(
+      format === "csv"
+        ? toCsvChunks(columns, rows)
+        : toJsonlChunks(columns, rows),
+    );
+  }
+
+  /**
+   * Yield each lead in the range as a row of column values, oldest first
+   */
+  async *rows(from, to, columns, mask) {
+    for (const dateKey of listDateKeys(from, to)) {
+      const records = (await this.leadStore.listByDate(dateKey)).sort(
+        (a, b) =>
+          a.timestamp.localeCompare(b.timestamp) || a.id.localeCompare(b.id),
+      );
+      if (records.length === 0) continue;
+
+      const statuses = this.lifecycle
+        ? await this.lifecycle.getStatuses(records.map(({ id }) => id))
+        : new Map();
+
+      for (const record of records) {
+        yield toExportRow(
+          flattenRecord(record, statuses.get(record.id)),
+          columns,
+          mask,
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Create the lead exporter for the current runtime environment
+ */
+export function createLeadExporter(env = {}, options = {}) {
+  return new LeadExporter(createLeadStore(env), {
+    lifecycle: createQuoteLifecycle(env),
+    ...options,
+  });
+}
+
+/**
+ * Flatten a stored record into dotted fields: `lead.*` from toAdminLead,
+ * the stored payload as-is (prospect.first_name, move.from_zip, ...) and
+ * `meta.*`; arrays stay whole
+ */
+export function flattenRecord(record, quoteStatus = null) {
+  return {
+    ...flattenObject(toAdminLead(record, quoteStatus), "lead."),
+    ...flattenObject(record.data, ""),
+    ...flattenObject(record.meta, "meta."),
+  };
+}
+
+/**
+ * Read a column map from `header=field` or bare `field` entries separated
+ * by commas, e.g. "id=lead.id,lead.email,zip=move.from_zip"
+ * Returns {columns} or {error, message}
+ */
+export function parseColumnMap(value) {
+  const columns = value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [header, field = header] = entry
+        .split("=")
+        .map((part) => part.trim());
+      return { header, field };
+    });
+
+  return validateColumnMap(columns);
+}
+
+/**
+ * Check a [{header, field}] column map: at least one column, unique
+ * headers and dotted field names
+ * Returns {columns} or {error, message}
+ */
+export function validateColumnMap(columns) {
+  if (!Array.isArray(columns) || columns.length === 0) {
+    return { error: "invalid_columns", message: "List at least one column." };
+  }
+
+  const headers = new Set();
+  for (const column of columns) {
+    if (!column?.header || !/^[A-Za-z0-9_.]+$/.test(column.field || "")) {
+      return {
+        error: "invalid_columns",
+        message: `Column ${JSON.stringify(column?.header || "")} needs a field like lead.email.`,
+      };
+    }
+    if (headers.has(column.header)) {
+      return {
+        error: "invalid_columns",
+        message: `Column ${column.header} is listed twice.`,
+      };
+    }
+    headers.add(column.header);
+  }
+
+  return {
+    columns: columns.map(({ header, field }) => ({ header, field })),
+  };
+}
+
+/**
+ * Pick a flattened record's column values, masking PII fields
+ * Fields the record does not have are null
+ */
+export function toExportRow(flat, columns, mask = "none") {
+  return columns.map(({ field }) => {
+    const value = flat[field] ?? null;
+    const kind = PII_KINDS.get(field);
+
+    return kind && mask !== "none" ? maskValue(value, kind, mask) : value;
+  });
+}
+
+/**
+ * Mask a PII value: partial keeps initials, the email domain, the last four
+ * phone digits or the IP network; full removes it
+ */
+export function maskValue(value, kind, mask) {
+  if (value === null || value === "" || mask === "none") return value;
+  if (mask === "full") return null;
+
+  const text = String(value);
+  switch (kind) {
+    case "name":
+      return text
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((word) => `${word[0]}.`)
+        .join(" ");
+    case "email": {
+      const [local, domain] = text.split("@");
+      return domain ? `${local[0]}***@${domain}` : "***";
+    }
+    case "phone":
+      return `***${text.replace(/\D/g, "").slice(-4)}`;
+    case "ip":
+      return text.includes(":")
+        ? `${text.split(":").slice(0, 3).join(":")}::`
+        : text.replace(/\.\d+$/, ".0");
+    default:
+      return "[redacted]";
+  }
+}
+
+/**
+ * Format one CSV line; every value is quoted, and text a spreadsheet would
+ * run as a formula is prefixed with a quote
+ */
+export function toCsvLine(values) {
+  return (
+    values
+      .map((value) => {
+        const text = Array.isArray(value)
+          ? value.join("; ")
+          : String(value ?? "");
+        const safe =
+          /^[=@\t\r]/.test(text) || /^[+-](?![\d.]+$)/.test(text)
+            ? `'${text}`
+            : text;
+        return `"${safe.replace(/"/g, '""')}"`;
+      })
+      .join(",") + "\r\n"
+  );
+}
+
+/**
+ * Yield a CSV export: the header line, then a line per row
+ */
+async function* toCsvChunks(columns, rows) {
+  yield toCsvLine(columns.map(({ header }) => header));
+  for await (const row of rows) {
+    yield toCsvLine(row);
+  }
+}
+
+/**
+ * Yield a JSONL export: an object per row with keys in column order
+ */
+async function* toJsonlChunks(columns, rows) {
+  for await (const row of rows) {
+    yield JSON.stringify(
+      Object.fromEntries(columns.map(({ header }, i) => [header, row[i]])),
+    ) + "\n";
+  }
+}
+
+/**
+ * Yield an XLSX export as a single workbook
+ */
+async function* toXlsxChunks(columns, rows) {
+  const values = [];
+  for await (const row of rows) {
+    values.push(
+      row.map((value) => (Array.isArray(value) ? value.join("; ") : value)),
+    );
+  }
+
+  yield buildXlsx(
+    columns.map(({ header }) => header),
+    values,
+  );
+}
+
+/**
+ * Turn an async iterable of strings or bytes into a ReadableStream of bytes
+ * that reads ahead only as fast as it is consumed
+ */
+function toByteStream(chunks) {
+  const iterator = chunks[Symbol.asyncIterator]();
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(
+            typeof value === "string" ? encoder.encode(value) : value,
+          );
+        }
+      } catch (error) {
+        console.error("Lead export failed:", error);
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await iterator.return?.();
+    },
+  });
+}
+
+/**
+ * Flatten nested objects into dotted keys
+ */
+function flattenObject(value, prefix, into = {}) {
+  for (const [key, entry] of Object.entries(value || {})) {
+    if (entry && typeof entry === "object" && !Array.isArray(entry)) {
+      flattenObject(entry, `${prefix}${key}.`, into);
+    } else {
+      into[`${prefix}${key}`] = entry;
+    }
+  }
+  return into;
+}
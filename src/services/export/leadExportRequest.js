@@ -0,0 +1,140 @@
+/**
+ * Lead Export Request Handler
+ * Serves GET /api/admin/leads/export?from=&to=&format=&columns=&mask= for
+ * staff; the file streams back as an attachment
+ *
+ * Errors use the lead endpoint's {ok, error, details} shape
+ */
+
+import { z } from "zod";
+import {
+  EXPORT_FORMATS,
+  EXPORT_LIMITS,
+  EXPORT_MASKS,
+} from "../../config/export.js";
+import { authorizeRequest } from "../auth/guards.js";
+import { getDateKey, shiftDateKey } from "../storage/records.js";
+import { jsonResponse } from "../submission/http.js";
+import { createLeadExporter, parseColumnMap } from "./leadExport.js";
+
+const dateKey = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Must be a YYYY-MM-DD date")
+  .refine(
+    (value) => !Number.isNaN(Date.parse(value)),
+    "Must be a valid calendar date",
+  );
+
+const ExportQuerySchema = z.object({
+  from: dateKey.optional(),
+  to: dateKey.optional(),
+  format: z
+    .enum(Object.keys(EXPORT_FORMATS), {
+      errorMap: () => ({ message: "Format must be csv, jsonl or xlsx." }),
+    })
+    .default("csv"),
+  mask: z
+    .enum(EXPORT_MASKS, {
+      errorMap: () => ({ message: "Mask must be none, partial or full." }),
+    })
+    .default("partial"),
+  columns: z.string().optional(),
+});
+
+/**
+ * Handle GET /api/admin/leads/export
+ *
+ * Options:
+ * - env: runtime bindings (DB, R2_BUCKET and the auth variables)
+ * - exporter: injectable LeadExporter, mainly for tests
+ * - now: clock override for the default date range
+ */
+export async function handleLeadExport(request, options = {}) {
+  try {
+    const { principal, response } = await authorizeRequest(
+      request,
+      options.env,
+      ["staff"],
+      options,
+    );
+    if (!principal) return response;
+
+    const query = Object.fromEntries(new URL(request.url).searchParams);
+    const validation = ExportQuerySchema.safeParse(query);
+    if (!validation.success) {
+      const details = {};
+      for (const issue of validation.error.issues) {
+        details[issue.path.join(".")] ??= issue.message;
+      }
+      return validationFailed(details);
+    }
+
+    const { format, mask } = validation.data;
+    const to =
+      validation.data.to ||
+      getDateKey(new Date(options.now ?? Date.now()).toISOString());
+    const from =
+      validation.data.from ||
+      shiftDateKey(to, -(EXPORT_LIMITS.defaultRangeDays - 1));
+    if (from > to) {
+      return validationFailed({ from: "Must be on or before the end date." });
+    }
+    if (from < shiftDateKey(to, -(EXPORT_LIMITS.maxRangeDays - 1))) {
+      return validationFailed({
+        from: `Export at most ${EXPORT_LIMITS.maxRangeDays} days at a time.`,
+      });
+    }
+
+    let columns;
+    if (validation.data.columns) {
+      const columnMap = parseColumnMap(validation.data.columns);
+      if (columnMap.error) {
+        return validationFailed({ columns: columnMap.message });
+      }
+      columns = columnMap.columns;
+    }
+
+    // Unmasked personal data only leaves with an admin
+    if (mask === "none" && principal.role !== "admin") {
+      return jsonResponse(
+        {
+          ok: false,
+          error: "forbidden",
+          details: { mask: "Only admins can export unmasked leads." },
+        },
+        403,
+      );
+    }
+
+    console.log("Lead export:", {
+      actor: `${principal.role}:${principal.id}`,
+      format,
+      from,
+      to,
+      mask,
+      columns: columns?.length ?? "default",
+    });
+
+    const exporter = options.exporter || createLeadExporter(options.env);
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    return new Response(exporter.export(from, to, { format, columns, mask }), {
+      headers: {
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="leads-${from}-to-${to}.${extension}"`,
+        "Cache-Control": "no-store",
+      },
+    });
+  } catch (error) {
+    console.error("Lead export error:", error);
+
+    return jsonResponse({ ok: false, error: "internal_error" }, 500);
+  }
+}
+
+/**
+ * Build a 400 validation_failed response
+ */
+function validationFailed(details) {
+  return jsonResponse({ ok: false, error: "validation_failed", details }, 400);
+}
@@ -0,0 +1,222 @@
+/**
+ * Ping-Post Lead Auction
+ * Pings buyers with a redacted lead, collects bids until the ping timeout,
+ * then posts the full lead to the highest bidders
+ *
+ * Leads use the {lead_id, prospect, move, tracking, consent, timestamp}
+ * payload built by LeadFormHandler.preparePayload. Pings and posts are signed
+ * like partner webhooks (see webhooks.js):
+ * - ping: {auction_id, lead: {move, timestamp}} answered with
+ *   {bid: <US dollars> | null, bid_id}
+ * - post: {auction_id, bid_id, price, lead: <full payload>} answered with any
+ *   2xx unless the body says {accepted: false}
+ */
+
+import { DISTRIBUTION_RULES } from "../../config/distribution.js";
+import { signRequestHeaders } from "./webhooks.js";
+import { createAuctionLog } from "./auctionLog.js";
+
+/**
+ * Move fields buyers may see before buying; free-text fields are left out
+ * because customers put names, phone numbers and gate codes in them
+ */
+const PING_MOVE_FIELDS = [
+  "from_zip",
+  "to_zip",
+  "date",
+  "flexible",
+  "home_size",
+  "items_count",
+  "stairs_or_elevator",
+  "budget_range",
+];
+
+/**
+ * Runs auctions among buyers and logs each one
+ */
+export class LeadAuction {
+  constructor(log, options = {}) {
+    this.log = log;
+    this.rules = options.rules || DISTRIBUTION_RULES.auction;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Auction a lead payload among buyers (partners with a pingUrl, postUrl
+   * and webhookSecret)
+   * Returns the logged auction: {id, leadId, status ("sold" or "unsold"),
+   * bids, winners, createdAt, closedAt}
+   */
+  async run(payload, buyers) {
+    const auction = {
+      id: crypto.randomUUID(),
+      leadId: payload.lead_id,
+      status: "open",
+      bids: [],
+      winners: [],
+      createdAt: new Date(this.now()).toISOString(),
+      closedAt: null,
+    };
+
+    const ping = { auction_id: auction.id, lead: redactLeadPayload(payload) };
+    auction.bids = await Promise.all(
+      buyers.map((buyer) => this.ping(buyer, ping)),
+    );
+
+    // Highest bid first; the faster buyer wins a tie
+    const ranked = auction.bids
+      .filter((bid) => bid.status === "bid")
+      .sort((a, b) => b.amount - a.amount || a.latencyMs - b.latencyMs);
+
+    // A buyer that fails to take the post gives way to the next bid
+    for (const bid of ranked) {
+      if (auction.winners.length >= this.rules.winners) {
+        bid.outcome = "lost";
+        continue;
+      }
+
+      const buyer = buyers.find((partner) => partner.id === bid.partnerId);
+      const error = await this.post(buyer, bid, payload, auction.id);
+      if (error) {
+        bid.outcome = "post_failed";
+        bid.error = error;
+        continue;
+      }
+
+      bid.outcome = "won";
+      auction.winners.push({
+        partnerId: bid.partnerId,
+        price: bid.amount,
+        bidId: bid.bidId,
+      });
+    }
+
+    auction.status = auction.winners.length ? "sold" : "unsold";
+    auction.closedAt = new Date(this.now()).toISOString();
+    await this.log.save(auction);
+
+    return auction;
+  }
+
+  /**
+   * Ask one buyer for a bid
+   * Returns {partnerId, status, amount, bidId, latencyMs, error, outcome}
+   * where status is bid, no_bid, below_reserve, timeout or error
+   */
+  async ping(buyer, body) {
+    const bid = {
+      partnerId: buyer.id,
+      status: "no_bid",
+      amount: null,
+      bidId: null,
+      latencyMs: 0,
+      error: null,
+      outcome: null,
+    };
+    const startedAt = this.now();
+
+    try {
+      const response = await this.request(
+        buyer.pingUrl,
+        "lead.ping",
+        body,
+        buyer.webhookSecret,
+        this.rules.pingTimeoutMs,
+      );
+      if (!response.ok) {
+        throw new Error(`Ping answered with HTTP ${response.status}`);
+      }
+
+      const answer = await response.json();
+      const amount = Number(answer?.bid);
+      if (answer?.bid !== null && answer?.bid !== undefined && amount > 0) {
+        bid.amount = amount;
+        bid.bidId = answer.bid_id ? String(answer.bid_id) : null;
+        bid.status =
+          amount >= this.rules.reservePrice ? "bid" : "below_reserve";
+      }
+    } catch (error) {
+      bid.status = error.name === "TimeoutError" ? "timeout" : "error";
+      bid.error = error.message;
+    }
+
+    bid.latencyMs = this.now() - startedAt;
+    return bid;
+  }
+
+  /**
+   * Post the full lead to a winning buyer
+   * Returns null when the buyer took it, otherwise why it did not
+   */
+  async post(buyer, bid, payload, auctionId) {
+    try {
+      const response = await this.request(
+        buyer.postUrl,
+        "lead.post",
+        {
+          auction_id: auctionId,
+          bid_id: bid.bidId,
+          price: bid.amount,
+          lead: payload,
+        },
+        buyer.webhookSecret,
+        this.rules.postTimeoutMs,
+      );
+      if (!response.ok) {
+        return `Post answered with HTTP ${response.status}`;
+      }
+
+      const answer = await response.json().catch(() => null);
+      return answer?.accepted === false ? "Buyer rejected the lead" : null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * POST a signed JSON body
+   */
+  async request(url, event, body, secret, timeoutMs) {
+    const json = JSON.stringify(body);
+
+    return this.fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Lead-Event": event,
+        ...(await signRequestHeaders(json, secret, this.now())),
+      },
+      body: json,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  }
+}
+
+/**
+ * Create the lead auction for the current runtime environment
+ */
+export function createLeadAuction(env = {}, options = {}) {
+  return new LeadAuction(createAuctionLog(env), options);
+}
+
+/**
+ * Strip a lead payload down to what buyers see in a ping: the move details
+ * without any contact, tracking or free-text fields
+ */
+export function redactLeadPayload(payload) {
+  const move = {};
+  for (const field of PING_MOVE_FIELDS) {
+    move[field] = payload.move[field] ?? null;
+  }
+
+  return { move, timestamp: payload.timestamp };
+}
+
+/**
+ * Check whether a lead payload may be sold; only leads whose customer gave
+ * TCPA consent to be contacted by partners are auctioned
+ */
+export function isAuctionable(payload) {
+  return payload?.consent?.tcpa === true;
+}
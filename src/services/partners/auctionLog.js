@@ -0,0 +1,140 @@
+/**
+ * Auction Log
+ * Records every ping-post auction with the bids collected and who won
+ * Schema: migrations/0004_create_auctions.sql
+ */
+
+/**
+ * Stores auctions in the Cloudflare D1 `auctions` table
+ */
+export class D1AuctionLog {
+  constructor(db) {
+    this.db = db;
+    this.name = "D1";
+  }
+
+  /**
+   * Insert or update an auction
+   */
+  async save(auction) {
+    await this.db
+      .prepare(
+        `INSERT INTO auctions (id, lead_id, status, bids, winners, created_at, closed_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET status = excluded.status, bids = excluded.bids, winners = excluded.winners,
+           closed_at = excluded.closed_at`,
+      )
+      .bind(
+        auction.id,
+        auction.leadId,
+        auction.status,
+        JSON.stringify(auction.bids),
+        JSON.stringify(auction.winners),
+        auction.createdAt,
+        auction.closedAt,
+      )
+      .run();
+
+    return auction;
+  }
+
+  /**
+   * Get an auction by ID, or null
+   */
+  async get(id) {
+    const row = await this.db
+      .prepare("SELECT * FROM auctions WHERE id = ?")
+      .bind(id)
+      .first();
+
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * List the auctions run for a lead
+   */
+  async listByLead(leadId) {
+    const { results } = await this.db
+      .prepare(
+        "SELECT * FROM auctions WHERE lead_id = ? ORDER BY created_at ASC",
+      )
+      .bind(leadId)
+      .all();
+
+    return (results || []).map((row) => this.fromRow(row));
+  }
+
+  /**
+   * Convert a table row into an auction object
+   */
+  fromRow(row) {
+    return {
+      id: row.id,
+      leadId: row.lead_id,
+      status: row.status,
+      bids: JSON.parse(row.bids),
+      winners: JSON.parse(row.winners),
+      createdAt: row.created_at,
+      closedAt: row.closed_at,
+    };
+  }
+}
+
+/**
+ * Process-local log for tests and local development without D1
+ */
+export class MemoryAuctionLog {
+  constructor() {
+    this.auctions = new Map();
+    this.name = "Memory";
+  }
+
+  /**
+   * Insert or update an auction
+   */
+  async save(auction) {
+    this.auctions.set(auction.id, structuredClone(auction));
+    return auction;
+  }
+
+  /**
+   * Get an auction by ID, or null
+   */
+  async get(id) {
+    const auction = this.auctions.get(id);
+    return auction ? structuredClone(auction) : null;
+  }
+
+  /**
+   * List the auctions run for a lead
+   */
+  async listByLead(leadId) {
+    return Array.from(this.auctions.values())
+      .filter((auction) => auction.leadId === leadId)
+      .map((auction) => structuredClone(auction));
+  }
+
+  /**
+   * Remove all auctions
+   */
+  clear() {
+    this.auctions.clear();
+  }
+}
+
+/**
+ * Shared in-memory log used when no DB binding is available
+ */
+const fallbackLog = new MemoryAuctionLog();
+
+/**
+ * Create the auction log for the current runtime environment
+ */
+export function createAuctionLog(env = {}) {
+  if (env.DB) {
+    return new D1AuctionLog(env.DB);
+  }
+
+  console.warn("No DB binding configured, auction log is in memory only");
+  return fallbackLog;
+}
@@ -0,0 +1,531 @@
+/**
+ * Partner Directory
+ * The partner movers leads are distributed to, and the record of which
+ * leads went to which partner
+ * Schema: migrations/0002_create_partners.sql, with webhook, auction, inbox
+ * and comparison columns added by 0003, 0004, 0005 and 0007
+ */
+
+/**
+ * Stores partners and assignments in Cloudflare D1
+ */
+export class D1PartnerDirectory {
+  constructor(db) {
+    this.db = db;
+    this.name = "D1";
+  }
+
+  /**
+   * List every partner, paused or not
+   */
+  async list() {
+    const { results } = await this.db
+      .prepare("SELECT * FROM partners ORDER BY id ASC")
+      .all();
+
+    return (results || []).map((row) => this.fromRow(row));
+  }
+
+  /**
+   * Get a partner by ID, or null
+   */
+  async get(id) {
+    const row = await this.db
+      .prepare("SELECT * FROM partners WHERE id = ?")
+      .bind(id)
+      .first();
+
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * Get the partner holding an API key by the key's hash, or null
+   */
+  async getByApiKeyHash(hash) {
+    const row = await this.db
+      .prepare("SELECT * FROM partners WHERE api_key_hash = ?")
+      .bind(hash)
+      .first();
+
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * Insert or update a partner
+   */
+  async save(partner) {
+    const now = new Date().toISOString();
+    const record = normalizePartner(partner, now);
+
+    await this.db
+      .prepare(
+        `INSERT INTO partners (id, company, email, phone, service_zips, move_sizes, service_types, daily_capacity, weight, paused, webhook_url, webhook_secret, ping_url, post_url, rating, review_count, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET company = excluded.company, email = excluded.email, phone = excluded.phone,
+           service_zips = excluded.service_zips, move_sizes = excluded.move_sizes, service_types = excluded.service_types,
+           daily_capacity = excluded.daily_capacity, weight = excluded.weight, paused = excluded.paused,
+           webhook_url = excluded.webhook_url, webhook_secret = excluded.webhook_secret,
+           ping_url = excluded.ping_url, post_url = excluded.post_url,
+           rating = excluded.rating, review_count = excluded.review_count, updated_at = excluded.updated_at`,
+      )
+      .bind(
+        record.id,
+        record.company,
+        record.email,
+        record.phone,
+        JSON.stringify(record.serviceZips),
+        JSON.stringify(record.moveSizes),
+        JSON.stringify(record.serviceTypes),
+        record.dailyCapacity,
+        record.weight,
+        record.paused ? 1 : 0,
+        record.webhookUrl,
+        record.webhookSecret,
+        record.pingUrl,
+        record.postUrl,
+        record.rating,
+        record.reviewCount,
+        record.createdAt,
+        record.updatedAt,
+      )
+      .run();
+
+    return record;
+  }
+
+  /**
+   * Pause or resume a partner; returns false when the partner does not exist
+   */
+  async setPaused(id, paused) {
+    const result = await this.db
+      .prepare("UPDATE partners SET paused = ?, updated_at = ? WHERE id = ?")
+      .bind(paused ? 1 : 0, new Date().toISOString(), id)
+      .run();
+
+    return result.meta?.changes > 0;
+  }
+
+  /**
+   * Replace a partner's API key hash; returns false when the partner does
+   * not exist
+   */
+  async setApiKeyHash(id, hash) {
+    const result = await this.db
+      .prepare(
+        "UPDATE partners SET api_key_hash = ?, updated_at = ? WHERE id = ?",
+      )
+      .bind(hash, new Date().toISOString(), id)
+      .run();
+
+    return result.meta?.changes > 0;
+  }
+
+  /**
+   * Per-partner assignment counts for a YYYY-MM-DD date key
+   * Returns {partnerId: {assignedToday, lastAssignedAt}}
+   */
+  async getAssignmentStats(dateKey) {
+    const { results } = await this.db
+      .prepare(
+        `SELECT partner_id, SUM(CASE WHEN date_key = ? THEN 1 ELSE 0 END) AS assigned_today, MAX(assigned_at) AS last_assigned_at
+         FROM lead_assignments GROUP BY partner_id`,
+      )
+      .bind(dateKey)
+      .all();
+
+    const stats = {};
+    for (const row of results || []) {
+      stats[row.partner_id] = {
+        assignedToday: row.assigned_today,
+        lastAssignedAt: row.last_assigned_at,
+      };
+    }
+    return stats;
+  }
+
+  /**
+   * Record {leadId, partnerId, assignedAt, dateKey} assignments
+   */
+  async recordAssignments(assignments) {
+    if (assignments.length === 0) return;
+
+    await this.db.batch(
+      assignments.map((assignment) =>
+        this.db
+          .prepare(
+            "INSERT INTO lead_assignments (lead_id, partner_id, assigned_at, date_key, status, updated_at) VALUES (?, ?, ?, ?, 'assigned', ?)",
+          )
+          .bind(
+            assignment.leadId,
+            assignment.partnerId,
+            assignment.assignedAt,
+            assignment.dateKey,
+            assignment.assignedAt,
+          ),
+      ),
+    );
+  }
+
+  /**
+   * List the assignments made for a lead
+   */
+  async listAssignments(leadId) {
+    const { results } = await this.db
+      .prepare(
+        "SELECT * FROM lead_assignments WHERE lead_id = ? ORDER BY assigned_at ASC, partner_id ASC",
+      )
+      .bind(leadId)
+      .all();
+
+    return (results || []).map(fromAssignmentRow);
+  }
+
+  /**
+   * List a partner's assignments, newest first, optionally by status
+   */
+  async listPartnerAssignments(partnerId, { status = null, limit = 50 } = {}) {
+    const { results } = await this.db
+      .prepare(
+        `SELECT * FROM lead_assignments WHERE partner_id = ? AND (? IS NULL OR status = ?)
+         ORDER BY assigned_at DESC, lead_id ASC LIMIT ?`,
+      )
+      .bind(partnerId, status, status, limit)
+      .all();
+
+    return (results || []).map(fromAssignmentRow);
+  }
+
+  /**
+   * Get the assignment of a lead to a partner, or null
+   */
+  async getAssignment(leadId, partnerId) {
+    const row = await this.db
+      .prepare(
+        "SELECT * FROM lead_assignments WHERE lead_id = ? AND partner_id = ?",
+      )
+      .bind(leadId, partnerId)
+      .first();
+
+    return row ? fromAssignmentRow(row) : null;
+  }
+
+  /**
+   * Save a partner's response to an assignment (status, declineReason,
+   * quoteAmount, quoteIncludes, availableDate, note and updatedAt)
+   */
+  async updateAssignment(assignment) {
+    await this.db
+      .prepare(
+        `UPDATE lead_assignments SET status = ?, decline_reason = ?, quote_amount = ?, quote_includes = ?, available_date = ?,
+           note = ?, updated_at = ?
+         WHERE lead_id = ? AND partner_id = ?`,
+      )
+      .bind(
+        assignment.status,
+        assignment.declineReason,
+        assignment.quoteAmount,
+        JSON.stringify(assignment.quoteIncludes),
+        assignment.availableDate,
+        assignment.note,
+        assignment.updatedAt,
+        assignment.leadId,
+        assignment.partnerId,
+      )
+      .run();
+
+    return assignment;
+  }
+
+  /**
+   * Convert a table row into a partner object
+   */
+  fromRow(row) {
+    return {
+      id: row.id,
+      company: row.company,
+      email: row.email,
+      phone: row.phone,
+      serviceZips: JSON.parse(row.service_zips),
+      moveSizes: JSON.parse(row.move_sizes),
+      serviceTypes: JSON.parse(row.service_types),
+      dailyCapacity: row.daily_capacity,
+      weight: row.weight,
+      paused: Boolean(row.paused),
+      webhookUrl: row.webhook_url || null,
+      webhookSecret: row.webhook_secret || null,
+      pingUrl: row.ping_url || null,
+      postUrl: row.post_url || null,
+      rating: row.rating ?? null,
+      reviewCount: row.review_count || 0,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+/**
+ * Process-local directory for tests and local development without D1
+ */
+export class MemoryPartnerDirectory {
+  constructor() {
+    this.partners = new Map();
+    this.assignments = [];
+    this.apiKeyHashes = new Map();
+    this.name = "Memory";
+  }
+
+  /**
+   * List every partner, paused or not
+   */
+  async list() {
+    return Array.from(this.partners.values())
+      .sort((a, b) => a.id.localeCompare(b.id))
+      .map((partner) => structuredClone(partner));
+  }
+
+  /**
+   * Get a partner by ID, or null
+   */
+  async get(id) {
+    const partner = this.partners.get(id);
+    return partner ? structuredClone(partner) : null;
+  }
+
+  /**
+   * Get the partner holding an API key by the key's hash, or null
+   */
+  async getByApiKeyHash(hash) {
+    const id = this.apiKeyHashes.get(hash);
+    return id ? this.get(id) : null;
+  }
+
+  /**
+   * Insert or update a partner
+   */
+  async save(partner) {
+    const now = new Date().toISOString();
+    const record = normalizePartner(
+      { createdAt: this.partners.get(partner.id)?.createdAt, ...partner },
+      now,
+    );
+
+    this.partners.set(record.id, structuredClone(record));
+    return record;
+  }
+
+  /**
+   * Pause or resume a partner; returns false when the partner does not exist
+   */
+  async setPaused(id, paused) {
+    const partner = this.partners.get(id);
+    if (!partner) return false;
+
+    partner.paused = Boolean(paused);
+    partner.updatedAt = new Date().toISOString();
+    return true;
+  }
+
+  /**
+   * Replace a partner's API key hash; returns false when the partner does
+   * not exist
+   */
+  async setApiKeyHash(id, hash) {
+    const partner = this.partners.get(id);
+    if (!partner) return false;
+
+    for (const [existing, partnerId] of this.apiKeyHashes) {
+      if (partnerId === id) this.apiKeyHashes.delete(existing);
+    }
+    this.apiKeyHashes.set(hash, id);
+    partner.updatedAt = new Date().toISOString();
+    return true;
+  }
+
+  /**
+   * Per-partner assignment counts for a YYYY-MM-DD date key
+   * Returns {partnerId: {assignedToday, lastAssignedAt}}
+   */
+  async getAssignmentStats(dateKey) {
+    const stats = {};
+
+    for (const assignment of this.assignments) {
+      const entry = (stats[assignment.partnerId] ??= {
+        assignedToday: 0,
+        lastAssignedAt: null,
+      });
+      if (assignment.dateKey === dateKey) entry.assignedToday++;
+      if (
+        !entry.lastAssignedAt ||
+        assignment.assignedAt > entry.lastAssignedAt
+      ) {
+        entry.lastAssignedAt = assignment.assignedAt;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Record {leadId, partnerId, assignedAt, dateKey} assignments
+   */
+  async recordAssignments(assignments) {
+    for (const { leadId, partnerId, assignedAt, dateKey } of assignments) {
+      this.assignments.push({
+        leadId,
+        partnerId,
+        assignedAt,
+        dateKey,
+        status: "assigned",
+        declineReason: null,
+        quoteAmount: null,
+        quoteIncludes: [],
+        availableDate: null,
+        note: null,
+        updatedAt: assignedAt,
+      });
+    }
+  }
+
+  /**
+   * List the assignments made for a lead
+   */
+  async listAssignments(leadId) {
+    return this.assignments
+      .filter((assignment) => assignment.leadId === leadId)
+      .map((assignment) => structuredClone(assignment));
+  }
+
+  /**
+   * List a partner's assignments, newest first, optionally by status
+   */
+  async listPartnerAssignments(partnerId, { status = null, limit = 50 } = {}) {
+    return this.assignments
+      .filter(
+        (assignment) =>
+          assignment.partnerId === partnerId &&
+          (!status || assignment.status === status),
+      )
+      .sort(
+        (a, b) =>
+          b.assignedAt.localeCompare(a.assignedAt) ||
+          a.leadId.localeCompare(b.leadId),
+      )
+      .slice(0, limit)
+      .map((assignment) => structuredClone(assignment));
+  }
+
+  /**
+   * Get the assignment of a lead to a partner, or null
+   */
+  async getAssignment(leadId, partnerId) {
+    const assignment = this.assignments.find(
+      (entry) => entry.leadId === leadId && entry.partnerId === partnerId,
+    );
+    return assignment ? structuredClone(assignment) : null;
+  }
+
+  /**
+   * Save a partner's response to an assignment (status, declineReason,
+   * quoteAmount, quoteIncludes, availableDate, note and updatedAt)
+   */
+  async updateAssignment(assignment) {
+    const entry = this.assignments.find(
+      ({ leadId, partnerId }) =>
+        leadId === assignment.leadId && partnerId === assignment.partnerId,
+    );
+    if (entry) {
+      const {
+        status,
+        declineReason,
+        quoteAmount,
+        quoteIncludes,
+        availableDate,
+        note,
+        updatedAt,
+      } = assignment;
+      Object.assign(entry, {
+        status,
+        declineReason,
+        quoteAmount,
+        quoteIncludes: [...quoteIncludes],
+        availableDate,
+        note,
+        updatedAt,
+      });
+    }
+
+    return assignment;
+  }
+
+  /**
+   * Remove all partners, assignments and API keys
+   */
+  clear() {
+    this.partners.clear();
+    this.assignments = [];
+    this.apiKeyHashes.clear();
+  }
+}
+
+/**
+ * Shared in-memory directory used when no DB binding is available
+ */
+const fallbackDirectory = new MemoryPartnerDirectory();
+
+/**
+ * Create the partner directory for the current runtime environment
+ */
+export function createPartnerDirectory(env = {}) {
+  if (env.DB) {
+    return new D1PartnerDirectory(env.DB);
+  }
+
+  console.warn("No DB binding configured, partner directory is in memory only");
+  return fallbackDirectory;
+}
+
+/**
+ * Convert a lead_assignments row into an assignment object
+ */
+function fromAssignmentRow(row) {
+  return {
+    leadId: row.lead_id,
+    partnerId: row.partner_id,
+    assignedAt: row.assigned_at,
+    dateKey: row.date_key,
+    status: row.status || "assigned",
+    declineReason: row.decline_reason || null,
+    quoteAmount: row.quote_amount ?? null,
+    quoteIncludes: JSON.parse(row.quote_includes || "[]"),
+    availableDate: row.available_date || null,
+    note: row.note || null,
+    updatedAt: row.updated_at || row.assigned_at,
+  };
+}
+
+/**
+ * Fill in defaults for a partner being saved
+ * Empty moveSizes or serviceTypes lists mean the partner takes them all
+ */
+function normalizePartner(partner, now) {
+  return {
+    id: partner.id,
+    company: partner.company,
+    email: partner.email,
+    phone: partner.phone || null,
+    serviceZips: partner.serviceZips || [],
+    moveSizes: partner.moveSizes || [],
+    serviceTypes: partner.serviceTypes || [],
+    dailyCapacity: partner.dailyCapacity ?? 0,
+    weight: partner.weight ?? 1,
+    paused: Boolean(partner.paused),
+    webhookUrl: partner.webhookUrl || null,
+    webhookSecret: partner.webhookSecret || null,
+    pingUrl: partner.pingUrl || null,
+    postUrl: partner.postUrl || null,
+    rating: partner.rating ?? null,
+    reviewCount: partner.reviewCount ?? 0,
+    createdAt: partner.createdAt || now,
+    updatedAt: now,
+  };
+}
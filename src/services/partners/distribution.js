@@ -0,0 +1,378 @@
+/**
+ * Lead Distribution
+ * Routes each new lead to the partner movers that serve it, rotating through
+ * partners by weight and respecting their daily capacity; in ping-post mode
+ * consented leads are auctioned first. Every delivery is audited
+ */
+
+import {
+  DISTRIBUTION_RULES,
+  getDistributionRules,
+} from "../../config/distribution.js";
+import { auditMailer, createAuditTrail } from "../audit/auditTrail.js";
+import { emailService } from "../email/emailService.js";
+import { getLocalDateKey } from "../submission/moveRules.js";
+import { createLeadAuction, isAuctionable } from "./auction.js";
+import { createPartnerDirectory } from "./directory.js";
+import { createWebhookDispatcher } from "./webhooks.js";
+
+/**
+ * Lead form home sizes in the quote form's move size vocabulary
+ */
+const HOME_SIZE_MOVE_SIZES = {
+  studio: "studio",
+  "1BR": "1-bed",
+  "2BR": "2-bed",
+  "3BR": "3-bed",
+  "4BR+": "4-bed",
+};
+
+/**
+ * Assigns leads to partners, records the assignments and notifies each
+ * assigned partner by email, and by signed webhook when the partner has one
+ * and a webhook dispatcher is given
+ * In ping-post mode with an auction given, leads sold at auction go only to
+ * the winning buyers, who receive them through the post
+ */
+export class LeadDistributor {
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.rules = options.rules || DISTRIBUTION_RULES;
+    this.mailer = options.mailer || emailService;
+    this.webhooks = options.webhooks || null;
+    this.auction = options.auction || null;
+    this.audit = options.audit || null;
+    this.waitUntil = options.waitUntil || null;
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Distribute a lead (see getQuoteDistributionLead) to eligible partners
+   * `payload` is the lead form payload auctioned in ping-post mode
+   *
+   * Returns the {leadId, partnerId, company, assignedAt, dateKey, notified,
+   * webhookDeliveryId} assignments made, which is empty when no partner is
+   * eligible; notified is true when any notification got through. Webhooks
+   * left to waitUntil fill in their fields after this returns. Leads sold
+   * at auction return the winners' assignments with auctionId and price.
+   */
+  async distribute(lead, { payload = null } = {}) {
+    const now = new Date(this.now());
+    const dateKey = getLocalDateKey(now, this.rules.timeZone);
+
+    const [partners, stats] = await Promise.all([
+      this.directory.list(),
+      this.directory.getAssignmentStats(dateKey),
+    ]);
+
+    if (
+      this.rules.mode === "ping-post" &&
+      this.auction &&
+      isAuctionable(payload)
+    ) {
+      const sold = await this.sell(lead, payload, partners, stats, {
+        now,
+        dateKey,
+      });
+      if (sold.length) return sold;
+    }
+
+    const selected = selectPartners(
+      partners,
+      lead,
+      stats,
+      this.rules.partnersPerLead,
+    );
+
+    const assignments = selected.map((partner) => ({
+      leadId: lead.id,
+      partnerId: partner.id,
+      company: partner.company,
+      assignedAt: now.toISOString(),
+      dateKey,
+      notified: false,
+      webhookDeliveryId: null,
+    }));
+    await this.directory.recordAssignments(assignments);
+
+    // One partner's failed notification must not stop the others
+    for (const [index, partner] of selected.entries()) {
+      await this.notify(partner, lead, assignments[index]);
+    }
+
+    if (assignments.length < this.rules.partnersPerLead) {
+      console.warn("Lead under-distributed:", {
+        leadId: lead.id,
+        assigned: assignments.length,
+        wanted: this.rules.partnersPerLead,
+      });
+    }
+
+    return assignments;
+  }
+
+  /**
+   * Assign a lead to one chosen partner, outside the rotation and capacity
+   * rules, and notify them as distribute does
+   * Returns the {leadId, partnerId, company, assignedAt, dateKey, notified,
+   * webhookDeliveryId} assignment
+   */
+  async assign(lead, partner) {
+    const now = new Date(this.now());
+    const assignment = {
+      leadId: lead.id,
+      partnerId: partner.id,
+      company: partner.company,
+      assignedAt: now.toISOString(),
+      dateKey: getLocalDateKey(now, this.rules.timeZone),
+      notified: false,
+      webhookDeliveryId: null,
+    };
+    await this.directory.recordAssignments([assignment]);
+    await this.notify(partner, lead, assignment);
+
+    return assignment;
+  }
+
+  /**
+   * Email a partner a lead assigned to them, and send the lead.assigned
+   * webhook when they have one; failures are logged and leave
+   * assignment.notified false
+   * With a waitUntil given the webhook is sent after the response instead,
+   * so its retries never hold up the submission
+   */
+  async notify(partner, lead, assignment) {
+    try {
+      await this.mailer.sendPartnerLeadNotification(partner, lead);
+      assignment.notified = true;
+    } catch (error) {
+      console.error("Failed to notify partner:", {
+        leadId: lead.id,
+        partnerId: partner.id,
+        error: error.message,
+      });
+    }
+    await this.audit?.record(lead.id, "partner_delivery", {
+      partnerId: partner.id,
+      channel: "email",
+      outcome: assignment.notified ? "delivered" : "failed",
+    });
+
+    if (this.webhooks && partner.webhookUrl) {
+      const delivery = this.sendWebhook(partner, lead, assignment);
+      if (this.waitUntil) {
+        this.waitUntil(delivery);
+      } else {
+        await delivery;
+      }
+    }
+  }
+
+  /**
+   * Send a partner the lead.assigned webhook, retries included, and audit how
+   * it went; failures are logged
+   */
+  async sendWebhook(partner, lead, assignment) {
+    try {
+      const delivery = await this.webhooks.deliver(partner, "lead.assigned", {
+        lead,
+      });
+      assignment.webhookDeliveryId = delivery.id;
+      assignment.notified ||= delivery.status === "delivered";
+      await this.audit?.record(lead.id, "partner_delivery", {
+        partnerId: partner.id,
+        channel: "webhook",
+        outcome: delivery.status === "delivered" ? "delivered" : "failed",
+        webhookDeliveryId: delivery.id,
+      });
+    } catch (error) {
+      console.error("Failed to send partner webhook:", {
+        leadId: lead.id,
+        partnerId: partner.id,
+        error: error.message,
+      });
+      await this.audit?.record(lead.id, "partner_delivery", {
+        partnerId: partner.id,
+        channel: "webhook",
+        outcome: "failed",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Auction a lead among eligible buyers and record the winners
+   * Returns the winners' assignments, which is empty when the lead is unsold
+   */
+  async sell(lead, payload, partners, stats, { now, dateKey }) {
+    const buyers = partners.filter(
+      (partner) =>
+        partner.pingUrl &&
+        partner.postUrl &&
+        partner.webhookSecret &&
+        isEligiblePartner(partner, lead, stats[partner.id]?.assignedToday),
+    );
+    if (buyers.length === 0) return [];
+
+    const auction = await this.auction.run(payload, buyers);
+    console.log("Lead auctioned:", {
+      leadId: lead.id,
+      auctionId: auction.id,
+      status: auction.status,
+      bids: auction.bids.filter((bid) => bid.status === "bid").length,
+    });
+
+    const assignments = auction.winners.map((winner) => ({
+      leadId: lead.id,
+      partnerId: winner.partnerId,
+      company: buyers.find((buyer) => buyer.id === winner.partnerId).company,
+      assignedAt: now.toISOString(),
+      dateKey,
+      notified: true,
+      webhookDeliveryId: null,
+      auctionId: auction.id,
+      price: winner.price,
+    }));
+    await this.directory.recordAssignments(assignments);
+
+    for (const assignment of assignments) {
+      await this.audit?.record(lead.id, "partner_delivery", {
+        partnerId: assignment.partnerId,
+        channel: "auction",
+        outcome: "delivered",
+        auctionId: auction.id,
+        price: assignment.price,
+      });
+    }
+
+    return assignments;
+  }
+}
+
+/**
+ * Create the lead distributor for the current runtime environment
+ */
+export function createLeadDistributor(env = {}, options = {}) {
+  const rules = getDistributionRules(env);
+  const audit = options.audit || createAuditTrail(env);
+
+  return new LeadDistributor(createPartnerDirectory(env), {
+    rules,
+    webhooks: createWebhookDispatcher(env),
+    auction: rules.mode === "ping-post" ? createLeadAuction(env) : null,
+    ...options,
+    audit,
+    mailer: auditMailer(options.mailer || emailService, audit),
+  });
+}
+
+/**
+ * Pick up to `limit` eligible partners by weighted round-robin
+ * The partner furthest behind its weighted share of today's leads goes
+ * first; ties go to whoever was assigned a lead least recently
+ */
+export function selectPartners(partners, lead, stats, limit) {
+  const usage = (partner) =>
+    stats[partner.id] || { assignedToday: 0, lastAssignedAt: null };
+
+  return partners
+    .filter((partner) =>
+      isEligiblePartner(partner, lead, usage(partner).assignedToday),
+    )
+    .sort((a, b) => {
+      const loadA = usage(a).assignedToday / Math.max(a.weight, 1);
+      const loadB = usage(b).assignedToday / Math.max(b.weight, 1);
+      if (loadA !== loadB) return loadA - loadB;
+
+      const lastA = usage(a).lastAssignedAt || "";
+      const lastB = usage(b).lastAssignedAt || "";
+      if (lastA !== lastB) return lastA < lastB ? -1 : 1;
+
+      return a.id.localeCompare(b.id);
+    })
+    .slice(0, limit);
+}
+
+/**
+ * Check whether a partner can take a lead
+ * The partner must be active, under today's capacity and serve either end of
+ * the move; an unknown move size or service type is not held against it
+ */
+export function isEligiblePartner(partner, lead, assignedToday = 0) {
+  if (partner.paused) return false;
+  if (assignedToday >= partner.dailyCapacity) return false;
+
+  if (
+    !partner.serviceZips.includes(lead.fromZip) &&
+    !partner.serviceZips.includes(lead.toZip)
+  ) {
+    return false;
+  }
+
+  if (
+    lead.moveSize &&
+    partner.moveSizes.length &&
+    !partner.moveSizes.includes(lead.moveSize)
+  ) {
+    return false;
+  }
+
+  return !(
+    lead.serviceType &&
+    partner.serviceTypes.length &&
+    !partner.serviceTypes.includes(lead.serviceType)
+  );
+}
+
+/**
+ * Build the lead partners see from a validated quote
+ */
+export function getQuoteDistributionLead(quoteId, data) {
+  return {
+    id: quoteId,
+    source: "quote-form",
+    name: data.name,
+    email: data.email,
+    phone: data.phone,
+    moveDate: data.moveDate,
+    flexibleDates: data.flexibleDates || "exact",
+    fromZip: data.fromZip,
+    toZip: data.toZip,
+    moveSize: data.moveSize,
+    serviceType: data.serviceType,
+    specialItems: (data.specialItems || []).filter((item) => item !== "none"),
+    additionalInfo: data.additionalInfo || null,
+  };
+}
+
+/**
+ * Build the lead partners see from a lead form payload
+ */
+export function getLeadDistributionLead(lead) {
+  const { prospect, move } = lead;
+
+  return {
+    id: lead.lead_id,
+    source: "lead-form",
+    name: `${prospect.first_name} ${prospect.last_name}`,
+    email: prospect.email,
+    phone: prospect.phone,
+    moveDate: move.date,
+    flexibleDates: move.flexible ? "1-week" : "exact",
+    fromZip: move.from_zip,
+    toZip: move.to_zip,
+    moveSize: HOME_SIZE_MOVE_SIZES[move.home_size] || null,
+    serviceType: null,
+    specialItems: [],
+    additionalInfo: move.notes,
+  };
+}
+
+/**
+ * Build the lead partners see from a stored submission record
+ */
+export function getRecordDistributionLead(record) {
+  return record.meta?.source === "lead-form"
+    ? getLeadDistributionLead({ lead_id: record.id, ...record.data })
+    : getQuoteDistributionLead(record.id, record.data);
+}
@@ -0,0 +1,358 @@
+/**
+ * Partner Lead Inbox
+ * Lets partners work the leads assigned to them: accept or decline them,
+ * post quotes and report progress. A lead's status follows the responses of
+ * the partners it went to, customers are emailed each quote, and the partner
+ * a customer chooses is told the move is booked and reports it completed
+ *
+ * Partner progress moves the lead's lifecycle forward (see
+ * quotes/lifecycle.js): contacted, quoted, booked and completed follow the
+ * furthest partner, and the lead is lost once every partner has dropped out
+ */
+
+import { auditMailer, createAuditTrail } from "../audit/auditTrail.js";
+import { emailService } from "../email/emailService.js";
+import { canTransition, createQuoteLifecycle } from "../quotes/lifecycle.js";
+import { createLeadStore } from "../storage/leadStore.js";
+import { createPartnerDirectory } from "./directory.js";
+import { getRecordDistributionLead } from "./distribution.js";
+import { createWebhookDispatcher } from "./webhooks.js";
+
+/**
+ * Assignment statuses a partner may move to from each status
+ */
+const ASSIGNMENT_TRANSITIONS = {
+  assigned: ["accepted", "declined"],
+  accepted: ["contacted", "quoted", "booked", "declined", "lost"],
+  contacted: ["quoted", "booked", "lost"],
+  quoted: ["quoted", "booked", "lost"],
+  booked: ["completed"],
+  completed: [],
+  declined: [],
+  lost: [],
+};
+
+export const ASSIGNMENT_STATUSES = Object.keys(ASSIGNMENT_TRANSITIONS);
+
+/**
+ * Assignment statuses that take the partner out of the running
+ */
+export const CLOSED_STATUSES = ["declined", "lost"];
+
+/**
+ * Reads and updates partners' assignments
+ */
+export class PartnerInbox {
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.leadStore = options.leadStore;
+    this.mailer = options.mailer || emailService;
+    this.lifecycle = options.lifecycle || null;
+    this.webhooks = options.webhooks || null;
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * List a partner's assignments, newest first, each with its `lead`
+   * (see getQuoteDistributionLead); lead is null when the record is missing
+   */
+  async list(partnerId, { status = null, limit = 50 } = {}) {
+    const assignments = await this.directory.listPartnerAssignments(partnerId, {
+      status,
+      limit,
+    });
+
+    return Promise.all(
+      assignments.map(async (assignment) => ({
+        ...assignment,
+        lead: await this.getLead(assignment.leadId),
+      })),
+    );
+  }
+
+  /**
+   * Get a lead assigned to a partner with its `lead`, or null when the lead
+   * was not assigned to the partner
+   */
+  async get(partnerId, leadId) {
+    const assignment = await this.directory.getAssignment(leadId, partnerId);
+    if (!assignment) return null;
+
+    return { ...assignment, lead: await this.getLead(leadId) };
+  }
+
+  /**
+   * Apply a partner's {status, reason, amount, includes, availableDate, note}
+   * update to an assignment; includes and availableDate describe a quote
+   * Returns {assignment} or {error: "not_found" | "invalid_transition"}
+   */
+  async update(
+    partner,
+    leadId,
+    {
+      status,
+      reason = null,
+      amount = null,
+      includes = [],
+      availableDate = null,
+      note = null,
+    },
+  ) {
+    const assignment = await this.directory.getAssignment(leadId, partner.id);
+    if (!assignment) {
+      return { error: "not_found" };
+    }
+
+    if (!ASSIGNMENT_TRANSITIONS[assignment.status]?.includes(status)) {
+      return {
+        error: "invalid_transition",
+        message: `Cannot move a lead from ${assignment.status} to ${status}`,
+      };
+    }
+
+    const updated = {
+      ...assignment,
+      status,
+      declineReason: status === "declined" ? reason : assignment.declineReason,
+      quoteAmount: status === "quoted" ? amount : assignment.quoteAmount,
+      quoteIncludes: status === "quoted" ? includes : assignment.quoteIncludes,
+      availableDate:
+        status === "quoted" ? availableDate : assignment.availableDate,
+      note: note ?? assignment.note,
+      updatedAt: new Date(this.now()).toISOString(),
+    };
+    await this.directory.updateAssignment(updated);
+
+    console.log("Partner updated lead:", {
+      leadId,
+      partnerId: partner.id,
+      from: assignment.status,
+      to: status,
+    });
+
+    await this.advanceLifecycle(leadId, {
+      actor: `partner:${partner.id}`,
+      reason: `${partner.company} marked the lead ${status}`,
+    });
+    if (status === "quoted") {
+      await this.notifyCustomer(partner, updated);
+    }
+
+    return { assignment: updated };
+  }
+
+  /**
+   * Book the move with the partner whose quote the customer chose; the other
+   * partners still working the lead lose it
+   * Returns {assignment} or {error: "not_found" | "invalid_transition",
+   * message}
+   */
+  async choose(leadId, partnerId) {
+    const assignments = await this.directory.listAssignments(leadId);
+    const chosen = assignments.find(
+      (assignment) => assignment.partnerId === partnerId,
+    );
+    if (!chosen || CLOSED_STATUSES.includes(chosen.status)) {
+      return { error: "not_found", message: "This mover is not available" };
+    }
+
+    if (
+      assignments.some(({ status }) => ["booked", "completed"].includes(status))
+    ) {
+      return {
+        error: "invalid_transition",
+        message: "A mover was already chosen for this move",
+      };
+    }
+    if (chosen.status !== "quoted") {
+      return {
+        error: "invalid_transition",
+        message: "Only movers that sent a quote can be chosen",
+      };
+    }
+
+    const updatedAt = new Date(this.now()).toISOString();
+    const booked = { ...chosen, status: "booked", updatedAt };
+    await this.directory.updateAssignment(booked);
+    for (const assignment of assignments) {
+      if (
+        assignment === chosen ||
+        CLOSED_STATUSES.includes(assignment.status)
+      ) {
+        continue;
+      }
+      await this.directory.updateAssignment({
+        ...assignment,
+        status: "lost",
+        updatedAt,
+      });
+    }
+
+    const partner = await this.directory.get(partnerId);
+    console.log("Customer chose mover:", { leadId, partnerId });
+
+    await this.advanceLifecycle(leadId, {
+      actor: "customer",
+      reason: `Customer chose ${partner?.company || partnerId}`,
+    });
+    if (partner) {
+      await this.notifyChosenPartner(partner, booked);
+    }
+
+    return { assignment: booked };
+  }
+
+  /**
+   * The lead's status and the movers working it, as the customer sees them:
+   * {status, movers: [{partnerId, company, phone, rating, reviewCount,
+   * status, quoteAmount, includes, availableDate, note, updatedAt}]}
+   * Partners that declined or lost the lead are left out
+   */
+  async getCustomerView(leadId) {
+    const assignments = await this.directory.listAssignments(leadId);
+    const open = assignments.filter(
+      ({ status }) => !CLOSED_STATUSES.includes(status),
+    );
+
+    const movers = await Promise.all(
+      open.map(async (assignment) => {
+        const partner = await this.directory.get(assignment.partnerId);
+
+        return {
+          partnerId: assignment.partnerId,
+          company: partner?.company || null,
+          phone: partner?.phone || null,
+          rating: partner?.rating ?? null,
+          reviewCount: partner?.reviewCount || 0,
+          status: assignment.status,
+          quoteAmount: assignment.quoteAmount,
+          includes: assignment.quoteIncludes,
+          availableDate: assignment.availableDate,
+          note: assignment.note,
+          updatedAt: assignment.updatedAt,
+        };
+      }),
+    );
+
+    return { status: getLeadPartnerStatus(assignments), movers };
+  }
+
+  /**
+   * Load a stored lead in the shape partners are sent
+   */
+  async getLead(leadId) {
+    const record = await this.leadStore.get(leadId);
+    return record ? getRecordDistributionLead(record) : null;
+  }
+
+  /**
+   * Move the lead's lifecycle up to its partners' progress, recording the
+   * {actor, reason} behind the change; routing is left to the distributor,
+   * and failures are logged but never fail the update
+   */
+  async advanceLifecycle(leadId, { actor, reason }) {
+    if (!this.lifecycle) return;
+
+    try {
+      const status = getLeadPartnerStatus(
+        await this.directory.listAssignments(leadId),
+      );
+      const quote = await this.lifecycle.get(leadId);
+      if (
+        status === "routed" ||
+        !quote ||
+        !canTransition(quote.status, status)
+      ) {
+        return;
+      }
+
+      await this.lifecycle.transition(leadId, status, { actor, reason });
+    } catch (error) {
+      console.error("Failed to update quote status from partner:", error);
+    }
+  }
+
+  /**
+   * Email the customer a partner's quote; failures are logged but never fail
+   * the partner's update
+   */
+  async notifyCustomer(partner, assignment) {
+    try {
+      const lead = await this.getLead(assignment.leadId);
+      if (!lead?.email) return;
+
+      await this.mailer.sendPartnerQuoteNotification(lead, partner, assignment);
+    } catch (error) {
+      console.error("Failed to send partner quote to customer:", error);
+    }
+  }
+
+  /**
+   * Tell the chosen partner the move is booked, by email and by webhook when
+   * they have one; failures are logged but never undo the choice
+   */
+  async notifyChosenPartner(partner, assignment) {
+    let lead = null;
+    try {
+      lead = await this.getLead(assignment.leadId);
+      if (lead) {
+        await this.mailer.sendPartnerBookedNotification(
+          partner,
+          lead,
+          assignment,
+        );
+      }
+    } catch (error) {
+      console.error("Failed to send booked lead to partner:", error);
+    }
+
+    if (lead && this.webhooks && partner.webhookUrl) {
+      try {
+        await this.webhooks.deliver(partner, "lead.booked", {
+          lead,
+          assignment,
+        });
+      } catch (error) {
+        console.error("Failed to send partner webhook:", {
+          leadId: lead.id,
+          partnerId: partner.id,
+          error: error.message,
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Create the partner inbox for the current runtime environment
+ */
+export function createPartnerInbox(env = {}, options = {}) {
+  const audit = createAuditTrail(env);
+
+  return new PartnerInbox(createPartnerDirectory(env), {
+    leadStore: createLeadStore(env),
+    lifecycle: createQuoteLifecycle(env, { audit }),
+    webhooks: createWebhookDispatcher(env),
+    ...options,
+    mailer: auditMailer(options.mailer || emailService, audit),
+  });
+}
+
+/**
+ * Derive a lead's status from its assignments: new before it is assigned,
+ * then routed, contacted, quoted, booked or completed by its furthest
+ * partner, and lost once every partner has declined or lost it
+ */
+export function getLeadPartnerStatus(assignments) {
+  if (assignments.length === 0) return "new";
+
+  const statuses = assignments.map(({ status }) => status);
+  if (statuses.includes("completed")) return "completed";
+  if (statuses.includes("booked")) return "booked";
+  if (statuses.every((status) => CLOSED_STATUSES.includes(status))) {
+    return "lost";
+  }
+  if (statuses.includes("quoted")) return "quoted";
+  if (statuses.includes("contacted")) return "contacted";
+  return "routed";
+}
@@ -0,0 +1,206 @@
+/**
+ * Partner Inbox Request Handlers
+ * Serves the partner lead inbox API under /api/partner/leads; every request
+ * is authenticated with the partner's API key
+ *
+ * Responses use the lead endpoint's {ok, error, details} shape:
+ * - GET /api/partner/leads?status=&limit= lists assigned leads
+ * - GET /api/partner/leads/:id returns one assigned lead
+ * - POST /api/partner/leads/:id/(accept|decline|quote|status) updates it
+ */
+
+import { z } from "zod";
+import { QUOTE_INCLUSIONS } from "../../config/comparison.js";
+import { jsonResponse } from "../submission/http.js";
+import { authorizeRequest } from "../auth/guards.js";
+import { ASSIGNMENT_STATUSES, createPartnerInbox } from "./inbox.js";
+
+const note = z.string().trim().max(1000).optional();
+
+/**
+ * Request body for each update action, mapped to the assignment status
+ */
+const UPDATE_ACTIONS = {
+  accept: {
+    schema: z.object({ note }),
+    toUpdate: (body) => ({ status: "accepted", note: body.note }),
+  },
+  decline: {
+    schema: z.object({
+      reason: z
+        .string({ required_error: "A decline reason is required." })
+        .trim()
+        .min(1, "A decline reason is required.")
+        .max(500),
+      note,
+    }),
+    toUpdate: (body) => ({
+      status: "declined",
+      reason: body.reason,
+      note: body.note,
+    }),
+  },
+  quote: {
+    schema: z.object({
+      amount: z
+        .number({
+          invalid_type_error: "Amount must be a number in US dollars.",
+        })
+        .positive("Amount must be greater than zero.")
+        .max(100000, "Amount must be at most $100,000."),
+      includes: z
+        .array(
+          z.enum(Object.keys(QUOTE_INCLUSIONS), {
+            errorMap: () => ({
+              message: `Includes may list ${Object.keys(QUOTE_INCLUSIONS).join(", ")}.`,
+            }),
+          }),
+        )
+        .optional(),
+      availableDate: z
+        .string()
+        .regex(/^\d{4}-\d{2}-\d{2}$/, "Available date must be YYYY-MM-DD.")
+        .optional(),
+      note,
+    }),
+    toUpdate: (body) => ({
+      status: "quoted",
+      amount: body.amount,
+      includes: [...new Set(body.includes)],
+      availableDate: body.availableDate,
+      note: body.note,
+    }),
+  },
+  status: {
+    schema: z.object({
+      status: z.enum(["contacted", "booked", "completed", "lost"], {
+        errorMap: () => ({
+          message: "Status must be contacted, booked, completed or lost.",
+        }),
+      }),
+      note,
+    }),
+    toUpdate: (body) => ({ status: body.status, note: body.note }),
+  },
+};
+
+/**
+ * Handle GET /api/partner/leads
+ *
+ * Options:
+ * - env: runtime bindings (DB, R2_BUCKET)
+ * - directory / inbox: injectable dependencies, mainly for tests
+ */
+export async function handlePartnerLeadList(request, options = {}) {
+  return withPartner(request, options, async (partner, inbox) => {
+    const params = new URL(request.url).searchParams;
+    const status = params.get("status");
+    const limit = Number(params.get("limit") || 50);
+
+    if (status && !ASSIGNMENT_STATUSES.includes(status)) {
+      return validationFailed({
+        status: `Status must be one of ${ASSIGNMENT_STATUSES.join(", ")}.`,
+      });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return validationFailed({
+        limit: "Limit must be a whole number from 1 to 200.",
+      });
+    }
+
+    const leads = await inbox.list(partner.id, { status, limit });
+    return jsonResponse({ ok: true, leads });
+  });
+}
+
+/**
+ * Handle GET /api/partner/leads/:id (options as for handlePartnerLeadList,
+ * plus leadId)
+ */
+export async function handlePartnerLead(request, options = {}) {
+  return withPartner(request, options, async (partner, inbox) => {
+    const lead = await inbox.get(partner.id, options.leadId);
+
+    return lead
+      ? jsonResponse({ ok: true, lead })
+      : jsonResponse({ ok: false, error: "not_found" }, 404);
+  });
+}
+
+/**
+ * Handle POST /api/partner/leads/:id/:action (options as for
+ * handlePartnerLeadList, plus leadId and action)
+ */
+export async function handlePartnerLeadUpdate(request, options = {}) {
+  return withPartner(request, options, async (partner, inbox) => {
+    const action = UPDATE_ACTIONS[options.action];
+    if (!action) {
+      return jsonResponse({ ok: false, error: "not_found" }, 404);
+    }
+
+    let body;
+    try {
+      const text = await request.text();
+      body = text ? JSON.parse(text) : {};
+    } catch {
+      return validationFailed({ body: "Request body must be valid JSON." });
+    }
+
+    const validation = action.schema.safeParse(body);
+    if (!validation.success) {
+      const details = {};
+      for (const issue of validation.error.issues) {
+        details[issue.path.join(".") || "body"] ??= issue.message;
+      }
+      return validationFailed(details);
+    }
+
+    const result = await inbox.update(
+      partner,
+      options.leadId,
+      action.toUpdate(validation.data),
+    );
+
+    if (result.error === "not_found") {
+      return jsonResponse({ ok: false, error: "not_found" }, 404);
+    }
+    if (result.error) {
+      return jsonResponse(
+        { ok: false, error: result.error, details: { status: result.message } },
+        409,
+      );
+    }
+
+    return jsonResponse({ ok: true, lead: result.assignment });
+  });
+}
+
+/**
+ * Authenticate the partner and run the handler, answering 401 for unknown
+ * API keys, 403 for staff and 500 for unexpected errors
+ */
+async function withPartner(request, options, handler) {
+  try {
+    const inbox = options.inbox || createPartnerInbox(options.env);
+    const { principal, response } = await authorizeRequest(
+      request,
+      options.env,
+      ["partner"],
+      { directory: options.directory || inbox.directory },
+    );
+    if (!principal) return response;
+
+    return await handler(principal.partner, inbox);
+  } catch (error) {
+    console.error("Partner inbox error:", error);
+
+    return jsonResponse({ ok: false, error: "internal_error" }, 500);
+  }
+}
+
+/**
+ * Build a 400 validation_failed response
+ */
+function validationFailed(details) {
+  return jsonResponse({ ok: false, error: "validation_failed", details }, 400);
+}
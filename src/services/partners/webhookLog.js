@@ -0,0 +1,172 @@
+/**
+ * Webhook Delivery Log
+ * One entry per partner webhook delivery with every attempt made, kept so
+ * failed deliveries can be inspected and redelivered
+ * Schema: migrations/0003_create_webhook_deliveries.sql
+ */
+
+/**
+ * Stores deliveries in the Cloudflare D1 `webhook_deliveries` table
+ */
+export class D1WebhookLog {
+  constructor(db) {
+    this.db = db;
+    this.name = "D1";
+  }
+
+  /**
+   * Insert or update a delivery
+   */
+  async save(delivery) {
+    await this.db
+      .prepare(
+        `INSERT INTO webhook_deliveries (id, partner_id, lead_id, event, url, status, attempts, payload, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET url = excluded.url, status = excluded.status, attempts = excluded.attempts,
+           updated_at = excluded.updated_at`,
+      )
+      .bind(
+        delivery.id,
+        delivery.partnerId,
+        delivery.leadId,
+        delivery.event,
+        delivery.url,
+        delivery.status,
+        JSON.stringify(delivery.attempts),
+        delivery.payload,
+        delivery.createdAt,
+        delivery.updatedAt,
+      )
+      .run();
+
+    return delivery;
+  }
+
+  /**
+   * Get a delivery by ID, or null
+   */
+  async get(id) {
+    const row = await this.db
+      .prepare("SELECT * FROM webhook_deliveries WHERE id = ?")
+      .bind(id)
+      .first();
+
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * List a partner's most recent deliveries, newest first
+   */
+  async listByPartner(partnerId, limit = 50) {
+    const { results } = await this.db
+      .prepare(
+        "SELECT * FROM webhook_deliveries WHERE partner_id = ? ORDER BY created_at DESC LIMIT ?",
+      )
+      .bind(partnerId, limit)
+      .all();
+
+    return (results || []).map((row) => this.fromRow(row));
+  }
+
+  /**
+   * List the deliveries made for a lead
+   */
+  async listByLead(leadId) {
+    const { results } = await this.db
+      .prepare(
+        "SELECT * FROM webhook_deliveries WHERE lead_id = ? ORDER BY created_at ASC",
+      )
+      .bind(leadId)
+      .all();
+
+    return (results || []).map((row) => this.fromRow(row));
+  }
+
+  /**
+   * Convert a table row into a delivery object
+   */
+  fromRow(row) {
+    return {
+      id: row.id,
+      partnerId: row.partner_id,
+      leadId: row.lead_id,
+      event: row.event,
+      url: row.url,
+      status: row.status,
+      attempts: JSON.parse(row.attempts),
+      payload: row.payload,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+/**
+ * Process-local log for tests and local development without D1
+ */
+export class MemoryWebhookLog {
+  constructor() {
+    this.deliveries = new Map();
+    this.name = "Memory";
+  }
+
+  /**
+   * Insert or update a delivery
+   */
+  async save(delivery) {
+    this.deliveries.set(delivery.id, structuredClone(delivery));
+    return delivery;
+  }
+
+  /**
+   * Get a delivery by ID, or null
+   */
+  async get(id) {
+    const delivery = this.deliveries.get(id);
+    return delivery ? structuredClone(delivery) : null;
+  }
+
+  /**
+   * List a partner's most recent deliveries, newest first
+   */
+  async listByPartner(partnerId, limit = 50) {
+    return Array.from(this.deliveries.values())
+      .filter((delivery) => delivery.partnerId === partnerId)
+      .reverse()
+      .slice(0, limit)
+      .map((delivery) => structuredClone(delivery));
+  }
+
+  /**
+   * List the deliveries made for a lead
+   */
+  async listByLead(leadId) {
+    return Array.from(this.deliveries.values())
+      .filter((delivery) => delivery.leadId === leadId)
+      .map((delivery) => structuredClone(delivery));
+  }
+
+  /**
+   * Remove all deliveries
+   */
+  clear() {
+    this.deliveries.clear();
+  }
+}
+
+/**
+ * Shared in-memory log used when no DB binding is available
+ */
+const fallbackLog = new MemoryWebhookLog();
+
+/**
+ * Create the webhook delivery log for the current runtime environment
+ */
+export function createWebhookLog(env = {}) {
+  if (env.DB) {
+    return new D1WebhookLog(env.DB);
+  }
+
+  console.warn("No DB binding configured, webhook log is in memory only");
+  return fallbackLog;
+}
@@ -0,0 +1,103 @@
+/**
+ * Partner Webhook Request Handler
+ * Serves POST /api/admin/webhooks/redeliver, which sends a logged webhook
+ * delivery again; every request needs a staff or admin sign-in
+ *
+ * Responses use the lead endpoint's {ok, error, details} shape
+ */
+
+import { z } from "zod";
+import { createAuditTrail } from "../audit/auditTrail.js";
+import { authorizeRequest } from "../auth/guards.js";
+import { jsonResponse, requireJsonRequest } from "../submission/http.js";
+import { createWebhookDispatcher } from "./webhooks.js";
+
+const RedeliverySchema = z.object({
+  id: z
+    .string({ required_error: "Select a webhook delivery." })
+    .min(1, "Select a webhook delivery."),
+});
+
+/**
+ * Handle POST /api/admin/webhooks/redeliver with an {id} body sent as
+ * application/json; the delivery goes to the partner's current endpoint and
+ * the outcome is added to the lead's audit trail
+ *
+ * Options:
+ * - env: runtime bindings (DB or SESSION and the auth variables)
+ * - webhooks / audit: injectable dependencies, mainly for tests
+ * - now, fetch: passed on to the route guard
+ */
+export async function handleWebhookRedelivery(request, options = {}) {
+  try {
+    const { principal, response } = await authorizeRequest(
+      request,
+      options.env,
+      ["staff"],
+      options,
+    );
+    if (!principal) return response;
+
+    const unsupported = requireJsonRequest(request);
+    if (unsupported) return unsupported;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return validationFailed({ body: "Request body must be valid JSON." });
+    }
+
+    const validation = RedeliverySchema.safeParse(body);
+    if (!validation.success) {
+      const details = {};
+      for (const issue of validation.error.issues) {
+        details[issue.path.join(".") || "id"] ??= issue.message;
+      }
+      return validationFailed(details);
+    }
+
+    const webhooks = options.webhooks || createWebhookDispatcher(options.env);
+    const delivery = await webhooks.redeliver(validation.data.id);
+    if (!delivery) {
+      return jsonResponse({ ok: false, error: "not_found" }, 404);
+    }
+
+    const actor = `${principal.role}:${principal.id}`;
+    if (delivery.leadId) {
+      const audit = options.audit || createAuditTrail(options.env);
+      await audit.record(
+        delivery.leadId,
+        "partner_delivery",
+        {
+          partnerId: delivery.partnerId,
+          channel: "webhook",
+          outcome: delivery.status === "delivered" ? "delivered" : "failed",
+          webhookDeliveryId: delivery.id,
+        },
+        { actor },
+      );
+    }
+
+    console.log("Webhook redelivered:", {
+      deliveryId: delivery.id,
+      actor,
+      status: delivery.status,
+    });
+
+    // The payload is the lead itself; the attempts are what staff look at
+    const { payload, ...summary } = delivery;
+    return jsonResponse({ ok: true, delivery: summary });
+  } catch (error) {
+    console.error("Webhook redelivery error:", error);
+
+    return jsonResponse({ ok: false, error: "internal_error" }, 500);
+  }
+}
+
+/**
+ * Build a 400 validation_failed response
+ */
+function validationFailed(details) {
+  return jsonResponse({ ok: false, error: "validation_failed", details }, 400);
+}
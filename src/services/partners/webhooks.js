@@ -0,0 +1,242 @@
+/**
+ * Partner Webhooks
+ * Signs and POSTs lead events to partner webhook endpoints, retrying failed
+ * attempts with exponential backoff and logging every delivery
+ *
+ * Each request carries X-Lead-Timestamp (Unix seconds) and X-Lead-Signature
+ * ("sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the
+ * partner's webhook secret); see verifyWebhookSignature
+ */
+
+import { WEBHOOK_SETTINGS } from "../../config/webhooks.js";
+import { createPartnerDirectory } from "./directory.js";
+import { createWebhookLog } from "./webhookLog.js";
+
+export const SIGNATURE_HEADER = "X-Lead-Signature";
+export const TIMESTAMP_HEADER = "X-Lead-Timestamp";
+
+/**
+ * Response statuses worth retrying; any other non-2xx status is permanent
+ */
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+/**
+ * Delivers webhook events to partners and redelivers logged ones on request
+ */
+export class WebhookDispatcher {
+  constructor(log, directory, options = {}) {
+    this.log = log;
+    this.directory = directory;
+    this.settings = options.settings || WEBHOOK_SETTINGS;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.sleep =
+      options.sleep ||
+      ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Send an event to a partner's webhook endpoint
+   * Returns the logged delivery, whose status is "delivered" or "failed"
+   */
+  async deliver(partner, event, data) {
+    if (!partner.webhookSecret) {
+      throw new Error(`Partner ${partner.id} has no webhook secret`);
+    }
+
+    const createdAt = new Date(this.now()).toISOString();
+    const id = crypto.randomUUID();
+    const delivery = {
+      id,
+      partnerId: partner.id,
+      leadId: data.lead?.id || null,
+      event,
+      url: partner.webhookUrl,
+      status: "pending",
+      attempts: [],
+      payload: JSON.stringify({ id, event, createdAt, data }),
+      createdAt,
+      updatedAt: createdAt,
+    };
+
+    await this.log.save(delivery);
+    return this.send(delivery, partner.webhookSecret);
+  }
+
+  /**
+   * Send a logged delivery again, to the partner's current endpoint and with
+   * a fresh signature
+   * Returns the updated delivery, or null when the delivery no longer exists
+   * or its partner no longer has a webhook
+   */
+  async redeliver(deliveryId) {
+    const delivery = await this.log.get(deliveryId);
+    if (!delivery) return null;
+
+    const partner = await this.directory.get(delivery.partnerId);
+    if (!partner?.webhookUrl || !partner.webhookSecret) return null;
+
+    delivery.url = partner.webhookUrl;
+    return this.send(delivery, partner.webhookSecret);
+  }
+
+  /**
+   * Attempt a delivery until it succeeds, fails permanently or runs out of
+   * attempts, then log the outcome
+   */
+  async send(delivery, secret) {
+    const { maxAttempts, baseDelayMs } = this.settings;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const { retryable, ...result } = await this.attempt(delivery, secret);
+      delivery.attempts.push({
+        attempt: delivery.attempts.length + 1,
+        ...result,
+      });
+
+      if (result.ok || !retryable || attempt === maxAttempts) break;
+
+      await this.sleep(baseDelayMs * Math.pow(2, attempt - 1));
+    }
+
+    const last = delivery.attempts[delivery.attempts.length - 1];
+    delivery.status = last.ok ? "delivered" : "failed";
+    delivery.updatedAt = new Date(this.now()).toISOString();
+    await this.log.save(delivery);
+
+    if (!last.ok) {
+      console.error("Webhook delivery failed:", {
+        deliveryId: delivery.id,
+        partnerId: delivery.partnerId,
+        statusCode: last.statusCode,
+        error: last.error,
+      });
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Make one signed POST and describe how it went
+   */
+  async attempt(delivery, secret) {
+    const attemptedAt = this.now();
+    const result = {
+      attemptedAt: new Date(attemptedAt).toISOString(),
+      ok: false,
+      retryable: true,
+      statusCode: null,
+      latencyMs: 0,
+      responseSnippet: null,
+      error: null,
+    };
+
+    try {
+      const response = await this.fetch(delivery.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "AustinMoveFinder-Webhooks/1.0",
+          "X-Lead-Event": delivery.event,
+          "X-Lead-Delivery": delivery.id,
+          ...(await signRequestHeaders(delivery.payload, secret, attemptedAt)),
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(this.settings.timeoutMs),
+      });
+      const body = await response.text().catch(() => "");
+
+      result.ok = response.ok;
+      result.retryable =
+        response.status >= 500 || RETRYABLE_STATUSES.includes(response.status);
+      result.statusCode = response.status;
+      result.responseSnippet = body.slice(
+        0,
+        this.settings.responseSnippetLength,
+      );
+    } catch (error) {
+      result.error =
+        error.name === "TimeoutError"
+          ? `No response within ${this.settings.timeoutMs}ms`
+          : error.message;
+    }
+
+    result.latencyMs = this.now() - attemptedAt;
+    return result;
+  }
+}
+
+/**
+ * Create the webhook dispatcher for the current runtime environment
+ */
+export function createWebhookDispatcher(env = {}, options = {}) {
+  return new WebhookDispatcher(
+    createWebhookLog(env),
+    createPartnerDirectory(env),
+    options,
+  );
+}
+
+/**
+ * Timestamp and signature headers for a request body sent at `now` (ms)
+ */
+export async function signRequestHeaders(body, secret, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000);
+
+  return {
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: await signWebhookPayload(body, secret, timestamp),
+  };
+}
+
+/**
+ * Sign a webhook body for a Unix timestamp in seconds
+ */
+export async function signWebhookPayload(body, secret, timestamp) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(`${timestamp}.${body}`),
+  );
+
+  const hex = Array.from(new Uint8Array(signature), (byte) =>
+    byte.toString(16).padStart(2, "0"),
+  ).join("");
+  return `sha256=${hex}`;
+}
+
+/**
+ * Check a received webhook's signature and that its timestamp is recent
+ * This is what partners run on their side; it is exported for tests and
+ * partner integration docs
+ */
+export async function verifyWebhookSignature(
+  body,
+  { signature, timestamp },
+  secret,
+  {
+    now = Date.now(),
+    toleranceSeconds = WEBHOOK_SETTINGS.signatureToleranceSeconds,
+  } = {},
+) {
+  const seconds = Number(timestamp);
+  if (!signature || !Number.isInteger(seconds)) return false;
+  if (Math.abs(now / 1000 - seconds) > toleranceSeconds) return false;
+
+  const expected = await signWebhookPayload(body, secret, seconds);
+  if (expected.length !== signature.length) return false;
+
+  // Compare every character so timing does not reveal the signature
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+  }
+  return difference === 0;
+}
@@ -0,0 +1,75 @@
+/**
+ * Quote Comparison
+ * Lines up the quotes partner movers sent a customer side by side and books
+ * the move with the mover the customer chooses
+ */
+
+import { COMPARISON_SORTS } from "../../config/comparison.js";
+import { createPartnerInbox } from "../partners/inbox.js";
+import { verifyStatusToken } from "./statusToken.js";
+
+/**
+ * Sort the quoted movers from a status view (see getQuoteStatusView) by
+ * price, availability or rating; unknown sorts fall back to price
+ * Movers missing the sorted value go last, and ties go to the lower price
+ */
+export function compareQuotes(movers, sort = COMPARISON_SORTS[0]) {
+  const compare = COMPARATORS[sort] || COMPARATORS.price;
+
+  return movers
+    .filter((mover) => mover.quoteAmount !== null)
+    .sort(
+      (a, b) =>
+        compare(a, b) ||
+        a.quoteAmount - b.quoteAmount ||
+        (a.company || "").localeCompare(b.company || ""),
+    );
+}
+
+/**
+ * Comparators for each sort, with missing values last
+ */
+const COMPARATORS = {
+  price: (a, b) => a.quoteAmount - b.quoteAmount,
+  availability: (a, b) =>
+    nullsLast(a.availableDate, b.availableDate) ||
+    (a.availableDate || "").localeCompare(b.availableDate || ""),
+  rating: (a, b) =>
+    nullsLast(a.rating, b.rating) ||
+    (b.rating ?? 0) - (a.rating ?? 0) ||
+    b.reviewCount - a.reviewCount,
+};
+
+/**
+ * Book the move with the mover a customer chose, after checking their
+ * status link token
+ *
+ * Options:
+ * - env: runtime bindings (DB, R2_BUCKET, QUOTE_STATUS_SECRET)
+ * - inbox / now: injectable dependencies, mainly for tests
+ *
+ * Returns {assignment} or {error: "invalid_token" | "expired_token" |
+ * "not_found" | "invalid_transition", message}
+ */
+export async function chooseMover(quoteId, token, partnerId, options = {}) {
+  const env = options.env || {};
+  const verdict = await verifyStatusToken(
+    quoteId,
+    token,
+    env.QUOTE_STATUS_SECRET,
+    { now: options.now },
+  );
+  if (verdict !== "valid") {
+    return { error: `${verdict}_token` };
+  }
+
+  const inbox = options.inbox || createPartnerInbox(env);
+  return inbox.choose(quoteId, partnerId);
+}
+
+/**
+ * Order two values so that a missing one comes after a present one
+ */
+function nullsLast(a, b) {
+  return (a === null || a === undefined) - (b === null || b === undefined);
+}
@@ -0,0 +1,94 @@
+/**
+ * Quote Comparison Request Handler
+ * Serves POST /api/quote/:id/choose, where a customer picks the mover whose
+ * quote they want from the comparison page; the status link token in the
+ * body stands in for a login
+ *
+ * Responses use the lead endpoint's {ok, error, details} shape
+ */
+
+import { z } from "zod";
+import { jsonResponse } from "../submission/http.js";
+import { chooseMover } from "./comparison.js";
+
+const ChooseMoverSchema = z.object({
+  token: z
+    .string({ required_error: "A status link token is required." })
+    .min(1, "A status link token is required."),
+  partnerId: z
+    .string({ required_error: "Choose a mover." })
+    .min(1, "Choose a mover."),
+});
+
+/**
+ * Handle POST /api/quote/:id/choose with a {token, partnerId} JSON body
+ *
+ * Options:
+ * - env: runtime bindings (DB, R2_BUCKET, QUOTE_STATUS_SECRET)
+ * - quoteId: the quote from the URL
+ * - inbox / now: injectable dependencies, mainly for tests
+ */
+export async function handleChooseMover(request, options = {}) {
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return validationFailed({ body: "Request body must be valid JSON." });
+    }
+
+    const validation = ChooseMoverSchema.safeParse(body);
+    if (!validation.success) {
+      const details = {};
+      for (const issue of validation.error.issues) {
+        details[issue.path.join(".") || "body"] ??= issue.message;
+      }
+      return validationFailed(details);
+    }
+
+    const { token, partnerId } = validation.data;
+    const result = await chooseMover(options.quoteId, token, partnerId, {
+      env: options.env,
+      inbox: options.inbox,
+      now: options.now,
+    });
+
+    if (result.error === "invalid_token" || result.error === "expired_token") {
+      return jsonResponse({ ok: false, error: result.error }, 403);
+    }
+    if (result.error === "not_found") {
+      return jsonResponse({ ok: false, error: "not_found" }, 404);
+    }
+    if (result.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: result.error,
+          details: { partnerId: result.message },
+        },
+        409,
+      );
+    }
+
+    const { assignment } = result;
+    return jsonResponse({
+      ok: true,
+      mover: {
+        partnerId: assignment.partnerId,
+        status: assignment.status,
+        quoteAmount: assignment.quoteAmount,
+      },
+    });
+  } catch (error) {
+    console.error("Choose mover error:", error);
+
+    return jsonResponse({ ok: false, error: "internal_error" }, 500);
+  }
+}
+
+/**
+ * Build a 400 validation_failed response
+ */
+function validationFailed(details) {
+  return jsonResponse({ ok: false, error: "validation_failed", details }, 400);
+}
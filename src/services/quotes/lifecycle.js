@@ -0,0 +1,210 @@
+/**
+ * Quote Lifecycle
+ * Moves quotes and leads through new -> routed -> contacted -> quoted ->
+ * booked -> completed (or lost, spam, duplicate), recording who made each
+ * change and why, and emails the customer about the changes that matter to
+ * them with the quote update template; every change is audited
+ */
+
+import {
+  CUSTOMER_UPDATE_STATUSES,
+  QUOTE_STATUSES,
+  QUOTE_TRANSITIONS,
+} from "../../config/lifecycle.js";
+import { auditMailer, createAuditTrail } from "../audit/auditTrail.js";
+import { emailService } from "../email/emailService.js";
+import { getRecordDistributionLead } from "../partners/distribution.js";
+import { createLeadStore } from "../storage/leadStore.js";
+import { createQuoteStatusStore } from "./statusStore.js";
+
+/**
+ * Applies status changes to quotes
+ */
+export class QuoteLifecycle {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.leadStore = options.leadStore || null;
+    this.mailer = options.mailer || emailService;
+    // Runtime env whose email queue carries the quote update emails; without
+    // it they are sent right away
+    this.queueEnv = options.queueEnv || null;
+    this.notifyStatuses = options.notifyStatuses || CUSTOMER_UPDATE_STATUSES;
+    this.audit = options.audit || null;
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Get a quote's {quoteId, status, createdAt, updatedAt, history}, or null
+   */
+  async get(quoteId) {
+    const status = await this.store.get(quoteId);
+    if (!status) return null;
+
+    return { ...status, history: await this.store.getHistory(quoteId) };
+  }
+
+  /**
+   * Get the current {quoteId, status, createdAt, updatedAt} of several quotes
+   * as a Map keyed by quote ID, without their history
+   */
+  async getStatuses(quoteIds) {
+    return quoteIds.length ? this.store.getMany(quoteIds) : new Map();
+  }
+
+  /**
+   * Give a new quote its first status ("new" unless told otherwise)
+   * Starting a quote twice keeps the first status
+   */
+  async start(
+    quoteId,
+    { status = "new", actor = "system", reason = null } = {},
+  ) {
+    const change = this.createChange(null, status, { actor, reason });
+    if (await this.store.create(quoteId, change)) {
+      await this.recordChange(quoteId, change);
+    }
+
+    return this.get(quoteId);
+  }
+
+  /**
+   * Move a quote to a new status
+   * Returns {quote, change} or {error: "not_found" | "invalid_transition",
+   * message}
+   */
+  async transition(quoteId, to, { actor, reason = null }) {
+    const current = await this.store.get(quoteId);
+    if (!current) {
+      return { error: "not_found", message: `Quote ${quoteId} not found` };
+    }
+
+    if (!canTransition(current.status, to)) {
+      return {
+        error: "invalid_transition",
+        message: `Cannot move a quote from ${current.status} to ${to}`,
+      };
+    }
+
+    const change = this.createChange(current.status, to, { actor, reason });
+    if (!(await this.store.update(quoteId, change))) {
+      return {
+        error: "invalid_transition",
+        message: `Quote ${quoteId} changed status while updating`,
+      };
+    }
+
+    console.log("Quote status changed:", { quoteId, ...change });
+    await this.recordChange(quoteId, change);
+
+    if (this.notifyStatuses.includes(to)) {
+      await this.notifyCustomer(quoteId, change);
+    }
+
+    return { quote: await this.get(quoteId), change };
+  }
+
+  /**
+   * Build a {from, to, actor, reason, changedAt} change
+   */
+  createChange(from, to, { actor, reason }) {
+    return {
+      from,
+      to,
+      actor,
+      reason: reason || null,
+      changedAt: new Date(this.now()).toISOString(),
+    };
+  }
+
+  /**
+   * Add a change to the lead's audit trail
+   */
+  async recordChange(quoteId, { from, to, actor, reason }) {
+    await this.audit?.record(
+      quoteId,
+      "status_changed",
+      { from, to, reason },
+      { actor },
+    );
+  }
+
+  /**
+   * Queue (or send) the customer the quote update email; failures are logged
+   * but never fail the change
+   */
+  async notifyCustomer(quoteId, change) {
+    try {
+      const record = await this.leadStore?.get(quoteId);
+      const lead = record ? getRecordDistributionLead(record) : null;
+      if (!lead?.email) return;
+
+      if (this.queueEnv) {
+        await this.mailer.enqueueQuoteUpdate(
+          lead,
+          quoteId,
+          change,
+          this.queueEnv,
+        );
+      } else {
+        await this.mailer.sendQuoteUpdate(lead, quoteId, change);
+      }
+    } catch (error) {
+      console.error("Failed to send quote update email:", error);
+    }
+  }
+}
+
+/**
+ * Check whether a quote may move from one status to another
+ */
+export function canTransition(from, to) {
+  return (
+    QUOTE_STATUSES.includes(to) && (QUOTE_TRANSITIONS[from] || []).includes(to)
+  );
+}
+
+/**
+ * Create the quote lifecycle for the current runtime environment
+ */
+export function createQuoteLifecycle(env = {}, options = {}) {
+  const audit = options.audit || createAuditTrail(env);
+
+  return new QuoteLifecycle(createQuoteStatusStore(env), {
+    leadStore: createLeadStore(env),
+    queueEnv: env,
+    ...options,
+    audit,
+    mailer: auditMailer(options.mailer || emailService, audit),
+  });
+}
+
+/**
+ * Record the status of a just-submitted quote or lead: duplicate when it
+ * repeats an earlier one, otherwise new and then routed once partners got it
+ * Failures are logged but never fail the submission
+ */
+export async function recordSubmissionStatus(
+  lifecycle,
+  quoteId,
+  { duplicateOf = null, assignments = [] } = {},
+) {
+  try {
+    if (duplicateOf) {
+      await lifecycle.start(quoteId, {
+        status: "duplicate",
+        reason: `Repeats ${duplicateOf}`,
+      });
+      return;
+    }
+
+    await lifecycle.start(quoteId);
+    if (assignments.length) {
+      await lifecycle.transition(quoteId, "routed", {
+        actor: "distributor",
+        reason: `Sent to ${assignments.map(({ company }) => company).join(", ")}`,
+      });
+    }
+  } catch (error) {
+    console.error("Failed to record quote status:", error);
+  }
+}
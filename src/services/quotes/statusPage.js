@@ -0,0 +1,90 @@
+/**
+ * Quote Status Page
+ * Gathers what a customer sees at /quote/status/[id]: their move summary,
+ * the quote's lifecycle status and history, and the movers working it with
+ * any quotes they sent
+ */
+
+import { QUOTE_STATUS_LABELS } from "../../config/lifecycle.js";
+import { createPartnerInbox } from "../partners/inbox.js";
+import { getRecordDistributionLead } from "../partners/distribution.js";
+import { createLeadStore } from "../storage/leadStore.js";
+import { createQuoteLifecycle } from "./lifecycle.js";
+import { verifyStatusToken } from "./statusToken.js";
+
+/**
+ * Load the status page for a quote after checking its link token
+ *
+ * Options:
+ * - env: runtime bindings (DB, R2_BUCKET, QUOTE_STATUS_SECRET)
+ * - leadStore / lifecycle / inbox / now: injectable dependencies, mainly for
+ *   tests
+ *
+ * Returns {view} or {error: "invalid_token" | "expired_token" | "not_found"}
+ */
+export async function getQuoteStatusView(quoteId, token, options = {}) {
+  const env = options.env || {};
+  const verdict = await verifyStatusToken(
+    quoteId,
+    token,
+    env.QUOTE_STATUS_SECRET,
+    { now: options.now },
+  );
+  if (verdict !== "valid") {
+    return { error: `${verdict}_token` };
+  }
+
+  const leadStore = options.leadStore || createLeadStore(env);
+  const record = await leadStore.get(quoteId);
+  if (!record) {
+    return { error: "not_found" };
+  }
+
+  const lifecycle = options.lifecycle || createQuoteLifecycle(env);
+  const inbox = options.inbox || createPartnerInbox(env);
+  const [quote, matches] = await Promise.all([
+    lifecycle.get(quoteId),
+    inbox.getCustomerView(quoteId),
+  ]);
+
+  const lead = getRecordDistributionLead(record);
+  const status = quote?.status || "new";
+
+  return {
+    view: {
+      quoteId,
+      submittedAt: record.timestamp,
+      move: {
+        name: lead.name,
+        moveDate: lead.moveDate,
+        flexibleDates: lead.flexibleDates,
+        fromZip: lead.fromZip,
+        toZip: lead.toZip,
+        moveSize: lead.moveSize,
+        serviceType: lead.serviceType,
+      },
+      status,
+      ...describeStatus(status),
+      updatedAt: quote?.updatedAt || record.timestamp,
+      // Who changed the status and why stays internal
+      history: (quote?.history || []).map((change) => ({
+        status: change.to,
+        label: describeStatus(change.to).label,
+        changedAt: change.changedAt,
+      })),
+      movers: matches.movers,
+      quotes: matches.movers.filter((mover) => mover.quoteAmount !== null),
+    },
+  };
+}
+
+/**
+ * The customer-facing {label, message} for a status
+ */
+function describeStatus(status) {
+  const { label, message } = QUOTE_STATUS_LABELS[status] || {
+    label: "In Progress",
+    message: "We are working on your quote request.",
+  };
+  return { label, message };
+}
@@ -0,0 +1,232 @@
+/**
+ * Quote Status Store
+ * Current lifecycle status of each quote and the history of its changes
+ * Schema: migrations/0006_create_quote_status.sql
+ */
+
+/**
+ * Stores statuses in the Cloudflare D1 `quote_status` tables
+ */
+export class D1QuoteStatusStore {
+  constructor(db) {
+    this.db = db;
+    this.name = "D1";
+  }
+
+  /**
+   * Get a quote's {quoteId, status, createdAt, updatedAt}, or null
+   */
+  async get(quoteId) {
+    const row = await this.db
+      .prepare("SELECT * FROM quote_status WHERE quote_id = ?")
+      .bind(quoteId)
+      .first();
+
+    return row ? fromStatusRow(row) : null;
+  }
+
+  /**
+   * Get the {quoteId, status, createdAt, updatedAt} of several quotes as a
+   * Map keyed by quote ID; quotes without a status are left out
+   */
+  async getMany(quoteIds) {
+    const statuses = new Map();
+
+    // Stay well under D1's limit on bound parameters per query
+    for (let i = 0; i < quoteIds.length; i += 50) {
+      const ids = quoteIds.slice(i, i + 50);
+      const { results } = await this.db
+        .prepare(
+          `SELECT * FROM quote_status WHERE quote_id IN (${ids.map(() => "?").join(", ")})`,
+        )
+        .bind(...ids)
+        .all();
+
+      for (const row of results || []) {
+        statuses.set(row.quote_id, fromStatusRow(row));
+      }
+    }
+
+    return statuses;
+  }
+
+  /**
+   * List a quote's {from, to, actor, reason, changedAt} changes, oldest first
+   */
+  async getHistory(quoteId) {
+    const { results } = await this.db
+      .prepare(
+        "SELECT * FROM quote_status_history WHERE quote_id = ? ORDER BY changed_at ASC, id ASC",
+      )
+      .bind(quoteId)
+      .all();
+
+    return (results || []).map((row) => ({
+      from: row.from_status,
+      to: row.to_status,
+      actor: row.actor,
+      reason: row.reason,
+      changedAt: row.changed_at,
+    }));
+  }
+
+  /**
+   * Record a quote's first status; returns false when it already has one
+   */
+  async create(quoteId, change) {
+    const result = await this.db
+      .prepare(
+        "INSERT OR IGNORE INTO quote_status (quote_id, status, created_at, updated_at) VALUES (?, ?, ?, ?)",
+      )
+      .bind(quoteId, change.to, change.changedAt, change.changedAt)
+      .run();
+
+    if (!(result.meta?.changes > 0)) return false;
+
+    await this.addHistory(quoteId, change);
+    return true;
+  }
+
+  /**
+   * Apply a change if the quote is still in change.from; returns false when
+   * another change got there first
+   */
+  async update(quoteId, change) {
+    const result = await this.db
+      .prepare(
+        "UPDATE quote_status SET status = ?, updated_at = ? WHERE quote_id = ? AND status = ?",
+      )
+      .bind(change.to, change.changedAt, quoteId, change.from)
+      .run();
+
+    if (!(result.meta?.changes > 0)) return false;
+
+    await this.addHistory(quoteId, change);
+    return true;
+  }
+
+  /**
+   * Append a change to the history
+   */
+  async addHistory(quoteId, change) {
+    await this.db
+      .prepare(
+        "INSERT INTO quote_status_history (quote_id, from_status, to_status, actor, reason, changed_at) VALUES (?, ?, ?, ?, ?, ?)",
+      )
+      .bind(
+        quoteId,
+        change.from,
+        change.to,
+        change.actor,
+        change.reason,
+        change.changedAt,
+      )
+      .run();
+  }
+}
+
+/**
+ * Process-local store for tests and local development without D1
+ */
+export class MemoryQuoteStatusStore {
+  constructor() {
+    this.statuses = new Map();
+    this.history = new Map();
+    this.name = "Memory";
+  }
+
+  /**
+   * Get a quote's {quoteId, status, createdAt, updatedAt}, or null
+   */
+  async get(quoteId) {
+    const status = this.statuses.get(quoteId);
+    return status ? { ...status } : null;
+  }
+
+  /**
+   * Get the {quoteId, status, createdAt, updatedAt} of several quotes as a
+   * Map keyed by quote ID; quotes without a status are left out
+   */
+  async getMany(quoteIds) {
+    const statuses = new Map();
+    for (const quoteId of quoteIds) {
+      const status = this.statuses.get(quoteId);
+      if (status) statuses.set(quoteId, { ...status });
+    }
+    return statuses;
+  }
+
+  /**
+   * List a quote's {from, to, actor, reason, changedAt} changes, oldest first
+   */
+  async getHistory(quoteId) {
+    return (this.history.get(quoteId) || []).map((change) => ({ ...change }));
+  }
+
+  /**
+   * Record a quote's first status; returns false when it already has one
+   */
+  async create(quoteId, change) {
+    if (this.statuses.has(quoteId)) return false;
+
+    this.statuses.set(quoteId, {
+      quoteId,
+      status: change.to,
+      createdAt: change.changedAt,
+      updatedAt: change.changedAt,
+    });
+    this.history.set(quoteId, [{ ...change }]);
+    return true;
+  }
+
+  /**
+   * Apply a change if the quote is still in change.from; returns false when
+   * another change got there first
+   */
+  async update(quoteId, change) {
+    const status = this.statuses.get(quoteId);
+    if (!status || status.status !== change.from) return false;
+
+    status.status = change.to;
+    status.updatedAt = change.changedAt;
+    this.history.get(quoteId).push({ ...change });
+    return true;
+  }
+
+  /**
+   * Remove all statuses and history
+   */
+  clear() {
+    this.statuses.clear();
+    this.history.clear();
+  }
+}
+
+/**
+ * Shared in-memory store used when no DB binding is available
+ */
+const fallbackStore = new MemoryQuoteStatusStore();
+
+/**
+ * Create the quote status store for the current runtime environment
+ */
+export function createQuoteStatusStore(env = {}) {
+  if (env.DB) {
+    return new D1QuoteStatusStore(env.DB);
+  }
+
+  console.warn("No DB binding configured, quote statuses are in memory only");
+  return fallbackStore;
+}
+
+/**
+ * Convert a quote_status row into a status object
+ */
+function fromStatusRow(row) {
+  return {
+    quoteId: row.quote_id,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Quote Status Links
+ * Signed, expiring tokens that let a customer open the status page for their
+ * own quote without an account
+ *
+ * A token is "<expiry unix seconds>.<base64url HMAC-SHA256>" of
+ * "<quoteId>.<expiry>" keyed with the QUOTE_STATUS_SECRET variable
+ */
+
+import { STATUS_LINK_TTL_DAYS } from "../../config/lifecycle.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a status page token for a quote
+ */
+export async function createStatusToken(
+  quoteId,
+  secret,
+  { now = Date.now(), ttlDays = STATUS_LINK_TTL_DAYS } = {},
+) {
+  const expires = Math.floor((now + ttlDays * DAY_MS) / 1000);
+  return `${expires}.${await sign(`${quoteId}.${expires}`, secret)}`;
+}
+
+/**
+ * Check a status page token for a quote
+ * Returns "valid", "expired" or "invalid"
+ */
+export async function verifyStatusToken(
+  quoteId,
+  token,
+  secret,
+  { now = Date.now() } = {},
+) {
+  const [expires, signature, ...rest] = String(token || "").split(".");
+  if (!secret || !/^\d+$/.test(expires) || !signature || rest.length) {
+    return "invalid";
+  }
+
+  const expected = await sign(`${quoteId}.${expires}`, secret);
+  if (!timingSafeEqual(signature, expected)) {
+    return "invalid";
+  }
+
+  return Number(expires) * 1000 < now ? "expired" : "valid";
+}
+
+/**
+ * Build the signed status page URL for a quote, or null when no
+ * QUOTE_STATUS_SECRET is configured
+ */
+export async function getQuoteStatusUrl(origin, quoteId, env = {}, options) {
+  if (!env.QUOTE_STATUS_SECRET) {
+    console.warn("QUOTE_STATUS_SECRET not configured, skipping status link");
+    return null;
+  }
+
+  const token = await createStatusToken(
+    quoteId,
+    env.QUOTE_STATUS_SECRET,
+    options,
+  );
+  const url = new URL(`/quote/status/${encodeURIComponent(quoteId)}`, origin);
+  url.searchParams.set("token", token);
+  return url.href;
+}
+
+/**
+ * base64url HMAC-SHA256 of a message
+ */
+async function sign(message, secret) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    encoder.encode(message),
+  );
+
+  return btoa(String.fromCharCode(...new Uint8Array(signature)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Compare two strings in time independent of where they differ
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
@@ -0,0 +1,161 @@
+/**
+ * Rate Limiter - Sliding-window request limits shared across isolates
+ * Backed by the SESSION KV namespace, with an in-memory fallback
+ */
+
+import { getRateLimitPolicy } from "../../config/rateLimits.js";
+import {
+  normalizeEmail,
+  normalizePhone,
+  sha256Hex,
+} from "../submission/fingerprint.js";
+import { KvRateLimitStore, MemoryRateLimitStore } from "./stores.js";
+
+const KEY_PREFIX = "rate-limit";
+
+/**
+ * Shared in-memory store used when no KV binding is available
+ */
+const fallbackStore = new MemoryRateLimitStore();
+
+/**
+ * Sliding-log rate limiter: each key keeps the timestamps of its requests
+ * within the window, so limits never reset all at once on a fixed boundary
+ */
+export class RateLimiter {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Check and record a request for a route
+   * identifiers maps identifier types (ip, email, phone) to values; only
+   * types with a configured limit and a value are counted. The request is
+   * recorded against every key only when all of them allow it.
+   */
+  async limit(route, identifiers) {
+    const policy = getRateLimitPolicy(route);
+    const now = this.now();
+    const checks = [];
+
+    for (const [type, limit] of Object.entries(policy.limits)) {
+      const value = normalizeIdentifier(type, identifiers[type]);
+      if (!value) continue;
+
+      const key = `${KEY_PREFIX}:${route}:${type}:${await sha256Hex(value)}`;
+      const timestamps = (await this.store.get(key)).filter(
+        (timestamp) => timestamp > now - policy.windowMs,
+      );
+
+      checks.push({ key, type, limit, timestamps });
+    }
+
+    const allowed = checks.every(
+      ({ limit, timestamps }) => timestamps.length < limit,
+    );
+
+    if (allowed) {
+      // KV is eventually consistent, so concurrent requests across
+      // locations may each see the previous count; limits are best-effort
+      await Promise.all(
+        checks.map(({ key, limit, timestamps }) => {
+          timestamps.push(now);
+          return this.store.set(key, timestamps.slice(-limit), policy.windowMs);
+        }),
+      );
+    }
+
+    return mostRestrictive(
+      checks.map((check) => evaluate(check, policy.windowMs, now, allowed)),
+    );
+  }
+}
+
+/**
+ * Build the result for a single key
+ */
+function evaluate({ type, limit, timestamps }, windowMs, now, recorded) {
+  const blocked = !recorded && timestamps.length >= limit;
+  const oldest = timestamps[0] ?? now;
+
+  return {
+    allowed: !blocked,
+    type,
+    limit,
+    windowMs,
+    remaining: Math.max(0, limit - timestamps.length),
+    resetMs: Math.max(0, oldest + windowMs - now),
+    retryAfterMs: blocked
+      ? Math.max(0, timestamps[timestamps.length - limit] + windowMs - now)
+      : 0,
+  };
+}
+
+/**
+ * Pick the result clients should see: the longest block if any key is
+ * blocked, otherwise the key with the fewest requests left
+ */
+export function mostRestrictive(results) {
+  // Results without a limit come from calls where no identifier applied
+  const candidates = results.filter((result) => result?.limit);
+
+  if (candidates.length === 0) {
+    return { allowed: true, headers: {} };
+  }
+
+  const blocked = candidates.filter((result) => !result.allowed);
+  const result = blocked.length
+    ? blocked.reduce((a, b) => (b.retryAfterMs > a.retryAfterMs ? b : a))
+    : candidates.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+  return {
+    ...result,
+    allowed: blocked.length === 0,
+    headers: getRateLimitHeaders(result),
+  };
+}
+
+/**
+ * Standard RateLimit-* headers (and Retry-After when blocked) for a result
+ */
+export function getRateLimitHeaders(result) {
+  const headers = {
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(Math.ceil(result.resetMs / 1000)),
+    "RateLimit-Policy": `${result.limit};w=${Math.ceil(result.windowMs / 1000)}`,
+  };
+
+  if (!result.allowed) {
+    headers["Retry-After"] = String(Math.ceil(result.retryAfterMs / 1000));
+  }
+
+  return headers;
+}
+
+/**
+ * Create the rate limiter for the current runtime environment
+ */
+export function createRateLimiter(env = {}) {
+  if (env.SESSION) {
+    return new RateLimiter(new KvRateLimitStore(env.SESSION));
+  }
+
+  console.warn("No SESSION binding configured, rate limiting in memory only");
+  return new RateLimiter(fallbackStore);
+}
+
+/**
+ * Normalize identifiers so formatting differences share one bucket
+ */
+function normalizeIdentifier(type, value) {
+  switch (type) {
+    case "email":
+      return normalizeEmail(value);
+    case "phone":
+      return normalizePhone(value);
+    default:
+      return value?.toString().trim() || null;
+  }
+}
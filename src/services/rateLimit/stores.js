@@ -0,0 +1,77 @@
+/**
+ * Rate Limit Stores
+ * Persist per-key request timestamps for the sliding-window rate limiter
+ */
+
+/**
+ * Workers KV rejects expiration TTLs below 60 seconds
+ */
+const MIN_KV_TTL_SECONDS = 60;
+
+/**
+ * Stores timestamps in a Workers KV namespace so limits hold across isolates
+ */
+export class KvRateLimitStore {
+  constructor(namespace) {
+    this.namespace = namespace;
+    this.name = "KV";
+  }
+
+  /**
+   * Get the recorded request timestamps for a key
+   */
+  async get(key) {
+    const timestamps = await this.namespace.get(key, "json");
+    return Array.isArray(timestamps) ? timestamps : [];
+  }
+
+  /**
+   * Replace the recorded timestamps, expiring the key once the window passes
+   */
+  async set(key, timestamps, ttlMs) {
+    await this.namespace.put(key, JSON.stringify(timestamps), {
+      expirationTtl: Math.max(MIN_KV_TTL_SECONDS, Math.ceil(ttlMs / 1000)),
+    });
+  }
+}
+
+/**
+ * Process-local store for tests and local development without KV
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map();
+    this.name = "Memory";
+  }
+
+  /**
+   * Get the recorded request timestamps for a key
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      return [];
+    }
+
+    return [...entry.timestamps];
+  }
+
+  /**
+   * Replace the recorded timestamps, expiring the key once the window passes
+   */
+  async set(key, timestamps, ttlMs) {
+    this.entries.set(key, {
+      timestamps: [...timestamps],
+      expiresAt: Date.now() + ttlMs,
+    });
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
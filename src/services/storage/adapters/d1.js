@@ -0,0 +1,72 @@
+/**
+ * D1 Lead Store
+ * Stores submissions in the Cloudflare D1 `submissions` table
+ * Schema: migrations/0001_create_submissions.sql
+ */
+
+import { getDateKey } from "../records.js";
+
+export class D1LeadStore {
+  constructor(db) {
+    this.db = db;
+    this.name = "D1";
+  }
+
+  /**
+   * Insert a record, keeping the JSONL `data` and `meta` objects as JSON text
+   */
+  async save(record) {
+    await this.db
+      .prepare(
+        "INSERT INTO submissions (id, timestamp, date_key, data, meta) VALUES (?, ?, ?, ?, ?)",
+      )
+      .bind(
+        record.id,
+        record.timestamp,
+        getDateKey(record.timestamp),
+        JSON.stringify(record.data),
+        JSON.stringify(record.meta || {}),
+      )
+      .run();
+
+    return record;
+  }
+
+  /**
+   * Read a single record back by quote ID
+   */
+  async get(id) {
+    const row = await this.db
+      .prepare("SELECT * FROM submissions WHERE id = ?")
+      .bind(id)
+      .first();
+
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * List all records stored for a YYYY-MM-DD date key
+   */
+  async listByDate(dateKey) {
+    const { results } = await this.db
+      .prepare(
+        "SELECT * FROM submissions WHERE date_key = ? ORDER BY timestamp ASC",
+      )
+      .bind(dateKey)
+      .all();
+
+    return (results || []).map((row) => this.fromRow(row));
+  }
+
+  /**
+   * Convert a table row back into the JSONL record layout
+   */
+  fromRow(row) {
+    return {
+      id: row.id,
+      timestamp: row.timestamp,
+      data: JSON.parse(row.data),
+      meta: row.meta ? JSON.parse(row.meta) : {},
+    };
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Filesystem Lead Store
+ * Writes the same layout as the R2 bucket to a local directory: a file per
+ * submission, compacted into daily JSONL rollups
+ * Node-only: used by local tooling and tests, never bundled into Workers
+ */
+
+import { mkdir, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import {
+  getDateKey,
+  getDailyKey,
+  getIndexKey,
+  getPendingPrefix,
+  getSubmissionKey,
+  mergeRecords,
+  parseJsonLines,
+  toJsonLine,
+} from "../records.js";
+
+export class FileLeadStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    this.name = "Filesystem";
+  }
+
+  /**
+   * Write a record to its own file and index it by ID
+   */
+  async save(record) {
+    const dateKey = getDateKey(record.timestamp);
+
+    await this.writeText(
+      getSubmissionKey(dateKey, record.id),
+      JSON.stringify(record),
+    );
+    await this.writeText(getIndexKey(record.id), dateKey);
+
+    return record;
+  }
+
+  /**
+   * Read a single record back by quote ID
+   */
+  async get(id) {
+    const dateKey = (await this.readText(getIndexKey(id)))?.trim();
+    if (!dateKey) {
+      return null;
+    }
+
+    const content = await this.readText(getSubmissionKey(dateKey, id));
+    if (content) {
+      return JSON.parse(content);
+    }
+
+    const records = await this.readRollup(dateKey);
+    return records.find((record) => record.id === id) || null;
+  }
+
+  /**
+   * List all records stored for a YYYY-MM-DD date key, oldest first
+   */
+  async listByDate(dateKey) {
+    const rollup = await this.readRollup(dateKey);
+    const { records } = await this.readPending(dateKey);
+
+    return mergeRecords(rollup, records);
+  }
+
+  /**
+   * Fold a day's submission files into its JSONL rollup, then delete them
+   * Returns {dateKey, compacted, total}
+   */
+  async compact(dateKey) {
+    const { keys, records } = await this.readPending(dateKey);
+    if (keys.length === 0) {
+      return { dateKey, compacted: 0, total: null };
+    }
+
+    const merged = mergeRecords(await this.readRollup(dateKey), records);
+    await this.writeText(getDailyKey(dateKey), merged.map(toJsonLine).join(""));
+    await Promise.all(
+      keys.map((key) => rm(this.resolve(key), { force: true })),
+    );
+
+    return { dateKey, compacted: keys.length, total: merged.length };
+  }
+
+  /**
+   * Read a day's compacted JSONL rollup
+   */
+  async readRollup(dateKey) {
+    const content = await this.readText(getDailyKey(dateKey));
+    return content ? parseJsonLines(content) : [];
+  }
+
+  /**
+   * Read a day's submission files: {keys, records}
+   */
+  async readPending(dateKey) {
+    const prefix = getPendingPrefix(dateKey);
+    let names;
+    try {
+      names = await readdir(this.resolve(prefix));
+    } catch (error) {
+      if (error.code === "ENOENT") return { keys: [], records: [] };
+      throw error;
+    }
+
+    const keys = names
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => `${prefix}${name}`);
+    const records = [];
+    for (const key of keys) {
+      const content = await this.readText(key);
+      if (content) records.push(...parseJsonLines(content));
+    }
+
+    return { keys, records };
+  }
+
+  /**
+   * Read a file relative to the base directory, or null if missing
+   */
+  async readText(key) {
+    try {
+      return await readFile(this.resolve(key), "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a file relative to the base directory, creating its folders
+   */
+  async writeText(key, content) {
+    const path = this.resolve(key);
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, content, "utf8");
+  }
+
+  /**
+   * Map a storage key onto the base directory
+   */
+  resolve(key) {
+    return join(this.baseDir, ...key.split("/").filter(Boolean));
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Memory Lead Store
+ * Process-local store for tests and local development without bindings
+ */
+
+import { getDateKey } from "../records.js";
+
+export class MemoryLeadStore {
+  constructor() {
+    this.records = new Map();
+    this.name = "Memory";
+  }
+
+  /**
+   * Store a copy of the record keyed by quote ID
+   */
+  async save(record) {
+    this.records.set(record.id, structuredClone(record));
+    return record;
+  }
+
+  /**
+   * Read a single record back by quote ID
+   */
+  async get(id) {
+    const record = this.records.get(id);
+    return record ? structuredClone(record) : null;
+  }
+
+  /**
+   * List all records stored for a YYYY-MM-DD date key
+   */
+  async listByDate(dateKey) {
+    return Array.from(this.records.values())
+      .filter((record) => getDateKey(record.timestamp) === dateKey)
+      .map((record) => structuredClone(record));
+  }
+
+  /**
+   * Remove all records
+   */
+  clear() {
+    this.records.clear();
+  }
+}
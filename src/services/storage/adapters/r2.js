@@ -0,0 +1,152 @@
+/**
+ * R2 Lead Store
+ * Writes each submission to its own object in a Cloudflare R2 bucket and
+ * reads days back from their JSONL rollup plus any objects not yet compacted
+ *
+ * Saves never read-modify-write a shared object, so concurrent submissions
+ * cannot overwrite each other
+ */
+
+import {
+  getDateKey,
+  getDailyKey,
+  getIndexKey,
+  getPendingPrefix,
+  getSubmissionKey,
+  mergeRecords,
+  parseJsonLines,
+  toJsonLine,
+} from "../records.js";
+
+export class R2LeadStore {
+  constructor(bucket) {
+    this.bucket = bucket;
+    this.name = "R2";
+  }
+
+  /**
+   * Write a record to its own object and index it by ID
+   */
+  async save(record) {
+    const dateKey = getDateKey(record.timestamp);
+    const submissionKey = getSubmissionKey(dateKey, record.id);
+
+    await this.bucket.put(submissionKey, JSON.stringify(record), {
+      httpMetadata: {
+        contentType: "application/json",
+      },
+    });
+
+    // Point the quote ID at its day so it can be read back directly
+    await this.bucket.put(getIndexKey(record.id), dateKey);
+
+    console.log(`Stored submission ${record.id} to ${submissionKey}`);
+    return record;
+  }
+
+  /**
+   * Read a single record back by quote ID
+   */
+  async get(id) {
+    const pointer = await this.bucket.get(getIndexKey(id));
+    if (!pointer) {
+      return null;
+    }
+
+    const dateKey = (await pointer.text()).trim();
+    const object = await this.bucket.get(getSubmissionKey(dateKey, id));
+    if (object) {
+      return JSON.parse(await object.text());
+    }
+
+    const records = await this.readRollup(dateKey);
+    return records.find((record) => record.id === id) || null;
+  }
+
+  /**
+   * List all records stored for a YYYY-MM-DD date key, oldest first
+   */
+  async listByDate(dateKey) {
+    const rollup = await this.readRollup(dateKey);
+    const { records } = await this.readPending(dateKey);
+
+    return mergeRecords(rollup, records);
+  }
+
+  /**
+   * Fold a day's submission objects into its JSONL rollup, then delete them
+   * Returns {dateKey, compacted, total}, or {dateKey, skipped} when another
+   * compaction removed the objects first
+   *
+   * Only compact closed days: the rollup is rewritten whole, and objects
+   * saved while it is written would be left for the next run
+   */
+  async compact(dateKey) {
+    const { keys, records, missing } = await this.readPending(dateKey);
+    if (missing) {
+      return { dateKey, skipped: true };
+    }
+    if (keys.length === 0) {
+      return { dateKey, compacted: 0, total: null };
+    }
+
+    const merged = mergeRecords(await this.readRollup(dateKey), records);
+    await this.bucket.put(
+      getDailyKey(dateKey),
+      merged.map(toJsonLine).join(""),
+      {
+        httpMetadata: {
+          contentType: "application/jsonlines",
+        },
+      },
+    );
+
+    // R2 deletes at most 1000 keys per call
+    for (let i = 0; i < keys.length; i += 1000) {
+      await this.bucket.delete(keys.slice(i, i + 1000));
+    }
+
+    console.log(
+      `Compacted ${keys.length} submissions into ${getDailyKey(dateKey)}`,
+    );
+    return { dateKey, compacted: keys.length, total: merged.length };
+  }
+
+  /**
+   * Read a day's compacted JSONL rollup
+   */
+  async readRollup(dateKey) {
+    const object = await this.bucket.get(getDailyKey(dateKey));
+    return object ? parseJsonLines(await object.text()) : [];
+  }
+
+  /**
+   * Read a day's submission objects: {keys, records, missing}, where missing
+   * is set when a listed object was deleted before it could be read
+   */
+  async readPending(dateKey) {
+    const keys = [];
+    let cursor;
+    do {
+      const page = await this.bucket.list({
+        prefix: getPendingPrefix(dateKey),
+        cursor,
+      });
+      keys.push(...page.objects.map(({ key }) => key));
+      cursor = page.truncated ? page.cursor : undefined;
+    } while (cursor);
+
+    const records = [];
+    let missing = false;
+    for (const key of keys) {
+      const object = await this.bucket.get(key);
+      if (!object) {
+        missing = true;
+        continue;
+      }
+      records.push(...parseJsonLines(await object.text()));
+    }
+
+    return { keys, records, missing };
+  }
+}
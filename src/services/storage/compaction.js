@@ -0,0 +1,55 @@
+/**
+ * Submission Compaction
+ * Folds the per-submission objects of closed days into their daily JSONL
+ * rollups, keeping bucket listings and day reads short
+ *
+ * Only bucket-backed stores (R2, filesystem) need compacting; D1 and memory
+ * stores have no compact method and are left alone
+ */
+
+import { STORAGE_COMPACTION } from "../../config/storage.js";
+import { getDateKey, listDateKeys, shiftDateKey } from "./records.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the most recent day that has closed and settled
+ */
+export function getLastClosedDay(
+  now = Date.now(),
+  settings = STORAGE_COMPACTION,
+) {
+  return shiftDateKey(getDateKey(now - settings.settleHours * HOUR_MS), -1);
+}
+
+/**
+ * Compact the submissions of closed days, oldest first
+ * Returns {results: [{dateKey, compacted, total, skipped}]} or
+ * {error: "day_open", message}
+ *
+ * Options:
+ * - from, to: YYYY-MM-DD range, the last lookbackDays closed days by default
+ * - now: clock override, in milliseconds
+ * - settings: STORAGE_COMPACTION override
+ */
+export async function compactSubmissions(store, options = {}) {
+  const settings = options.settings || STORAGE_COMPACTION;
+  const lastClosedDay = getLastClosedDay(options.now, settings);
+  const to = options.to || lastClosedDay;
+  const from = options.from || shiftDateKey(to, -(settings.lookbackDays - 1));
+  if (to > lastClosedDay) {
+    return {
+      error: "day_open",
+      message: `Days after ${lastClosedDay} may still receive submissions.`,
+    };
+  }
+
+  const results = [];
+  if (typeof store.compact !== "function") return { results };
+
+  for (const dateKey of listDateKeys(from, to)) {
+    results.push(await store.compact(dateKey));
+  }
+
+  return { results };
+}
@@ -0,0 +1,113 @@
+/**
+ * Submission Compaction Request Handler
+ * Serves POST /api/admin/storage/compact for admins, the trigger of the
+ * daily compaction job; an empty body compacts the recent closed days
+ *
+ * Responses use the lead endpoint's {ok, error, details} shape
+ */
+
+import { z } from "zod";
+import { STORAGE_COMPACTION } from "../../config/storage.js";
+import { authorizeRequest } from "../auth/guards.js";
+import { jsonResponse, requireJsonRequest } from "../submission/http.js";
+import { compactSubmissions } from "./compaction.js";
+import { createLeadStore } from "./leadStore.js";
+import { listDateKeys } from "./records.js";
+
+const dateKey = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Must be a YYYY-MM-DD date")
+  .refine(
+    (value) => !Number.isNaN(Date.parse(value)),
+    "Must be a valid calendar date",
+  );
+
+const CompactionSchema = z
+  .object({ from: dateKey.optional(), to: dateKey.optional() })
+  .refine(({ from, to }) => !from || to, {
+    message: "Give an end date with the start date.",
+    path: ["to"],
+  });
+
+/**
+ * Handle POST /api/admin/storage/compact with an optional {from, to} body,
+ * sent as application/json even when empty
+ *
+ * Options:
+ * - env: runtime bindings (R2_BUCKET and the auth variables)
+ * - store: injectable lead store, mainly for tests
+ * - now, fetch: passed on to the route guard and the compaction
+ */
+export async function handleCompaction(request, options = {}) {
+  try {
+    const { principal, response } = await authorizeRequest(
+      request,
+      options.env,
+      ["admin"],
+      options,
+    );
+    if (!principal) return response;
+
+    const unsupported = requireJsonRequest(request);
+    if (unsupported) return unsupported;
+
+    let body;
+    try {
+      const text = await request.text();
+      body = text.trim() ? JSON.parse(text) : {};
+    } catch {
+      return validationFailed({ body: "Request body must be valid JSON." });
+    }
+
+    const validation = CompactionSchema.safeParse(body);
+    if (!validation.success) {
+      const details = {};
+      for (const issue of validation.error.issues) {
+        details[issue.path.join(".") || "body"] ??= issue.message;
+      }
+      return validationFailed(details);
+    }
+
+    const { from, to } = validation.data;
+    if (from && from > to) {
+      return validationFailed({ from: "Must be on or before the end date." });
+    }
+    if (from && listDateKeys(from, to).length > STORAGE_COMPACTION.maxDays) {
+      return validationFailed({
+        from: `Compact at most ${STORAGE_COMPACTION.maxDays} days at a time.`,
+      });
+    }
+
+    const store = options.store || createLeadStore(options.env);
+    const result = await compactSubmissions(store, {
+      from,
+      to,
+      now: options.now,
+    });
+    if (result.error) {
+      return validationFailed({ to: result.message });
+    }
+
+    console.log("Submission compaction:", {
+      actor: `${principal.role}:${principal.id}`,
+      days: result.results.length,
+      compacted: result.results.reduce(
+        (sum, day) => sum + (day.compacted || 0),
+        0,
+      ),
+    });
+
+    return jsonResponse({ ok: true, results: result.results });
+  } catch (error) {
+    console.error("Submission compaction error:", error);
+
+    return jsonResponse({ ok: false, error: "internal_error" }, 500);
+  }
+}
+
+/**
+ * Build a 400 validation_failed response
+ */
+function validationFailed(details) {
+  return jsonResponse({ ok: false, error: "validation_failed", details }, 400);
+}
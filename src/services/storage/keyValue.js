@@ -0,0 +1,90 @@
+/**
+ * Key-Value Stores
+ * Expiring JSON entries in Workers KV, with a process-local fallback
+ */
+
+/**
+ * Workers KV rejects expiration TTLs below 60 seconds
+ */
+const MIN_KV_TTL_SECONDS = 60;
+
+/**
+ * Stores JSON entries in a Workers KV namespace
+ */
+export class KvJsonStore {
+  constructor(namespace) {
+    this.namespace = namespace;
+    this.name = "KV";
+  }
+
+  /**
+   * Get the entry for a key, or null
+   */
+  async get(key) {
+    return this.namespace.get(key, "json");
+  }
+
+  /**
+   * Store an entry that expires after ttlMs
+   */
+  async set(key, entry, ttlMs) {
+    await this.namespace.put(key, JSON.stringify(entry), {
+      expirationTtl: Math.max(MIN_KV_TTL_SECONDS, Math.ceil(ttlMs / 1000)),
+    });
+  }
+
+  /**
+   * Remove an entry
+   */
+  async delete(key) {
+    await this.namespace.delete(key);
+  }
+}
+
+/**
+ * Process-local store for tests and local development without KV
+ */
+export class MemoryJsonStore {
+  constructor() {
+    this.entries = new Map();
+    this.name = "Memory";
+  }
+
+  /**
+   * Get the entry for a key, or null
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Store an entry that expires after ttlMs
+   */
+  async set(key, entry, ttlMs) {
+    this.entries.set(key, {
+      value: structuredClone(entry),
+      expiresAt: Date.now() + ttlMs,
+    });
+  }
+
+  /**
+   * Remove an entry
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Lead Store - Durable storage for quote submissions
+ * Selects a storage adapter (D1, R2 or in-memory) from the runtime bindings
+ */
+
+import { D1LeadStore } from "./adapters/d1.js";
+import { R2LeadStore } from "./adapters/r2.js";
+import { MemoryLeadStore } from "./adapters/memory.js";
+
+/**
+ * Shared in-memory store used when no durable binding is available
+ */
+const fallbackStore = new MemoryLeadStore();
+
+/**
+ * Create the lead store for the current runtime environment
+ * Priority order: D1 > R2 > in-memory
+ */
+export function createLeadStore(env = {}) {
+  if (env.DB) {
+    return new D1LeadStore(env.DB);
+  }
+
+  if (env.R2_BUCKET) {
+    return new R2LeadStore(env.R2_BUCKET);
+  }
+
+  console.warn(
+    "No DB or R2_BUCKET binding configured, storing leads in memory only",
+  );
+  return fallbackStore;
+}
@@ -0,0 +1,192 @@
+/**
+ * Submission Records
+ * Defines the JSONL record layout shared by every lead store adapter
+ *
+ * Bucket layout: each submission is written once to its own
+ * submissions/YYYY-MM-DD/<id>.json object, and compaction later folds a
+ * closed day into its submissions/YYYY-MM-DD.jsonl rollup
+ */
+
+/**
+ * Prefix for the submission objects and daily JSONL rollups in R2
+ */
+export const SUBMISSIONS_PREFIX = "submissions";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a submission record in the JSONL layout used by the R2 bucket
+ */
+export function createSubmissionRecord(
+  quoteId,
+  data,
+  timestamp = new Date().toISOString(),
+) {
+  return {
+    id: quoteId,
+    timestamp,
+    data: {
+      name: data.name,
+      email: data.email,
+      phone: data.phone,
+      moveDate: data.moveDate,
+      flexibleDates: data.flexibleDates,
+      fromZip: data.fromZip,
+      toZip: data.toZip,
+      moveSize: data.moveSize,
+      serviceType: data.serviceType,
+      packingSupplies: data.packingSupplies,
+      storageNeeded: data.storageNeeded,
+      specialItems: data.specialItems || [],
+      fromFloor: data.fromFloor,
+      toFloor: data.toFloor,
+      budget: data.budget,
+      additionalInfo: data.additionalInfo,
+      // Ballpark range the customer saw on the form, if it loaded
+      shownEstimate:
+        data.estimateLow === undefined || data.estimateHigh === undefined
+          ? null
+          : { low: data.estimateLow, high: data.estimateHigh },
+    },
+    meta: {
+      source: "quote-form",
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      referrer: data.referrer,
+      tracking: {
+        utmSource: data.utmSource || null,
+        utmMedium: data.utmMedium || null,
+        utmCampaign: data.utmCampaign || null,
+        gclid: data.gclid || null,
+        fbclid: data.fbclid || null,
+      },
+      duplicateOf: data.duplicateOf || null,
+      flags: data.flags || [],
+      leadScore: data.leadScore || null,
+    },
+  };
+}
+
+/**
+ * Build a record for a structured lead-form payload
+ * The validated {prospect, move, tracking, consent} payload is kept as-is in `data`
+ */
+export function createLeadRecord(
+  lead,
+  { duplicateOf = null, flags = [], leadScore = null } = {},
+) {
+  return {
+    id: lead.lead_id,
+    timestamp: lead.timestamp,
+    data: {
+      prospect: lead.prospect,
+      move: lead.move,
+      tracking: lead.tracking,
+      consent: lead.consent,
+    },
+    meta: {
+      source: "lead-form",
+      ipAddress: lead.tracking.ip,
+      userAgent: lead.tracking.user_agent,
+      referrer: lead.tracking.referrer_url,
+      duplicateOf,
+      flags,
+      leadScore,
+    },
+  };
+}
+
+/**
+ * Get the YYYY-MM-DD partition key for a record timestamp
+ */
+export function getDateKey(timestamp) {
+  return new Date(timestamp).toISOString().split("T")[0];
+}
+
+/**
+ * Move a YYYY-MM-DD date key by a number of days
+ */
+export function shiftDateKey(dateKey, days) {
+  return getDateKey(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS);
+}
+
+/**
+ * List the YYYY-MM-DD date keys from `from` to `to`, inclusive
+ */
+export function listDateKeys(from, to) {
+  const keys = [];
+  for (let key = from; key <= to; key = shiftDateKey(key, 1)) {
+    keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Get the R2 object key of a day's compacted JSONL rollup
+ */
+export function getDailyKey(dateKey) {
+  return `${SUBMISSIONS_PREFIX}/${dateKey}.jsonl`;
+}
+
+/**
+ * Get the R2 object key prefix of a day's not yet compacted submissions
+ */
+export function getPendingPrefix(dateKey) {
+  return `${SUBMISSIONS_PREFIX}/${dateKey}/`;
+}
+
+/**
+ * Get the R2 object key a single submission is written to
+ */
+export function getSubmissionKey(dateKey, id) {
+  return `${getPendingPrefix(dateKey)}${id}.json`;
+}
+
+/**
+ * Get the R2 object key that maps a quote ID to its daily partition
+ */
+export function getIndexKey(id) {
+  return `${SUBMISSIONS_PREFIX}/index/${id}`;
+}
+
+/**
+ * Serialize a record as a single JSONL line
+ */
+export function toJsonLine(record) {
+  return JSON.stringify(record) + "\n";
+}
+
+/**
+ * Merge record lists into one list ordered by timestamp, keeping the first
+ * copy of a record that appears twice (a rollup and its leftover object)
+ */
+export function mergeRecords(...lists) {
+  const records = new Map();
+  for (const record of lists.flat()) {
+    if (!records.has(record.id)) records.set(record.id, record);
+  }
+
+  return Array.from(records.values()).sort(
+    (a, b) =>
+      a.timestamp.localeCompare(b.timestamp) || a.id.localeCompare(b.id),
+  );
+}
+
+/**
+ * Parse JSONL content into records, skipping blank or corrupt lines
+ */
+export function parseJsonLines(content) {
+  const records = [];
+
+  for (const line of content.split("\n")) {
+    if (!line.trim()) continue;
+
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      console.error("Skipping unreadable submission line:", error.message);
+    }
+  }
+
+  return records;
+}
@@ -0,0 +1,148 @@
+/**
+ * Duplicate Lead Detection
+ * Recognizes customers resubmitting the same move so repeat submissions are
+ * linked to the original lead instead of being treated as new business
+ */
+
+import { getDuplicateConfig } from "../../config/duplicates.js";
+import { KvJsonStore, MemoryJsonStore } from "../storage/keyValue.js";
+import { normalizeEmail, normalizePhone, sha256Hex } from "./fingerprint.js";
+
+const KEY_PREFIX = "duplicate";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Shared in-memory store used when no KV binding is available
+ */
+const fallbackStore = new MemoryJsonStore();
+
+/**
+ * Indexes original leads by hashed email and phone
+ * A submission is a duplicate when it shares an email or phone with an
+ * original from the window, moves between the same ZIPs, and its move date
+ * is within the tolerance (an unknown date matches any date)
+ */
+export class DuplicateDetector {
+  constructor(store, config = getDuplicateConfig(), options = {}) {
+    this.store = store;
+    this.config = config;
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Find the original lead a fingerprint duplicates, or null
+   */
+  async findOriginal(fingerprint) {
+    const since = this.now() - this.config.windowDays * DAY_MS;
+    const matches = [];
+
+    for (const key of await this.getContactKeys(fingerprint)) {
+      const entries = (await this.store.get(key)) || [];
+
+      matches.push(
+        ...entries.filter(
+          (entry) =>
+            Date.parse(entry.submittedAt) > since &&
+            this.isSameMove(entry, fingerprint),
+        ),
+      );
+    }
+
+    if (matches.length === 0) return null;
+
+    return matches.reduce((a, b) => (b.submittedAt < a.submittedAt ? b : a));
+  }
+
+  /**
+   * Remember an original lead so later resubmissions can be linked to it
+   */
+  async remember(id, fingerprint) {
+    const entry = {
+      id,
+      fromZip: fingerprint.fromZip,
+      toZip: fingerprint.toZip,
+      moveDate: fingerprint.moveDate,
+      submittedAt: new Date(this.now()).toISOString(),
+    };
+    const ttlMs = this.config.windowDays * DAY_MS;
+
+    for (const key of await this.getContactKeys(fingerprint)) {
+      const entries = (await this.store.get(key)) || [];
+      entries.push(entry);
+
+      await this.store.set(
+        key,
+        entries.slice(-this.config.maxEntriesPerContact),
+        ttlMs,
+      );
+    }
+  }
+
+  /**
+   * Check whether an indexed original describes the same move
+   */
+  isSameMove(entry, fingerprint) {
+    if (
+      entry.fromZip !== fingerprint.fromZip ||
+      entry.toZip !== fingerprint.toZip
+    ) {
+      return false;
+    }
+
+    if (!entry.moveDate || !fingerprint.moveDate) {
+      return true;
+    }
+
+    const daysApart =
+      Math.abs(Date.parse(entry.moveDate) - Date.parse(fingerprint.moveDate)) /
+      DAY_MS;
+    return daysApart <= this.config.moveDateToleranceDays;
+  }
+
+  /**
+   * Index keys for the fingerprint's email and phone
+   */
+  async getContactKeys({ email, phone }) {
+    const keys = [];
+
+    if (email) keys.push(`${KEY_PREFIX}:email:${await sha256Hex(email)}`);
+    if (phone) keys.push(`${KEY_PREFIX}:phone:${await sha256Hex(phone)}`);
+
+    return keys;
+  }
+}
+
+/**
+ * Fingerprint a validated quote form submission
+ */
+export function getQuoteFingerprint(data) {
+  return {
+    email: normalizeEmail(data.email),
+    phone: normalizePhone(data.phone),
+    fromZip: data.fromZip,
+    toZip: data.toZip,
+    moveDate: data.moveDate || null,
+  };
+}
+
+/**
+ * Fingerprint a validated structured lead payload
+ */
+export function getLeadFingerprint(lead) {
+  return {
+    email: normalizeEmail(lead.prospect.email),
+    phone: normalizePhone(lead.prospect.phone),
+    fromZip: lead.move.from_zip,
+    toZip: lead.move.to_zip,
+    moveDate: lead.move.date || null,
+  };
+}
+
+/**
+ * Create the duplicate detector for the current runtime environment
+ */
+export function createDuplicateDetector(env = {}) {
+  const store = env.SESSION ? new KvJsonStore(env.SESSION) : fallbackStore;
+  return new DuplicateDetector(store, getDuplicateConfig(env));
+}
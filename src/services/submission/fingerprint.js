@@ -0,0 +1,45 @@
+/**
+ * Contact Fingerprints
+ * Normalizes and hashes customer contact details so the same person is
+ * recognized regardless of formatting, without storing the raw values
+ */
+
+/**
+ * Lowercase and trim an email address
+ */
+export function normalizeEmail(email) {
+  const normalized = email?.toString().trim().toLowerCase();
+  return normalized || null;
+}
+
+/**
+ * Convert a phone number to E.164, assuming US numbers without a country code
+ * (512) 555-0123, 512-555-0123 and +15125550123 all become +15125550123
+ */
+export function normalizePhone(phone) {
+  const text = phone?.toString().trim();
+  if (!text) return null;
+
+  const digits = text.replace(/\D/g, "");
+  if (!digits) return null;
+
+  if (digits.length === 10 && !text.startsWith("+")) {
+    return `+1${digits}`;
+  }
+
+  return `+${digits}`;
+}
+
+/**
+ * Hex-encoded SHA-256 of a string
+ */
+export async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(value),
+  );
+
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0"),
+  ).join("");
+}
@@ -0,0 +1,50 @@
+/**
+ * Submission HTTP Helpers
+ * Response and request utilities shared by the submission endpoints
+ */
+
+/**
+ * Build a JSON response with optional extra headers
+ */
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+/**
+ * Resolve the client IP from Cloudflare or proxy headers
+ */
+export function getClientIp(request) {
+  const forwardedFor = request.headers.get("x-forwarded-for");
+
+  return (
+    request.headers.get("cf-connecting-ip") ||
+    forwardedFor?.split(",")[0].trim() ||
+    "unknown"
+  );
+}
+
+/**
+ * Answer 415 unless the request body is declared as JSON
+ * Browsers only send that Content-Type cross-site after a CORS preflight,
+ * so this keeps other sites from posting as a signed-in staff member
+ * Returns the response to send, or null when the request may go on
+ */
+export function requireJsonRequest(request) {
+  const type = (request.headers.get("content-type") || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (type === "application/json") return null;
+
+  return jsonResponse(
+    {
+      ok: false,
+      error: "unsupported_media_type",
+      details: { "Content-Type": "Must be application/json." },
+    },
+    415,
+  );
+}
@@ -0,0 +1,176 @@
+/**
+ * Idempotent Submissions
+ * Remembers responses by client-generated Idempotency-Key so replayed
+ * submissions (double clicks, retries, offline queues) are not re-processed
+ */
+
+import { KvJsonStore, MemoryJsonStore } from "../storage/keyValue.js";
+
+const KEY_PREFIX = "idempotency";
+
+/**
+ * How long completed responses are replayed for
+ */
+const RESPONSE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long a key stays locked while its first request is processing
+ */
+const IN_PROGRESS_TTL_MS = 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Shared in-memory store used when no KV binding is available
+ */
+const fallbackStore = new MemoryJsonStore();
+
+/**
+ * Create the idempotency store for the current runtime environment
+ */
+export function createIdempotencyStore(env = {}) {
+  if (env.SESSION) {
+    return new KvJsonStore(env.SESSION);
+  }
+
+  return fallbackStore;
+}
+
+/**
+ * Run handler once per Idempotency-Key and replay its response afterwards
+ * Requests without the header are processed normally.
+ *
+ * Options:
+ * - scope: namespaces keys per endpoint
+ * - store: idempotency store
+ * - reject(status, message): builds the endpoint's error response for
+ *   malformed keys (400), keys whose first request is still running (409)
+ *   and keys reused with a different request body (422)
+ */
+export async function withIdempotency(request, options, handler) {
+  const header = request.headers.get("Idempotency-Key");
+
+  if (header === null) {
+    return handler();
+  }
+
+  const idempotencyKey = header.trim();
+  if (!idempotencyKey || idempotencyKey.length > MAX_KEY_LENGTH) {
+    return options.reject(
+      400,
+      `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+    );
+  }
+
+  const { store, scope } = options;
+  const storeKey = `${KEY_PREFIX}:${scope}:${idempotencyKey}`;
+  const bodyHash = await hashBody(request);
+  const existing = await store.get(storeKey);
+
+  // Entries stored before body hashes were kept have none to compare
+  if (existing?.bodyHash && existing.bodyHash !== bodyHash) {
+    return options.reject(
+      422,
+      "This Idempotency-Key was already used with a different request body",
+    );
+  }
+
+  if (existing?.status === "completed") {
+    console.log("Replaying idempotent response:", { scope, idempotencyKey });
+    return replayResponse(existing.response);
+  }
+
+  if (existing?.status === "in_progress") {
+    return options.reject(
+      409,
+      "A request with this Idempotency-Key is already being processed",
+    );
+  }
+
+  // KV is eventually consistent, so two simultaneous first requests in
+  // different locations can both get through; sequential replays cannot
+  await store.set(
+    storeKey,
+    { status: "in_progress", bodyHash },
+    IN_PROGRESS_TTL_MS,
+  );
+
+  let response;
+  try {
+    response = await handler();
+  } catch (error) {
+    await store.delete(storeKey);
+    throw error;
+  }
+
+  if (isReplayable(response)) {
+    await store.set(
+      storeKey,
+      {
+        status: "completed",
+        bodyHash,
+        response: await serializeResponse(response),
+      },
+      RESPONSE_TTL_MS,
+    );
+  } else {
+    await store.delete(storeKey);
+  }
+
+  return response;
+}
+
+/**
+ * SHA-256 of the request body, read from a clone so the handler can still
+ * consume the original
+ * Multipart bodies get a fresh boundary on every retry, so their fields are
+ * hashed instead (files by name, type and size)
+ */
+async function hashBody(request) {
+  const contentType = request.headers.get("Content-Type") || "";
+  const body = contentType.startsWith("multipart/form-data")
+    ? new TextEncoder().encode(
+        JSON.stringify(
+          Array.from(await request.clone().formData(), ([name, value]) => [
+            name,
+            typeof value === "string"
+              ? value
+              : { file: value.name, type: value.type, size: value.size },
+          ]),
+        ),
+      )
+    : await request.clone().arrayBuffer();
+  const digest = await crypto.subtle.digest("SHA-256", body);
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0"),
+  ).join("");
+}
+
+/**
+ * Only final outcomes are remembered: server errors and rate limits
+ * should be retried with the same key and processed for real
+ */
+function isReplayable(response) {
+  return response.status < 500 && response.status !== 429;
+}
+
+/**
+ * Capture a response in a form that can be stored as JSON
+ */
+async function serializeResponse(response) {
+  return {
+    status: response.status,
+    headers: Object.fromEntries(response.headers.entries()),
+    body: await response.clone().text(),
+  };
+}
+
+/**
+ * Rebuild a stored response, marked as a replay
+ */
+function replayResponse({ status, headers, body }) {
+  return new Response(body, {
+    status,
+    headers: { ...headers, "Idempotent-Replayed": "true" },
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * Lead Payload Schema
+ * Zod mirror of moving-company-lead-capture-form/other/json-schema.json
+ * for the structured {prospect, move, tracking, consent} lead payload
+ */
+
+import { z } from "zod";
+
+export const HOME_SIZES = ["studio", "1BR", "2BR", "3BR", "4BR+"];
+
+export const STAIRS_OR_ELEVATOR = ["none", "stairs", "elevator", "both"];
+
+export const BUDGET_RANGES = [
+  "<500",
+  "$500-$999",
+  "$1k-$1.9k",
+  "$2k-$3.9k",
+  ">$4k",
+];
+
+/**
+ * Treat blank strings from untouched form inputs as null
+ */
+function blankToNull(schema) {
+  return z.preprocess(
+    (value) =>
+      value === undefined || (typeof value === "string" && !value.trim())
+        ? null
+        : value,
+    schema.nullable(),
+  );
+}
+
+/**
+ * Accept numeric strings from number inputs for integer fields
+ */
+function optionalInteger(schema) {
+  return blankToNull(
+    z.preprocess(
+      (value) => (typeof value === "string" ? Number(value) : value),
+      schema,
+    ),
+  );
+}
+
+const nullableString = blankToNull(z.string());
+
+const isoDate = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Must be a YYYY-MM-DD date")
+  .refine(
+    (value) => !Number.isNaN(Date.parse(value)),
+    "Must be a valid calendar date",
+  );
+
+export const ProspectSchema = z
+  .object({
+    first_name: z.string().trim().min(1, "First name is required."),
+    last_name: z.string().trim().min(1, "Last name is required."),
+    email: blankToNull(
+      z.string().trim().email("Please enter a valid email address."),
+    ),
+    phone: blankToNull(
+      z
+        .string()
+        .regex(
+          /^\+[1-9]\d{1,14}$/,
+          "Phone must be in E.164 format (+15125551234).",
+        ),
+    ),
+  })
+  .refine((prospect) => prospect.email || prospect.phone, {
+    message: "Either email or phone is required.",
+    path: ["email"],
+  });
+
+export const MoveSchema = z
+  .object({
+    from_zip: z.string().regex(/^\d{5}$/, "Must be a 5-digit ZIP code."),
+    to_zip: z.string().regex(/^\d{5}$/, "Must be a 5-digit ZIP code."),
+    date: blankToNull(isoDate),
+    flexible: z.boolean(),
+    home_size: blankToNull(z.enum(HOME_SIZES)),
+    items_count: optionalInteger(
+      z.number().int().min(1, "Number of items must be 1 or more."),
+    ),
+    stairs_or_elevator: blankToNull(z.enum(STAIRS_OR_ELEVATOR)),
+    parking_constraints: nullableString,
+    budget_range: blankToNull(z.enum(BUDGET_RANGES)),
+    notes: nullableString,
+  })
+  .refine((move) => move.date || move.flexible, {
+    message: 'Please select a move date or check "My dates are flexible".',
+    path: ["date"],
+  })
+  .refine((move) => move.home_size || move.items_count, {
+    message: "Please select your home size or enter a valid item count.",
+    path: ["home_size"],
+  });
+
+export const TrackingSchema = z.object({
+  utm_source: nullableString,
+  utm_medium: nullableString,
+  utm_campaign: nullableString,
+  utm_term: nullableString,
+  utm_content: nullableString,
+  gclid: nullableString,
+  fbclid: nullableString,
+  referrer_url: nullableString,
+  landing_url: nullableString,
+  user_agent: nullableString,
+  ip: nullableString,
+  first_page_seen_at: nullableString,
+  session_id: nullableString,
+});
+
+export const ConsentSchema = z.object({
+  tcpa: z.literal(true, {
+    errorMap: () => ({
+      message: "You must agree to be contacted to receive quotes.",
+    }),
+  }),
+  text: z.string().trim().min(1, "Consent text is required."),
+});
+
+export const LeadSchema = z.object({
+  prospect: ProspectSchema,
+  move: MoveSchema,
+  tracking: TrackingSchema,
+  consent: ConsentSchema,
+});
+
+/**
+ * Validate a lead payload
+ */
+export function validateLead(payload) {
+  return LeadSchema.safeParse(payload);
+}
@@ -0,0 +1,149 @@
+/**
+ * Lead Scoring
+ * Scores every lead from what the customer told us and how they found us,
+ * so sales can call the highest-value leads first
+ */
+
+import { LEAD_SCORING } from "../../config/leadScoring.js";
+
+const SOURCE_LABELS = {
+  paid_search: "Paid search",
+  paid_social: "Paid social",
+  campaign: "Campaign",
+  direct: "Direct / organic",
+};
+
+/**
+ * Score a lead's signals
+ * Returns {score, tier, label, responseTime, factors} where factors lists
+ * {factor, label, points} for every signal that was scored
+ */
+export function calculateLeadScore(signals, config = LEAD_SCORING) {
+  const { points } = config;
+  const factors = [];
+  const add = (factor, label, value) => {
+    if (value !== undefined) factors.push({ factor, label, points: value });
+  };
+
+  add(
+    "moveSize",
+    `Home size: ${signals.moveSize}`,
+    points.moveSize[signals.moveSize],
+  );
+  add(
+    "serviceType",
+    `Service: ${signals.serviceType}`,
+    points.serviceType[signals.serviceType],
+  );
+  add("budget", `Budget: ${signals.budget}`, points.budget[signals.budget]);
+  add(
+    "flexibility",
+    `Date flexibility: ${signals.flexibility}`,
+    points.flexibility[signals.flexibility],
+  );
+
+  const specialItems = signals.specialItems.filter((item) => item !== "none");
+  if (specialItems.length) {
+    add(
+      "specialItems",
+      `Special items: ${specialItems.join(", ")}`,
+      Math.min(
+        specialItems.length * points.specialItem,
+        points.specialItemsMax,
+      ),
+    );
+  }
+
+  const floors = signals.floors.filter((floor) => floor in points.floor);
+  if (floors.length) {
+    add(
+      "floors",
+      `Floors: ${floors.join(" → ")}`,
+      floors.reduce((total, floor) => total + points.floor[floor], 0),
+    );
+  }
+
+  const source = getLeadSource(signals.tracking, config);
+  add("source", `Source: ${SOURCE_LABELS[source]}`, points.source[source]);
+
+  const channels = ["phone", "email"].filter((channel) => signals[channel]);
+  add(
+    "contact",
+    `Contact: ${channels.join(" + ") || "none"}`,
+    channels.reduce((total, channel) => total + points.contact[channel], 0),
+  );
+
+  const total = factors.reduce((sum, factor) => sum + factor.points, 0);
+  const score = Math.min(100, total);
+  const { tier, label, responseTime } = config.tiers.find(
+    (entry) => score >= entry.minScore,
+  );
+
+  return { score, tier, label, responseTime, factors };
+}
+
+/**
+ * Classify how the customer found us from their UTM and click IDs
+ */
+export function getLeadSource(tracking = {}, config = LEAD_SCORING) {
+  const medium = tracking.utmMedium?.toLowerCase();
+
+  if (tracking.gclid || config.paidSearchMediums.includes(medium)) {
+    return "paid_search";
+  }
+  if (tracking.fbclid || config.paidSocialMediums.includes(medium)) {
+    return "paid_social";
+  }
+  if (tracking.utmSource) {
+    return "campaign";
+  }
+  return "direct";
+}
+
+/**
+ * Scoring signals for a validated quote form submission
+ */
+export function getQuoteScoringSignals(data) {
+  return {
+    moveSize: data.moveSize,
+    serviceType: data.serviceType,
+    budget: data.budget,
+    flexibility: data.flexibleDates,
+    specialItems: data.specialItems || [],
+    floors: [data.fromFloor, data.toFloor].filter(Boolean),
+    tracking: {
+      utmSource: data.utmSource,
+      utmMedium: data.utmMedium,
+      gclid: data.gclid,
+      fbclid: data.fbclid,
+    },
+    email: data.email,
+    phone: data.phone,
+  };
+}
+
+/**
+ * Scoring signals for a validated structured lead payload
+ * The lead form has a single stairs/elevator answer and a flexible checkbox
+ * instead of a flexibility range
+ */
+export function getLeadScoringSignals(lead) {
+  const { move, prospect, tracking } = lead;
+
+  return {
+    moveSize: move.home_size,
+    serviceType: null,
+    budget: move.budget_range,
+    flexibility: move.flexible ? "1-week" : "exact",
+    specialItems: [],
+    floors: move.stairs_or_elevator ? [move.stairs_or_elevator] : [],
+    tracking: {
+      utmSource: tracking.utm_source,
+      utmMedium: tracking.utm_medium,
+      gclid: tracking.gclid,
+      fbclid: tracking.fbclid,
+    },
+    email: prospect.email,
+    phone: prospect.phone,
+  };
+}
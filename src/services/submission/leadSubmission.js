@@ -0,0 +1,285 @@
+/**
+ * Lead Submission Handler
+ * Accepts the JSON lead payload posted by public/lead-form-handler.js and
+ * answers with the {ok, lead_id} contract from the lead form's openapi.yaml;
+ * each step is recorded in the lead's audit trail
+ */
+
+import { createAuditTrail } from "../audit/auditTrail.js";
+import {
+  createLeadDistributor,
+  getLeadDistributionLead,
+} from "../partners/distribution.js";
+import {
+  createQuoteLifecycle,
+  recordSubmissionStatus,
+} from "../quotes/lifecycle.js";
+import {
+  createRateLimiter,
+  mostRestrictive,
+} from "../rateLimit/rateLimiter.js";
+import { createLeadStore } from "../storage/leadStore.js";
+import { createLeadRecord } from "../storage/records.js";
+import { getClientIp, jsonResponse } from "./http.js";
+import { createDuplicateDetector, getLeadFingerprint } from "./duplicates.js";
+import { createIdempotencyStore, withIdempotency } from "./idempotency.js";
+import { calculateLeadScore, getLeadScoringSignals } from "./leadScoring.js";
+import { evaluateMoveRules } from "./moveRules.js";
+import { validateLead } from "./leadSchema.js";
+
+/**
+ * Payload paths for the fields reported by the move rules
+ */
+const LEAD_FIELD_PATHS = {
+  fromZip: "move.from_zip",
+  toZip: "move.to_zip",
+  moveDate: "move.date",
+};
+
+/**
+ * Handle a lead form POST and return the JSON response
+ *
+ * Options:
+ * - env: runtime bindings (DB, R2_BUCKET, SESSION)
+ * - waitUntil: keeps background work (partner webhooks) running after the
+ *   response, e.g. the Cloudflare ctx.waitUntil
+ * - headers: extra headers added to every response
+ * - leadStore / rateLimiter / idempotencyStore / duplicateDetector /
+ *   distributor / lifecycle / audit: injectable dependencies, mainly for tests
+ *
+ * Requests carrying an Idempotency-Key header are processed once; replays
+ * get the original response back
+ */
+export async function handleLeadSubmission(request, options = {}) {
+  const headers = { ...options.headers };
+  const respond = (body, status) => jsonResponse(body, status, headers);
+
+  try {
+    return await withIdempotency(
+      request,
+      {
+        scope: "submit-lead",
+        store: options.idempotencyStore || createIdempotencyStore(options.env),
+        reject: (status, message) =>
+          status === 400
+            ? respond(
+                {
+                  ok: false,
+                  error: "validation_failed",
+                  details: { "Idempotency-Key": message },
+                },
+                400,
+              )
+            : respond(
+                {
+                  ok: false,
+                  error:
+                    status === 422
+                      ? "idempotency_key_reused"
+                      : "request_in_progress",
+                },
+                status,
+              ),
+      },
+      () => submitLead(request, options, { headers, respond }),
+    );
+  } catch (error) {
+    console.error("Lead submission error:", error);
+
+    return respond({ ok: false, error: "internal_error" }, 500);
+  }
+}
+
+/**
+ * Run the submission pipeline (replayed keys never reach this point)
+ */
+async function submitLead(request, options, { headers, respond }) {
+  const env = options.env || {};
+  const ip = getClientIp(request);
+  const rateLimiter = options.rateLimiter || createRateLimiter(env);
+
+  const ipLimit = await rateLimiter.limit("submit-lead", { ip });
+  Object.assign(headers, ipLimit.headers);
+  if (!ipLimit.allowed) {
+    return respond({ ok: false, error: "rate_limited" }, 429);
+  }
+
+  // The lead ID is assigned on receipt so rejected submissions keep an
+  // audit trail too
+  const leadId = crypto.randomUUID();
+  const audit = options.audit || createAuditTrail(env);
+  await audit.record(leadId, "submission_received", {
+    form: "lead-form",
+    ipAddress: ip,
+    userAgent: request.headers.get("user-agent"),
+  });
+
+  let payload;
+  try {
+    payload = await request.json();
+  } catch {
+    await audit.record(leadId, "validation", {
+      outcome: "failed",
+      errors: { body: "Request body must be valid JSON." },
+    });
+    return respond(
+      {
+        ok: false,
+        error: "validation_failed",
+        details: { body: "Request body must be valid JSON." },
+      },
+      400,
+    );
+  }
+
+  // Honeypot spam protection (the form strips this field before posting)
+  if (payload?.honeypot_nickname) {
+    console.warn("Spam attempt detected:", { ip, form: "lead" });
+    await audit.record(leadId, "spam_verdict", {
+      verdict: "spam",
+      reason: "honeypot",
+    });
+
+    return respond(
+      {
+        ok: false,
+        error: "validation_failed",
+        details: { honeypot_nickname: "Submission failed validation." },
+      },
+      400,
+    );
+  }
+
+  const validation = validateLead(payload);
+  if (!validation.success) {
+    const details = formatIssues(validation.error.issues);
+    await audit.record(leadId, "validation", {
+      outcome: "failed",
+      errors: details,
+    });
+
+    return respond({ ok: false, error: "validation_failed", details }, 400);
+  }
+
+  // Service area and move date business rules
+  const { move } = validation.data;
+  const { rejections, flags } = evaluateMoveRules({
+    fromZip: move.from_zip,
+    toZip: move.to_zip,
+    moveDate: move.date,
+  });
+  if (rejections.length) {
+    const details = {};
+    for (const { field, message } of rejections) {
+      details[LEAD_FIELD_PATHS[field]] ??= message;
+    }
+    await audit.record(leadId, "validation", {
+      outcome: "failed",
+      errors: details,
+    });
+
+    return respond({ ok: false, error: "validation_failed", details }, 400);
+  }
+  await audit.record(leadId, "validation", { outcome: "passed", flags });
+
+  const contactLimit = await rateLimiter.limit("submit-lead", {
+    email: validation.data.prospect.email,
+    phone: validation.data.prospect.phone,
+  });
+  Object.assign(headers, mostRestrictive([ipLimit, contactLimit]).headers);
+  if (!contactLimit.allowed) {
+    await audit.record(leadId, "rate_limited", { limit: "contact" });
+    return respond({ ok: false, error: "rate_limited" }, 429);
+  }
+
+  // Server-assigned fields are never taken from the client
+  const lead = {
+    ...validation.data,
+    lead_id: leadId,
+    timestamp: new Date().toISOString(),
+    tracking: {
+      ...validation.data.tracking,
+      ip: ip === "unknown" ? null : ip,
+    },
+  };
+
+  // Repeat submissions are stored but linked to the original lead
+  const duplicateDetector =
+    options.duplicateDetector || createDuplicateDetector(env);
+  const fingerprint = getLeadFingerprint(lead);
+  const original = await duplicateDetector.findOriginal(fingerprint);
+
+  const leadScore = calculateLeadScore(getLeadScoringSignals(lead));
+  await audit.record(leadId, "spam_verdict", {
+    verdict: "clean",
+    duplicateOf: original?.id || null,
+    leadScore: leadScore.score,
+  });
+  const leadStore = options.leadStore || createLeadStore(env);
+  await leadStore.save(
+    createLeadRecord(lead, {
+      duplicateOf: original?.id || null,
+      flags,
+      leadScore,
+    }),
+  );
+  await audit.record(leadId, "lead_stored", { store: leadStore.name });
+  if (!original) {
+    await duplicateDetector.remember(lead.lead_id, fingerprint);
+  }
+
+  console.log("Lead stored:", {
+    leadId: lead.lead_id,
+    store: leadStore.name,
+    duplicateOf: original?.id || null,
+    leadScore: leadScore.score,
+  });
+
+  // Duplicates were already distributed with the original lead; failures are
+  // logged but never fail the submission
+  let assignments = [];
+  if (!original) {
+    try {
+      const distributor =
+        options.distributor ||
+        createLeadDistributor(env, {
+          audit,
+          waitUntil: options.waitUntil,
+        });
+      assignments = await distributor.distribute(
+        getLeadDistributionLead(lead),
+        { payload: lead },
+      );
+
+      console.log("Lead distributed:", {
+        leadId: lead.lead_id,
+        partners: assignments.map((assignment) => assignment.partnerId),
+      });
+    } catch (error) {
+      console.error("Failed to distribute lead to partners:", error);
+    }
+  }
+  await recordSubmissionStatus(
+    options.lifecycle || createQuoteLifecycle(env, { leadStore, audit }),
+    lead.lead_id,
+    { duplicateOf: original?.id || null, assignments },
+  );
+
+  return respond({ ok: true, lead_id: lead.lead_id }, 200);
+}
+
+/**
+ * Map zod issues to a {"section.field": message} object
+ */
+function formatIssues(issues) {
+  const details = {};
+
+  for (const issue of issues) {
+    const path = issue.path.join(".") || "body";
+    if (!details[path]) {
+      details[path] = issue.message;
+    }
+  }
+
+  return details;
+}
@@ -0,0 +1,184 @@
+/**
+ * Move Rules Engine
+ * Applies the service area, lead time, holiday and blackout rules from
+ * src/config/moveRules.js to a move's ZIP codes and date
+ */
+
+import { MOVE_RULES } from "../../config/moveRules.js";
+import { isServiceAreaZip } from "../../config/serviceArea.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Evaluate the rules for a move
+ * Returns {rejections, flags}, each a list of {field, code, message} where
+ * field is fromZip, toZip or moveDate. A move date of null (flexible dates)
+ * skips the date rules.
+ */
+export function evaluateMoveRules(
+  { fromZip, toZip, moveDate },
+  { rules = MOVE_RULES, now = new Date() } = {},
+) {
+  const results = [
+    ...checkServiceArea(fromZip, toZip, rules.serviceArea),
+    ...(moveDate ? checkMoveDate(moveDate, rules, now) : []),
+  ];
+
+  const rejections = [];
+  const flags = [];
+
+  for (const { action, ...result } of results) {
+    if (action === "reject") rejections.push(result);
+    if (action === "flag") flags.push(result);
+  }
+
+  return { rejections, flags };
+}
+
+/**
+ * Service area: both ends outside Austin, or only one end inside
+ */
+function checkServiceArea(fromZip, toZip, config) {
+  const fromInside = isServiceAreaZip(fromZip);
+  const toInside = isServiceAreaZip(toZip);
+
+  if (!fromInside && !toInside) {
+    return [
+      {
+        action: config.outside,
+        field: "fromZip",
+        code: "outside_service_area",
+        message:
+          "We currently only handle moves to or from the Austin area. Please check your ZIP codes.",
+      },
+    ];
+  }
+
+  if (!fromInside || !toInside) {
+    const field = fromInside ? "toZip" : "fromZip";
+    const zip = fromInside ? toZip : fromZip;
+
+    return [
+      {
+        action: config.partial,
+        field,
+        code: "partial_service_area",
+        message: `${zip} is outside our Austin service area, so long-distance pricing may apply.`,
+      },
+    ];
+  }
+
+  return [];
+}
+
+/**
+ * Lead time, holiday and blackout checks for a YYYY-MM-DD move date
+ */
+function checkMoveDate(moveDate, rules, now) {
+  const results = [];
+  const today = getLocalDateKey(now, rules.timeZone);
+  const daysOut = Math.round(
+    (Date.parse(moveDate) - Date.parse(today)) / DAY_MS,
+  );
+  const { leadTime } = rules;
+
+  if (daysOut < leadTime.minDays) {
+    results.push({
+      action: leadTime.tooSoon,
+      field: "moveDate",
+      code: daysOut === 0 ? "same_day" : "insufficient_lead_time",
+      message:
+        leadTime.minDays === 1
+          ? "Same-day moves can't be booked online. Please choose a later move date."
+          : `Please choose a move date at least ${leadTime.minDays} days from today.`,
+    });
+  } else if (daysOut > leadTime.maxDays) {
+    results.push({
+      action: leadTime.tooFar,
+      field: "moveDate",
+      code: "date_too_far",
+      message: `We can only quote moves within the next ${leadTime.maxDays} days. Please choose an earlier move date.`,
+    });
+  }
+
+  const blackout = rules.blackoutDates.dates.find(
+    (entry) => entry.date === moveDate,
+  );
+  if (blackout) {
+    results.push({
+      action: rules.blackoutDates.action,
+      field: "moveDate",
+      code: "blackout_date",
+      message: blackout.reason
+        ? `We aren't booking moves on ${moveDate} (${blackout.reason}). Please choose another date.`
+        : `We aren't booking moves on ${moveDate}. Please choose another date.`,
+    });
+  }
+
+  const holiday = getHolidays(Number(moveDate.slice(0, 4))).find(
+    (entry) => entry.date === moveDate,
+  );
+  if (holiday) {
+    results.push({
+      action: rules.holidays.action,
+      field: "moveDate",
+      code: "holiday",
+      message: `${holiday.name} is a holiday, so availability is limited and rates may be higher.`,
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Holidays that affect mover availability for a year
+ */
+export function getHolidays(year) {
+  return [
+    { name: "New Year's Day", date: toDateKey(year, 1, 1) },
+    { name: "Memorial Day", date: lastWeekday(year, 5, 1) },
+    { name: "Independence Day", date: toDateKey(year, 7, 4) },
+    { name: "Labor Day", date: nthWeekday(year, 9, 1, 1) },
+    { name: "Thanksgiving Day", date: nthWeekday(year, 11, 4, 4) },
+    { name: "Christmas Day", date: toDateKey(year, 12, 25) },
+  ];
+}
+
+/**
+ * Get today's YYYY-MM-DD date in a time zone
+ */
+export function getLocalDateKey(date, timeZone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+/**
+ * The nth weekday (0 = Sunday) of a month
+ */
+function nthWeekday(year, month, weekday, n) {
+  const firstDay = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  const day = 1 + ((weekday - firstDay + 7) % 7) + (n - 1) * 7;
+  return toDateKey(year, month, day);
+}
+
+/**
+ * The last weekday (0 = Sunday) of a month
+ */
+function lastWeekday(year, month, weekday) {
+  const lastDate = new Date(Date.UTC(year, month, 0));
+  const day =
+    lastDate.getUTCDate() - ((lastDate.getUTCDay() - weekday + 7) % 7);
+  return toDateKey(year, month, day);
+}
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ */
+function toDateKey(year, month, day) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
@@ -0,0 +1,211 @@
+/**
+ * Quote Form Schema
+ * Single source of truth for quote form field names and validation rules
+ */
+
+import { z } from "zod";
+
+/**
+ * Move sizes offered by the quote form
+ */
+export const MOVE_SIZES = [
+  "studio",
+  "1-bed",
+  "2-bed",
+  "3-bed",
+  "4-bed",
+  "5-bed-plus",
+  "office",
+];
+
+/**
+ * Service types offered by the quote form
+ */
+export const SERVICE_TYPES = ["full-service", "labor-only", "hybrid"];
+
+/**
+ * Check that a YYYY-MM-DD date is today or later
+ */
+function isTodayOrLater(value) {
+  const moveDate = new Date(value);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  return !Number.isNaN(moveDate.getTime()) && moveDate >= today;
+}
+
+/**
+ * Validation schema for normalized (camelCase) quote data
+ */
+export const QuoteSchema = z.object({
+  name: z
+    .string({ required_error: "Name is required" })
+    .trim()
+    .min(2, "Name must be at least 2 characters")
+    .max(100),
+  email: z
+    .string({ required_error: "Email is required" })
+    .trim()
+    .email("Please enter a valid email address"),
+  phone: z
+    .string({ required_error: "Phone number is required" })
+    .regex(/^\(\d{3}\) \d{3}-\d{4}$/, "Please enter a valid phone number"),
+  moveDate: z
+    .string({ required_error: "Move date is required" })
+    .min(1, "Move date is required")
+    .refine(isTodayOrLater, {
+      message: "Move date must be today or in the future",
+      params: { code: "date_in_past" },
+    }),
+  flexibleDates: z.string().optional(),
+  fromZip: z
+    .string({ required_error: "ZIP code is required" })
+    .regex(/^\d{5}$/, "Please enter a valid ZIP code"),
+  toZip: z
+    .string({ required_error: "ZIP code is required" })
+    .regex(/^\d{5}$/, "Please enter a valid ZIP code"),
+  moveSize: z.enum(MOVE_SIZES, {
+    errorMap: () => ({ message: "Please select your home size" }),
+  }),
+  serviceType: z.enum(SERVICE_TYPES, {
+    errorMap: () => ({ message: "Please select a service type" }),
+  }),
+  packingSupplies: z.boolean().default(false),
+  storageNeeded: z.boolean().default(false),
+  specialItems: z.array(z.string()).default([]),
+  fromFloor: z.string().optional(),
+  toFloor: z.string().optional(),
+  budget: z.string().optional(),
+  additionalInfo: z.string().max(1000).optional(),
+  utmSource: z.string().max(200).optional(),
+  utmMedium: z.string().max(200).optional(),
+  utmCampaign: z.string().max(200).optional(),
+  gclid: z.string().max(200).optional(),
+  fbclid: z.string().max(200).optional(),
+  estimateLow: z.coerce.number().int().nonnegative().optional(),
+  estimateHigh: z.coerce.number().int().nonnegative().optional(),
+});
+
+/**
+ * Form input names for schema fields that differ from the camelCase key
+ */
+export const FORM_FIELD_NAMES = {
+  moveDate: "move-date",
+  flexibleDates: "flexible-dates",
+  fromZip: "from-zip",
+  toZip: "to-zip",
+  moveSize: "move-size",
+  serviceType: "service-type",
+  packingSupplies: "packing-supplies",
+  storageNeeded: "storage-needed",
+  specialItems: "special-items",
+  fromFloor: "from-floor",
+  toFloor: "to-floor",
+  additionalInfo: "additional-info",
+  utmSource: "utm_source",
+  utmMedium: "utm_medium",
+  utmCampaign: "utm_campaign",
+  estimateLow: "estimate-low",
+  estimateHigh: "estimate-high",
+};
+
+/**
+ * Read a form field, accepting both the hyphenated and camelCase names
+ */
+function getField(formData, hyphenated, camelCase = hyphenated) {
+  const value = formData.get(hyphenated) ?? formData.get(camelCase);
+  if (value === null || value === undefined) return undefined;
+
+  const text = value.toString().trim();
+  return text === "" ? undefined : text;
+}
+
+/**
+ * Normalize submitted form data into the camelCase quote shape
+ */
+export function normalizeQuoteForm(formData) {
+  return {
+    // Contact Information
+    name: getField(formData, "name"),
+    email: getField(formData, "email"),
+    phone: getField(formData, "phone"),
+
+    // Move Details
+    moveDate: getField(formData, "move-date", "moveDate"),
+    flexibleDates: getField(formData, "flexible-dates", "flexibleDates"),
+    fromZip: getField(formData, "from-zip", "fromZip"),
+    toZip: getField(formData, "to-zip", "toZip"),
+    moveSize: getField(formData, "move-size", "moveSize"),
+
+    // Service Details
+    serviceType: getField(formData, "service-type", "serviceType"),
+    packingSupplies: formData.get("packing-supplies") === "on",
+    storageNeeded: formData.get("storage-needed") === "on",
+    specialItems: formData
+      .getAll("special-items")
+      .map((item) => item.toString()),
+    fromFloor: getField(formData, "from-floor", "fromFloor"),
+    toFloor: getField(formData, "to-floor", "toFloor"),
+    budget: getField(formData, "budget"),
+    additionalInfo: getField(formData, "additional-info", "additionalInfo"),
+
+    // Lead Source (added by the form handler from the landing page URL)
+    utmSource: getField(formData, "utm_source", "utmSource"),
+    utmMedium: getField(formData, "utm_medium", "utmMedium"),
+    utmCampaign: getField(formData, "utm_campaign", "utmCampaign"),
+    gclid: getField(formData, "gclid"),
+    fbclid: getField(formData, "fbclid"),
+
+    // Ballpark estimate shown on step 2 (absent when it could not be loaded)
+    estimateLow: getField(formData, "estimate-low", "estimateLow"),
+    estimateHigh: getField(formData, "estimate-high", "estimateHigh"),
+  };
+}
+
+/**
+ * Validate normalized quote data
+ */
+export function validateQuote(data) {
+  return QuoteSchema.safeParse(data);
+}
+
+/**
+ * Convert zod issues to the {field, code, message} error contract
+ * Fields use the form input names and only the first issue per field is kept
+ */
+export function formatQuoteErrors(issues) {
+  const errors = [];
+
+  for (const issue of issues) {
+    const key = issue.path.join(".");
+    const field = FORM_FIELD_NAMES[key] || key;
+
+    if (!errors.some((error) => error.field === field)) {
+      errors.push({ field, code: getErrorCode(issue), message: issue.message });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Map a zod issue to a stable, client-facing error code
+ */
+function getErrorCode(issue) {
+  switch (issue.code) {
+    case "invalid_type":
+      return issue.received === "undefined" ? "required" : "invalid_type";
+    case "too_small":
+      return issue.minimum === 1 ? "required" : "too_short";
+    case "too_big":
+      return "too_long";
+    case "invalid_string":
+      return "invalid_format";
+    case "invalid_enum_value":
+      return "invalid_option";
+    case "custom":
+      return issue.params?.code || "invalid";
+    default:
+      return "invalid";
+  }
+}
@@ -0,0 +1,415 @@
+/**
+ * Quote Submission Handler
+ * Shared request pipeline behind the Astro and Pages Function submit endpoints:
+ * rate limiting, honeypot, validation, Turnstile, scoring, storage, email and
+ * the JSON response shape; each step is recorded in the lead's audit trail
+ */
+
+import { auditMailer, createAuditTrail } from "../audit/auditTrail.js";
+import { emailService } from "../email/emailService.js";
+import {
+  createLeadDistributor,
+  getQuoteDistributionLead,
+} from "../partners/distribution.js";
+import {
+  createRateLimiter,
+  mostRestrictive,
+} from "../rateLimit/rateLimiter.js";
+import {
+  createQuoteLifecycle,
+  recordSubmissionStatus,
+} from "../quotes/lifecycle.js";
+import { getQuoteStatusUrl } from "../quotes/statusToken.js";
+import { createLeadStore } from "../storage/leadStore.js";
+import { createSubmissionRecord } from "../storage/records.js";
+import { getClientIp, jsonResponse } from "./http.js";
+import { createDuplicateDetector, getQuoteFingerprint } from "./duplicates.js";
+import { createIdempotencyStore, withIdempotency } from "./idempotency.js";
+import { calculateLeadScore, getQuoteScoringSignals } from "./leadScoring.js";
+import { evaluateMoveRules } from "./moveRules.js";
+import {
+  FORM_FIELD_NAMES,
+  formatQuoteErrors,
+  normalizeQuoteForm,
+  validateQuote,
+} from "./quoteSchema.js";
+
+const TURNSTILE_VERIFY_URL =
+  "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+
+/**
+ * Handle a quote form POST and return the JSON response
+ *
+ * Options:
+ * - env: runtime bindings (DB, R2_BUCKET, SESSION, TURNSTILE_SECRET_KEY,
+ *   QUOTE_STATUS_SECRET)
+ * - turnstileSecret: overrides env.TURNSTILE_SECRET_KEY
+ * - waitUntil: keeps background work (partner webhooks) running after the
+ *   response, e.g. the Cloudflare ctx.waitUntil
+ * - headers: extra headers added to every response (e.g. CORS)
+ * - leadStore / mailer / rateLimiter / idempotencyStore / duplicateDetector /
+ *   distributor / lifecycle / audit: injectable dependencies, mainly for tests
+ *
+ * Requests carrying an Idempotency-Key header are processed once; replays
+ * get the original response back. Every failure responds with
+ * {success: false, error, errors: [{field, code, message}]}
+ */
+export async function handleQuoteSubmission(request, options = {}) {
+  const headers = { ...options.headers };
+  const respond = (body, status) => jsonResponse(body, status, headers);
+
+  try {
+    return await withIdempotency(
+      request,
+      {
+        scope: "submit",
+        store: options.idempotencyStore || createIdempotencyStore(options.env),
+        reject: (status, message) =>
+          respond(
+            errorBody(
+              {
+                409: "request_in_progress",
+                422: "idempotency_key_reused",
+              }[status] || "invalid_idempotency_key",
+              message,
+            ),
+            status,
+          ),
+      },
+      () => submitQuote(request, options, { headers, respond }),
+    );
+  } catch (error) {
+    console.error("Quote submission error:", error);
+
+    return respond(
+      errorBody(
+        "internal_error",
+        "An unexpected error occurred. Please try again.",
+      ),
+      500,
+    );
+  }
+}
+
+/**
+ * Run the submission pipeline (replayed keys never reach this point)
+ * Rate limit headers are added to the shared response headers as they are known
+ */
+async function submitQuote(request, options, { headers, respond }) {
+  const env = options.env || {};
+  const turnstileSecret = options.turnstileSecret ?? env.TURNSTILE_SECRET_KEY;
+  const rateLimited = () =>
+    respond(
+      errorBody("rate_limited", "Rate limit exceeded. Please try again later."),
+      429,
+    );
+
+  const requestMeta = getRequestMeta(request);
+  const rateLimiter = options.rateLimiter || createRateLimiter(env);
+
+  // Every attempt counts against the client IP, valid or not
+  const ipLimit = await rateLimiter.limit("submit", {
+    ip: requestMeta.ipAddress,
+  });
+  Object.assign(headers, ipLimit.headers);
+  if (!ipLimit.allowed) {
+    return rateLimited();
+  }
+
+  // The quote ID is assigned on receipt so rejected submissions keep an
+  // audit trail too
+  const quoteId = generateQuoteId();
+  const audit = options.audit || createAuditTrail(env);
+  await audit.record(quoteId, "submission_received", {
+    form: "quote-form",
+    ipAddress: requestMeta.ipAddress,
+    userAgent: requestMeta.userAgent,
+  });
+
+  const formData = await request.formData();
+
+  // Honeypot spam protection
+  const honeypot = formData.get("website")?.toString().trim();
+  if (honeypot) {
+    console.warn("Spam attempt detected:", {
+      ip: requestMeta.ipAddress,
+      honeypot,
+      userAgent: requestMeta.userAgent,
+    });
+    await audit.record(quoteId, "spam_verdict", {
+      verdict: "spam",
+      reason: "honeypot",
+    });
+
+    return respond(
+      errorBody("submission_rejected", "Submission failed validation"),
+      400,
+    );
+  }
+
+  // Validate form data
+  const validation = validateQuote(normalizeQuoteForm(formData));
+  if (!validation.success) {
+    const errors = formatQuoteErrors(validation.error.issues);
+    await audit.record(quoteId, "validation", { outcome: "failed", errors });
+
+    return respond({ success: false, error: errors[0].message, errors }, 400);
+  }
+
+  // Service area and move date business rules
+  const { rejections, flags } = evaluateMoveRules(validation.data);
+  if (rejections.length) {
+    const errors = rejections.map((rejection) => ({
+      ...rejection,
+      field: FORM_FIELD_NAMES[rejection.field] || rejection.field,
+    }));
+    await audit.record(quoteId, "validation", { outcome: "failed", errors });
+
+    return respond({ success: false, error: errors[0].message, errors }, 400);
+  }
+  await audit.record(quoteId, "validation", { outcome: "passed", flags });
+
+  // Verify Cloudflare Turnstile
+  const turnstileValid = await verifyTurnstile(
+    formData.get("cf-turnstile-response")?.toString(),
+    turnstileSecret,
+    requestMeta.ipAddress,
+    env,
+  );
+  await audit.record(quoteId, "turnstile", {
+    outcome: !turnstileValid
+      ? "failed"
+      : turnstileSecret
+        ? "passed"
+        : "skipped",
+  });
+  if (!turnstileValid) {
+    return respond(
+      errorBody(
+        "verification_failed",
+        "Security verification failed. Please try again.",
+      ),
+      403,
+    );
+  }
+
+  // Contact limits only count verified submissions, so bots cannot lock
+  // someone else's email or phone out of requesting quotes
+  const contactLimit = await rateLimiter.limit("submit", {
+    email: validation.data.email,
+    phone: validation.data.phone,
+  });
+  Object.assign(headers, mostRestrictive([ipLimit, contactLimit]).headers);
+  if (!contactLimit.allowed) {
+    await audit.record(quoteId, "rate_limited", { limit: "contact" });
+    return rateLimited();
+  }
+
+  // Repeat submissions are stored but linked to the original quote
+  const duplicateDetector =
+    options.duplicateDetector || createDuplicateDetector(env);
+  const fingerprint = getQuoteFingerprint(validation.data);
+  const original = await duplicateDetector.findOriginal(fingerprint);
+
+  const data = {
+    ...validation.data,
+    ...requestMeta,
+    duplicateOf: original?.id || null,
+    flags,
+    leadScore: calculateLeadScore(getQuoteScoringSignals(validation.data)),
+  };
+  await audit.record(quoteId, "spam_verdict", {
+    verdict: "clean",
+    duplicateOf: data.duplicateOf,
+    leadScore: data.leadScore.score,
+  });
+  const leadStore = options.leadStore || createLeadStore(env);
+  const mailer = auditMailer(options.mailer || emailService, audit);
+
+  await processQuoteRequest(quoteId, data, leadStore);
+  await audit.record(quoteId, "lead_stored", { store: leadStore.name });
+  if (!original) {
+    await duplicateDetector.remember(quoteId, fingerprint);
+
+    // Partners are assigned before the business notification so it can
+    // list who received the lead
+    const distributor =
+      options.distributor ||
+      createLeadDistributor(env, {
+        mailer,
+        audit,
+        waitUntil: options.waitUntil,
+      });
+    data.assignedPartners = await distributeQuote(data, quoteId, distributor);
+  }
+  await recordSubmissionStatus(
+    options.lifecycle ||
+      createQuoteLifecycle(env, { mailer, leadStore, audit }),
+    quoteId,
+    { duplicateOf: data.duplicateOf, assignments: data.assignedPartners },
+  );
+  data.statusUrl = await getStatusUrl(request, quoteId, env);
+  await sendQuoteEmails(data, quoteId, mailer);
+
+  return respond(
+    {
+      success: true,
+      message: "Quote request submitted successfully",
+      quoteId,
+    },
+    200,
+  );
+}
+
+/**
+ * Build an error body in the {field, code, message} error contract
+ * Failures that are not about a single field use a null field
+ */
+function errorBody(code, message, field = null) {
+  return { success: false, error: message, errors: [{ field, code, message }] };
+}
+
+/**
+ * Collect request metadata stored alongside the quote
+ */
+export function getRequestMeta(request) {
+  return {
+    userAgent: request.headers.get("user-agent"),
+    referrer: request.headers.get("referer"),
+    ipAddress: getClientIp(request),
+    submissionTime: new Date().toISOString(),
+  };
+}
+
+/**
+ * Generate a unique, human-readable quote ID
+ */
+export function generateQuoteId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(2, 8);
+  return `AMF-${timestamp}-${random}`.toUpperCase();
+}
+
+/**
+ * Verify a Cloudflare Turnstile token
+ * Without a configured secret verification is skipped outside production
+ * (local development) and fails in production, so a misconfigured deploy
+ * does not turn bot protection off; with a secret, a missing token fails
+ */
+export async function verifyTurnstile(token, secret, remoteip, env = {}) {
+  if (!secret) {
+    if (env.ENVIRONMENT === "production") {
+      console.error("Turnstile secret key not configured in production");
+      return false;
+    }
+
+    console.warn("Turnstile secret key not configured");
+    return true;
+  }
+
+  if (!token) {
+    return false;
+  }
+
+  try {
+    const body = new URLSearchParams({ secret, response: token });
+    if (remoteip && remoteip !== "unknown") {
+      body.set("remoteip", remoteip);
+    }
+
+    const response = await fetch(TURNSTILE_VERIFY_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body,
+    });
+
+    const result = await response.json();
+    return result.success === true;
+  } catch (error) {
+    console.error("Turnstile verification error:", error);
+    return false;
+  }
+}
+
+/**
+ * Persist the quote request under its quote ID
+ */
+async function processQuoteRequest(quoteId, data, leadStore) {
+  // Save before any notifications go out so the lead is never lost
+  await leadStore.save(
+    createSubmissionRecord(quoteId, data, data.submissionTime),
+  );
+
+  console.log("Quote request stored:", {
+    quoteId,
+    store: leadStore.name,
+    duplicateOf: data.duplicateOf,
+    leadScore: data.leadScore.score,
+  });
+}
+
+/**
+ * Send a new (non-duplicate) quote to partner movers
+ * Distribution failures are logged but never fail the submission
+ */
+async function distributeQuote(data, quoteId, distributor) {
+  try {
+    const assignments = await distributor.distribute(
+      getQuoteDistributionLead(quoteId, data),
+    );
+
+    console.log("Quote distributed:", {
+      quoteId,
+      partners: assignments.map((assignment) => assignment.partnerId),
+    });
+    return assignments;
+  } catch (error) {
+    console.error("Failed to distribute quote to partners:", error);
+    return [];
+  }
+}
+
+/**
+ * Build the signed status page link for the customer confirmation
+ * Failures are logged and leave the email without the link
+ */
+async function getStatusUrl(request, quoteId, env) {
+  try {
+    return await getQuoteStatusUrl(new URL(request.url).origin, quoteId, env);
+  } catch (error) {
+    console.error("Failed to create quote status link:", error);
+    return null;
+  }
+}
+
+/**
+ * Send customer confirmation and business notification emails
+ * Duplicates only get the customer confirmation; email failures are logged
+ * but never fail the submission
+ */
+async function sendQuoteEmails(data, quoteId, mailer) {
+  try {
+    await mailer.sendCustomerConfirmation(data, quoteId);
+    console.log("Customer confirmation email sent successfully");
+  } catch (emailError) {
+    console.error("Failed to send customer confirmation email:", emailError);
+  }
+
+  // The business was already notified about the original quote
+  if (data.duplicateOf) {
+    console.log("Skipping business notification for duplicate quote:", {
+      quoteId,
+      duplicateOf: data.duplicateOf,
+    });
+    return;
+  }
+
+  try {
+    await mailer.sendBusinessNotification(data, quoteId);
+    console.log("Business notification email sent successfully");
+  } catch (emailError) {
+    console.error("Failed to send business notification email:", emailError);
+  }
+}
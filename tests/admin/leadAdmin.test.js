@@ -0,0 +1,538 @@
+/**
+ * Admin Lead Dashboard Tests
+ * Covers dashboard filters and search, the lead detail view and the bulk
+ * actions API
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  LeadAdmin,
+  parseLeadFilters,
+  toAdminLead,
+} from "../../src/services/admin/leadAdmin.js";
+import { handleAdminLeadAction } from "../../src/services/admin/leadAdminRequest.js";
+import { signDevToken } from "../../src/services/auth/accessTokens.js";
+import { MemoryPartnerDirectory } from "../../src/services/partners/directory.js";
+import { LeadDistributor } from "../../src/services/partners/distribution.js";
+import { QuoteLifecycle } from "../../src/services/quotes/lifecycle.js";
+import { MemoryQuoteStatusStore } from "../../src/services/quotes/statusStore.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import {
+  createLeadRecord,
+  createSubmissionRecord,
+} from "../../src/services/storage/records.js";
+
+const NOW = Date.parse("2030-03-12T15:00:00Z");
+
+const ENV = { AUTH_DEV_KEY: "test-dev-key" };
+
+function partner(id) {
+  return {
+    id,
+    company: `${id} Movers`,
+    email: `leads@${id}.example`,
+    serviceZips: ["78701"],
+    dailyCapacity: 10,
+  };
+}
+
+function quote(id, overrides = {}, timestamp = "2030-03-11T15:00:00.000Z") {
+  return createSubmissionRecord(
+    id,
+    {
+      name: "Jane Doe",
+      email: "jane@example.com",
+      phone: "5125551234",
+      moveDate: "2030-04-01",
+      fromZip: "78701",
+      toZip: "78745",
+      moveSize: "2-bed",
+      serviceType: "full-service",
+      utmSource: "google",
+      utmMedium: "cpc",
+      ...overrides,
+    },
+    timestamp,
+  );
+}
+
+function filters(query = "") {
+  return parseLeadFilters(new URLSearchParams(query), { now: NOW });
+}
+
+describe("parseLeadFilters", () => {
+  it("should default to the last 30 days and the first page", () => {
+    expect(filters()).toEqual({
+      q: null,
+      from: "2030-02-11",
+      to: "2030-03-12",
+      zip: null,
+      moveSize: null,
+      serviceType: null,
+      status: null,
+      source: null,
+      utmSource: null,
+      utmMedium: null,
+      utmCampaign: null,
+      page: 1,
+    });
+  });
+
+  it("should clamp the date range and ignore invalid values", () => {
+    expect(filters("from=2029-01-01&to=2030-03-01")).toMatchObject({
+      from: "2029-11-30",
+      to: "2030-03-01",
+    });
+    expect(filters("from=2030-03-10&to=2030-03-05")).toMatchObject({
+      from: "2030-03-05",
+      to: "2030-03-05",
+    });
+    expect(filters("from=yesterday&page=-2&q=%20jane%20")).toMatchObject({
+      from: "2030-02-11",
+      page: 1,
+      q: "jane",
+    });
+  });
+});
+
+describe("LeadAdmin", () => {
+  let leadStore;
+  let directory;
+  let lifecycle;
+  let mailer;
+  let admin;
+
+  beforeEach(async () => {
+    leadStore = new MemoryLeadStore();
+    directory = new MemoryPartnerDirectory();
+    mailer = {
+      sendBusinessNotification: vi.fn().mockResolvedValue({ success: true }),
+      sendPartnerLeadNotification: vi.fn().mockResolvedValue({ success: true }),
+      sendQuoteUpdate: vi.fn().mockResolvedValue({}),
+    };
+    lifecycle = new QuoteLifecycle(new MemoryQuoteStatusStore(), {
+      leadStore,
+      mailer,
+      now: () => NOW,
+    });
+    admin = new LeadAdmin(leadStore, {
+      lifecycle,
+      directory,
+      distributor: new LeadDistributor(directory, {
+        mailer,
+        now: () => NOW,
+      }),
+      mailer,
+      settings: { pageSize: 2 },
+    });
+
+    await directory.save(partner("acme"));
+    await directory.save(partner("beta"));
+
+    await leadStore.save(quote("AMF-1"));
+    await leadStore.save(
+      quote(
+        "AMF-2",
+        {
+          name: "Sam Smith",
+          email: "sam@example.com",
+          phone: "(512) 555-9876",
+          fromZip: "78702",
+          moveSize: "studio",
+          utmSource: "facebook",
+          duplicateOf: "AMF-1",
+        },
+        "2030-03-12T10:00:00.000Z",
+      ),
+    );
+    await leadStore.save(
+      createLeadRecord({
+        lead_id: "lead-3",
+        timestamp: "2030-03-10T12:00:00.000Z",
+        prospect: {
+          first_name: "Lee",
+          last_name: "Park",
+          email: "lee@example.com",
+          phone: "+15125550000",
+        },
+        move: {
+          from_zip: "78745",
+          to_zip: "78701",
+          date: "2030-05-01",
+          home_size: "1BR",
+        },
+        tracking: { utm_source: "newsletter", utm_campaign: "spring" },
+        consent: { tcpa: true },
+      }),
+    );
+
+    await lifecycle.start("AMF-1", { status: "routed" });
+    await directory.recordAssignments([
+      {
+        leadId: "AMF-1",
+        partnerId: "acme",
+        assignedAt: "2030-03-11T15:00:00.000Z",
+        dateKey: "2030-03-11",
+      },
+    ]);
+  });
+
+  it("should flatten quote and lead form records", async () => {
+    expect(toAdminLead(await leadStore.get("AMF-2"))).toEqual({
+      id: "AMF-2",
+      submittedAt: "2030-03-12T10:00:00.000Z",
+      source: "quote-form",
+      name: "Sam Smith",
+      email: "sam@example.com",
+      phone: "(512) 555-9876",
+      moveDate: "2030-04-01",
+      fromZip: "78702",
+      toZip: "78745",
+      moveSize: "studio",
+      serviceType: "full-service",
+      utm: { source: "facebook", medium: "cpc", campaign: null },
+      duplicateOf: "AMF-1",
+      leadScore: null,
+      status: "new",
+    });
+    expect(toAdminLead(await leadStore.get("lead-3"))).toMatchObject({
+      source: "lead-form",
+      name: "Lee Park",
+      utm: { source: "newsletter", medium: null, campaign: "spring" },
+    });
+  });
+
+  it("should list leads newest first with their statuses, a page at a time", async () => {
+    const first = await admin.search(filters());
+    expect(first).toMatchObject({ total: 3, page: 1, pageCount: 2 });
+    expect(first.leads.map(({ id, status }) => [id, status])).toEqual([
+      ["AMF-2", "new"],
+      ["AMF-1", "routed"],
+    ]);
+
+    const second = await admin.search(filters("page=5"));
+    expect(second.page).toBe(2);
+    expect(second.leads.map(({ id }) => id)).toEqual(["lead-3"]);
+  });
+
+  it("should search names, emails and phone numbers in any format", async () => {
+    const ids = async (query) =>
+      (await admin.search(filters(query))).leads.map(({ id }) => id);
+
+    expect(await ids("q=sam+smith")).toEqual(["AMF-2"]);
+    expect(await ids("q=LEE%40EXAMPLE")).toEqual(["lead-3"]);
+    expect(await ids("q=512-555-9876")).toEqual(["AMF-2"]);
+    expect(await ids("q=amf-1")).toEqual(["AMF-1"]);
+    expect(await ids("q=nobody")).toEqual([]);
+  });
+
+  it("should filter by ZIP, move size, status, source, UTM and date", async () => {
+    const ids = async (query) =>
+      (await admin.search(filters(query))).leads.map(({ id }) => id);
+
+    expect(await ids("zip=78702")).toEqual(["AMF-2"]);
+    expect(await ids("moveSize=studio")).toEqual(["AMF-2"]);
+    expect(await ids("status=routed")).toEqual(["AMF-1"]);
+    expect(await ids("source=lead-form")).toEqual(["lead-3"]);
+    expect(await ids("utmSource=Google")).toEqual(["AMF-1"]);
+    expect(await ids("utmCampaign=spring")).toEqual(["lead-3"]);
+    expect(await ids("from=2030-03-12")).toEqual(["AMF-2"]);
+  });
+
+  it("should show a lead's record, history and assignments", async () => {
+    const detail = await admin.get("AMF-1");
+
+    expect(detail.lead).toMatchObject({ id: "AMF-1", status: "routed" });
+    expect(detail.record).toEqual(await leadStore.get("AMF-1"));
+    expect(detail.history).toEqual([
+      expect.objectContaining({ from: null, to: "routed", actor: "system" }),
+    ]);
+    expect(detail.assignments).toEqual([
+      expect.objectContaining({
+        partnerId: "acme",
+        company: "acme Movers",
+        status: "assigned",
+      }),
+    ]);
+    expect(await admin.get("AMF-404")).toBeNull();
+  });
+
+  it("should mark leads as spam and report missing ones", async () => {
+    const results = await admin.markSpam(["AMF-1", "lead-3", "AMF-404"], {
+      actor: "admin:ops",
+    });
+
+    expect(results).toEqual([
+      { id: "AMF-1", ok: true },
+      { id: "lead-3", ok: true },
+      {
+        id: "AMF-404",
+        ok: false,
+        error: "not_found",
+        message: "Lead AMF-404 not found",
+      },
+    ]);
+    const quoteStatus = await lifecycle.get("lead-3");
+    expect(quoteStatus.status).toBe("spam");
+    expect(quoteStatus.history.at(-1)).toMatchObject({
+      from: "new",
+      to: "spam",
+      actor: "admin:ops",
+      reason: "Marked spam in the admin dashboard",
+    });
+  });
+
+  it("should restore spam and duplicate leads to new", async () => {
+    await admin.markSpam(["lead-3"], { actor: "admin:ops" });
+
+    expect(
+      await admin.restore(["lead-3", "AMF-1"], { actor: "admin:ops" }),
+    ).toEqual([
+      { id: "lead-3", ok: true },
+      {
+        id: "AMF-1",
+        ok: false,
+        error: "invalid_transition",
+        message: "Cannot move a quote from routed to new",
+      },
+    ]);
+    expect((await lifecycle.get("lead-3")).history.at(-1)).toMatchObject({
+      from: "spam",
+      to: "new",
+      actor: "admin:ops",
+      reason: "Restored in the admin dashboard",
+    });
+  });
+
+  it("should reassign leads to another partner and notify them", async () => {
+    const results = await admin.reassign(["AMF-1", "AMF-2"], "beta", {
+      actor: "admin:ops",
+    });
+
+    expect(results).toEqual([
+      { id: "AMF-1", ok: true },
+      { id: "AMF-2", ok: true },
+    ]);
+    expect(await directory.listAssignments("AMF-1")).toEqual([
+      expect.objectContaining({ partnerId: "acme", status: "lost" }),
+      expect.objectContaining({
+        partnerId: "beta",
+        status: "assigned",
+        assignedAt: "2030-03-12T15:00:00.000Z",
+      }),
+    ]);
+    expect(mailer.sendPartnerLeadNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "beta" }),
+      expect.objectContaining({ id: "AMF-2", name: "Sam Smith" }),
+    );
+    expect((await lifecycle.get("AMF-2")).history.at(-1)).toMatchObject({
+      to: "routed",
+      actor: "admin:ops",
+      reason: "Reassigned to beta Movers",
+    });
+  });
+
+  it("should refuse to reassign booked, completed or spam leads", async () => {
+    await lifecycle.transition("AMF-1", "booked", { actor: "partner:acme" });
+    await admin.markSpam(["AMF-2"], { actor: "admin:ops" });
+
+    expect(
+      await admin.reassign(["AMF-1", "AMF-2"], "beta", { actor: "admin:ops" }),
+    ).toEqual([
+      {
+        id: "AMF-1",
+        ok: false,
+        error: "invalid_transition",
+        message: "Cannot reassign a booked lead",
+      },
+      {
+        id: "AMF-2",
+        ok: false,
+        error: "invalid_transition",
+        message: "Cannot reassign a spam lead",
+      },
+    ]);
+    expect(await directory.listAssignments("AMF-1")).toEqual([
+      expect.objectContaining({ partnerId: "acme", status: "assigned" }),
+    ]);
+    expect(mailer.sendPartnerLeadNotification).not.toHaveBeenCalled();
+  });
+
+  it("should not reassign a lead to a partner that already has it", async () => {
+    expect(
+      await admin.reassign(["AMF-1"], "acme", { actor: "admin:ops" }),
+    ).toEqual([
+      {
+        id: "AMF-1",
+        ok: false,
+        error: "already_assigned",
+        message: "Lead already went to acme Movers",
+      },
+    ]);
+    expect(
+      await admin.reassign(["AMF-1"], "zeta", { actor: "admin:ops" }),
+    ).toEqual([
+      {
+        id: "AMF-1",
+        ok: false,
+        error: "not_found",
+        message: "Partner zeta not found",
+      },
+    ]);
+    expect(mailer.sendPartnerLeadNotification).not.toHaveBeenCalled();
+  });
+
+  it("should resend the business notification with the assigned partners", async () => {
+    expect(await admin.resendNotification(["AMF-1"])).toEqual([
+      { id: "AMF-1", ok: true },
+    ]);
+    expect(mailer.sendBusinessNotification).toHaveBeenCalledWith(
+      expect.objectContaining({
+        name: "Jane Doe",
+        email: "jane@example.com",
+        moveSize: "2-bed",
+        assignedPartners: [{ company: "acme Movers" }],
+      }),
+      "AMF-1",
+    );
+  });
+
+  it("should report failed actions without stopping the others", async () => {
+    mailer.sendBusinessNotification.mockRejectedValueOnce(
+      new Error("Email service unavailable"),
+    );
+
+    expect(await admin.resendNotification(["AMF-1", "AMF-2"])).toEqual([
+      {
+        id: "AMF-1",
+        ok: false,
+        error: "internal_error",
+        message: "Email service unavailable",
+      },
+      { id: "AMF-2", ok: true },
+    ]);
+  });
+});
+
+describe("Admin lead actions API", () => {
+  let admin;
+  let token;
+
+  beforeEach(async () => {
+    token = await signDevToken({ sub: "ops@example.com", role: "staff" }, ENV);
+    admin = {
+      markSpam: vi.fn().mockResolvedValue([{ id: "AMF-1", ok: true }]),
+      restore: vi.fn().mockResolvedValue([{ id: "AMF-1", ok: true }]),
+      reassign: vi.fn().mockResolvedValue([{ id: "AMF-1", ok: true }]),
+      resendNotification: vi
+        .fn()
+        .mockResolvedValue([{ id: "AMF-1", ok: true }]),
+    };
+  });
+
+  function post(body, accessToken = token) {
+    return handleAdminLeadAction(
+      new Request("https://austinmovefinder.com/api/admin/leads/actions", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(accessToken && { "Cf-Access-Jwt-Assertion": accessToken }),
+        },
+        body: typeof body === "string" ? body : JSON.stringify(body),
+      }),
+      { env: ENV, admin },
+    );
+  }
+
+  it("should require a staff sign-in", async () => {
+    const response = await post({ action: "spam", ids: ["AMF-1"] }, null);
+
+    expect(response.status).toBe(401);
+    expect(await response.json()).toEqual({ ok: false, error: "unauthorized" });
+
+    const forged = await post(
+      { action: "spam", ids: ["AMF-1"] },
+      await signDevToken(
+        { sub: "ops@example.com", role: "admin" },
+        { AUTH_DEV_KEY: "another-key" },
+      ),
+    );
+    expect(forged.status).toBe(401);
+    expect(admin.markSpam).not.toHaveBeenCalled();
+  });
+
+  it("should refuse bodies not sent as JSON", async () => {
+    const response = await handleAdminLeadAction(
+      new Request("https://austinmovefinder.com/api/admin/leads/actions", {
+        method: "POST",
+        headers: {
+          "Content-Type": "text/plain",
+          "Cf-Access-Jwt-Assertion": token,
+        },
+        body: JSON.stringify({ action: "spam", ids: ["AMF-1"] }),
+      }),
+      { env: ENV, admin },
+    );
+
+    expect(response.status).toBe(415);
+    expect(await response.json()).toEqual({
+      ok: false,
+      error: "unsupported_media_type",
+      details: { "Content-Type": "Must be application/json." },
+    });
+    expect(admin.markSpam).not.toHaveBeenCalled();
+  });
+
+  it("should validate the action, lead IDs and partner", async () => {
+    const invalid = await post({ action: "delete", ids: [] });
+    expect(invalid.status).toBe(400);
+    expect(await invalid.json()).toEqual({
+      ok: false,
+      error: "validation_failed",
+      details: {
+        action: "Action must be spam, restore, reassign or resend.",
+        ids: "Select at least one lead.",
+      },
+    });
+
+    const reassign = await post({ action: "reassign", ids: ["AMF-1"] });
+    expect((await reassign.json()).details).toEqual({
+      partnerId: "Choose a partner to reassign to.",
+    });
+
+    const tooMany = await post({
+      action: "spam",
+      ids: Array.from({ length: 101 }, (_, i) => `AMF-${i}`),
+    });
+    expect((await tooMany.json()).details).toEqual({
+      ids: "Select at most 100 leads at a time.",
+    });
+
+    expect((await post("{")).status).toBe(400);
+  });
+
+  it("should apply each action as the signed-in staff member", async () => {
+    const spam = await post({ action: "spam", ids: ["AMF-1", "AMF-1"] });
+    expect(spam.status).toBe(200);
+    expect(await spam.json()).toEqual({
+      ok: true,
+      results: [{ id: "AMF-1", ok: true }],
+    });
+    expect(admin.markSpam).toHaveBeenCalledWith(["AMF-1"], {
+      actor: "staff:ops@example.com",
+    });
+
+    await post({ action: "restore", ids: ["AMF-1"] });
+    expect(admin.restore).toHaveBeenCalledWith(["AMF-1"], {
+      actor: "staff:ops@example.com",
+    });
+
+    await post({ action: "reassign", ids: ["AMF-1"], partnerId: "beta" });
+    expect(admin.reassign).toHaveBeenCalledWith(["AMF-1"], "beta", {
+      actor: "staff:ops@example.com",
+    });
+
+    await post({ action: "resend", ids: ["AMF-1"] });
+    expect(admin.resendNotification).toHaveBeenCalledWith(["AMF-1"]);
+  });
+});
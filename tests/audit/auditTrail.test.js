@@ -0,0 +1,484 @@
+/**
+ * Lead Audit Trail Tests
+ * Covers recording and reading audit events, email auditing, the events the
+ * submission pipelines record and the audit log API
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  MemoryAuditLog,
+  R2AuditLog,
+  createAuditLog,
+} from "../../src/services/audit/auditLog.js";
+import { handleAuditLog } from "../../src/services/audit/auditRequest.js";
+import {
+  AuditTrail,
+  auditMailer,
+} from "../../src/services/audit/auditTrail.js";
+import { signDevToken } from "../../src/services/auth/accessTokens.js";
+import { MemoryPartnerDirectory } from "../../src/services/partners/directory.js";
+import { LeadDistributor } from "../../src/services/partners/distribution.js";
+import { QuoteLifecycle } from "../../src/services/quotes/lifecycle.js";
+import { MemoryQuoteStatusStore } from "../../src/services/quotes/statusStore.js";
+import { RateLimiter } from "../../src/services/rateLimit/rateLimiter.js";
+import { MemoryRateLimitStore } from "../../src/services/rateLimit/stores.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import { MemoryJsonStore } from "../../src/services/storage/keyValue.js";
+import { DuplicateDetector } from "../../src/services/submission/duplicates.js";
+import { handleLeadSubmission } from "../../src/services/submission/leadSubmission.js";
+import { handleQuoteSubmission } from "../../src/services/submission/quoteSubmission.js";
+
+const NOW = Date.parse("2030-03-12T15:00:00Z");
+
+const ENV = { AUTH_DEV_KEY: "test-dev-key" };
+
+function futureDate(days = 14) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+function quoteRequest(overrides = {}) {
+  const formData = new FormData();
+  Object.entries({
+    name: "John Doe",
+    email: "john@example.com",
+    phone: "(512) 555-0123",
+    "move-date": futureDate(),
+    "from-zip": "78701",
+    "to-zip": "78704",
+    "move-size": "2-bed",
+    "service-type": "full-service",
+    ...overrides,
+  }).forEach(([name, value]) => formData.append(name, value));
+
+  return new Request("https://austinmovefinder.com/api/submit", {
+    method: "POST",
+    body: formData,
+    headers: { "cf-connecting-ip": "203.0.113.1" },
+  });
+}
+
+describe("AuditTrail", () => {
+  let log;
+  let audit;
+  let clock;
+
+  beforeEach(() => {
+    log = new MemoryAuditLog();
+    clock = NOW;
+    audit = new AuditTrail(log, { now: () => clock });
+  });
+
+  it("should append events and list them per lead, oldest first", async () => {
+    await audit.record("AMF-1", "submission_received", { form: "quote-form" });
+    clock += 1000;
+    await audit.record("AMF-2", "submission_received", { form: "lead-form" });
+    await audit.record(
+      "AMF-1",
+      "status_changed",
+      { from: "new", to: "spam", reason: null },
+      { actor: "staff:ops@example.com" },
+    );
+
+    const events = await audit.listByLead("AMF-1");
+    expect(events).toEqual([
+      {
+        id: expect.any(String),
+        leadId: "AMF-1",
+        type: "submission_received",
+        actor: "system",
+        details: { form: "quote-form" },
+        createdAt: "2030-03-12T15:00:00.000Z",
+      },
+      expect.objectContaining({
+        type: "status_changed",
+        actor: "staff:ops@example.com",
+        createdAt: "2030-03-12T15:00:01.000Z",
+      }),
+    ]);
+  });
+
+  it("should list the events recorded in a date range", async () => {
+    await audit.record("AMF-1", "submission_received");
+    clock += 24 * 60 * 60 * 1000;
+    await audit.record("AMF-2", "submission_received");
+
+    expect(
+      (await audit.listByDate("2030-03-12", "2030-03-12")).map(
+        ({ leadId }) => leadId,
+      ),
+    ).toEqual(["AMF-1"]);
+    expect(await audit.listByDate("2030-03-12", "2030-03-13")).toHaveLength(2);
+  });
+
+  it("should never fail the audited action", async () => {
+    const failing = new AuditTrail({
+      append: vi.fn().mockRejectedValue(new Error("D1 unavailable")),
+    });
+
+    await expect(
+      failing.record("AMF-1", "lead_stored", { store: "D1" }),
+    ).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith(
+      "Failed to record audit event:",
+      { leadId: "AMF-1", type: "lead_stored", error: "D1 unavailable" },
+    );
+  });
+});
+
+// Minimal stand-in for an R2 bucket binding, listing two keys per page
+function createMockBucket() {
+  const objects = new Map();
+  return {
+    objects,
+    async get(key) {
+      if (!objects.has(key)) return null;
+      const value = objects.get(key);
+      return { text: async () => value };
+    },
+    async put(key, value) {
+      objects.set(key, value);
+    },
+    async list({ prefix = "", cursor }) {
+      const keys = Array.from(objects.keys())
+        .filter((key) => key.startsWith(prefix))
+        .sort();
+      const start = cursor ? Number(cursor) : 0;
+      const end = start + 2;
+      return {
+        objects: keys.slice(start, end).map((key) => ({ key })),
+        truncated: end < keys.length,
+        cursor: end < keys.length ? String(end) : undefined,
+      };
+    },
+  };
+}
+
+describe("R2AuditLog", () => {
+  let bucket;
+  let audit;
+  let clock;
+
+  beforeEach(() => {
+    bucket = createMockBucket();
+    clock = NOW;
+    audit = new AuditTrail(new R2AuditLog(bucket), { now: () => clock });
+  });
+
+  it("should be used when R2 is the only binding", () => {
+    expect(createAuditLog({ R2_BUCKET: bucket })).toBeInstanceOf(R2AuditLog);
+    expect(createAuditLog({})).toBeInstanceOf(MemoryAuditLog);
+  });
+
+  it("should list a lead's events and a date range, oldest first", async () => {
+    for (const leadId of ["AMF-1", "AMF-2", "AMF-1"]) {
+      await audit.record(leadId, "submission_received");
+      clock += 1000;
+    }
+    clock = Date.parse("2030-03-13T09:00:00Z");
+    await audit.record("AMF-1", "status_changed", { from: "new", to: "won" });
+    clock = Date.parse("2030-03-15T09:00:00Z");
+    await audit.record("AMF-3", "submission_received");
+
+    const events = await audit.listByLead("AMF-1");
+    expect(events.map(({ type, createdAt }) => [type, createdAt])).toEqual([
+      ["submission_received", "2030-03-12T15:00:00.000Z"],
+      ["submission_received", "2030-03-12T15:00:02.000Z"],
+      ["status_changed", "2030-03-13T09:00:00.000Z"],
+    ]);
+    expect(events[2].details).toEqual({ from: "new", to: "won" });
+
+    const range = await audit.listByDate("2030-03-12", "2030-03-14");
+    expect(range.map(({ leadId }) => leadId)).toEqual([
+      "AMF-1",
+      "AMF-2",
+      "AMF-1",
+      "AMF-1",
+    ]);
+    expect(bucket.objects.size).toBe(10);
+  });
+});
+
+describe("auditMailer", () => {
+  let audit;
+  let mailer;
+
+  beforeEach(() => {
+    audit = new AuditTrail(new MemoryAuditLog(), { now: () => NOW });
+    mailer = {
+      sendEmail: vi.fn().mockResolvedValue({
+        success: true,
+        provider: "sendgrid",
+        messageId: "msg-123",
+        attempts: 1,
+      }),
+      async sendCustomerConfirmation(customer, quoteId) {
+        return this.sendEmail({
+          to: customer.email,
+          type: "customer_confirmation",
+          quoteId,
+        });
+      },
+    };
+  });
+
+  it("should record the provider and messageId of each email", async () => {
+    const audited = auditMailer(mailer, audit);
+
+    await audited.sendCustomerConfirmation(
+      { email: "jane@example.com" },
+      "AMF-1",
+    );
+
+    expect(await audit.listByLead("AMF-1")).toEqual([
+      expect.objectContaining({
+        type: "email_sent",
+        details: {
+          emailType: "customer_confirmation",
+          to: "jane@example.com",
+          provider: "sendgrid",
+          messageId: "msg-123",
+          attempts: 1,
+        },
+      }),
+    ]);
+  });
+
+  it("should record failed emails and still throw", async () => {
+    mailer.sendEmail.mockRejectedValue(new Error("All email providers failed"));
+    const audited = auditMailer(mailer, audit);
+
+    await expect(
+      audited.sendCustomerConfirmation({ email: "jane@example.com" }, "AMF-1"),
+    ).rejects.toThrow("All email providers failed");
+    expect((await audit.listByLead("AMF-1"))[0]).toMatchObject({
+      type: "email_failed",
+      details: {
+        emailType: "customer_confirmation",
+        error: "All email providers failed",
+      },
+    });
+  });
+
+  it("should audit each email once when wrapped twice", async () => {
+    const audited = auditMailer(auditMailer(mailer, audit), audit);
+
+    await audited.sendCustomerConfirmation(
+      { email: "jane@example.com" },
+      "AMF-1",
+    );
+
+    expect(await audit.listByLead("AMF-1")).toHaveLength(1);
+  });
+});
+
+describe("Submission audit trail", () => {
+  let audit;
+  let options;
+
+  beforeEach(async () => {
+    audit = new AuditTrail(new MemoryAuditLog());
+    const leadStore = new MemoryLeadStore();
+    const directory = new MemoryPartnerDirectory();
+    await directory.save({
+      id: "acme",
+      company: "Acme Movers",
+      email: "leads@acme.example",
+      serviceZips: ["78701"],
+      dailyCapacity: 10,
+    });
+    const mailer = {
+      sendCustomerConfirmation: vi.fn().mockResolvedValue({ success: true }),
+      sendBusinessNotification: vi.fn().mockResolvedValue({ success: true }),
+      sendPartnerLeadNotification: vi.fn().mockResolvedValue({}),
+    };
+
+    options = {
+      leadStore,
+      mailer,
+      audit,
+      rateLimiter: new RateLimiter(new MemoryRateLimitStore()),
+      duplicateDetector: new DuplicateDetector(new MemoryJsonStore()),
+      distributor: new LeadDistributor(directory, { mailer, audit }),
+      lifecycle: new QuoteLifecycle(new MemoryQuoteStatusStore(), {
+        leadStore,
+        mailer,
+        audit,
+      }),
+    };
+  });
+
+  it("should record every step of an accepted quote", async () => {
+    const response = await handleQuoteSubmission(quoteRequest(), options);
+    const { quoteId } = await response.json();
+
+    const events = await audit.listByLead(quoteId);
+    expect(events.map(({ type }) => type)).toEqual([
+      "submission_received",
+      "validation",
+      "turnstile",
+      "spam_verdict",
+      "lead_stored",
+      "partner_delivery",
+      "status_changed",
+      "status_changed",
+    ]);
+    expect(events.map(({ details }) => details)).toEqual([
+      {
+        form: "quote-form",
+        ipAddress: "203.0.113.1",
+        userAgent: null,
+      },
+      { outcome: "passed", flags: [] },
+      { outcome: "skipped" },
+      { verdict: "clean", duplicateOf: null, leadScore: expect.any(Number) },
+      { store: "Memory" },
+      { partnerId: "acme", channel: "email", outcome: "delivered" },
+      { from: null, to: "new", reason: null },
+      { from: "new", to: "routed", reason: "Sent to Acme Movers" },
+    ]);
+    expect(events.at(-1).actor).toBe("distributor");
+  });
+
+  it("should keep the trail of a rejected quote", async () => {
+    const fetch = vi.fn().mockResolvedValue({
+      json: async () => ({ success: false }),
+    });
+    vi.stubGlobal("fetch", fetch);
+
+    const response = await handleQuoteSubmission(quoteRequest(), {
+      ...options,
+      turnstileSecret: "secret",
+    });
+    vi.unstubAllGlobals();
+    expect(response.status).toBe(403);
+
+    const [received] = await audit.log.events;
+    expect(
+      (await audit.listByLead(received.leadId)).map(({ type, details }) => [
+        type,
+        details.outcome,
+      ]),
+    ).toEqual([
+      ["submission_received", undefined],
+      ["validation", "passed"],
+      ["turnstile", "failed"],
+    ]);
+  });
+
+  it("should record the spam verdict of a honeypot hit", async () => {
+    await handleQuoteSubmission(
+      quoteRequest({ website: "http://spam.example" }),
+      options,
+    );
+
+    expect(audit.log.events.at(-1)).toMatchObject({
+      type: "spam_verdict",
+      details: { verdict: "spam", reason: "honeypot" },
+    });
+  });
+
+  it("should record why a lead form payload was rejected", async () => {
+    const response = await handleLeadSubmission(
+      new Request("https://austinmovefinder.com/api/submit-lead", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ prospect: {} }),
+      }),
+      options,
+    );
+    expect(response.status).toBe(400);
+
+    const [received, validation] = audit.log.events;
+    expect(received.details.form).toBe("lead-form");
+    expect(validation).toMatchObject({
+      leadId: received.leadId,
+      type: "validation",
+      details: { outcome: "failed" },
+    });
+    expect(Object.keys(validation.details.errors).length).toBeGreaterThan(0);
+  });
+});
+
+describe("Audit log API", () => {
+  let audit;
+  let token;
+
+  beforeEach(async () => {
+    audit = new AuditTrail(new MemoryAuditLog(), { now: () => NOW });
+    await audit.record("AMF-1", "submission_received", { form: "quote-form" });
+    await audit.record(
+      "AMF-1",
+      "email_sent",
+      { emailType: "customer_confirmation", messageId: 'msg-"1"' },
+      { actor: "system" },
+    );
+    await audit.record("AMF-2", "submission_received", { form: "lead-form" });
+    token = await signDevToken({ sub: "ops@example.com", role: "staff" }, ENV, {
+      now: NOW,
+    });
+  });
+
+  function get(query, accessToken = token) {
+    return handleAuditLog(
+      new Request(`https://austinmovefinder.com/api/admin/audit?${query}`, {
+        headers: accessToken ? { "Cf-Access-Jwt-Assertion": accessToken } : {},
+      }),
+      { env: ENV, audit, now: NOW },
+    );
+  }
+
+  it("should require a staff sign-in", async () => {
+    expect((await get("lead=AMF-1", null)).status).toBe(401);
+  });
+
+  it("should return a lead's trail as JSON", async () => {
+    const response = await get("lead=AMF-1");
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body.ok).toBe(true);
+    expect(body.events.map(({ type }) => type)).toEqual([
+      "submission_received",
+      "email_sent",
+    ]);
+  });
+
+  it("should export a date range as CSV", async () => {
+    const response = await get("from=2030-03-12&to=2030-03-12&format=csv");
+
+    expect(response.headers.get("Content-Disposition")).toBe(
+      'attachment; filename="audit-2030-03-12-to-2030-03-12.csv"',
+    );
+    const lines = (await response.text()).trimEnd().split("\r\n");
+    expect(lines).toHaveLength(4);
+    expect(lines[0]).toBe('"created_at","lead_id","type","actor","details"');
+    expect(lines[2]).toBe(
+      '"2030-03-12T15:00:00.000Z","AMF-1","email_sent","system","{""emailType"":""customer_confirmation"",""messageId"":""msg-\\""1\\""""}"',
+    );
+  });
+
+  it("should export a lead's trail as JSONL", async () => {
+    const response = await get("lead=AMF-2&format=jsonl");
+
+    expect(response.headers.get("Content-Type")).toBe(
+      "application/x-ndjson; charset=utf-8",
+    );
+    const events = (await response.text()).trimEnd().split("\n");
+    expect(events.map((line) => JSON.parse(line).leadId)).toEqual(["AMF-2"]);
+  });
+
+  it("should need a lead or a bounded date range", async () => {
+    const missing = await get("format=csv");
+    expect(missing.status).toBe(400);
+    expect((await missing.json()).details).toEqual({
+      lead: "Give a lead ID or a from and to date.",
+    });
+
+    const tooLong = await get("from=2030-01-01&to=2030-03-12");
+    expect((await tooLong.json()).details).toEqual({
+      from: "Read at most 31 days at a time.",
+    });
+  });
+});
@@ -0,0 +1,416 @@
+/**
+ * Authentication Tests
+ * Covers Cloudflare Access and dev token verification, resolving staff and
+ * partner principals, roles and the route guards
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  clearAccessCertsCache,
+  getRequestAccessToken,
+  signDevToken,
+  verifyAccessToken,
+} from "../../src/services/auth/accessTokens.js";
+import { issuePartnerApiKey } from "../../src/services/auth/apiKeys.js";
+import {
+  authenticateRequest,
+  authorizeRequest,
+  guardRoute,
+  hasRole,
+} from "../../src/services/auth/guards.js";
+import { MemoryPartnerDirectory } from "../../src/services/partners/directory.js";
+
+const NOW = Date.parse("2030-03-12T15:00:00Z");
+
+const TEAM_DOMAIN = "austinmovefinder.cloudflareaccess.com";
+
+const ACCESS_ENV = {
+  CF_ACCESS_TEAM_DOMAIN: TEAM_DOMAIN,
+  CF_ACCESS_AUD: "aud-123",
+  ADMIN_EMAILS: "Owner@Example.com, lead@example.com",
+};
+
+const DEV_ENV = { AUTH_DEV_KEY: "test-dev-key" };
+
+function encode(value) {
+  return btoa(JSON.stringify(value))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function request(headers = {}) {
+  return new Request("https://austinmovefinder.com/api/admin/leads/actions", {
+    headers,
+  });
+}
+
+describe("Access tokens", () => {
+  let keyPair;
+  let fetch;
+
+  beforeEach(async () => {
+    clearAccessCertsCache();
+    keyPair = await crypto.subtle.generateKey(
+      {
+        name: "RSASSA-PKCS1-v1_5",
+        modulusLength: 2048,
+        publicExponent: new Uint8Array([1, 0, 1]),
+        hash: "SHA-256",
+      },
+      true,
+      ["sign", "verify"],
+    );
+    const jwk = await crypto.subtle.exportKey("jwk", keyPair.publicKey);
+    fetch = vi
+      .fn()
+      .mockImplementation(
+        async () =>
+          new Response(JSON.stringify({ keys: [{ ...jwk, kid: "key-1" }] })),
+      );
+  });
+
+  async function accessToken(claims = {}, kid = "key-1") {
+    const signingInput = `${encode({ alg: "RS256", kid })}.${encode({
+      iss: `https://${TEAM_DOMAIN}`,
+      aud: ["aud-123"],
+      email: "jane@example.com",
+      iat: NOW / 1000,
+      exp: NOW / 1000 + 3600,
+      ...claims,
+    })}`;
+    const signature = await crypto.subtle.sign(
+      "RSASSA-PKCS1-v1_5",
+      keyPair.privateKey,
+      new TextEncoder().encode(signingInput),
+    );
+
+    return `${signingInput}.${btoa(
+      String.fromCharCode(...new Uint8Array(signature)),
+    )
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "")}`;
+  }
+
+  it("should verify Access tokens against the team's signing keys", async () => {
+    const { claims } = await verifyAccessToken(
+      await accessToken(),
+      ACCESS_ENV,
+      { now: NOW, fetch },
+    );
+
+    expect(claims.email).toBe("jane@example.com");
+    expect(fetch).toHaveBeenCalledWith(
+      `https://${TEAM_DOMAIN}/cdn-cgi/access/certs`,
+    );
+  });
+
+  it("should cache the signing keys", async () => {
+    const token = await accessToken();
+    await verifyAccessToken(token, ACCESS_ENV, { now: NOW, fetch });
+    await verifyAccessToken(token, ACCESS_ENV, { now: NOW + 60_000, fetch });
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await verifyAccessToken(token, ACCESS_ENV, {
+      now: NOW + 2 * 60 * 60 * 1000,
+      fetch,
+    });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("should reject tokens for another team, application or key", async () => {
+    const verify = async (token) =>
+      (await verifyAccessToken(token, ACCESS_ENV, { now: NOW, fetch })).message;
+
+    expect(
+      await verify(await accessToken({ iss: "https://evil.example" })),
+    ).toBe("Token was issued by another team");
+    expect(await verify(await accessToken({ aud: ["other"] }))).toBe(
+      "Token is for another application",
+    );
+    expect(await verify(await accessToken({}, "key-2"))).toBe(
+      "Token was signed by an unknown key",
+    );
+
+    const [header, , signature] = (await accessToken()).split(".");
+    const tampered = `${header}.${encode({
+      iss: `https://${TEAM_DOMAIN}`,
+      aud: "aud-123",
+      email: "owner@example.com",
+      exp: NOW / 1000 + 3600,
+    })}.${signature}`;
+    expect(await verify(tampered)).toBe("Token signature does not match");
+    expect(await verify("not-a-token")).toBe("Token is not a JWT");
+  });
+
+  it("should reject expired tokens and tokens when Access is not configured", async () => {
+    expect(
+      await verifyAccessToken(
+        await accessToken({ exp: NOW / 1000 - 120 }),
+        ACCESS_ENV,
+        { now: NOW, fetch },
+      ),
+    ).toEqual({ error: "expired_token", message: "Token has expired" });
+    expect(
+      (await verifyAccessToken(await accessToken(), {}, { now: NOW, fetch }))
+        .message,
+    ).toBe("Cloudflare Access is not configured");
+  });
+
+  it("should resolve Access users as admins or staff", async () => {
+    const resolve = async (email) =>
+      authenticateRequest(
+        request({
+          "Cf-Access-Jwt-Assertion": await accessToken({ email }),
+        }),
+        ACCESS_ENV,
+        { now: NOW, fetch },
+      );
+
+    expect(await resolve("owner@example.com")).toEqual({
+      role: "admin",
+      id: "owner@example.com",
+      email: "owner@example.com",
+      partner: null,
+    });
+    expect((await resolve("Jane@Example.com")).role).toBe("staff");
+  });
+
+  it("should resolve Access service tokens listed in the config", async () => {
+    const resolve = async (clientId) =>
+      authenticateRequest(
+        request({
+          "Cf-Access-Jwt-Assertion": await accessToken({
+            email: undefined,
+            sub: "",
+            common_name: clientId,
+          }),
+        }),
+        {
+          ...ACCESS_ENV,
+          ACCESS_SERVICE_TOKENS: "cron.access=admin, audit.access=owner",
+        },
+        { now: NOW, fetch },
+      );
+
+    expect(await resolve("cron.access")).toEqual({
+      role: "admin",
+      id: "cron.access",
+      email: null,
+      partner: null,
+    });
+    expect(await resolve("audit.access")).toBeNull();
+    expect(await resolve("other.access")).toBeNull();
+  });
+
+  it("should ignore role claims in Access tokens", async () => {
+    const resolve = async (claims) =>
+      authenticateRequest(
+        request({
+          "Cf-Access-Jwt-Assertion": await accessToken(claims),
+        }),
+        ACCESS_ENV,
+        { now: NOW, fetch },
+      );
+
+    expect(await resolve({ role: "admin" })).toEqual({
+      role: "staff",
+      id: "jane@example.com",
+      email: "jane@example.com",
+      partner: null,
+    });
+    expect(
+      await resolve({ email: undefined, sub: "acme", role: "partner" }),
+    ).toBeNull();
+  });
+
+  it("should read the token from the CF_Authorization cookie", async () => {
+    // The test DOM drops Cookie from Request headers like a browser would
+    const cookies = new Map([
+      ["cookie", "theme=dark; CF_Authorization=abc.def.ghi"],
+    ]);
+
+    expect(getRequestAccessToken({ headers: cookies })).toBe("abc.def.ghi");
+    expect(getRequestAccessToken(request())).toBeNull();
+  });
+});
+
+describe("Dev tokens", () => {
+  it("should sign and verify dev tokens with the dev key", async () => {
+    const token = await signDevToken(
+      { sub: "ops@example.com", role: "admin" },
+      DEV_ENV,
+      { now: NOW },
+    );
+    const { claims } = await verifyAccessToken(token, DEV_ENV, { now: NOW });
+
+    expect(claims).toMatchObject({
+      sub: "ops@example.com",
+      email: "ops@example.com",
+      role: "admin",
+    });
+    expect(
+      (await verifyAccessToken(token, { AUTH_DEV_KEY: "other" }, { now: NOW }))
+        .message,
+    ).toBe("Token signature does not match");
+    expect(
+      (
+        await verifyAccessToken(token, DEV_ENV, {
+          now: NOW + 9 * 60 * 60 * 1000,
+        })
+      ).error,
+    ).toBe("expired_token");
+  });
+
+  it("should never sign or accept dev tokens in production", async () => {
+    const production = { ...DEV_ENV, ENVIRONMENT: "production" };
+    const token = await signDevToken(
+      { sub: "ops@example.com", role: "admin" },
+      DEV_ENV,
+    );
+
+    await expect(
+      signDevToken({ sub: "ops@example.com", role: "admin" }, production),
+    ).rejects.toThrow("AUTH_DEV_KEY");
+    expect((await verifyAccessToken(token, production)).message).toBe(
+      "Dev tokens are not accepted here",
+    );
+    await expect(
+      signDevToken({ sub: "ops@example.com", role: "owner" }, DEV_ENV),
+    ).rejects.toThrow("Unknown role owner");
+  });
+});
+
+describe("Route guards", () => {
+  let directory;
+  let apiKey;
+
+  beforeEach(async () => {
+    directory = new MemoryPartnerDirectory();
+    await directory.save({
+      id: "acme",
+      company: "Acme Movers",
+      email: "leads@acme.example",
+      serviceZips: ["78701"],
+    });
+    apiKey = await issuePartnerApiKey(directory, "acme");
+  });
+
+  async function devRequest(sub, role) {
+    return request({
+      "Cf-Access-Jwt-Assertion": await signDevToken({ sub, role }, DEV_ENV),
+    });
+  }
+
+  it("should resolve partners from their API key or a dev token", async () => {
+    const fromKey = await authenticateRequest(
+      request({ Authorization: `Bearer ${apiKey}` }),
+      DEV_ENV,
+      { directory },
+    );
+    expect(fromKey).toMatchObject({
+      role: "partner",
+      id: "acme",
+      email: null,
+      partner: expect.objectContaining({ company: "Acme Movers" }),
+    });
+
+    expect(
+      await authenticateRequest(await devRequest("acme", "partner"), DEV_ENV, {
+        directory,
+      }),
+    ).toMatchObject({ role: "partner", id: "acme" });
+    expect(
+      await authenticateRequest(await devRequest("zeta", "partner"), DEV_ENV, {
+        directory,
+      }),
+    ).toBeNull();
+    expect(
+      await authenticateRequest(
+        request({ "X-API-Key": "amf_pk_unknown" }),
+        DEV_ENV,
+        { directory },
+      ),
+    ).toBeNull();
+  });
+
+  it("should let admins use staff routes but not partner routes", () => {
+    const admin = { role: "admin" };
+
+    expect(hasRole(admin, ["staff"])).toBe(true);
+    expect(hasRole(admin, ["partner"])).toBe(false);
+    expect(hasRole({ role: "staff" }, ["admin"])).toBe(false);
+    expect(hasRole({ role: "partner" }, ["staff", "partner"])).toBe(true);
+    expect(hasRole(null, ["staff"])).toBe(false);
+  });
+
+  it("should answer 401 without credentials and 403 for other roles", async () => {
+    const anonymous = await authorizeRequest(request(), DEV_ENV, ["partner"], {
+      directory,
+    });
+    expect(anonymous.response.status).toBe(401);
+    expect(anonymous.response.headers.get("WWW-Authenticate")).toBe(
+      'Bearer realm="partner"',
+    );
+
+    const partner = await authorizeRequest(
+      request({ "X-API-Key": apiKey }),
+      DEV_ENV,
+      ["staff"],
+      { directory },
+    );
+    expect(partner.response.status).toBe(403);
+    expect(await partner.response.json()).toEqual({
+      ok: false,
+      error: "forbidden",
+    });
+
+    const staff = await authorizeRequest(
+      await devRequest("ops@example.com", "staff"),
+      DEV_ENV,
+      ["staff"],
+    );
+    expect(staff.principal).toMatchObject({ role: "staff" });
+  });
+
+  it("should guard Astro API routes and Pages Functions alike", async () => {
+    const handler = vi.fn(async (context, principal) =>
+      Response.json({ id: principal.id }),
+    );
+    const route = guardRoute(["staff"], handler);
+
+    const astro = await route({
+      request: await devRequest("ops@example.com", "staff"),
+      locals: { runtime: { env: DEV_ENV } },
+    });
+    expect(await astro.json()).toEqual({ id: "ops@example.com" });
+
+    const pages = await route({
+      request: await devRequest("ops@example.com", "admin"),
+      env: DEV_ENV,
+    });
+    expect(pages.status).toBe(200);
+
+    const denied = await route({ request: request(), env: DEV_ENV });
+    expect(denied.status).toBe(401);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it("should answer 500 when the handler fails", async () => {
+    const route = guardRoute(["staff"], async () => {
+      throw new Error("boom");
+    });
+
+    const response = await route({
+      request: await devRequest("ops@example.com", "staff"),
+      env: DEV_ENV,
+    });
+    expect(response.status).toBe(500);
+    expect(await response.json()).toEqual({
+      ok: false,
+      error: "internal_error",
+    });
+  });
+});
@@ -0,0 +1,419 @@
+/**
+ * Email Dead Letter Tests
+ * Covers moving exhausted queue items to the dead letters with their error
+ * classification, replaying them, the health metrics and the admin API
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { MemoryAuditLog } from "../../src/services/audit/auditLog.js";
+import { AuditTrail } from "../../src/services/audit/auditTrail.js";
+import { signDevToken } from "../../src/services/auth/accessTokens.js";
+import {
+  handleDeadLetterAction,
+  handleDeadLetterList,
+} from "../../src/services/email/deadLetterRequest.js";
+import { DeadLetterQueue } from "../../src/services/email/deadLetters.js";
+import { EmailService } from "../../src/services/email/emailService.js";
+import { EmailQueue } from "../../src/services/email/queue.js";
+import { MemoryEmailQueueStore } from "../../src/services/email/queueStore.js";
+
+const NOW = Date.parse("2030-03-12T15:00:00Z");
+
+const ENV = { AUTH_DEV_KEY: "test-dev-key" };
+
+function email(to) {
+  return {
+    to,
+    subject: "Your moving quote",
+    text: "Thanks for your request",
+    quoteId: "AMF-1",
+  };
+}
+
+// The error EmailService throws once every provider failed
+function providerFailure(cause, provider = null) {
+  const error = new Error(
+    `All email providers failed. Last error: ${cause.message}`,
+    { cause },
+  );
+  error.provider = provider;
+  return error;
+}
+
+describe("Dead letters", () => {
+  let queueStore;
+  let deadLetters;
+  let mailer;
+  let queue;
+  let clock;
+
+  beforeEach(() => {
+    clock = NOW;
+    queueStore = new MemoryEmailQueueStore();
+    deadLetters = new DeadLetterQueue(new MemoryEmailQueueStore(), queueStore, {
+      alertDepth: 2,
+    });
+    mailer = { sendEmail: vi.fn() };
+    queue = new EmailQueue(queueStore, {
+      mailer,
+      deadLetters,
+      maxRetries: 1,
+      now: () => clock,
+    });
+  });
+
+  it("should keep exhausted emails with their error classification", async () => {
+    mailer.sendEmail.mockRejectedValue(
+      providerFailure(new Error("Email send timeout after 10000ms")),
+    );
+    const id = await queue.enqueue(email("jane@example.com"), "high");
+
+    expect((await queue.drain()).failed).toBe(1);
+    expect(await queue.getItem(id)).toBeNull();
+    expect(await deadLetters.get(id)).toMatchObject({
+      id,
+      status: "failed",
+      priority: "high",
+      attempts: 1,
+      emailData: email("jane@example.com"),
+      lastError:
+        "All email providers failed. Last error: Email send timeout after 10000ms",
+      failure: {
+        type: "TIMEOUT",
+        isRetryable: true,
+        severity: "warning",
+        provider: null,
+        failedAt: "2030-03-12T15:00:00.000Z",
+      },
+    });
+  });
+
+  it("should classify errors with the failing provider", async () => {
+    const cause = Object.assign(new Error("Nodemailer: connect ETIMEDOUT"), {
+      code: "ETIMEDOUT",
+    });
+    mailer.sendEmail.mockRejectedValue(providerFailure(cause, "Nodemailer"));
+    const id = await queue.enqueue(email("jane@example.com"));
+
+    await queue.drain();
+
+    expect((await deadLetters.get(id)).failure).toMatchObject({
+      type: "CONNECTION_ERROR",
+      code: "ETIMEDOUT",
+      provider: "Nodemailer",
+    });
+  });
+
+  it("should replay an email to a corrected recipient", async () => {
+    mailer.sendEmail.mockRejectedValueOnce(new Error("Invalid recipient"));
+    const id = await queue.enqueue(email("jane@exmaple.com"));
+    await queue.drain();
+
+    expect(
+      await deadLetters.replay(id, { to: "jane@example.com" }),
+    ).toMatchObject({
+      item: { id, status: "queued", attempts: 0, failure: null },
+    });
+    expect(await deadLetters.get(id)).toBeNull();
+
+    mailer.sendEmail.mockResolvedValue({ success: true });
+    expect((await queue.drain()).sent).toBe(1);
+    expect(mailer.sendEmail).toHaveBeenLastCalledWith(
+      email("jane@example.com"),
+    );
+  });
+
+  it("should edit a recipient without replaying", async () => {
+    mailer.sendEmail.mockRejectedValue(new Error("Invalid recipient"));
+    const id = await queue.enqueue(email("jane@exmaple.com"));
+    await queue.drain();
+
+    await deadLetters.updateRecipient(id, "jane@example.com");
+
+    expect((await deadLetters.get(id)).emailData.to).toBe("jane@example.com");
+    expect(await queue.getItem(id)).toBeNull();
+    expect(await deadLetters.updateRecipient("missing", "a@b.co")).toEqual({
+      error: "not_found",
+      message: "No dead letter with ID missing.",
+    });
+  });
+
+  it("should replay every dead letter through retryFailed", async () => {
+    mailer.sendEmail.mockRejectedValue(new Error("Bad gateway"));
+    await queue.enqueue(email("a@example.com"));
+    await queue.enqueue(email("b@example.com"));
+    await queue.drain();
+
+    expect(await queue.retryFailed()).toBe(2);
+    expect((await queue.getStatus()).statusCounts.queued).toBe(2);
+    expect((await deadLetters.getMetrics()).depth).toBe(0);
+  });
+
+  it("should surface dead-letter depth in the health metrics", async () => {
+    mailer.sendEmail.mockRejectedValueOnce(
+      providerFailure(new Error("network unreachable")),
+    );
+    await queue.enqueue(email("a@example.com"));
+    await queue.drain();
+
+    let metrics = await queue.getHealthMetrics();
+    expect(metrics.deadLetters).toEqual({
+      depth: 1,
+      byType: { NETWORK_ERROR: 1 },
+      oldest: "2030-03-12T15:00:00.000Z",
+      isHealthy: true,
+    });
+    expect(metrics.isHealthy).toBe(true);
+
+    mailer.sendEmail.mockRejectedValueOnce(new Error("Bad gateway"));
+    clock += 1000;
+    await queue.enqueue(email("b@example.com"));
+    await queue.drain();
+
+    metrics = await queue.getHealthMetrics();
+    expect(metrics.deadLetters).toMatchObject({
+      depth: 2,
+      byType: { NETWORK_ERROR: 1, UNKNOWN: 1 },
+      isHealthy: false,
+    });
+    expect(metrics.isHealthy).toBe(false);
+  });
+});
+
+describe("EmailService failures", () => {
+  it("should keep the last provider's error for classification", async () => {
+    const service = new EmailService();
+    const cause = new Error("SendGrid: Unauthorized");
+    service.providers = new Map([
+      [
+        "sendgrid",
+        { name: "SendGrid", sendEmail: vi.fn().mockRejectedValue(cause) },
+      ],
+    ]);
+    service.fallbackProviders = [];
+    service.config = {
+      ...service.config,
+      primaryProvider: "sendgrid",
+      settings: { ...service.config.settings, retryAttempts: 1, dryRun: false },
+    };
+
+    const error = await service
+      .sendEmail(email("jane@example.com"))
+      .catch((error) => error);
+
+    expect(error.message).toBe(
+      "All email providers failed. Last error: SendGrid: Unauthorized",
+    );
+    expect(error.cause).toBe(cause);
+    expect(error.provider).toBe("SendGrid");
+  });
+});
+
+describe("Dead letter API", () => {
+  let deadLetters;
+  let queueStore;
+  let auditLog;
+  let token;
+  let adminToken;
+
+  beforeEach(async () => {
+    queueStore = new MemoryEmailQueueStore();
+    auditLog = new MemoryAuditLog();
+    deadLetters = new DeadLetterQueue(new MemoryEmailQueueStore(), queueStore, {
+      audit: new AuditTrail(auditLog, { now: () => NOW }),
+    });
+    for (const [id, to, type] of [
+      ["q1", "jane@exmaple.com", "VALIDATION_ERROR"],
+      ["q2", "john@example.com", "TIMEOUT"],
+    ]) {
+      await deadLetters.add(
+        {
+          id,
+          emailData: email(to),
+          priority: "normal",
+          attempts: 3,
+          createdAt: "2030-03-12T15:00:00.000Z",
+          status: "processing",
+          lastAttempt: "2030-03-12T15:05:00.000Z",
+          lastError: "failed",
+          nextRetry: null,
+        },
+        { type, failedAt: "2030-03-12T15:05:00.000Z" },
+      );
+    }
+    token = await signDevToken({ sub: "ops@example.com", role: "staff" }, ENV, {
+      now: NOW,
+    });
+    adminToken = await signDevToken(
+      { sub: "owner@example.com", role: "admin" },
+      ENV,
+      { now: NOW },
+    );
+  });
+
+  function get(query = "", accessToken = token) {
+    return handleDeadLetterList(
+      new Request(
+        `https://austinmovefinder.com/api/admin/email/dead-letters?${query}`,
+        {
+          headers: accessToken
+            ? { "Cf-Access-Jwt-Assertion": accessToken }
+            : {},
+        },
+      ),
+      { env: ENV, deadLetters, now: NOW },
+    );
+  }
+
+  function post(body, accessToken = token) {
+    return handleDeadLetterAction(
+      new Request("https://austinmovefinder.com/api/admin/email/dead-letters", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(accessToken && { "Cf-Access-Jwt-Assertion": accessToken }),
+        },
+        body: JSON.stringify(body),
+      }),
+      { env: ENV, deadLetters, now: NOW },
+    );
+  }
+
+  it("should require a staff sign-in", async () => {
+    expect((await get("", null)).status).toBe(401);
+    expect((await post({ action: "replay", all: true }, null)).status).toBe(
+      401,
+    );
+    expect((await deadLetters.getMetrics()).depth).toBe(2);
+  });
+
+  it("should refuse actions not sent as JSON", async () => {
+    const response = await handleDeadLetterAction(
+      new Request("https://austinmovefinder.com/api/admin/email/dead-letters", {
+        method: "POST",
+        headers: {
+          "Content-Type": "text/plain",
+          "Cf-Access-Jwt-Assertion": token,
+        },
+        body: JSON.stringify({ action: "replay", all: true }),
+      }),
+      { env: ENV, deadLetters, now: NOW },
+    );
+
+    expect(response.status).toBe(415);
+    expect((await response.json()).error).toBe("unsupported_media_type");
+    expect((await deadLetters.getMetrics()).depth).toBe(2);
+  });
+
+  it("should list dead letters with their metrics", async () => {
+    const response = await get("type=TIMEOUT");
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body.deadLetters.map(({ id }) => id)).toEqual(["q2"]);
+    expect(body.metrics).toMatchObject({
+      depth: 2,
+      byType: { VALIDATION_ERROR: 1, TIMEOUT: 1 },
+    });
+  });
+
+  it("should change a recipient and audit it", async () => {
+    const response = await post(
+      { action: "update", id: "q1", to: "jane@example.com" },
+      adminToken,
+    );
+
+    expect(await response.json()).toEqual({
+      ok: true,
+      results: [{ id: "q1", ok: true }],
+    });
+    expect((await deadLetters.get("q1")).emailData.to).toBe("jane@example.com");
+    expect(auditLog.events).toMatchObject([
+      {
+        leadId: "AMF-1",
+        type: "email_redirected",
+        actor: "admin:owner@example.com",
+        details: {
+          emailId: "q1",
+          from: "jane@exmaple.com",
+          to: "jane@example.com",
+        },
+      },
+    ]);
+  });
+
+  it("should replay one email to a new recipient and audit it", async () => {
+    await post(
+      { action: "replay", ids: ["q1"], to: "jane@example.com" },
+      adminToken,
+    );
+
+    expect(await queueStore.get("q1")).toMatchObject({
+      status: "queued",
+      emailData: { to: "jane@example.com" },
+    });
+    expect(auditLog.events).toMatchObject([
+      {
+        type: "email_redirected",
+        actor: "admin:owner@example.com",
+        details: { from: "jane@exmaple.com", to: "jane@example.com" },
+      },
+    ]);
+  });
+
+  it("should only let admins change recipients", async () => {
+    const update = await post({
+      action: "update",
+      id: "q1",
+      to: "attacker@example.com",
+    });
+    const replay = await post({
+      action: "replay",
+      ids: ["q1"],
+      to: "attacker@example.com",
+    });
+
+    expect(update.status).toBe(403);
+    expect(replay.status).toBe(403);
+    expect((await deadLetters.get("q1")).emailData.to).toBe("jane@exmaple.com");
+    expect(auditLog.events).toEqual([]);
+  });
+
+  it("should replay chosen or all dead letters", async () => {
+    const chosen = await post({ action: "replay", ids: ["q2", "missing"] });
+    expect((await chosen.json()).results).toEqual([
+      { id: "q2", ok: true },
+      {
+        id: "missing",
+        ok: false,
+        error: "not_found",
+        message: "No dead letter with ID missing.",
+      },
+    ]);
+
+    const all = await post({ action: "replay", all: true });
+    expect((await all.json()).results).toEqual([{ id: "q1", ok: true }]);
+    expect((await queueStore.list()).map(({ id }) => id)).toEqual(["q1", "q2"]);
+  });
+
+  it("should reject invalid actions", async () => {
+    const cases = [
+      [{ action: "delete" }, { action: "Action must be update or replay." }],
+      [{ action: "replay" }, { ids: "Select at least one email." }],
+      [
+        { action: "replay", ids: ["q1", "q2"], to: "jane@example.com" },
+        { to: "Change the recipient of one email at a time." },
+      ],
+      [
+        { action: "update", id: "q1", to: "not-an-email" },
+        { to: "Must be a valid email address." },
+      ],
+    ];
+
+    for (const [body, details] of cases) {
+      const response = await post(body);
+      expect(response.status).toBe(400);
+      expect((await response.json()).details).toEqual(details);
+    }
+  });
+});
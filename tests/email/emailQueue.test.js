@@ -0,0 +1,439 @@
+/**
+ * Email Queue Tests
+ * Covers persistence across queue instances, priority order, retries with
+ * backoff, claiming, the store adapters and the drain endpoint
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { signDevToken } from "../../src/services/auth/accessTokens.js";
+import { EmailService } from "../../src/services/email/emailService.js";
+import { FileEmailQueueStore } from "../../src/services/email/fileQueueStore.js";
+import { EmailQueue } from "../../src/services/email/queue.js";
+import { handleQueueDrain } from "../../src/services/email/queueRequest.js";
+import {
+  createEmailQueueStore,
+  KvEmailQueueStore,
+  MemoryEmailQueueStore,
+} from "../../src/services/email/queueStore.js";
+
+const NOW = Date.parse("2030-03-12T15:00:00Z");
+
+const ENV = { AUTH_DEV_KEY: "test-dev-key" };
+
+// Minimal stand-in for a Workers KV namespace, listing two keys per page
+function createMockKv() {
+  const values = new Map();
+  const metadata = new Map();
+
+  return {
+    values,
+    get: vi.fn(async (key, type) => {
+      const value = values.get(key);
+      if (value === undefined) return null;
+      return type === "json" ? JSON.parse(value) : value;
+    }),
+    async put(key, value, options = {}) {
+      values.set(key, value);
+      metadata.set(key, options.metadata ?? null);
+    },
+    async delete(key) {
+      values.delete(key);
+      metadata.delete(key);
+    },
+    async list({ prefix, cursor }) {
+      const names = Array.from(values.keys())
+        .filter((name) => name.startsWith(prefix))
+        .sort();
+      const start = cursor ? Number(cursor) : 0;
+      const end = start + 2;
+
+      return {
+        keys: names
+          .slice(start, end)
+          .map((name) => ({ name, metadata: metadata.get(name) })),
+        list_complete: end >= names.length,
+        cursor: String(end),
+      };
+    },
+  };
+}
+
+function email(to, overrides = {}) {
+  return {
+    to,
+    subject: "Your moving quote",
+    text: "Thanks for your request",
+    quoteId: "AMF-1",
+    ...overrides,
+  };
+}
+
+describe("Email queue stores", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "email-queue-"));
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  const stores = {
+    KV: () => new KvEmailQueueStore(createMockKv()),
+    Memory: () => new MemoryEmailQueueStore(),
+    Filesystem: () => new FileEmailQueueStore(tempDir),
+  };
+
+  Object.entries(stores).forEach(([name, createStore]) => {
+    describe(`${name} store`, () => {
+      let store;
+      let clock;
+      let mailer;
+      let queue;
+
+      beforeEach(() => {
+        store = createStore();
+        clock = NOW;
+        mailer = {
+          sendEmail: vi.fn().mockResolvedValue({
+            success: true,
+            provider: "sendgrid",
+            messageId: "msg-1",
+          }),
+        };
+        queue = new EmailQueue(store, { mailer, now: () => clock });
+      });
+
+      it("should keep queued emails for a later queue instance", async () => {
+        const id = await queue.enqueue(email("jane@example.com"));
+
+        const restarted = new EmailQueue(store, {
+          mailer,
+          now: () => clock,
+        });
+        expect(await restarted.getItem(id)).toMatchObject({
+          id,
+          status: "queued",
+          attempts: 0,
+          createdAt: "2030-03-12T15:00:00.000Z",
+          emailData: email("jane@example.com"),
+        });
+
+        expect(await restarted.drain()).toEqual({
+          sent: 1,
+          retrying: 0,
+          failed: 0,
+          skipped: 0,
+        });
+        expect(mailer.sendEmail).toHaveBeenCalledWith(
+          email("jane@example.com"),
+        );
+        expect(await store.list()).toEqual([]);
+      });
+
+      it("should send the most urgent emails first", async () => {
+        await queue.enqueue(email("low@example.com"), "low");
+        clock += 1000;
+        await queue.enqueue(email("normal@example.com"));
+        await queue.enqueue(email("critical@example.com"), "critical");
+
+        expect((await queue.getItems()).map(({ emailTo }) => emailTo)).toEqual([
+          "critical@example.com",
+          "normal@example.com",
+          "low@example.com",
+        ]);
+
+        queue.batchSize = 1;
+        await queue.processQueue();
+        expect(mailer.sendEmail).toHaveBeenCalledWith(
+          email("critical@example.com"),
+        );
+      });
+
+      it("should retry with backoff, then give up", async () => {
+        mailer.sendEmail.mockRejectedValue(
+          new Error("Email send timeout after 10000ms"),
+        );
+        const id = await queue.enqueue(email("jane@example.com"));
+
+        expect((await queue.drain()).retrying).toBe(1);
+        expect(await queue.getItem(id)).toMatchObject({
+          status: "retry",
+          attempts: 1,
+          lastError: "Email send timeout after 10000ms",
+          nextRetry: "2030-03-12T15:00:05.000Z",
+        });
+
+        // Not due yet
+        expect((await queue.drain()).retrying).toBe(0);
+
+        clock += 5000;
+        await queue.drain();
+        expect((await queue.getItem(id)).nextRetry).toBe(
+          "2030-03-12T15:00:15.000Z",
+        );
+
+        clock += 10000;
+        expect((await queue.drain()).failed).toBe(1);
+        expect(await queue.getItem(id)).toBeNull();
+        expect(mailer.sendEmail).toHaveBeenCalledTimes(3);
+      });
+
+      it("should give up at once on errors retrying cannot fix", async () => {
+        mailer.sendEmail.mockRejectedValue(new Error("Invalid recipient"));
+        const id = await queue.enqueue(email("jane@exmaple.com"));
+
+        expect(await queue.drain()).toMatchObject({ retrying: 0, failed: 1 });
+        expect(await queue.getItem(id)).toBeNull();
+        expect(mailer.sendEmail).toHaveBeenCalledTimes(1);
+      });
+
+      it("should send a claimed email only once", async () => {
+        const id = await queue.enqueue(email("jane@example.com"));
+        const [item] = await queue.getProcessableBatch();
+
+        const other = new EmailQueue(store, { mailer, now: () => clock });
+        expect(await other.processItem(item)).toMatchObject({
+          status: "sent",
+        });
+        expect(await queue.processItem(item)).toEqual({
+          id,
+          status: "skipped",
+        });
+        expect(mailer.sendEmail).toHaveBeenCalledTimes(1);
+      });
+
+      it("should resend emails left processing by a run that died", async () => {
+        const id = await queue.enqueue(email("jane@example.com"));
+        await store.claim(id, {
+          attemptedAt: new Date(clock).toISOString(),
+          staleBefore: new Date(clock).toISOString(),
+        });
+
+        expect((await queue.drain()).sent).toBe(0);
+        expect((await queue.getHealthMetrics()).stuckItems).toBe(0);
+
+        clock += 5 * 60 * 1000 + 1;
+        expect((await queue.getHealthMetrics()).stuckItems).toBe(1);
+        expect((await queue.drain()).sent).toBe(1);
+      });
+
+      it("should report status counts and refuse a full queue", async () => {
+        queue.maxQueueSize = 2;
+        await queue.enqueue(email("a@example.com"));
+        clock += 1000;
+        await queue.enqueue(email("b@example.com"));
+
+        await expect(queue.enqueue(email("c@example.com"))).rejects.toThrow(
+          "Email queue is full",
+        );
+        expect(await queue.getStatus()).toMatchObject({
+          totalItems: 2,
+          statusCounts: { queued: 2, retry: 0 },
+          oldestItem: "2030-03-12T15:00:00.000Z",
+          newestItem: "2030-03-12T15:00:01.000Z",
+        });
+      });
+    });
+  });
+});
+
+describe("FileEmailQueueStore", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "email-queue-"));
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("should survive a restart", async () => {
+    const mailer = { sendEmail: vi.fn().mockResolvedValue({ success: true }) };
+    const id = await new EmailQueue(new FileEmailQueueStore(tempDir), {
+      mailer,
+    }).enqueue(email("jane@example.com"), "high");
+
+    const restarted = new EmailQueue(new FileEmailQueueStore(tempDir), {
+      mailer,
+    });
+    expect((await restarted.getItems())[0]).toMatchObject({
+      id,
+      priority: "high",
+      emailTo: "jane@example.com",
+    });
+    expect((await restarted.drain()).sent).toBe(1);
+  });
+});
+
+describe("KvEmailQueueStore", () => {
+  it("should count and pick ready items from the key metadata", async () => {
+    const kv = createMockKv();
+    const mailer = { sendEmail: vi.fn().mockResolvedValue({ success: true }) };
+    const queue = new EmailQueue(new KvEmailQueueStore(kv), {
+      mailer,
+      batchSize: 2,
+      now: () => NOW,
+    });
+    for (const to of ["a@example.com", "b@example.com", "c@example.com"]) {
+      await queue.enqueue(email(to));
+    }
+    const urgent = await queue.enqueue(email("d@example.com"), "critical");
+    kv.get.mockClear();
+
+    await queue.enqueue(email("e@example.com"));
+    expect(kv.get).not.toHaveBeenCalled();
+
+    const [first] = await queue.getProcessableBatch();
+    expect(first.id).toBe(urgent);
+    expect(kv.get).toHaveBeenCalledTimes(2);
+  });
+
+  it("should read items saved without metadata in full", async () => {
+    const kv = createMockKv();
+    kv.values.set(
+      "email-queue:q1",
+      JSON.stringify({
+        id: "q1",
+        emailData: email("jane@example.com"),
+        priority: "normal",
+        attempts: 0,
+        createdAt: "2030-03-12T15:00:00.000Z",
+        status: "queued",
+        lastAttempt: null,
+        lastError: null,
+        nextRetry: null,
+      }),
+    );
+    const store = new KvEmailQueueStore(kv);
+
+    expect(await store.countByStatus()).toEqual({ queued: 1 });
+    expect(
+      await store.listReady({
+        now: "2030-03-12T15:00:00.000Z",
+        staleBefore: "2030-03-12T14:55:00.000Z",
+        limit: 10,
+      }),
+    ).toMatchObject([{ id: "q1" }]);
+  });
+});
+
+describe("EmailService.enqueueEmail", () => {
+  afterEach(() => {
+    createEmailQueueStore().clear();
+  });
+
+  it("should persist the email for the queue drain", async () => {
+    const id = await new EmailService().enqueueEmail(
+      email("jane@example.com"),
+      "high",
+      {},
+    );
+
+    expect(await createEmailQueueStore().get(id)).toMatchObject({
+      status: "queued",
+      priority: "high",
+      emailData: email("jane@example.com"),
+    });
+  });
+
+  it("should reject emails that could never be sent", async () => {
+    await expect(
+      new EmailService().enqueueEmail(
+        { to: "jane@example.com", text: "Hi" },
+        "normal",
+        {},
+      ),
+    ).rejects.toThrow("Missing required email fields: subject");
+    await expect(
+      new EmailService().enqueueEmail(email("jane@example.com"), "normal"),
+    ).rejects.toThrow("Queuing an email needs the runtime environment");
+    expect(await createEmailQueueStore().list()).toEqual([]);
+  });
+
+  it("should queue quote update emails", async () => {
+    const id = await new EmailService().enqueueQuoteUpdate(
+      { name: "Jane Doe", email: "jane@example.com", moveDate: "2030-04-01" },
+      "AMF-1",
+      { to: "booked", changedAt: "2030-03-12T15:00:00.000Z" },
+      {},
+    );
+
+    expect(await createEmailQueueStore().get(id)).toMatchObject({
+      status: "queued",
+      emailData: {
+        to: "jane@example.com",
+        type: "quote_update",
+        quoteId: "AMF-1",
+      },
+    });
+  });
+});
+
+describe("Email queue drain API", () => {
+  let queue;
+  let mailer;
+  let adminToken;
+
+  beforeEach(async () => {
+    mailer = { sendEmail: vi.fn().mockResolvedValue({ success: true }) };
+    queue = new EmailQueue(new MemoryEmailQueueStore(), {
+      mailer,
+      now: () => NOW,
+    });
+    adminToken = await signDevToken(
+      { sub: "owner@example.com", role: "admin" },
+      ENV,
+      { now: NOW },
+    );
+  });
+
+  function post(accessToken = adminToken) {
+    return handleQueueDrain(
+      new Request("https://austinmovefinder.com/api/admin/email/drain", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(accessToken && { "Cf-Access-Jwt-Assertion": accessToken }),
+        },
+      }),
+      { env: ENV, queue, now: NOW },
+    );
+  }
+
+  it("should only let admins drain the queue", async () => {
+    await queue.enqueue(email("jane@example.com"));
+
+    expect((await post(null)).status).toBe(401);
+    const staff = await post(
+      await signDevToken({ sub: "ops@example.com", role: "staff" }, ENV, {
+        now: NOW,
+      }),
+    );
+    expect(staff.status).toBe(403);
+    expect(mailer.sendEmail).not.toHaveBeenCalled();
+  });
+
+  it("should send ready emails and report what is left", async () => {
+    await queue.enqueue(email("jane@example.com"));
+    mailer.sendEmail.mockRejectedValueOnce(new Error("timeout"));
+    await queue.enqueue(email("john@example.com"));
+
+    const response = await post();
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      ok: true,
+      sent: 1,
+      retrying: 1,
+      failed: 0,
+      skipped: 0,
+      pending: { retry: 1 },
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Estimator Tests
+ * Covers the ballpark price calculation, pricing overrides and the
+ * /api/estimate request handler
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  calculateEstimate,
+  getZipDistanceMiles,
+} from "../../src/services/estimate/estimator.js";
+import { handleEstimateRequest } from "../../src/services/estimate/estimateRequest.js";
+import { PRICING_TABLE, getPricingTable } from "../../src/config/pricing.js";
+import {
+  SERVICE_AREA_ZIPS,
+  ZIP_COORDINATES,
+} from "../../src/config/serviceArea.js";
+
+function estimate(overrides = {}) {
+  return calculateEstimate({
+    moveSize: "2-bed",
+    fromZip: "78701",
+    toZip: "78704",
+    specialItems: [],
+    packingSupplies: false,
+    storageNeeded: false,
+    ...overrides,
+  });
+}
+
+function findItem(result, code) {
+  return result.lineItems.find((item) => item.code === code);
+}
+
+describe("calculateEstimate", () => {
+  it("should price labor and the truck for a short local move", () => {
+    const result = estimate();
+
+    expect(result.lineItems).toEqual([
+      {
+        code: "labor",
+        label: "Labor: 3 movers for 4-7 hours",
+        low: 540,
+        high: 1365,
+      },
+      { code: "truck", label: "Truck and equipment", low: 95, high: 150 },
+    ]);
+    expect(result).toMatchObject({ low: 635, high: 1515, currency: "USD" });
+    expect(result.distanceMiles).toBeLessThan(10);
+  });
+
+  it("should charge for miles beyond the included distance", () => {
+    const result = estimate({ fromZip: "78717", toZip: "78747" });
+    const miles = result.distanceMiles - PRICING_TABLE.distance.includedMiles;
+
+    expect(result.distanceMiles).toBeGreaterThan(25);
+    expect(findItem(result, "distance")).toMatchObject({
+      low: Math.round(miles * 2),
+      high: Math.round(miles * 3.5),
+    });
+  });
+
+  it("should price packing labor and the truck by service type", () => {
+    const fullService = estimate({ serviceType: "full-service" });
+    const laborOnly = estimate({ serviceType: "labor-only" });
+
+    expect(findItem(fullService, "packing_labor")).toMatchObject({
+      low: 162,
+      high: 410,
+    });
+    expect(findItem(fullService, "truck")).toBeDefined();
+    expect(laborOnly.lineItems.map((item) => item.code)).toEqual(["labor"]);
+  });
+
+  it("should explain when the distance is unknown", () => {
+    const result = estimate({ toZip: "77002" });
+
+    expect(result.distanceMiles).toBeNull();
+    expect(findItem(result, "distance")).toBeUndefined();
+    expect(result.notes[1]).toContain("long-distance moves are quoted");
+  });
+
+  it("should add floors, special items, packing and storage", () => {
+    const result = estimate({
+      fromFloor: "3rd",
+      toFloor: "ground",
+      specialItems: ["piano", "none"],
+      packingSupplies: true,
+      storageNeeded: true,
+    });
+
+    expect(result.lineItems.map((item) => item.code)).toEqual([
+      "labor",
+      "truck",
+      "from_floor",
+      "special_item:piano",
+      "packing_supplies",
+      "storage",
+    ]);
+    expect(findItem(result, "from_floor")).toEqual({
+      code: "from_floor",
+      label: "Pickup: 3rd floor",
+      low: 100,
+      high: 175,
+    });
+    expect(result.low).toBe(540 + 95 + 100 + 250 + 120 + 160);
+  });
+
+  it("should add peak season and weekend surcharges to labor", () => {
+    // A Saturday in June
+    const result = estimate({ moveDate: "2030-06-15" });
+
+    expect(findItem(result, "peak_season")).toMatchObject({
+      low: 81,
+      high: 205,
+    });
+    expect(findItem(result, "weekend")).toMatchObject({ low: 54, high: 137 });
+  });
+
+  it("should not surcharge an off-peak weekday", () => {
+    const result = estimate({ moveDate: "2030-10-16" });
+
+    expect(result.lineItems).toHaveLength(2);
+  });
+
+  it("should measure distance between known ZIP codes only", () => {
+    expect(getZipDistanceMiles("78701", "78701")).toBe(0);
+    expect(getZipDistanceMiles("78701", "10001")).toBeNull();
+  });
+
+  it("should know the location of every service area ZIP", () => {
+    SERVICE_AREA_ZIPS.forEach((zip) => {
+      expect(ZIP_COORDINATES[zip]).toHaveLength(2);
+    });
+  });
+});
+
+describe("getPricingTable", () => {
+  it("should override sections from PRICING_TABLE", () => {
+    const pricing = getPricingTable({
+      PRICING_TABLE: JSON.stringify({ truckFee: { low: 0, high: 0 } }),
+    });
+
+    expect(pricing.truckFee).toEqual({ low: 0, high: 0 });
+    expect(pricing.moveSizes).toBe(PRICING_TABLE.moveSizes);
+  });
+
+  it("should ignore invalid overrides", () => {
+    expect(getPricingTable({ PRICING_TABLE: "{nope" })).toBe(PRICING_TABLE);
+  });
+});
+
+describe("handleEstimateRequest", () => {
+  it("should estimate from query parameters", async () => {
+    const response = await handleEstimateRequest(
+      new Request(
+        "https://austinmovefinder.com/api/estimate?move-size=2-bed&from-zip=78701&to-zip=78704&special-items=piano&special-items=safe&packing-supplies=on",
+      ),
+    );
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Cache-Control")).toBe("public, max-age=300");
+    expect(body.success).toBe(true);
+    expect(body.estimate.lineItems.map((item) => item.code)).toEqual([
+      "labor",
+      "truck",
+      "special_item:piano",
+      "special_item:safe",
+      "packing_supplies",
+    ]);
+  });
+
+  it("should estimate from posted form data", async () => {
+    const formData = new FormData();
+    formData.append("move-size", "studio");
+    formData.append("from-zip", "78701");
+    formData.append("to-zip", "78702");
+
+    const response = await handleEstimateRequest(
+      new Request("https://austinmovefinder.com/api/estimate", {
+        method: "POST",
+        body: formData,
+      }),
+      {
+        pricing: {
+          ...PRICING_TABLE,
+          hourlyRatePerMover: { low: 50, high: 50 },
+        },
+      },
+    );
+    const { estimate: result } = await response.json();
+
+    expect(result.lineItems[0]).toMatchObject({ low: 200, high: 400 });
+  });
+
+  it("should report invalid fields by form name", async () => {
+    const response = await handleEstimateRequest(
+      new Request(
+        "https://austinmovefinder.com/api/estimate?move-size=castle&from-zip=787",
+      ),
+    );
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.errors.map(({ field, code }) => [field, code])).toEqual([
+      ["move-size", "invalid_option"],
+      ["from-zip", "invalid_format"],
+      ["to-zip", "required"],
+    ]);
+  });
+});
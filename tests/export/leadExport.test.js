@@ -0,0 +1,378 @@
+/**
+ * Lead Export Tests
+ * Covers record flattening, column maps, PII masking, the CSV, JSONL and
+ * XLSX formats and the export endpoint
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import { EXPORT_COLUMNS } from "../../src/config/export.js";
+import { signDevToken } from "../../src/services/auth/accessTokens.js";
+import {
+  LeadExporter,
+  flattenRecord,
+  maskValue,
+  parseColumnMap,
+  toCsvLine,
+  toExportRow,
+} from "../../src/services/export/leadExport.js";
+import { handleLeadExport } from "../../src/services/export/leadExportRequest.js";
+import { QuoteLifecycle } from "../../src/services/quotes/lifecycle.js";
+import { MemoryQuoteStatusStore } from "../../src/services/quotes/statusStore.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import {
+  createLeadRecord,
+  createSubmissionRecord,
+} from "../../src/services/storage/records.js";
+
+const NOW = Date.parse("2030-03-12T15:00:00Z");
+
+const ENV = { AUTH_DEV_KEY: "test-dev-key" };
+
+function quote(id, overrides = {}, timestamp = "2030-03-11T15:00:00.000Z") {
+  return createSubmissionRecord(
+    id,
+    {
+      name: "Jane Doe",
+      email: "jane@example.com",
+      phone: "5125551234",
+      moveDate: "2030-04-01",
+      fromZip: "78701",
+      toZip: "78745",
+      moveSize: "2-bed",
+      serviceType: "full-service",
+      specialItems: ["piano", "safe"],
+      estimateLow: 900,
+      estimateHigh: 1400,
+      ipAddress: "203.0.113.42",
+      utmSource: "google",
+      ...overrides,
+    },
+    timestamp,
+  );
+}
+
+function lead(id, timestamp) {
+  return createLeadRecord({
+    lead_id: id,
+    timestamp,
+    prospect: {
+      first_name: "Lee",
+      last_name: "Park",
+      email: "lee@example.com",
+      phone: "+15125550000",
+    },
+    move: {
+      from_zip: "78745",
+      to_zip: "78701",
+      date: "2030-05-01",
+      home_size: "1BR",
+      notes: "Gate code 1234",
+    },
+    tracking: {
+      utm_source: "newsletter",
+      gclid: "abc123",
+      ip: "2001:db8:85a3:8d3:1319:8a2e:370:7348",
+    },
+    consent: { tcpa: true, text: "I agree to be contacted." },
+  });
+}
+
+async function readText(stream) {
+  return new Response(stream).text();
+}
+
+describe("flattenRecord", () => {
+  it("should flatten quote form records", () => {
+    const flat = flattenRecord(quote("AMF-1"), { status: "routed" });
+
+    expect(flat).toMatchObject({
+      "lead.id": "AMF-1",
+      "lead.source": "quote-form",
+      "lead.status": "routed",
+      "lead.name": "Jane Doe",
+      "lead.utm.source": "google",
+      specialItems: ["piano", "safe"],
+      "shownEstimate.low": 900,
+      "shownEstimate.high": 1400,
+      "meta.ipAddress": "203.0.113.42",
+    });
+  });
+
+  it("should flatten prospect, move, tracking and consent", () => {
+    const flat = flattenRecord(lead("lead-1", "2030-03-10T12:00:00.000Z"));
+
+    expect(flat).toMatchObject({
+      "lead.id": "lead-1",
+      "lead.source": "lead-form",
+      "lead.status": "new",
+      "lead.name": "Lee Park",
+      "prospect.first_name": "Lee",
+      "move.home_size": "1BR",
+      "tracking.gclid": "abc123",
+      "consent.tcpa": true,
+      "consent.text": "I agree to be contacted.",
+    });
+  });
+});
+
+describe("column maps", () => {
+  it("should read header=field and bare field entries", () => {
+    expect(parseColumnMap("id=lead.id, lead.email ,zip=move.from_zip")).toEqual(
+      {
+        columns: [
+          { header: "id", field: "lead.id" },
+          { header: "lead.email", field: "lead.email" },
+          { header: "zip", field: "move.from_zip" },
+        ],
+      },
+    );
+  });
+
+  it("should reject empty maps, repeated headers and bad fields", () => {
+    expect(parseColumnMap(" , ").error).toBe("invalid_columns");
+    expect(parseColumnMap("id=lead.id,id=lead.email")).toEqual({
+      error: "invalid_columns",
+      message: "Column id is listed twice.",
+    });
+    expect(parseColumnMap("name=lead.name;drop").error).toBe("invalid_columns");
+  });
+
+  it("should give missing fields an empty value", () => {
+    const flat = flattenRecord(quote("AMF-1"));
+
+    expect(
+      toExportRow(flat, [
+        { header: "id", field: "lead.id" },
+        { header: "gclid", field: "tracking.gclid" },
+      ]),
+    ).toEqual(["AMF-1", null]);
+  });
+});
+
+describe("maskValue", () => {
+  it("should keep enough to recognize a lead when masking partially", () => {
+    expect(maskValue("Jane Doe", "name", "partial")).toBe("J. D.");
+    expect(maskValue("jane@example.com", "email", "partial")).toBe(
+      "j***@example.com",
+    );
+    expect(maskValue("(512) 555-1234", "phone", "partial")).toBe("***1234");
+    expect(maskValue("203.0.113.42", "ip", "partial")).toBe("203.0.113.0");
+    expect(
+      maskValue("2001:db8:85a3:8d3:1319:8a2e:370:7348", "ip", "partial"),
+    ).toBe("2001:db8:85a3::");
+    expect(maskValue("Gate code 1234", "text", "partial")).toBe("[redacted]");
+  });
+
+  it("should remove values when masking fully and keep them otherwise", () => {
+    expect(maskValue("Jane Doe", "name", "full")).toBeNull();
+    expect(maskValue("Jane Doe", "name", "none")).toBe("Jane Doe");
+    expect(maskValue(null, "email", "partial")).toBeNull();
+  });
+});
+
+describe("toCsvLine", () => {
+  it("should quote every value and join arrays", () => {
+    expect(toCsvLine(["a", 'say "hi"', null, 12, true, ["x", "y"]])).toBe(
+      '"a","say ""hi""","","12","true","x; y"\r\n',
+    );
+  });
+
+  it("should keep spreadsheets from running values as formulas", () => {
+    expect(toCsvLine(["=HYPERLINK(1)", "@SUM(A1)", "+cmd", "-1+1"])).toBe(
+      `"'=HYPERLINK(1)","'@SUM(A1)","'+cmd","'-1+1"\r\n`,
+    );
+    expect(toCsvLine(["+15125550000", "-12.5"])).toBe(
+      '"+15125550000","-12.5"\r\n',
+    );
+  });
+});
+
+describe("LeadExporter", () => {
+  let leadStore;
+  let lifecycle;
+  let exporter;
+
+  beforeEach(async () => {
+    leadStore = new MemoryLeadStore();
+    lifecycle = new QuoteLifecycle(new MemoryQuoteStatusStore(), {
+      leadStore,
+      now: () => NOW,
+    });
+    exporter = new LeadExporter(leadStore, { lifecycle });
+
+    await leadStore.save(quote("AMF-2", {}, "2030-03-11T18:00:00.000Z"));
+    await leadStore.save(quote("AMF-1", {}, "2030-03-11T09:00:00.000Z"));
+    await leadStore.save(lead("lead-1", "2030-03-10T12:00:00.000Z"));
+    await leadStore.save(quote("AMF-9", {}, "2030-03-20T09:00:00.000Z"));
+    await lifecycle.start("AMF-2", { status: "routed" });
+  });
+
+  it("should stream a CSV with the default columns, oldest first", async () => {
+    const lines = (
+      await readText(
+        exporter.export("2030-03-10", "2030-03-12", { format: "csv" }),
+      )
+    )
+      .trimEnd()
+      .split("\r\n");
+
+    expect(lines).toHaveLength(4);
+    expect(lines[0]).toBe(
+      toCsvLine(EXPORT_COLUMNS.map(({ header }) => header)).trimEnd(),
+    );
+    expect(lines.slice(1).map((line) => line.split(",")[0])).toEqual([
+      '"lead-1"',
+      '"AMF-1"',
+      '"AMF-2"',
+    ]);
+    expect(lines[3]).toContain('"routed"');
+  });
+
+  it("should stream JSONL with a custom column map and masking", async () => {
+    const { columns } = parseColumnMap(
+      "id=lead.id,status=lead.status,name=lead.name,notes=move.notes",
+    );
+    const text = await readText(
+      exporter.export("2030-03-10", "2030-03-11", {
+        format: "jsonl",
+        columns,
+        mask: "partial",
+      }),
+    );
+
+    expect(text.trimEnd().split("\n").map(JSON.parse)).toEqual([
+      { id: "lead-1", status: "new", name: "L. P.", notes: "[redacted]" },
+      { id: "AMF-1", status: "new", name: "J. D.", notes: null },
+      { id: "AMF-2", status: "routed", name: "J. D.", notes: null },
+    ]);
+  });
+
+  it("should build an XLSX workbook", async () => {
+    const bytes = new Uint8Array(
+      await new Response(
+        exporter.export("2030-03-11", "2030-03-11", {
+          format: "xlsx",
+          columns: [
+            { header: "id", field: "lead.id" },
+            { header: "estimate_low", field: "shownEstimate.low" },
+          ],
+        }),
+      ).arrayBuffer(),
+    );
+    const text = new TextDecoder().decode(bytes);
+
+    expect(text.slice(0, 2)).toBe("PK");
+    expect(text).toContain("xl/worksheets/sheet1.xml");
+    expect(text).toContain(
+      '<row r="2"><c r="A2" t="inlineStr"><is><t xml:space="preserve">AMF-1</t></is></c><c r="B2"><v>900</v></c></row>',
+    );
+  });
+});
+
+describe("Lead export API", () => {
+  let exporter;
+  let staffToken;
+
+  beforeEach(async () => {
+    const leadStore = new MemoryLeadStore();
+    await leadStore.save(quote("AMF-1"));
+    exporter = new LeadExporter(leadStore);
+    staffToken = await signDevToken(
+      { sub: "ops@example.com", role: "staff" },
+      ENV,
+      { now: NOW },
+    );
+  });
+
+  function get(query, accessToken = staffToken) {
+    return handleLeadExport(
+      new Request(
+        `https://austinmovefinder.com/api/admin/leads/export?${query}`,
+        {
+          headers: accessToken
+            ? { "Cf-Access-Jwt-Assertion": accessToken }
+            : {},
+        },
+      ),
+      { env: ENV, exporter, now: NOW },
+    );
+  }
+
+  it("should require a staff sign-in", async () => {
+    const response = await get("format=csv", null);
+
+    expect(response.status).toBe(401);
+    expect(await response.json()).toEqual({ ok: false, error: "unauthorized" });
+  });
+
+  it("should validate the format, date range and columns", async () => {
+    const invalid = await get("format=pdf&from=2030-13-01");
+    expect(invalid.status).toBe(400);
+    expect(await invalid.json()).toMatchObject({
+      error: "validation_failed",
+      details: {
+        format: "Format must be csv, jsonl or xlsx.",
+        from: "Must be a valid calendar date",
+      },
+    });
+
+    const reversed = await get("from=2030-03-12&to=2030-03-01");
+    expect((await reversed.json()).details).toEqual({
+      from: "Must be on or before the end date.",
+    });
+
+    const tooLong = await get("from=2028-01-01&to=2030-03-12");
+    expect((await tooLong.json()).details).toEqual({
+      from: "Export at most 366 days at a time.",
+    });
+
+    const columns = await get("columns=id=lead.id,id=lead.email");
+    expect((await columns.json()).details).toEqual({
+      columns: "Column id is listed twice.",
+    });
+  });
+
+  it("should stream a partially masked attachment by default", async () => {
+    const response = await get("from=2030-03-11&to=2030-03-11");
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Content-Type")).toBe(
+      "text/csv; charset=utf-8",
+    );
+    expect(response.headers.get("Content-Disposition")).toBe(
+      'attachment; filename="leads-2030-03-11-to-2030-03-11.csv"',
+    );
+    expect(response.headers.get("Cache-Control")).toBe("no-store");
+
+    const text = await response.text();
+    expect(text).toContain('"J. D."');
+    expect(text).not.toContain("jane@example.com");
+  });
+
+  it("should default to the last 30 days", async () => {
+    const response = await get("format=jsonl");
+
+    expect(response.headers.get("Content-Disposition")).toBe(
+      'attachment; filename="leads-2030-02-11-to-2030-03-12.jsonl"',
+    );
+  });
+
+  it("should only let admins export unmasked leads", async () => {
+    const staff = await get("mask=none");
+    expect(staff.status).toBe(403);
+    expect(await staff.json()).toEqual({
+      ok: false,
+      error: "forbidden",
+      details: { mask: "Only admins can export unmasked leads." },
+    });
+
+    const admin = await get(
+      "mask=none&from=2030-03-11&to=2030-03-11",
+      await signDevToken({ sub: "owner@example.com", role: "admin" }, ENV, {
+        now: NOW,
+      }),
+    );
+    expect(admin.status).toBe(200);
+    expect(await admin.text()).toContain('"jane@example.com"');
+  });
+});
@@ -0,0 +1,393 @@
+/**
+ * Ping-Post Auction Tests
+ * Runs auctions against local stand-in buyer servers and covers bid
+ * collection, post fallback, the auction log and ping-post distribution
+ */
+
+import { createServer, request as httpRequest } from "node:http";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  LeadAuction,
+  redactLeadPayload,
+} from "../../src/services/partners/auction.js";
+import { MemoryAuctionLog } from "../../src/services/partners/auctionLog.js";
+import { MemoryPartnerDirectory } from "../../src/services/partners/directory.js";
+import {
+  LeadDistributor,
+  getLeadDistributionLead,
+} from "../../src/services/partners/distribution.js";
+import {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  verifyWebhookSignature,
+} from "../../src/services/partners/webhooks.js";
+import {
+  DISTRIBUTION_RULES,
+  getDistributionRules,
+} from "../../src/config/distribution.js";
+
+const RULES = {
+  winners: 1,
+  reservePrice: 5,
+  pingTimeoutMs: 200,
+  postTimeoutMs: 500,
+};
+
+// Shape produced by LeadFormHandler.preparePayload, plus the server lead_id
+const PAYLOAD = {
+  lead_id: "lead-1",
+  prospect: {
+    first_name: "Jane",
+    last_name: "Doe",
+    email: "jane@example.com",
+    phone: "+15125551234",
+  },
+  move: {
+    from_zip: "78701",
+    to_zip: "78745",
+    date: "2030-04-01",
+    flexible: false,
+    home_size: "2BR",
+    items_count: null,
+    stairs_or_elevator: "elevator",
+    parking_constraints: "Call Jane at 512-555-1234 for the gate",
+    budget_range: "$2k-$3.9k",
+    notes: "Jane's piano",
+  },
+  tracking: { utm_source: "google", ip: "198.51.100.7" },
+  consent: { tcpa: true, text: "I agree to be contacted." },
+  timestamp: "2030-03-12T15:00:00Z",
+};
+
+/**
+ * Start a stand-in buyer answering pings and posts with `respond(request)`,
+ * which returns {status, json, delayMs}
+ */
+async function startBuyer(respond) {
+  const requests = [];
+  const server = createServer(async (req, res) => {
+    let raw = "";
+    for await (const chunk of req) raw += chunk;
+
+    const request = { path: req.url, headers: req.headers, raw };
+    request.body = JSON.parse(raw);
+    requests.push(request);
+
+    const { status = 200, json, delayMs = 0 } = respond(request);
+    setTimeout(() => {
+      if (res.destroyed) return;
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(json === undefined ? "" : JSON.stringify(json));
+    }, delayMs);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    requests,
+    pings: () => requests.filter(({ path }) => path === "/ping"),
+    posts: () => requests.filter(({ path }) => path === "/post"),
+    partner: (id, overrides = {}) => ({
+      id,
+      company: `${id} Movers`,
+      email: `leads@${id}.example`,
+      serviceZips: ["78701"],
+      dailyCapacity: 10,
+      pingUrl: `${url}/ping`,
+      postUrl: `${url}/post`,
+      webhookSecret: `secret-${id}`,
+      ...overrides,
+    }),
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * Minimal fetch over node:http; the happy-dom fetch applies browser CORS
+ * rules to requests against the stand-in buyers
+ */
+function nodeFetch(url, { method, headers, body, signal }) {
+  return new Promise((resolve, reject) => {
+    const req = httpRequest(url, { method, headers }, async (res) => {
+      let text = "";
+      for await (const chunk of res) text += chunk;
+      resolve({
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        status: res.statusCode,
+        json: async () => JSON.parse(text),
+      });
+    });
+
+    signal?.addEventListener("abort", () => {
+      req.destroy();
+      reject(signal.reason);
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Buyer that bids `amount` on pings and accepts posts
+ */
+function bidding(amount, extra = {}) {
+  return (request) =>
+    request.path === "/ping"
+      ? { json: { bid: amount, bid_id: `bid-${amount}` }, ...extra }
+      : { json: { accepted: true } };
+}
+
+describe("LeadAuction", () => {
+  let log;
+  let auction;
+  let buyers;
+
+  beforeEach(() => {
+    log = new MemoryAuctionLog();
+    auction = new LeadAuction(log, { rules: RULES, fetch: nodeFetch });
+    buyers = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(buyers.map((buyer) => buyer.close()));
+  });
+
+  async function buyer(respond) {
+    const started = await startBuyer(respond);
+    buyers.push(started);
+    return started;
+  }
+
+  it("should ping with a redacted lead and post the full lead to the top bidder", async () => {
+    const low = await buyer(bidding(20));
+    const high = await buyer(bidding(35));
+
+    const result = await auction.run(PAYLOAD, [
+      low.partner("low"),
+      high.partner("high"),
+    ]);
+
+    const [ping] = high.pings();
+    expect(ping.body.lead).toEqual({
+      move: {
+        from_zip: "78701",
+        to_zip: "78745",
+        date: "2030-04-01",
+        flexible: false,
+        home_size: "2BR",
+        items_count: null,
+        stairs_or_elevator: "elevator",
+        budget_range: "$2k-$3.9k",
+      },
+      timestamp: "2030-03-12T15:00:00Z",
+    });
+    expect(ping.raw).not.toContain("Jane");
+    expect(
+      await verifyWebhookSignature(
+        ping.raw,
+        {
+          signature: ping.headers[SIGNATURE_HEADER.toLowerCase()],
+          timestamp: ping.headers[TIMESTAMP_HEADER.toLowerCase()],
+        },
+        "secret-high",
+      ),
+    ).toBe(true);
+
+    expect(low.posts()).toHaveLength(0);
+    expect(high.posts()[0].body).toEqual({
+      auction_id: result.id,
+      bid_id: "bid-35",
+      price: 35,
+      lead: PAYLOAD,
+    });
+
+    expect(result).toMatchObject({
+      leadId: "lead-1",
+      status: "sold",
+      winners: [{ partnerId: "high", price: 35, bidId: "bid-35" }],
+    });
+    expect(await log.get(result.id)).toEqual(result);
+  });
+
+  it("should record every kind of ping outcome", async () => {
+    const passing = await buyer(() => ({ json: { bid: null } }));
+    const cheap = await buyer(bidding(2));
+    const broken = await buyer(() => ({ status: 500, json: {} }));
+    const slow = await buyer(bidding(50, { delayMs: 1000 }));
+
+    const result = await auction.run(PAYLOAD, [
+      passing.partner("passing"),
+      cheap.partner("cheap"),
+      broken.partner("broken"),
+      slow.partner("slow"),
+    ]);
+
+    expect(
+      result.bids.map(({ partnerId, status }) => [partnerId, status]),
+    ).toEqual([
+      ["passing", "no_bid"],
+      ["cheap", "below_reserve"],
+      ["broken", "error"],
+      ["slow", "timeout"],
+    ]);
+    expect(result.status).toBe("unsold");
+    expect(result.winners).toEqual([]);
+  });
+
+  it("should fall back to the next bid when a winner rejects the post", async () => {
+    const flaky = await buyer((request) =>
+      request.path === "/ping"
+        ? { json: { bid: 40, bid_id: "flaky-1" } }
+        : { json: { accepted: false } },
+    );
+    const steady = await buyer(bidding(30));
+
+    const result = await auction.run(PAYLOAD, [
+      flaky.partner("flaky"),
+      steady.partner("steady"),
+    ]);
+
+    expect(result.winners).toEqual([
+      { partnerId: "steady", price: 30, bidId: "bid-30" },
+    ]);
+    expect(result.bids[0]).toMatchObject({
+      outcome: "post_failed",
+      error: "Buyer rejected the lead",
+    });
+  });
+
+  it("should post to several winners when leads are shared", async () => {
+    const started = await Promise.all(
+      [10, 20, 30].map((amount) => buyer(bidding(amount))),
+    );
+    auction.rules = { ...RULES, winners: 2 };
+
+    const result = await auction.run(
+      PAYLOAD,
+      started.map((entry, index) => entry.partner(`b${index}`)),
+    );
+
+    expect(result.winners.map(({ partnerId }) => partnerId)).toEqual([
+      "b2",
+      "b1",
+    ]);
+    expect(result.bids[0].outcome).toBe("lost");
+  });
+});
+
+describe("redactLeadPayload", () => {
+  it("should drop contact, tracking and free-text fields", () => {
+    const redacted = JSON.stringify(redactLeadPayload(PAYLOAD));
+
+    expect(redacted).not.toMatch(/Jane|555|198\.51|google|parking|notes/);
+  });
+});
+
+describe("Ping-post distribution", () => {
+  let directory;
+  let mailer;
+  let buyers;
+
+  beforeEach(() => {
+    directory = new MemoryPartnerDirectory();
+    mailer = { sendPartnerLeadNotification: vi.fn().mockResolvedValue({}) };
+    buyers = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(buyers.map((buyer) => buyer.close()));
+  });
+
+  function distributor() {
+    return new LeadDistributor(directory, {
+      mailer,
+      rules: { ...DISTRIBUTION_RULES, mode: "ping-post", auction: RULES },
+      auction: new LeadAuction(new MemoryAuctionLog(), {
+        rules: RULES,
+        fetch: nodeFetch,
+      }),
+    });
+  }
+
+  async function setup(respond) {
+    const buyer = await startBuyer(respond);
+    buyers.push(buyer);
+
+    await directory.save(buyer.partner("buyer"));
+    await directory.save({
+      id: "mover",
+      company: "Mover Co",
+      email: "leads@mover.example",
+      serviceZips: ["78701"],
+      dailyCapacity: 10,
+    });
+    return buyer;
+  }
+
+  it("should give a sold lead only to the winning buyer", async () => {
+    await setup(bidding(25));
+
+    const assignments = await distributor().distribute(
+      getLeadDistributionLead(PAYLOAD),
+      { payload: PAYLOAD },
+    );
+
+    expect(assignments).toEqual([
+      expect.objectContaining({
+        partnerId: "buyer",
+        price: 25,
+        auctionId: expect.any(String),
+      }),
+    ]);
+    expect(await directory.listAssignments("lead-1")).toHaveLength(1);
+    expect(mailer.sendPartnerLeadNotification).not.toHaveBeenCalled();
+  });
+
+  it("should share unsold leads by round-robin", async () => {
+    await setup(() => ({ json: { bid: null } }));
+
+    const assignments = await distributor().distribute(
+      getLeadDistributionLead(PAYLOAD),
+      { payload: PAYLOAD },
+    );
+
+    expect(assignments.map(({ partnerId }) => partnerId)).toEqual([
+      "buyer",
+      "mover",
+    ]);
+  });
+
+  it("should never auction leads without TCPA consent", async () => {
+    const buyer = await setup(bidding(25));
+
+    await distributor().distribute(getLeadDistributionLead(PAYLOAD), {
+      payload: { ...PAYLOAD, consent: null },
+    });
+
+    expect(buyer.requests).toHaveLength(0);
+  });
+});
+
+describe("getDistributionRules", () => {
+  it("should switch the mode from the DISTRIBUTION_MODE variable", () => {
+    expect(getDistributionRules({}).mode).toBe("round-robin");
+    expect(getDistributionRules({ DISTRIBUTION_MODE: "ping-post" })).toEqual({
+      ...DISTRIBUTION_RULES,
+      mode: "ping-post",
+    });
+  });
+
+  it("should ignore unknown modes", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(getDistributionRules({ DISTRIBUTION_MODE: "auction" }).mode).toBe(
+      "round-robin",
+    );
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,498 @@
+/**
+ * Lead Distribution Tests
+ * Covers partner eligibility, weighted round-robin selection, assignment
+ * records, partner notifications and the submission pipelines
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  LeadDistributor,
+  getLeadDistributionLead,
+  getQuoteDistributionLead,
+  isEligiblePartner,
+  selectPartners,
+} from "../../src/services/partners/distribution.js";
+import { MemoryPartnerDirectory } from "../../src/services/partners/directory.js";
+import { handleQuoteSubmission } from "../../src/services/submission/quoteSubmission.js";
+import { handleLeadSubmission } from "../../src/services/submission/leadSubmission.js";
+import { EmailTemplateEngine } from "../../src/services/email/templateEngine.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import { RateLimiter } from "../../src/services/rateLimit/rateLimiter.js";
+import { MemoryRateLimitStore } from "../../src/services/rateLimit/stores.js";
+import { DuplicateDetector } from "../../src/services/submission/duplicates.js";
+import { MemoryJsonStore } from "../../src/services/storage/keyValue.js";
+
+// 10:00 in Austin on a weekday
+const NOW = Date.parse("2030-03-12T15:00:00Z");
+
+function partner(id, overrides = {}) {
+  return {
+    id,
+    company: `${id} Movers`,
+    email: `leads@${id}.example`,
+    serviceZips: ["78701", "78704"],
+    moveSizes: [],
+    serviceTypes: [],
+    dailyCapacity: 10,
+    weight: 1,
+    paused: false,
+    ...overrides,
+  };
+}
+
+function lead(overrides = {}) {
+  return {
+    id: "AMF-1",
+    fromZip: "78701",
+    toZip: "78745",
+    moveSize: "2-bed",
+    serviceType: "full-service",
+    ...overrides,
+  };
+}
+
+function createMailer() {
+  return {
+    sendCustomerConfirmation: vi.fn().mockResolvedValue({ success: true }),
+    sendBusinessNotification: vi.fn().mockResolvedValue({ success: true }),
+    sendPartnerLeadNotification: vi.fn().mockResolvedValue({ success: true }),
+  };
+}
+
+describe("isEligiblePartner", () => {
+  it("should accept a partner serving either end of the move", () => {
+    expect(isEligiblePartner(partner("a"), lead())).toBe(true);
+    expect(
+      isEligiblePartner(
+        partner("a"),
+        lead({ fromZip: "77002", toZip: "78704" }),
+      ),
+    ).toBe(true);
+    expect(
+      isEligiblePartner(
+        partner("a"),
+        lead({ fromZip: "78745", toZip: "78746" }),
+      ),
+    ).toBe(false);
+  });
+
+  it("should skip paused partners and partners at capacity", () => {
+    expect(isEligiblePartner(partner("a", { paused: true }), lead())).toBe(
+      false,
+    );
+    expect(
+      isEligiblePartner(partner("a", { dailyCapacity: 2 }), lead(), 2),
+    ).toBe(false);
+  });
+
+  it("should match move sizes and service types when the partner lists them", () => {
+    const picky = partner("a", {
+      moveSizes: ["studio", "1-bed"],
+      serviceTypes: ["labor-only"],
+    });
+
+    expect(isEligiblePartner(picky, lead())).toBe(false);
+    expect(
+      isEligiblePartner(
+        picky,
+        lead({ moveSize: "studio", serviceType: "labor-only" }),
+      ),
+    ).toBe(true);
+    // Lead form leads have no service type
+    expect(
+      isEligiblePartner(picky, lead({ moveSize: "1-bed", serviceType: null })),
+    ).toBe(true);
+  });
+});
+
+describe("selectPartners", () => {
+  it("should prefer partners furthest behind their weighted share", () => {
+    const partners = [partner("a"), partner("b", { weight: 3 }), partner("c")];
+    const stats = {
+      a: { assignedToday: 1, lastAssignedAt: "2030-03-12T14:00:00Z" },
+      b: { assignedToday: 2, lastAssignedAt: "2030-03-12T14:30:00Z" },
+    };
+
+    expect(
+      selectPartners(partners, lead(), stats, 2).map(({ id }) => id),
+    ).toEqual(["c", "b"]);
+  });
+
+  it("should break ties by who was assigned least recently", () => {
+    const partners = [partner("a"), partner("b")];
+    const stats = {
+      a: { assignedToday: 0, lastAssignedAt: "2030-03-11T20:00:00Z" },
+      b: { assignedToday: 0, lastAssignedAt: "2030-03-11T18:00:00Z" },
+    };
+
+    expect(
+      selectPartners(partners, lead(), stats, 1).map(({ id }) => id),
+    ).toEqual(["b"]);
+  });
+});
+
+describe("LeadDistributor", () => {
+  let directory;
+  let mailer;
+  let distributor;
+
+  beforeEach(async () => {
+    directory = new MemoryPartnerDirectory();
+    mailer = createMailer();
+    distributor = new LeadDistributor(directory, {
+      mailer,
+      now: () => NOW,
+      rules: { partnersPerLead: 2, timeZone: "America/Chicago" },
+    });
+
+    for (const entry of [partner("a", { weight: 2 }), partner("b")]) {
+      await directory.save(entry);
+    }
+  });
+
+  it("should record assignments and notify each partner", async () => {
+    const assignments = await distributor.distribute(lead());
+
+    expect(assignments.map(({ partnerId }) => partnerId)).toEqual(["a", "b"]);
+    expect(await directory.listAssignments("AMF-1")).toEqual([
+      {
+        leadId: "AMF-1",
+        partnerId: "a",
+        assignedAt: "2030-03-12T15:00:00.000Z",
+        dateKey: "2030-03-12",
+        status: "assigned",
+        declineReason: null,
+        quoteAmount: null,
+        quoteIncludes: [],
+        availableDate: null,
+        note: null,
+        updatedAt: "2030-03-12T15:00:00.000Z",
+      },
+      {
+        leadId: "AMF-1",
+        partnerId: "b",
+        assignedAt: "2030-03-12T15:00:00.000Z",
+        dateKey: "2030-03-12",
+        status: "assigned",
+        declineReason: null,
+        quoteAmount: null,
+        quoteIncludes: [],
+        availableDate: null,
+        note: null,
+        updatedAt: "2030-03-12T15:00:00.000Z",
+      },
+    ]);
+    expect(mailer.sendPartnerLeadNotification).toHaveBeenCalledTimes(2);
+    expect(mailer.sendPartnerLeadNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "a", email: "leads@a.example" }),
+      expect.objectContaining({ id: "AMF-1" }),
+    );
+  });
+
+  it("should rotate leads in proportion to partner weight", async () => {
+    distributor.rules = { ...distributor.rules, partnersPerLead: 1 };
+
+    const picks = [];
+    for (let i = 1; i <= 6; i++) {
+      const [assignment] = await distributor.distribute(lead({ id: `L${i}` }));
+      picks.push(assignment.partnerId);
+    }
+
+    expect(picks.filter((id) => id === "a")).toHaveLength(4);
+    expect(picks.filter((id) => id === "b")).toHaveLength(2);
+  });
+
+  it("should stop assigning a partner once it reaches daily capacity", async () => {
+    await directory.save(partner("b", { dailyCapacity: 1 }));
+
+    await distributor.distribute(lead({ id: "L1" }));
+    const second = await distributor.distribute(lead({ id: "L2" }));
+
+    expect(second.map(({ partnerId }) => partnerId)).toEqual(["a"]);
+  });
+
+  it("should reset capacity on the next Austin day", async () => {
+    await directory.save(partner("b", { dailyCapacity: 1 }));
+    await distributor.distribute(lead({ id: "L1" }));
+
+    // 00:30 the next morning in Austin
+    distributor.now = () => Date.parse("2030-03-13T05:30:00Z");
+    const nextDay = await distributor.distribute(lead({ id: "L2" }));
+
+    expect(nextDay.map(({ partnerId }) => partnerId)).toContain("b");
+  });
+
+  it("should skip paused partners", async () => {
+    await directory.setPaused("a", true);
+
+    const assignments = await distributor.distribute(lead());
+
+    expect(assignments.map(({ partnerId }) => partnerId)).toEqual(["b"]);
+  });
+
+  it("should keep notifying partners after one notification fails", async () => {
+    mailer.sendPartnerLeadNotification.mockRejectedValueOnce(new Error("down"));
+
+    const assignments = await distributor.distribute(lead());
+
+    expect(assignments.map(({ notified }) => notified)).toEqual([false, true]);
+    expect(await directory.listAssignments("AMF-1")).toHaveLength(2);
+  });
+
+  it("should assign a chosen partner outside the rotation", async () => {
+    await directory.setPaused("b", true);
+
+    const assignment = await distributor.assign(
+      lead(),
+      await directory.get("b"),
+    );
+
+    expect(assignment).toMatchObject({
+      leadId: "AMF-1",
+      partnerId: "b",
+      dateKey: "2030-03-12",
+      notified: true,
+    });
+    expect(await directory.listAssignments("AMF-1")).toEqual([
+      expect.objectContaining({ partnerId: "b", status: "assigned" }),
+    ]);
+    expect(mailer.sendPartnerLeadNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "b" }),
+      expect.objectContaining({ id: "AMF-1" }),
+    );
+  });
+
+  it("should assign nobody when no partner serves the move", async () => {
+    const assignments = await distributor.distribute(
+      lead({ fromZip: "78745", toZip: "78746" }),
+    );
+
+    expect(assignments).toEqual([]);
+    expect(mailer.sendPartnerLeadNotification).not.toHaveBeenCalled();
+  });
+});
+
+describe("Distribution leads", () => {
+  it("should build the partner lead from a quote", () => {
+    expect(
+      getQuoteDistributionLead("AMF-1", {
+        name: "John Doe",
+        email: "john@example.com",
+        phone: "(512) 555-0123",
+        moveDate: "2030-03-20",
+        fromZip: "78701",
+        toZip: "78704",
+        moveSize: "2-bed",
+        serviceType: "hybrid",
+        specialItems: ["piano", "none"],
+      }),
+    ).toMatchObject({
+      id: "AMF-1",
+      source: "quote-form",
+      flexibleDates: "exact",
+      specialItems: ["piano"],
+      additionalInfo: null,
+    });
+  });
+
+  it("should map lead form home sizes to quote move sizes", () => {
+    const distributionLead = getLeadDistributionLead({
+      lead_id: "lead-1",
+      prospect: {
+        first_name: "Jane",
+        last_name: "Doe",
+        email: null,
+        phone: "+15125551234",
+      },
+      move: {
+        from_zip: "78701",
+        to_zip: "78745",
+        date: null,
+        flexible: true,
+        home_size: "4BR+",
+        notes: "Gate code 1234",
+      },
+    });
+
+    expect(distributionLead).toMatchObject({
+      id: "lead-1",
+      name: "Jane Doe",
+      moveSize: "4-bed",
+      serviceType: null,
+      flexibleDates: "1-week",
+      additionalInfo: "Gate code 1234",
+    });
+  });
+
+  it("should render the partner email with the customer's details", async () => {
+    const engine = new EmailTemplateEngine({ cache: false });
+
+    const email = await engine.renderPartnerLead({
+      quoteId: "AMF-1",
+      companyName: "Acme Movers",
+      customer: {
+        name: "John Doe",
+        email: "john@example.com",
+        phone: "(512) 555-0123",
+        moveDate: "2030-03-20",
+        flexibleDates: "3-days",
+        fromZip: "78701",
+        toZip: "78704",
+        moveSize: "2-bed",
+        serviceType: null,
+        specialItems: ["piano", "safe"],
+      },
+      businessName: "Austin Move Finder",
+      businessPhone: "(512) 555-0100",
+    });
+
+    expect(email.subject).toBe("New Moving Lead 78701 - AMF-1");
+    expect(email.text).toContain("(512) 555-0123");
+    expect(email.text).toContain("+/- 3 days");
+    expect(email.text).toContain("piano, safe");
+    expect(email.text).toContain("Not specified");
+  });
+
+  it("should escape what the customer typed", async () => {
+    const engine = new EmailTemplateEngine({ cache: false });
+
+    const email = await engine.renderPartnerLead({
+      quoteId: "AMF-1",
+      companyName: "Acme Movers",
+      customer: {
+        name: "John <b>Doe</b>",
+        email: "john@example.com",
+        phone: null,
+        moveDate: "2030-03-20",
+        flexibleDates: "exact",
+        fromZip: "78701",
+        toZip: "78704",
+        moveSize: "2-bed",
+        serviceType: null,
+        specialItems: [],
+        additionalInfo: '<a href="https://evil.example">Call me</a>',
+      },
+      businessName: "Austin Move Finder",
+      businessPhone: "(512) 555-0100",
+    });
+
+    expect(email.html).toContain("John &lt;b&gt;Doe&lt;/b&gt;");
+    expect(email.html).toContain(
+      "&lt;a href=&quot;https://evil.example&quot;&gt;Call me&lt;/a&gt;",
+    );
+    expect(email.html).not.toContain('<a href="https://evil.example">');
+  });
+});
+
+describe("Submission pipelines", () => {
+  let directory;
+  let mailer;
+  let distributor;
+  let options;
+
+  beforeEach(async () => {
+    directory = new MemoryPartnerDirectory();
+    mailer = createMailer();
+    distributor = new LeadDistributor(directory, { mailer });
+    options = {
+      leadStore: new MemoryLeadStore(),
+      rateLimiter: new RateLimiter(new MemoryRateLimitStore()),
+      duplicateDetector: new DuplicateDetector(new MemoryJsonStore()),
+      distributor,
+    };
+
+    await directory.save(partner("a", { serviceZips: ["78701"] }));
+  });
+
+  function futureDate(days = 14) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return date.toISOString().split("T")[0];
+  }
+
+  async function submitQuote(overrides = {}) {
+    const formData = new FormData();
+    Object.entries({
+      name: "John Doe",
+      email: "john@example.com",
+      phone: "(512) 555-0123",
+      "move-date": futureDate(),
+      "from-zip": "78701",
+      "to-zip": "78704",
+      "move-size": "2-bed",
+      "service-type": "full-service",
+      ...overrides,
+    }).forEach(([name, value]) => formData.append(name, value));
+
+    const response = await handleQuoteSubmission(
+      new Request("https://austinmovefinder.com/api/submit", {
+        method: "POST",
+        body: formData,
+      }),
+      { ...options, mailer },
+    );
+    return response.json();
+  }
+
+  it("should distribute new quotes and list the partners in the business email", async () => {
+    const { quoteId } = await submitQuote();
+
+    expect(await directory.listAssignments(quoteId)).toHaveLength(1);
+    expect(mailer.sendBusinessNotification).toHaveBeenCalledWith(
+      expect.objectContaining({
+        assignedPartners: [
+          expect.objectContaining({ partnerId: "a", company: "a Movers" }),
+        ],
+      }),
+      quoteId,
+    );
+  });
+
+  it("should not distribute duplicate quotes again", async () => {
+    await submitQuote();
+    const { quoteId } = await submitQuote();
+
+    expect(await directory.listAssignments(quoteId)).toEqual([]);
+    expect(mailer.sendPartnerLeadNotification).toHaveBeenCalledTimes(1);
+  });
+
+  it("should still accept the quote when distribution fails", async () => {
+    vi.spyOn(distributor, "distribute").mockRejectedValue(new Error("down"));
+
+    const body = await submitQuote();
+
+    expect(body.success).toBe(true);
+  });
+
+  it("should distribute lead form submissions", async () => {
+    const response = await handleLeadSubmission(
+      new Request("https://austinmovefinder.com/api/submit-lead", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          prospect: {
+            first_name: "Jane",
+            last_name: "Doe",
+            email: "jane@example.com",
+            phone: null,
+          },
+          move: {
+            from_zip: "78701",
+            to_zip: "78745",
+            date: futureDate(30),
+            flexible: false,
+            home_size: "2BR",
+          },
+          tracking: {},
+          consent: { tcpa: true, text: "I agree to be contacted." },
+        }),
+      }),
+      options,
+    );
+    const { lead_id: leadId } = await response.json();
+
+    expect(await directory.listAssignments(leadId)).toEqual([
+      expect.objectContaining({ partnerId: "a" }),
+    ]);
+  });
+});
@@ -0,0 +1,394 @@
+/**
+ * Partner Inbox Tests
+ * Covers partner API keys, the lead inbox endpoints, assignment status
+ * transitions and what customers see of partner responses
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  hashApiKey,
+  issuePartnerApiKey,
+} from "../../src/services/auth/apiKeys.js";
+import { MemoryPartnerDirectory } from "../../src/services/partners/directory.js";
+import {
+  PartnerInbox,
+  getLeadPartnerStatus,
+} from "../../src/services/partners/inbox.js";
+import {
+  handlePartnerLead,
+  handlePartnerLeadList,
+  handlePartnerLeadUpdate,
+} from "../../src/services/partners/inboxRequest.js";
+import { EmailTemplateEngine } from "../../src/services/email/templateEngine.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import {
+  createLeadRecord,
+  createSubmissionRecord,
+} from "../../src/services/storage/records.js";
+
+const NOW = Date.parse("2030-03-12T15:00:00Z");
+
+const BASE_URL = "https://austinmovefinder.com/api/partner/leads";
+
+function partner(id) {
+  return {
+    id,
+    company: `${id} Movers`,
+    email: `leads@${id}.example`,
+    phone: "(512) 555-0100",
+    serviceZips: ["78701"],
+    dailyCapacity: 10,
+  };
+}
+
+function assignment(leadId, partnerId, assignedAt) {
+  return { leadId, partnerId, assignedAt, dateKey: assignedAt.slice(0, 10) };
+}
+
+describe("Partner inbox API", () => {
+  let directory;
+  let leadStore;
+  let mailer;
+  let options;
+  let apiKey;
+
+  beforeEach(async () => {
+    directory = new MemoryPartnerDirectory();
+    leadStore = new MemoryLeadStore();
+    mailer = {
+      sendPartnerQuoteNotification: vi.fn().mockResolvedValue({}),
+    };
+    options = {
+      inbox: new PartnerInbox(directory, {
+        leadStore,
+        mailer,
+        now: () => NOW,
+      }),
+    };
+
+    await directory.save(partner("acme"));
+    await directory.save(partner("beta"));
+    apiKey = await issuePartnerApiKey(directory, "acme");
+
+    await leadStore.save(
+      createSubmissionRecord(
+        "AMF-1",
+        {
+          name: "Jane Doe",
+          email: "jane@example.com",
+          phone: "5125551234",
+          moveDate: "2030-04-01",
+          fromZip: "78701",
+          toZip: "78745",
+          moveSize: "2-bed",
+          serviceType: "full-service",
+        },
+        "2030-03-11T15:00:00.000Z",
+      ),
+    );
+    await directory.recordAssignments([
+      assignment("AMF-1", "acme", "2030-03-11T15:00:00.000Z"),
+      assignment("AMF-1", "beta", "2030-03-11T15:00:00.000Z"),
+      assignment("AMF-2", "acme", "2030-03-12T15:00:00.000Z"),
+      assignment("AMF-3", "beta", "2030-03-12T15:00:00.000Z"),
+    ]);
+  });
+
+  function get(path = "", key = apiKey) {
+    return new Request(BASE_URL + path, {
+      headers: key ? { Authorization: `Bearer ${key}` } : {},
+    });
+  }
+
+  function post(leadId, action, body) {
+    return handlePartnerLeadUpdate(
+      new Request(`${BASE_URL}/${leadId}/${action}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-API-Key": apiKey,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      }),
+      { ...options, leadId, action },
+    );
+  }
+
+  it("should store only a hash of issued API keys", async () => {
+    expect(apiKey).toMatch(/^amf_pk_[0-9a-f]{48}$/);
+    expect(directory.apiKeyHashes.get(await hashApiKey(apiKey))).toBe("acme");
+    expect(JSON.stringify(await directory.list())).not.toContain(apiKey);
+  });
+
+  it("should reject missing, unknown and replaced API keys", async () => {
+    const missing = await handlePartnerLeadList(get("", null), options);
+    expect(missing.status).toBe(401);
+    expect(missing.headers.get("WWW-Authenticate")).toContain("Bearer");
+
+    const unknown = await handlePartnerLeadList(
+      get("", "amf_pk_0000"),
+      options,
+    );
+    expect(unknown.status).toBe(401);
+
+    const previous = apiKey;
+    await issuePartnerApiKey(directory, "acme");
+    expect(
+      (await handlePartnerLeadList(get("", previous), options)).status,
+    ).toBe(401);
+  });
+
+  it("should list only the calling partner's leads, newest first", async () => {
+    const response = await handlePartnerLeadList(get(), options);
+    const { ok, leads } = await response.json();
+
+    expect(ok).toBe(true);
+    expect(leads.map(({ leadId }) => leadId)).toEqual(["AMF-2", "AMF-1"]);
+    expect(leads[1]).toMatchObject({
+      status: "assigned",
+      lead: { id: "AMF-1", name: "Jane Doe", phone: "5125551234" },
+    });
+    expect(leads[0].lead).toBeNull();
+  });
+
+  it("should filter the list by status and validate the query", async () => {
+    await post("AMF-1", "accept");
+
+    const filtered = await handlePartnerLeadList(
+      get("?status=accepted"),
+      options,
+    );
+    expect((await filtered.json()).leads.map(({ leadId }) => leadId)).toEqual([
+      "AMF-1",
+    ]);
+
+    const invalid = await handlePartnerLeadList(
+      get("?status=won&limit=0"),
+      options,
+    );
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).details).toHaveProperty("status");
+  });
+
+  it("should hide leads assigned to other partners", async () => {
+    const own = await handlePartnerLead(get("/AMF-1"), {
+      ...options,
+      leadId: "AMF-1",
+    });
+    const other = await handlePartnerLead(get("/AMF-3"), {
+      ...options,
+      leadId: "AMF-3",
+    });
+
+    expect(own.status).toBe(200);
+    expect(other.status).toBe(404);
+    expect((await post("AMF-3", "accept")).status).toBe(404);
+  });
+
+  it("should accept a lead, post a quote and email it to the customer", async () => {
+    expect((await post("AMF-1", "accept")).status).toBe(200);
+
+    const response = await post("AMF-1", "quote", {
+      amount: 1850,
+      note: "Three movers, about five hours",
+    });
+    const { lead } = await response.json();
+
+    expect(lead).toMatchObject({
+      status: "quoted",
+      quoteAmount: 1850,
+      note: "Three movers, about five hours",
+      updatedAt: "2030-03-12T15:00:00.000Z",
+    });
+    expect(mailer.sendPartnerQuoteNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "AMF-1", email: "jane@example.com" }),
+      expect.objectContaining({ id: "acme" }),
+      expect.objectContaining({ quoteAmount: 1850 }),
+    );
+  });
+
+  it("should require a reason to decline", async () => {
+    const response = await post("AMF-1", "decline", {});
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).details).toEqual({
+      reason: "A decline reason is required.",
+    });
+
+    const declined = await post("AMF-1", "decline", { reason: "Booked up" });
+    expect((await declined.json()).lead).toMatchObject({
+      status: "declined",
+      declineReason: "Booked up",
+    });
+  });
+
+  it("should refuse updates the lead's status does not allow", async () => {
+    const early = await post("AMF-1", "quote", { amount: 900 });
+    expect(early.status).toBe(409);
+    expect(await early.json()).toEqual({
+      ok: false,
+      error: "invalid_transition",
+      details: { status: "Cannot move a lead from assigned to quoted" },
+    });
+
+    await post("AMF-1", "decline", { reason: "Too far" });
+    expect((await post("AMF-1", "accept")).status).toBe(409);
+  });
+
+  it("should validate action bodies", async () => {
+    await post("AMF-1", "accept");
+
+    expect((await post("AMF-1", "quote", { amount: "lots" })).status).toBe(400);
+    expect((await post("AMF-1", "status", { status: "won" })).status).toBe(400);
+    expect((await post("AMF-1", "archive", {})).status).toBe(404);
+
+    const response = await post("AMF-1", "quote", {
+      amount: 900,
+      includes: ["piano"],
+      availableDate: "next week",
+    });
+    expect((await response.json()).details).toEqual({
+      "includes.0": "Includes may list packing, storage, insurance.",
+      availableDate: "Available date must be YYYY-MM-DD.",
+    });
+  });
+
+  it("should show customers the movers still working their lead", async () => {
+    await post("AMF-1", "accept");
+    await post("AMF-1", "quote", {
+      amount: 1850,
+      includes: ["packing", "insurance", "packing"],
+      availableDate: "2030-03-30",
+    });
+    await directory.updateAssignment({
+      ...(await directory.getAssignment("AMF-1", "beta")),
+      status: "declined",
+      declineReason: "Booked up",
+    });
+
+    expect(await options.inbox.getCustomerView("AMF-1")).toEqual({
+      status: "quoted",
+      movers: [
+        {
+          partnerId: "acme",
+          company: "acme Movers",
+          phone: "(512) 555-0100",
+          rating: null,
+          reviewCount: 0,
+          status: "quoted",
+          quoteAmount: 1850,
+          includes: ["packing", "insurance"],
+          availableDate: "2030-03-30",
+          note: null,
+          updatedAt: "2030-03-12T15:00:00.000Z",
+        },
+      ],
+    });
+  });
+
+  it("should load lead form records in the partner lead shape", async () => {
+    await leadStore.save(
+      createLeadRecord({
+        lead_id: "lead-1",
+        timestamp: "2030-03-12T15:00:00.000Z",
+        prospect: {
+          first_name: "Sam",
+          last_name: "Lee",
+          email: null,
+          phone: "+15125550000",
+        },
+        move: {
+          from_zip: "78701",
+          to_zip: "78702",
+          date: "2030-04-02",
+          flexible: true,
+          home_size: "3BR",
+          notes: null,
+        },
+        tracking: {},
+        consent: { tcpa: true },
+      }),
+    );
+
+    expect(await options.inbox.getLead("lead-1")).toMatchObject({
+      id: "lead-1",
+      source: "lead-form",
+      name: "Sam Lee",
+      moveSize: "3-bed",
+    });
+  });
+});
+
+describe("getLeadPartnerStatus", () => {
+  const statuses = (...values) => values.map((status) => ({ status }));
+
+  it("should follow the furthest partner", () => {
+    expect(getLeadPartnerStatus([])).toBe("new");
+    expect(getLeadPartnerStatus(statuses("assigned", "accepted"))).toBe(
+      "routed",
+    );
+    expect(getLeadPartnerStatus(statuses("contacted", "declined"))).toBe(
+      "contacted",
+    );
+    expect(getLeadPartnerStatus(statuses("quoted", "lost"))).toBe("quoted");
+    expect(getLeadPartnerStatus(statuses("booked", "quoted"))).toBe("booked");
+    expect(getLeadPartnerStatus(statuses("completed", "lost"))).toBe(
+      "completed",
+    );
+  });
+
+  it("should be lost once every partner drops out", () => {
+    expect(getLeadPartnerStatus(statuses("declined", "lost"))).toBe("lost");
+  });
+});
+
+describe("Partner quote email", () => {
+  it("should render the quote for the customer", async () => {
+    const engine = new EmailTemplateEngine();
+    const rendered = await engine.renderPartnerQuote({
+      quoteId: "AMF-1",
+      customerName: "Jane Doe",
+      companyName: "Acme Movers",
+      companyPhone: "(512) 555-0100",
+      quoteAmount: 1850,
+      note: null,
+      moveDate: "2030-04-01",
+      fromZip: "78701",
+      toZip: "78745",
+      businessName: "Austin Move Finder",
+      businessPhone: "(512) 555-0199",
+    });
+
+    expect(rendered.subject).toBe(
+      "Acme Movers sent you a moving quote - AMF-1",
+    );
+    expect(rendered.html).toContain("$1,850");
+    expect(rendered.html).toContain("No details added");
+  });
+
+  it("should escape the partner's company and note", async () => {
+    const engine = new EmailTemplateEngine();
+    const rendered = await engine.renderPartnerQuote({
+      quoteId: "AMF-1",
+      customerName: "Jane Doe",
+      companyName: "Smith & Sons",
+      companyPhone: null,
+      quoteAmount: 1850,
+      note: '<a href="https://evil.example">Pay deposit here</a>',
+      moveDate: "2030-04-01",
+      fromZip: "78701",
+      toZip: "78745",
+      businessName: "Austin Move Finder",
+      businessPhone: "(512) 555-0199",
+    });
+
+    expect(rendered.subject).toBe(
+      "Smith & Sons sent you a moving quote - AMF-1",
+    );
+    expect(rendered.html).toContain("Smith &amp; Sons");
+    expect(rendered.html).toContain(
+      "&lt;a href=&quot;https://evil.example&quot;&gt;Pay deposit here&lt;/a&gt;",
+    );
+    expect(rendered.html).not.toContain('<a href="https://evil.example">');
+  });
+});
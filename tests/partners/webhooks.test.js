@@ -0,0 +1,375 @@
+/**
+ * Partner Webhook Tests
+ * Covers request signing, retries with backoff, the delivery log,
+ * redelivery, the admin redelivery API and webhook notifications from the
+ * lead distributor
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  WebhookDispatcher,
+  signWebhookPayload,
+  verifyWebhookSignature,
+} from "../../src/services/partners/webhooks.js";
+import { MemoryWebhookLog } from "../../src/services/partners/webhookLog.js";
+import { MemoryPartnerDirectory } from "../../src/services/partners/directory.js";
+import { LeadDistributor } from "../../src/services/partners/distribution.js";
+import { handleWebhookRedelivery } from "../../src/services/partners/webhookRequest.js";
+import { MemoryAuditLog } from "../../src/services/audit/auditLog.js";
+import { AuditTrail } from "../../src/services/audit/auditTrail.js";
+import { signDevToken } from "../../src/services/auth/accessTokens.js";
+
+const NOW = Date.parse("2030-03-12T15:00:00Z");
+
+const PARTNER = {
+  id: "acme",
+  company: "Acme Movers",
+  email: "leads@acme.example",
+  serviceZips: ["78701"],
+  dailyCapacity: 10,
+  webhookUrl: "https://acme.example/hooks/leads",
+  webhookSecret: "whsec_test",
+};
+
+const LEAD = { id: "AMF-1", fromZip: "78701", toZip: "78704" };
+
+const ENV = { AUTH_DEV_KEY: "test-dev-key" };
+
+describe("Webhook signatures", () => {
+  it("should verify a signature made with the same secret", async () => {
+    const timestamp = Math.floor(NOW / 1000);
+    const signature = await signWebhookPayload('{"a":1}', "secret", timestamp);
+
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(
+      await verifyWebhookSignature(
+        '{"a":1}',
+        { signature, timestamp: String(timestamp) },
+        "secret",
+        { now: NOW },
+      ),
+    ).toBe(true);
+  });
+
+  it("should reject tampered bodies, other secrets and stale timestamps", async () => {
+    const timestamp = Math.floor(NOW / 1000);
+    const signature = await signWebhookPayload('{"a":1}', "secret", timestamp);
+    const verify = (body, secret, now = NOW) =>
+      verifyWebhookSignature(body, { signature, timestamp }, secret, { now });
+
+    expect(await verify('{"a":2}', "secret")).toBe(false);
+    expect(await verify('{"a":1}', "other")).toBe(false);
+    expect(await verify('{"a":1}', "secret", NOW + 301_000)).toBe(false);
+  });
+});
+
+describe("WebhookDispatcher", () => {
+  let log;
+  let directory;
+  let fetchMock;
+  let sleep;
+  let dispatcher;
+
+  beforeEach(async () => {
+    log = new MemoryWebhookLog();
+    directory = new MemoryPartnerDirectory();
+    fetchMock = vi.fn().mockResolvedValue(new Response("ok", { status: 200 }));
+    sleep = vi.fn().mockResolvedValue();
+    dispatcher = new WebhookDispatcher(log, directory, {
+      fetch: fetchMock,
+      sleep,
+      now: () => NOW,
+    });
+
+    await directory.save(PARTNER);
+  });
+
+  it("should POST a signed payload and log the delivery", async () => {
+    const delivery = await dispatcher.deliver(PARTNER, "lead.assigned", {
+      lead: LEAD,
+    });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(PARTNER.webhookUrl);
+    expect(JSON.parse(init.body)).toEqual({
+      id: delivery.id,
+      event: "lead.assigned",
+      createdAt: "2030-03-12T15:00:00.000Z",
+      data: { lead: LEAD },
+    });
+    expect(
+      await verifyWebhookSignature(
+        init.body,
+        {
+          signature: init.headers[SIGNATURE_HEADER],
+          timestamp: init.headers[TIMESTAMP_HEADER],
+        },
+        PARTNER.webhookSecret,
+        { now: NOW },
+      ),
+    ).toBe(true);
+
+    expect(await log.get(delivery.id)).toMatchObject({
+      partnerId: "acme",
+      leadId: "AMF-1",
+      status: "delivered",
+      attempts: [
+        {
+          attempt: 1,
+          ok: true,
+          statusCode: 200,
+          latencyMs: 0,
+          responseSnippet: "ok",
+          error: null,
+        },
+      ],
+    });
+  });
+
+  it("should retry server errors with exponential backoff", async () => {
+    fetchMock.mockResolvedValue(new Response("busy", { status: 503 }));
+
+    const delivery = await dispatcher.deliver(PARTNER, "lead.assigned", {
+      lead: LEAD,
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(sleep.mock.calls).toEqual([[500], [1000]]);
+    expect(delivery.status).toBe("failed");
+    expect(delivery.attempts.map(({ statusCode }) => statusCode)).toEqual([
+      503, 503, 503,
+    ]);
+  });
+
+  it("should retry network errors until one succeeds", async () => {
+    fetchMock
+      .mockRejectedValueOnce(new TypeError("fetch failed"))
+      .mockResolvedValueOnce(new Response("", { status: 204 }));
+
+    const delivery = await dispatcher.deliver(PARTNER, "lead.assigned", {
+      lead: LEAD,
+    });
+
+    expect(delivery.status).toBe("delivered");
+    expect(delivery.attempts[0]).toMatchObject({
+      ok: false,
+      statusCode: null,
+      error: "fetch failed",
+    });
+  });
+
+  it("should not retry requests the partner rejected", async () => {
+    fetchMock.mockResolvedValue(
+      new Response("x".repeat(1000), { status: 401 }),
+    );
+
+    const delivery = await dispatcher.deliver(PARTNER, "lead.assigned", {
+      lead: LEAD,
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(delivery.status).toBe("failed");
+    expect(delivery.attempts[0].responseSnippet).toHaveLength(500);
+  });
+
+  it("should refuse partners without a webhook secret", async () => {
+    await expect(
+      dispatcher.deliver({ ...PARTNER, webhookSecret: null }, "lead.assigned", {
+        lead: LEAD,
+      }),
+    ).rejects.toThrow("has no webhook secret");
+  });
+
+  it("should redeliver a failed delivery to the partner's current endpoint", async () => {
+    fetchMock.mockResolvedValue(new Response("gone", { status: 404 }));
+    const failed = await dispatcher.deliver(PARTNER, "lead.assigned", {
+      lead: LEAD,
+    });
+
+    await directory.save({
+      ...PARTNER,
+      webhookUrl: "https://acme.example/hooks/v2",
+    });
+    fetchMock.mockResolvedValue(new Response("ok", { status: 200 }));
+    const redelivered = await dispatcher.redeliver(failed.id);
+
+    expect(fetchMock.mock.calls[1][0]).toBe("https://acme.example/hooks/v2");
+    expect(fetchMock.mock.calls[1][1].body).toBe(failed.payload);
+    expect(redelivered.status).toBe("delivered");
+    expect(
+      (await log.get(failed.id)).attempts.map(({ attempt }) => attempt),
+    ).toEqual([1, 2]);
+  });
+
+  it("should not redeliver unknown deliveries", async () => {
+    expect(await dispatcher.redeliver("missing")).toBeNull();
+  });
+
+  it("should list deliveries by partner and lead", async () => {
+    await dispatcher.deliver(PARTNER, "lead.assigned", { lead: LEAD });
+    await dispatcher.deliver(PARTNER, "lead.assigned", {
+      lead: { ...LEAD, id: "AMF-2" },
+    });
+
+    expect(await log.listByPartner("acme")).toHaveLength(2);
+    expect((await log.listByLead("AMF-2")).map(({ leadId }) => leadId)).toEqual(
+      ["AMF-2"],
+    );
+  });
+});
+
+describe("Webhook redelivery API", () => {
+  let auditLog;
+  let webhooks;
+  let token;
+
+  beforeEach(async () => {
+    auditLog = new MemoryAuditLog();
+    webhooks = {
+      redeliver: vi.fn(async (id) =>
+        id === "d1"
+          ? {
+              id: "d1",
+              partnerId: "acme",
+              leadId: "AMF-1",
+              status: "delivered",
+              attempts: [{ attempt: 1, ok: true }],
+              payload: "{}",
+            }
+          : null,
+      ),
+    };
+    token = await signDevToken({ sub: "ops@example.com", role: "staff" }, ENV, {
+      now: NOW,
+    });
+  });
+
+  function post(body, headers = { "Content-Type": "application/json" }) {
+    return handleWebhookRedelivery(
+      new Request("https://austinmovefinder.com/api/admin/webhooks/redeliver", {
+        method: "POST",
+        headers: { "Cf-Access-Jwt-Assertion": token, ...headers },
+        body: JSON.stringify(body),
+      }),
+      {
+        env: ENV,
+        webhooks,
+        audit: new AuditTrail(auditLog, { now: () => NOW }),
+        now: NOW,
+      },
+    );
+  }
+
+  it("should redeliver and audit as the signed-in staff member", async () => {
+    const response = await post({ id: "d1" });
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body).toMatchObject({
+      ok: true,
+      delivery: { id: "d1", status: "delivered" },
+    });
+    expect(body.delivery.payload).toBeUndefined();
+    expect(auditLog.events).toMatchObject([
+      {
+        leadId: "AMF-1",
+        type: "partner_delivery",
+        actor: "staff:ops@example.com",
+        details: { channel: "webhook", outcome: "delivered" },
+      },
+    ]);
+  });
+
+  it("should answer 404 for unknown deliveries and 400 without an ID", async () => {
+    expect((await post({ id: "missing" })).status).toBe(404);
+    expect(await (await post({})).json()).toEqual({
+      ok: false,
+      error: "validation_failed",
+      details: { id: "Select a webhook delivery." },
+    });
+  });
+
+  it("should refuse requests not sent as JSON", async () => {
+    const response = await post({ id: "d1" }, { "Content-Type": "text/plain" });
+
+    expect(response.status).toBe(415);
+    expect(webhooks.redeliver).not.toHaveBeenCalled();
+  });
+});
+
+describe("Webhook notifications from the distributor", () => {
+  it("should send a webhook to assigned partners that have one", async () => {
+    const directory = new MemoryPartnerDirectory();
+    const webhooks = {
+      deliver: vi.fn().mockResolvedValue({ id: "d1", status: "delivered" }),
+    };
+    const mailer = {
+      sendPartnerLeadNotification: vi.fn().mockRejectedValue(new Error("down")),
+    };
+    await directory.save(PARTNER);
+    await directory.save({
+      ...PARTNER,
+      id: "beta",
+      webhookUrl: null,
+      webhookSecret: null,
+    });
+
+    const assignments = await new LeadDistributor(directory, {
+      mailer,
+      webhooks,
+    }).distribute(LEAD);
+
+    expect(webhooks.deliver).toHaveBeenCalledTimes(1);
+    expect(webhooks.deliver).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "acme" }),
+      "lead.assigned",
+      { lead: LEAD },
+    );
+    expect(assignments).toEqual([
+      expect.objectContaining({
+        partnerId: "acme",
+        notified: true,
+        webhookDeliveryId: "d1",
+      }),
+      expect.objectContaining({
+        partnerId: "beta",
+        notified: false,
+        webhookDeliveryId: null,
+      }),
+    ]);
+  });
+
+  it("should leave webhooks to waitUntil without holding up distribution", async () => {
+    const directory = new MemoryPartnerDirectory();
+    let finish;
+    const webhooks = {
+      deliver: vi.fn(
+        () =>
+          new Promise((resolve) => {
+            finish = () => resolve({ id: "d1", status: "delivered" });
+          }),
+      ),
+    };
+    const mailer = { sendPartnerLeadNotification: vi.fn().mockResolvedValue() };
+    const waitUntil = vi.fn();
+    await directory.save(PARTNER);
+
+    const [assignment] = await new LeadDistributor(directory, {
+      mailer,
+      webhooks,
+      waitUntil,
+    }).distribute(LEAD);
+
+    expect(waitUntil).toHaveBeenCalledTimes(1);
+    expect(assignment).toMatchObject({
+      notified: true,
+      webhookDeliveryId: null,
+    });
+
+    finish();
+    await waitUntil.mock.calls[0][0];
+    expect(assignment.webhookDeliveryId).toBe("d1");
+  });
+});
@@ -0,0 +1,322 @@
+/**
+ * Quote Comparison Tests
+ * Covers sorting quotes side by side and booking the mover a customer
+ * chooses
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  chooseMover,
+  compareQuotes,
+} from "../../src/services/quotes/comparison.js";
+import { handleChooseMover } from "../../src/services/quotes/comparisonRequest.js";
+import {
+  QuoteLifecycle,
+  recordSubmissionStatus,
+} from "../../src/services/quotes/lifecycle.js";
+import { MemoryQuoteStatusStore } from "../../src/services/quotes/statusStore.js";
+import { createStatusToken } from "../../src/services/quotes/statusToken.js";
+import { MemoryPartnerDirectory } from "../../src/services/partners/directory.js";
+import { PartnerInbox } from "../../src/services/partners/inbox.js";
+import { EmailTemplateEngine } from "../../src/services/email/templateEngine.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import { createSubmissionRecord } from "../../src/services/storage/records.js";
+
+const NOW = Date.parse("2030-03-12T15:00:00Z");
+const SECRET = "status-secret";
+
+function mover(company, fields) {
+  return {
+    partnerId: company.toLowerCase(),
+    company,
+    rating: null,
+    reviewCount: 0,
+    status: "quoted",
+    quoteAmount: null,
+    includes: [],
+    availableDate: null,
+    ...fields,
+  };
+}
+
+describe("compareQuotes", () => {
+  const movers = [
+    mover("Acme", { quoteAmount: 1800, availableDate: "2030-03-28" }),
+    mover("Beta", {
+      quoteAmount: 1500,
+      rating: 4.2,
+      reviewCount: 40,
+      availableDate: "2030-04-02",
+    }),
+    mover("Cedar", { quoteAmount: 2100, rating: 4.8, reviewCount: 12 }),
+    mover("Delta", { status: "accepted" }),
+  ];
+
+  const order = (sort) =>
+    compareQuotes(movers, sort).map(({ company }) => company);
+
+  it("should list quoted movers from lowest price by default", () => {
+    expect(order()).toEqual(["Beta", "Acme", "Cedar"]);
+    expect(order("unknown")).toEqual(["Beta", "Acme", "Cedar"]);
+  });
+
+  it("should sort by availability and rating with missing values last", () => {
+    expect(order("availability")).toEqual(["Acme", "Beta", "Cedar"]);
+    expect(order("rating")).toEqual(["Cedar", "Beta", "Acme"]);
+  });
+});
+
+describe("Choosing a mover", () => {
+  let directory;
+  let lifecycle;
+  let mailer;
+  let webhooks;
+  let inbox;
+
+  beforeEach(async () => {
+    const leadStore = new MemoryLeadStore();
+    directory = new MemoryPartnerDirectory();
+    mailer = {
+      sendPartnerQuoteNotification: vi.fn().mockResolvedValue({}),
+      sendPartnerBookedNotification: vi.fn().mockResolvedValue({}),
+      sendQuoteUpdate: vi.fn().mockResolvedValue({}),
+    };
+    webhooks = { deliver: vi.fn().mockResolvedValue({ id: "d-1" }) };
+    lifecycle = new QuoteLifecycle(new MemoryQuoteStatusStore(), {
+      leadStore,
+      mailer,
+      now: () => NOW,
+    });
+    inbox = new PartnerInbox(directory, {
+      leadStore,
+      mailer,
+      lifecycle,
+      webhooks,
+      now: () => NOW,
+    });
+
+    await leadStore.save(
+      createSubmissionRecord("AMF-1", {
+        name: "Jane Doe",
+        email: "jane@example.com",
+        phone: "5125551234",
+        moveDate: "2030-04-01",
+        fromZip: "78701",
+        toZip: "78745",
+        moveSize: "2-bed",
+      }),
+    );
+    for (const id of ["acme", "beta", "cedar"]) {
+      await directory.save({
+        id,
+        company: `${id} Movers`,
+        email: `leads@${id}.example`,
+        webhookUrl: id === "acme" ? "https://acme.example/hooks" : null,
+        webhookSecret: id === "acme" ? "whsec" : null,
+      });
+    }
+    await directory.recordAssignments(
+      ["acme", "beta", "cedar"].map((partnerId) => ({
+        leadId: "AMF-1",
+        partnerId,
+        assignedAt: "2030-03-12T14:00:00.000Z",
+        dateKey: "2030-03-12",
+      })),
+    );
+    await recordSubmissionStatus(lifecycle, "AMF-1", {
+      assignments: [{ company: "acme Movers" }],
+    });
+
+    for (const id of ["acme", "beta"]) {
+      const partner = await directory.get(id);
+      await inbox.update(partner, "AMF-1", { status: "accepted" });
+      await inbox.update(partner, "AMF-1", {
+        status: "quoted",
+        amount: id === "acme" ? 1600 : 1400,
+        includes: ["packing"],
+        availableDate: "2030-03-30",
+      });
+    }
+  });
+
+  it("should book the chosen mover and close the lead for the others", async () => {
+    const result = await inbox.choose("AMF-1", "acme");
+
+    expect(result.assignment).toMatchObject({
+      partnerId: "acme",
+      status: "booked",
+      quoteAmount: 1600,
+    });
+    const statuses = Object.fromEntries(
+      (await directory.listAssignments("AMF-1")).map((entry) => [
+        entry.partnerId,
+        entry.status,
+      ]),
+    );
+    expect(statuses).toEqual({ acme: "booked", beta: "lost", cedar: "lost" });
+
+    const quote = await lifecycle.get("AMF-1");
+    expect(quote.status).toBe("booked");
+    expect(quote.history.at(-1)).toMatchObject({
+      actor: "customer",
+      reason: "Customer chose acme Movers",
+    });
+    expect(mailer.sendQuoteUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it("should tell the chosen partner by email and webhook", async () => {
+    await inbox.choose("AMF-1", "acme");
+
+    expect(mailer.sendPartnerBookedNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "acme" }),
+      expect.objectContaining({ id: "AMF-1", name: "Jane Doe" }),
+      expect.objectContaining({ status: "booked", quoteAmount: 1600 }),
+    );
+    expect(webhooks.deliver).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "acme" }),
+      "lead.booked",
+      expect.objectContaining({
+        lead: expect.objectContaining({ id: "AMF-1" }),
+        assignment: expect.objectContaining({ status: "booked" }),
+      }),
+    );
+  });
+
+  it("should keep the booking when notifying the partner fails", async () => {
+    mailer.sendPartnerBookedNotification.mockRejectedValue(new Error("down"));
+    webhooks.deliver.mockRejectedValue(new Error("down"));
+
+    const result = await inbox.choose("AMF-1", "beta");
+    expect(result.assignment.status).toBe("booked");
+  });
+
+  it("should only book movers that sent a quote, once", async () => {
+    expect(await inbox.choose("AMF-1", "cedar")).toMatchObject({
+      error: "invalid_transition",
+      message: "Only movers that sent a quote can be chosen",
+    });
+    expect((await inbox.choose("AMF-1", "zeta")).error).toBe("not_found");
+
+    await inbox.choose("AMF-1", "acme");
+    expect((await inbox.choose("AMF-1", "beta")).error).toBe("not_found");
+    expect(await inbox.choose("AMF-1", "acme")).toMatchObject({
+      error: "invalid_transition",
+      message: "A mover was already chosen for this move",
+    });
+  });
+
+  it("should require a valid status link token", async () => {
+    const token = await createStatusToken("AMF-1", SECRET, { now: NOW });
+    const options = { env: { QUOTE_STATUS_SECRET: SECRET }, inbox, now: NOW };
+
+    expect(await chooseMover("AMF-1", "forged", "acme", options)).toEqual({
+      error: "invalid_token",
+    });
+    expect(
+      (await chooseMover("AMF-1", token, "acme", options)).assignment.status,
+    ).toBe("booked");
+  });
+
+  describe("POST /api/quote/:id/choose", () => {
+    async function choose(body) {
+      const response = await handleChooseMover(
+        new Request("https://austinmovefinder.com/api/quote/AMF-1/choose", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        }),
+        {
+          env: { QUOTE_STATUS_SECRET: SECRET },
+          quoteId: "AMF-1",
+          inbox,
+          now: NOW,
+        },
+      );
+      return { status: response.status, body: await response.json() };
+    }
+
+    it("should book the mover and answer in the lead endpoint shape", async () => {
+      const token = await createStatusToken("AMF-1", SECRET, { now: NOW });
+
+      expect(await choose({ token, partnerId: "beta" })).toEqual({
+        status: 200,
+        body: {
+          ok: true,
+          mover: { partnerId: "beta", status: "booked", quoteAmount: 1400 },
+        },
+      });
+      expect(await choose({ token, partnerId: "acme" })).toEqual({
+        status: 404,
+        body: { ok: false, error: "not_found" },
+      });
+    });
+
+    it("should reject bad tokens and bodies", async () => {
+      expect(await choose({ token: "1.abc", partnerId: "acme" })).toEqual({
+        status: 403,
+        body: { ok: false, error: "invalid_token" },
+      });
+      expect(await choose({ partnerId: "acme" })).toEqual({
+        status: 400,
+        body: {
+          ok: false,
+          error: "validation_failed",
+          details: { token: "A status link token is required." },
+        },
+      });
+    });
+  });
+});
+
+describe("Partner booked email", () => {
+  it("should list the quote the customer chose", async () => {
+    const rendered = await new EmailTemplateEngine().renderPartnerBooked({
+      quoteId: "AMF-1",
+      companyName: "Acme Movers",
+      quoteAmount: 1600,
+      includes: ["packing", "insurance"],
+      availableDate: "2030-03-30",
+      customer: {
+        name: "Jane Doe",
+        email: "jane@example.com",
+        phone: "5125551234",
+        moveDate: "2030-04-01",
+        fromZip: "78701",
+        toZip: "78745",
+      },
+      businessName: "Austin Move Finder",
+      businessPhone: "(512) 555-0199",
+    });
+
+    expect(rendered.subject).toBe("Booked: Jane Doe chose your quote - AMF-1");
+    expect(rendered.html).toContain("$1,600");
+    expect(rendered.html).toContain("Packing, Full-value insurance");
+  });
+
+  it("should escape the company and customer details", async () => {
+    const rendered = await new EmailTemplateEngine().renderPartnerBooked({
+      quoteId: "AMF-1",
+      companyName: "Smith & Sons",
+      quoteAmount: 1600,
+      includes: [],
+      availableDate: null,
+      customer: {
+        name: "Jane <b>Doe</b>",
+        email: "jane@example.com",
+        phone: null,
+        moveDate: "2030-04-01",
+        fromZip: "78701",
+        toZip: "78745",
+      },
+      businessName: "Austin Move Finder",
+      businessPhone: "(512) 555-0199",
+    });
+
+    expect(rendered.subject).toBe(
+      "Booked: Jane <b>Doe</b> chose your quote - AMF-1",
+    );
+    expect(rendered.html).toContain("Smith &amp; Sons");
+    expect(rendered.html).toContain("Jane &lt;b&gt;Doe&lt;/b&gt;");
+    expect(rendered.html).not.toContain("<b>Doe</b>");
+  });
+});
@@ -0,0 +1,347 @@
+/**
+ * Quote Lifecycle Tests
+ * Covers allowed status changes, the change history, customer quote update
+ * emails and the statuses set by submissions and partner updates
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  QuoteLifecycle,
+  canTransition,
+  recordSubmissionStatus,
+} from "../../src/services/quotes/lifecycle.js";
+import { MemoryQuoteStatusStore } from "../../src/services/quotes/statusStore.js";
+import { MemoryPartnerDirectory } from "../../src/services/partners/directory.js";
+import { PartnerInbox } from "../../src/services/partners/inbox.js";
+import { EmailTemplateEngine } from "../../src/services/email/templateEngine.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import { createSubmissionRecord } from "../../src/services/storage/records.js";
+
+const NOW = Date.parse("2030-03-12T15:00:00Z");
+
+const QUOTE = {
+  name: "Jane Doe",
+  email: "jane@example.com",
+  phone: "5125551234",
+  moveDate: "2030-04-01",
+  fromZip: "78701",
+  toZip: "78745",
+  moveSize: "2-bed",
+};
+
+describe("QuoteLifecycle", () => {
+  let store;
+  let leadStore;
+  let mailer;
+  let lifecycle;
+
+  beforeEach(async () => {
+    store = new MemoryQuoteStatusStore();
+    leadStore = new MemoryLeadStore();
+    mailer = { sendQuoteUpdate: vi.fn().mockResolvedValue({}) };
+    lifecycle = new QuoteLifecycle(store, {
+      leadStore,
+      mailer,
+      now: () => NOW,
+    });
+
+    await leadStore.save(createSubmissionRecord("AMF-1", QUOTE));
+  });
+
+  it("should start quotes as new and keep the first status", async () => {
+    await lifecycle.start("AMF-1");
+    await lifecycle.start("AMF-1", { status: "spam" });
+
+    expect(await lifecycle.get("AMF-1")).toEqual({
+      quoteId: "AMF-1",
+      status: "new",
+      createdAt: "2030-03-12T15:00:00.000Z",
+      updatedAt: "2030-03-12T15:00:00.000Z",
+      history: [
+        {
+          from: null,
+          to: "new",
+          actor: "system",
+          reason: null,
+          changedAt: "2030-03-12T15:00:00.000Z",
+        },
+      ],
+    });
+  });
+
+  it("should record the actor and reason of every change", async () => {
+    await lifecycle.start("AMF-1");
+    await lifecycle.transition("AMF-1", "routed", { actor: "distributor" });
+    const { quote, change } = await lifecycle.transition("AMF-1", "lost", {
+      actor: "staff:sam",
+      reason: "Customer hired a friend",
+    });
+
+    expect(change).toEqual({
+      from: "routed",
+      to: "lost",
+      actor: "staff:sam",
+      reason: "Customer hired a friend",
+      changedAt: "2030-03-12T15:00:00.000Z",
+    });
+    expect(quote.status).toBe("lost");
+    expect(quote.history.map(({ to }) => to)).toEqual([
+      "new",
+      "routed",
+      "lost",
+    ]);
+  });
+
+  it("should refuse changes the lifecycle does not allow", async () => {
+    await lifecycle.start("AMF-1");
+
+    expect(
+      await lifecycle.transition("AMF-1", "completed", { actor: "staff" }),
+    ).toEqual({
+      error: "invalid_transition",
+      message: "Cannot move a quote from new to completed",
+    });
+    expect(
+      (await lifecycle.transition("AMF-9", "routed", { actor: "staff" })).error,
+    ).toBe("not_found");
+    expect((await lifecycle.get("AMF-1")).history).toHaveLength(1);
+  });
+
+  it("should not apply a change made from a stale status", async () => {
+    await lifecycle.start("AMF-1");
+    await lifecycle.transition("AMF-1", "routed", { actor: "distributor" });
+
+    expect(
+      await store.update("AMF-1", {
+        from: "new",
+        to: "spam",
+        actor: "staff",
+        reason: null,
+        changedAt: "2030-03-12T15:00:00.000Z",
+      }),
+    ).toBe(false);
+    expect((await store.get("AMF-1")).status).toBe("routed");
+  });
+
+  it("should look up the statuses of several quotes at once", async () => {
+    await lifecycle.start("AMF-1");
+    await lifecycle.start("AMF-2", { status: "routed" });
+
+    const statuses = await lifecycle.getStatuses(["AMF-1", "AMF-2", "AMF-9"]);
+
+    expect([...statuses.keys()]).toEqual(["AMF-1", "AMF-2"]);
+    expect(statuses.get("AMF-2")).toEqual({
+      quoteId: "AMF-2",
+      status: "routed",
+      createdAt: "2030-03-12T15:00:00.000Z",
+      updatedAt: "2030-03-12T15:00:00.000Z",
+    });
+    expect(await lifecycle.getStatuses([])).toEqual(new Map());
+  });
+
+  it("should email the customer when the move is booked", async () => {
+    await lifecycle.start("AMF-1");
+    await lifecycle.transition("AMF-1", "contacted", { actor: "partner:a" });
+    expect(mailer.sendQuoteUpdate).not.toHaveBeenCalled();
+
+    await lifecycle.transition("AMF-1", "booked", { actor: "partner:a" });
+    expect(mailer.sendQuoteUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ email: "jane@example.com", name: "Jane Doe" }),
+      "AMF-1",
+      expect.objectContaining({ from: "contacted", to: "booked" }),
+    );
+  });
+
+  it("should queue the quote update email given a queue env", async () => {
+    const queueEnv = { DB: {} };
+    const queued = {
+      enqueueQuoteUpdate: vi.fn().mockResolvedValue("q1"),
+      sendQuoteUpdate: vi.fn(),
+    };
+    lifecycle = new QuoteLifecycle(store, {
+      leadStore,
+      mailer: queued,
+      queueEnv,
+      now: () => NOW,
+    });
+    await lifecycle.start("AMF-1");
+    await lifecycle.transition("AMF-1", "routed", { actor: "distributor" });
+
+    await lifecycle.transition("AMF-1", "booked", { actor: "partner:a" });
+    expect(queued.enqueueQuoteUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ email: "jane@example.com" }),
+      "AMF-1",
+      expect.objectContaining({ to: "booked" }),
+      queueEnv,
+    );
+    expect(queued.sendQuoteUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should keep the change when the quote update email fails", async () => {
+    mailer.sendQuoteUpdate.mockRejectedValue(new Error("down"));
+    await lifecycle.start("AMF-1");
+    await lifecycle.transition("AMF-1", "routed", { actor: "distributor" });
+
+    const result = await lifecycle.transition("AMF-1", "booked", {
+      actor: "partner:a",
+    });
+    expect(result.quote.status).toBe("booked");
+  });
+});
+
+describe("canTransition", () => {
+  it("should follow the configured transitions", () => {
+    expect(canTransition("new", "routed")).toBe(true);
+    expect(canTransition("booked", "completed")).toBe(true);
+    expect(canTransition("spam", "new")).toBe(true);
+    expect(canTransition("completed", "lost")).toBe(false);
+    expect(canTransition("new", "archived")).toBe(false);
+  });
+});
+
+describe("recordSubmissionStatus", () => {
+  let lifecycle;
+
+  beforeEach(() => {
+    lifecycle = new QuoteLifecycle(new MemoryQuoteStatusStore(), {
+      now: () => NOW,
+    });
+  });
+
+  it("should route quotes that reached partners", async () => {
+    await recordSubmissionStatus(lifecycle, "AMF-1", {
+      assignments: [{ company: "Acme Movers" }, { company: "Beta Moving" }],
+    });
+
+    const quote = await lifecycle.get("AMF-1");
+    expect(quote.status).toBe("routed");
+    expect(quote.history[1]).toMatchObject({
+      actor: "distributor",
+      reason: "Sent to Acme Movers, Beta Moving",
+    });
+  });
+
+  it("should leave unrouted quotes new and mark duplicates", async () => {
+    await recordSubmissionStatus(lifecycle, "AMF-1");
+    await recordSubmissionStatus(lifecycle, "AMF-2", { duplicateOf: "AMF-1" });
+
+    expect((await lifecycle.get("AMF-1")).status).toBe("new");
+    expect((await lifecycle.get("AMF-2")).status).toBe("duplicate");
+  });
+});
+
+describe("Partner updates", () => {
+  let directory;
+  let lifecycle;
+  let inbox;
+
+  beforeEach(async () => {
+    directory = new MemoryPartnerDirectory();
+    lifecycle = new QuoteLifecycle(new MemoryQuoteStatusStore(), {
+      mailer: { sendQuoteUpdate: vi.fn().mockResolvedValue({}) },
+      now: () => NOW,
+    });
+    inbox = new PartnerInbox(directory, {
+      leadStore: new MemoryLeadStore(),
+      mailer: { sendPartnerQuoteNotification: vi.fn() },
+      lifecycle,
+      now: () => NOW,
+    });
+
+    for (const id of ["a", "b"]) {
+      await directory.save({ id, company: `${id} Movers`, email: "x@y.z" });
+    }
+    await directory.recordAssignments(
+      ["a", "b"].map((partnerId) => ({
+        leadId: "AMF-1",
+        partnerId,
+        assignedAt: "2030-03-12T15:00:00.000Z",
+        dateKey: "2030-03-12",
+      })),
+    );
+    await recordSubmissionStatus(lifecycle, "AMF-1", {
+      assignments: [{ company: "a Movers" }, { company: "b Movers" }],
+    });
+  });
+
+  it("should move the lead forward with its furthest partner", async () => {
+    const a = await directory.get("a");
+    await inbox.update(a, "AMF-1", { status: "accepted" });
+    expect((await lifecycle.get("AMF-1")).status).toBe("routed");
+
+    await inbox.update(a, "AMF-1", { status: "quoted", amount: 1200 });
+    const quote = await lifecycle.get("AMF-1");
+    expect(quote.status).toBe("quoted");
+    expect(quote.history.at(-1)).toMatchObject({
+      actor: "partner:a",
+      reason: "a Movers marked the lead quoted",
+    });
+  });
+
+  it("should complete the lead when the booked partner reports it done", async () => {
+    const a = await directory.get("a");
+    await inbox.update(a, "AMF-1", { status: "accepted" });
+    await inbox.update(a, "AMF-1", { status: "booked" });
+    expect(
+      (await inbox.update(a, "AMF-1", { status: "completed" })).assignment,
+    ).toMatchObject({ status: "completed" });
+
+    const quote = await lifecycle.get("AMF-1");
+    expect(quote.status).toBe("completed");
+    expect(quote.history.at(-1)).toMatchObject({
+      from: "booked",
+      actor: "partner:a",
+      reason: "a Movers marked the lead completed",
+    });
+  });
+
+  it("should lose the lead once every partner declines", async () => {
+    await inbox.update(await directory.get("a"), "AMF-1", {
+      status: "declined",
+      reason: "Booked up",
+    });
+    expect((await lifecycle.get("AMF-1")).status).toBe("routed");
+
+    await inbox.update(await directory.get("b"), "AMF-1", {
+      status: "declined",
+      reason: "Too far",
+    });
+    expect((await lifecycle.get("AMF-1")).status).toBe("lost");
+  });
+});
+
+describe("Quote update email", () => {
+  it("should describe the new status", async () => {
+    const rendered = await new EmailTemplateEngine().renderQuoteUpdate({
+      quoteId: "AMF-1",
+      customerName: "Jane Doe",
+      status: "booked",
+      changedAt: "2030-03-12T15:00:00.000Z",
+      moveDate: "2030-04-01",
+      fromZip: "78701",
+      toZip: "78745",
+      businessName: "Austin Move Finder",
+      businessPhone: "(512) 555-0199",
+    });
+
+    expect(rendered.subject).toBe("Quote Update: Move Booked - AMF-1");
+    expect(rendered.html).toContain("Your move is booked.");
+  });
+
+  it("should escape the customer's name", async () => {
+    const rendered = await new EmailTemplateEngine().renderQuoteUpdate({
+      quoteId: "AMF-1",
+      customerName: "Jane <img src=x>",
+      status: "booked",
+      changedAt: "2030-03-12T15:00:00.000Z",
+      moveDate: "2030-04-01",
+      fromZip: "78701",
+      toZip: "78745",
+      businessName: "Austin Move Finder",
+      businessPhone: "(512) 555-0199",
+    });
+
+    expect(rendered.html).toContain("Jane &lt;img src=x&gt;");
+    expect(rendered.html).not.toContain("<img src=x>");
+  });
+});
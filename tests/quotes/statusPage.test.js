@@ -0,0 +1,260 @@
+/**
+ * Quote Status Page Tests
+ * Covers the signed status link tokens and what the customer status page
+ * shows about their quote
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  createStatusToken,
+  getQuoteStatusUrl,
+  verifyStatusToken,
+} from "../../src/services/quotes/statusToken.js";
+import { getQuoteStatusView } from "../../src/services/quotes/statusPage.js";
+import {
+  QuoteLifecycle,
+  recordSubmissionStatus,
+} from "../../src/services/quotes/lifecycle.js";
+import { MemoryQuoteStatusStore } from "../../src/services/quotes/statusStore.js";
+import { MemoryPartnerDirectory } from "../../src/services/partners/directory.js";
+import { PartnerInbox } from "../../src/services/partners/inbox.js";
+import { EmailTemplateEngine } from "../../src/services/email/templateEngine.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import { createSubmissionRecord } from "../../src/services/storage/records.js";
+
+const NOW = Date.parse("2030-03-12T15:00:00Z");
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SECRET = "status-secret";
+
+const QUOTE = {
+  name: "Jane Doe",
+  email: "jane@example.com",
+  phone: "5125551234",
+  moveDate: "2030-04-01",
+  fromZip: "78701",
+  toZip: "78745",
+  moveSize: "2-bed",
+  serviceType: "full-service",
+};
+
+describe("Status tokens", () => {
+  it("should accept a token for its own quote until it expires", async () => {
+    const token = await createStatusToken("AMF-1", SECRET, {
+      now: NOW,
+      ttlDays: 30,
+    });
+
+    expect(await verifyStatusToken("AMF-1", token, SECRET, { now: NOW })).toBe(
+      "valid",
+    );
+    expect(
+      await verifyStatusToken("AMF-1", token, SECRET, {
+        now: NOW + 31 * DAY_MS,
+      }),
+    ).toBe("expired");
+  });
+
+  it("should reject tampered, foreign and malformed tokens", async () => {
+    const token = await createStatusToken("AMF-1", SECRET, { now: NOW });
+    const [expires, signature] = token.split(".");
+    const options = { now: NOW };
+
+    expect(await verifyStatusToken("AMF-2", token, SECRET, options)).toBe(
+      "invalid",
+    );
+    expect(
+      await verifyStatusToken(
+        "AMF-1",
+        `${Number(expires) + 3600}.${signature}`,
+        SECRET,
+        options,
+      ),
+    ).toBe("invalid");
+    expect(await verifyStatusToken("AMF-1", token, "other", options)).toBe(
+      "invalid",
+    );
+    expect(await verifyStatusToken("AMF-1", token, undefined, options)).toBe(
+      "invalid",
+    );
+    expect(await verifyStatusToken("AMF-1", null, SECRET, options)).toBe(
+      "invalid",
+    );
+  });
+
+  it("should only build status links when a secret is configured", async () => {
+    expect(
+      await getQuoteStatusUrl("https://austinmovefinder.com", "AMF-1", {}),
+    ).toBeNull();
+
+    const url = new URL(
+      await getQuoteStatusUrl("https://austinmovefinder.com", "AMF-1", {
+        QUOTE_STATUS_SECRET: SECRET,
+      }),
+    );
+    expect(url.pathname).toBe("/quote/status/AMF-1");
+    expect(
+      await verifyStatusToken("AMF-1", url.searchParams.get("token"), SECRET),
+    ).toBe("valid");
+  });
+});
+
+describe("getQuoteStatusView", () => {
+  let leadStore;
+  let directory;
+  let lifecycle;
+  let inbox;
+  let options;
+
+  beforeEach(async () => {
+    leadStore = new MemoryLeadStore();
+    directory = new MemoryPartnerDirectory();
+    lifecycle = new QuoteLifecycle(new MemoryQuoteStatusStore(), {
+      mailer: { sendQuoteUpdate: async () => ({}) },
+      now: () => NOW,
+    });
+    inbox = new PartnerInbox(directory, {
+      leadStore,
+      mailer: { sendPartnerQuoteNotification: async () => ({}) },
+      lifecycle,
+      now: () => NOW,
+    });
+    options = {
+      env: { QUOTE_STATUS_SECRET: SECRET },
+      leadStore,
+      lifecycle,
+      inbox,
+      now: NOW,
+    };
+
+    await leadStore.save(
+      createSubmissionRecord("AMF-1", QUOTE, "2030-03-12T14:00:00.000Z"),
+    );
+    for (const id of ["a", "b"]) {
+      await directory.save({
+        id,
+        company: `${id.toUpperCase()} Movers`,
+        email: `${id}@movers.test`,
+        phone: `512555000${id === "a" ? 1 : 2}`,
+      });
+    }
+    await directory.recordAssignments(
+      ["a", "b"].map((partnerId) => ({
+        leadId: "AMF-1",
+        partnerId,
+        assignedAt: "2030-03-12T14:00:00.000Z",
+        dateKey: "2030-03-12",
+      })),
+    );
+    await recordSubmissionStatus(lifecycle, "AMF-1", {
+      assignments: [{ company: "A Movers" }, { company: "B Movers" }],
+    });
+  });
+
+  async function view(quoteId = "AMF-1") {
+    const token = await createStatusToken("AMF-1", SECRET, { now: NOW });
+    return getQuoteStatusView(quoteId, token, options);
+  }
+
+  it("should show the move, status and matched movers", async () => {
+    const { view: page } = await view();
+
+    expect(page).toMatchObject({
+      quoteId: "AMF-1",
+      submittedAt: "2030-03-12T14:00:00.000Z",
+      move: {
+        name: "Jane Doe",
+        moveDate: "2030-04-01",
+        fromZip: "78701",
+        toZip: "78745",
+        moveSize: "2-bed",
+        serviceType: "full-service",
+      },
+      status: "routed",
+      history: [
+        { status: "new", label: "Request Received" },
+        { status: "routed" },
+      ],
+      quotes: [],
+    });
+    expect(page.movers.map(({ company }) => company)).toEqual([
+      "A Movers",
+      "B Movers",
+    ]);
+  });
+
+  it("should list quotes and hide declined movers and internal notes", async () => {
+    const a = await directory.get("a");
+    await inbox.update(a, "AMF-1", { status: "accepted" });
+    await inbox.update(a, "AMF-1", {
+      status: "quoted",
+      amount: 1450,
+      note: "Three movers, four hours",
+    });
+    await inbox.update(await directory.get("b"), "AMF-1", {
+      status: "declined",
+      reason: "Booked up that week",
+    });
+
+    const { view: page } = await view();
+
+    expect(page.status).toBe("quoted");
+    expect(page.movers).toHaveLength(1);
+    expect(page.quotes).toEqual([
+      expect.objectContaining({
+        company: "A Movers",
+        quoteAmount: 1450,
+        note: "Three movers, four hours",
+      }),
+    ]);
+    expect(JSON.stringify(page)).not.toMatch(/partner:|Booked up|distributor/);
+  });
+
+  it("should refuse bad links before loading the quote", async () => {
+    expect(await view("AMF-2")).toEqual({ error: "invalid_token" });
+    expect(
+      await getQuoteStatusView(
+        "AMF-1",
+        await createStatusToken("AMF-1", SECRET, { now: NOW - 60 * DAY_MS }),
+        options,
+      ),
+    ).toEqual({ error: "expired_token" });
+  });
+
+  it("should report quotes that were never stored", async () => {
+    const token = await createStatusToken("AMF-9", SECRET, { now: NOW });
+
+    expect(await getQuoteStatusView("AMF-9", token, options)).toEqual({
+      error: "not_found",
+    });
+  });
+});
+
+describe("Customer confirmation email", () => {
+  const data = {
+    customerName: "Jane Doe",
+    quoteId: "AMF-1",
+    moveDate: "2030-04-01",
+    fromZip: "78701",
+    toZip: "78745",
+    moveSize: "2-bed",
+    serviceType: "full-service",
+    businessName: "Austin Move Finder",
+    businessPhone: "(512) 555-0199",
+    businessWebsite: "https://austinmovefinder.com",
+    customerEmail: "jane@example.com",
+  };
+
+  it("should link to the status page when a link is available", async () => {
+    const engine = new EmailTemplateEngine();
+    const withLink = await engine.renderCustomerConfirmation({
+      ...data,
+      statusUrl: "https://austinmovefinder.com/quote/status/AMF-1?token=abc",
+    });
+    const withoutLink = await engine.renderCustomerConfirmation(data);
+
+    expect(withLink.html).toContain(
+      'href="https://austinmovefinder.com/quote/status/AMF-1?token=abc"',
+    );
+    expect(withoutLink.html).not.toContain("Track your quote status");
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Rate Limiter Tests
+ * Covers the sliding window, identifier keys, headers and both stores
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  RateLimiter,
+  createRateLimiter,
+  mostRestrictive,
+} from "../../src/services/rateLimit/rateLimiter.js";
+import {
+  KvRateLimitStore,
+  MemoryRateLimitStore,
+} from "../../src/services/rateLimit/stores.js";
+import { RATE_LIMITS } from "../../src/config/rateLimits.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Minimal stand-in for a Workers KV namespace
+function createMockKv() {
+  const values = new Map();
+
+  return {
+    values,
+    puts: [],
+    async get(key, type) {
+      const value = values.get(key);
+      if (value === undefined) return null;
+      return type === "json" ? JSON.parse(value) : value;
+    },
+    async put(key, value, options) {
+      this.puts.push({ key, options });
+      values.set(key, value);
+    },
+  };
+}
+
+const stores = {
+  KV: () => new KvRateLimitStore(createMockKv()),
+  Memory: () => new MemoryRateLimitStore(),
+};
+
+Object.entries(stores).forEach(([name, createStore]) => {
+  describe(`RateLimiter (${name} store)`, () => {
+    let clock;
+    let limiter;
+
+    beforeEach(() => {
+      clock = 1_700_000_000_000;
+      limiter = new RateLimiter(createStore(), { now: () => clock });
+    });
+
+    it("should allow requests up to the IP limit", async () => {
+      const limit = RATE_LIMITS.submit.limits.ip;
+
+      for (let i = 0; i < limit; i++) {
+        const result = await limiter.limit("submit", { ip: "203.0.113.1" });
+        expect(result.allowed).toBe(true);
+        expect(result.remaining).toBe(limit - i - 1);
+      }
+
+      const blocked = await limiter.limit("submit", { ip: "203.0.113.1" });
+      expect(blocked.allowed).toBe(false);
+      expect(blocked.remaining).toBe(0);
+    });
+
+    it("should keep separate counts per IP", async () => {
+      for (let i = 0; i < RATE_LIMITS.submit.limits.ip; i++) {
+        await limiter.limit("submit", { ip: "203.0.113.1" });
+      }
+
+      const other = await limiter.limit("submit", { ip: "203.0.113.2" });
+      expect(other.allowed).toBe(true);
+    });
+
+    it("should slide the window instead of resetting it", async () => {
+      for (let i = 0; i < 5; i++) {
+        await limiter.limit("submit", { ip: "203.0.113.1" });
+        clock += 10 * 60 * 1000;
+      }
+
+      // 50 minutes after the first request all five still count
+      const blocked = await limiter.limit("submit", { ip: "203.0.113.1" });
+      expect(blocked.allowed).toBe(false);
+      expect(blocked.retryAfterMs).toBe(10 * 60 * 1000);
+
+      // Once the first request leaves the window one slot frees up
+      clock += 10 * 60 * 1000;
+      const allowed = await limiter.limit("submit", { ip: "203.0.113.1" });
+      expect(allowed.allowed).toBe(true);
+      expect(allowed.remaining).toBe(0);
+    });
+
+    it("should treat email case and phone formatting as one identity", async () => {
+      await limiter.limit("submit", { email: "John@Example.com" });
+      await limiter.limit("submit", { email: " john@example.com " });
+      await limiter.limit("submit", { phone: "(512) 555-0123" });
+      await limiter.limit("submit", { phone: "+15125550123" });
+
+      const email = await limiter.limit("submit", {
+        email: "JOHN@example.com",
+      });
+      expect(email.allowed).toBe(true);
+      expect(email.remaining).toBe(0);
+
+      const phone = await limiter.limit("submit", { phone: "512-555-0123" });
+      expect(phone.remaining).toBe(0);
+    });
+
+    it("should block when any identifier is over its limit", async () => {
+      for (let i = 0; i < RATE_LIMITS.submit.limits.email; i++) {
+        await limiter.limit("submit", {
+          ip: `203.0.113.${i}`,
+          email: "john@example.com",
+        });
+      }
+
+      const result = await limiter.limit("submit", {
+        ip: "198.51.100.7",
+        email: "john@example.com",
+      });
+      expect(result.allowed).toBe(false);
+      expect(result.type).toBe("email");
+
+      // The blocked attempt was not recorded against the fresh IP
+      const ip = await limiter.limit("submit", { ip: "198.51.100.7" });
+      expect(ip.remaining).toBe(RATE_LIMITS.submit.limits.ip - 1);
+    });
+
+    it("should ignore identifiers without a value", async () => {
+      const result = await limiter.limit("submit", { email: "", phone: null });
+      expect(result).toEqual({ allowed: true, headers: {} });
+    });
+  });
+});
+
+describe("Rate limit headers", () => {
+  it("should report the limit, remaining requests and reset", async () => {
+    const limiter = new RateLimiter(new MemoryRateLimitStore());
+    const result = await limiter.limit("submit", { ip: "203.0.113.1" });
+
+    expect(result.headers).toEqual({
+      "RateLimit-Limit": "5",
+      "RateLimit-Remaining": "4",
+      "RateLimit-Reset": "3600",
+      "RateLimit-Policy": "5;w=3600",
+    });
+  });
+
+  it("should add Retry-After when blocked", async () => {
+    let clock = 0;
+    const limiter = new RateLimiter(new MemoryRateLimitStore(), {
+      now: () => clock,
+    });
+
+    for (let i = 0; i < 5; i++) {
+      await limiter.limit("submit", { ip: "203.0.113.1" });
+    }
+    clock = 15 * 60 * 1000;
+
+    const result = await limiter.limit("submit", { ip: "203.0.113.1" });
+    expect(result.headers["Retry-After"]).toBe("2700");
+    expect(result.headers["RateLimit-Remaining"]).toBe("0");
+  });
+
+  it("should surface the identifier with the fewest requests left", () => {
+    const result = mostRestrictive([
+      { allowed: true, limit: 5, remaining: 3, resetMs: 0, windowMs: HOUR_MS },
+      { allowed: true, limit: 3, remaining: 1, resetMs: 0, windowMs: HOUR_MS },
+    ]);
+
+    expect(result.headers["RateLimit-Limit"]).toBe("3");
+    expect(result.headers["RateLimit-Remaining"]).toBe("1");
+  });
+});
+
+describe("KV storage", () => {
+  it("should hash identifiers in key names and expire them", async () => {
+    const kv = createMockKv();
+    const limiter = createRateLimiter({ SESSION: kv });
+
+    await limiter.limit("submit", { email: "john@example.com" });
+
+    const [{ key, options }] = kv.puts;
+    expect(key).toMatch(/^rate-limit:submit:email:[0-9a-f]{64}$/);
+    expect(key).not.toContain("john");
+    expect(options.expirationTtl).toBe(3600);
+  });
+
+  it("should share counts between limiters on the same namespace", async () => {
+    const kv = createMockKv();
+
+    // Each isolate creates its own limiter over the shared binding
+    for (let i = 0; i < 5; i++) {
+      await createRateLimiter({ SESSION: kv }).limit("submit", {
+        ip: "203.0.113.1",
+      });
+    }
+
+    const result = await createRateLimiter({ SESSION: kv }).limit("submit", {
+      ip: "203.0.113.1",
+    });
+    expect(result.allowed).toBe(false);
+  });
+
+  it("should fail loudly for routes without a policy", async () => {
+    const limiter = new RateLimiter(new MemoryRateLimitStore());
+
+    await expect(limiter.limit("unknown", { ip: "1.2.3.4" })).rejects.toThrow(
+      "No rate limit policy configured for route: unknown",
+    );
+  });
+});
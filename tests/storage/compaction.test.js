@@ -0,0 +1,175 @@
+/**
+ * Submission Compaction Tests
+ * Covers picking the closed days to compact and the compaction endpoint
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import { signDevToken } from "../../src/services/auth/accessTokens.js";
+import {
+  compactSubmissions,
+  getLastClosedDay,
+} from "../../src/services/storage/compaction.js";
+import { handleCompaction } from "../../src/services/storage/compactionRequest.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+
+const NOW = Date.parse("2030-03-12T15:00:00Z");
+
+const ENV = { AUTH_DEV_KEY: "test-dev-key" };
+
+// Records the days compacted instead of touching a bucket
+function createCompactingStore() {
+  return {
+    name: "Test",
+    days: [],
+    async compact(dateKey) {
+      this.days.push(dateKey);
+      return { dateKey, compacted: 1, total: 1 };
+    },
+  };
+}
+
+describe("compactSubmissions", () => {
+  it("should wait for a day to settle before calling it closed", () => {
+    expect(getLastClosedDay(NOW)).toBe("2030-03-11");
+    expect(getLastClosedDay(Date.parse("2030-03-12T01:00:00Z"))).toBe(
+      "2030-03-10",
+    );
+  });
+
+  it("should compact the recent closed days by default, oldest first", async () => {
+    const store = createCompactingStore();
+
+    const { results } = await compactSubmissions(store, { now: NOW });
+
+    expect(store.days).toEqual([
+      "2030-03-05",
+      "2030-03-06",
+      "2030-03-07",
+      "2030-03-08",
+      "2030-03-09",
+      "2030-03-10",
+      "2030-03-11",
+    ]);
+    expect(results).toHaveLength(7);
+  });
+
+  it("should refuse days that may still receive submissions", async () => {
+    const store = createCompactingStore();
+
+    expect(
+      await compactSubmissions(store, {
+        from: "2030-03-11",
+        to: "2030-03-12",
+        now: NOW,
+      }),
+    ).toEqual({
+      error: "day_open",
+      message: "Days after 2030-03-11 may still receive submissions.",
+    });
+    expect(store.days).toEqual([]);
+  });
+
+  it("should leave stores without submission objects alone", async () => {
+    expect(
+      await compactSubmissions(new MemoryLeadStore(), { now: NOW }),
+    ).toEqual({ results: [] });
+  });
+});
+
+describe("Submission compaction API", () => {
+  let store;
+  let adminToken;
+
+  beforeEach(async () => {
+    store = createCompactingStore();
+    adminToken = await signDevToken(
+      { sub: "owner@example.com", role: "admin" },
+      ENV,
+      { now: NOW },
+    );
+  });
+
+  function post(body, accessToken = adminToken) {
+    return handleCompaction(
+      new Request("https://austinmovefinder.com/api/admin/storage/compact", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(accessToken && { "Cf-Access-Jwt-Assertion": accessToken }),
+        },
+        body: typeof body === "string" ? body : JSON.stringify(body),
+      }),
+      { env: ENV, store, now: NOW },
+    );
+  }
+
+  it("should only let admins compact", async () => {
+    expect((await post("", null)).status).toBe(401);
+
+    const staff = await post(
+      "",
+      await signDevToken({ sub: "ops@example.com", role: "staff" }, ENV, {
+        now: NOW,
+      }),
+    );
+    expect(staff.status).toBe(403);
+    expect(store.days).toEqual([]);
+  });
+
+  it("should refuse requests not sent as JSON", async () => {
+    const response = await handleCompaction(
+      new Request("https://austinmovefinder.com/api/admin/storage/compact", {
+        method: "POST",
+        headers: { "Cf-Access-Jwt-Assertion": adminToken },
+      }),
+      { env: ENV, store, now: NOW },
+    );
+
+    expect(response.status).toBe(415);
+    expect(store.days).toEqual([]);
+  });
+
+  it("should compact the recent closed days for an empty body", async () => {
+    const response = await post("");
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body.ok).toBe(true);
+    expect(body.results.map(({ dateKey }) => dateKey)).toEqual(store.days);
+    expect(store.days.at(-1)).toBe("2030-03-11");
+  });
+
+  it("should compact a chosen range of closed days", async () => {
+    const response = await post({ from: "2030-02-27", to: "2030-03-01" });
+
+    expect(response.status).toBe(200);
+    expect(store.days).toEqual(["2030-02-27", "2030-02-28", "2030-03-01"]);
+  });
+
+  it("should validate the range", async () => {
+    const invalid = await post("{");
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).details).toEqual({
+      body: "Request body must be valid JSON.",
+    });
+
+    const missingEnd = await post({ from: "2030-03-01" });
+    expect((await missingEnd.json()).details).toEqual({
+      to: "Give an end date with the start date.",
+    });
+
+    const tooLong = await post({ from: "2029-01-01", to: "2030-03-01" });
+    expect((await tooLong.json()).details).toEqual({
+      from: "Compact at most 31 days at a time.",
+    });
+
+    const open = await post({ from: "2030-03-10", to: "2030-03-12" });
+    expect(open.status).toBe(400);
+    expect(await open.json()).toEqual({
+      ok: false,
+      error: "validation_failed",
+      details: { to: "Days after 2030-03-11 may still receive submissions." },
+    });
+    expect(store.days).toEqual([]);
+  });
+});
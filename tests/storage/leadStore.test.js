@@ -0,0 +1,335 @@
+/**
+ * Lead Store Tests
+ * Covers the shared submission record layout and each storage adapter
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createLeadStore } from "../../src/services/storage/leadStore.js";
+import {
+  createSubmissionRecord,
+  getDailyKey,
+  getSubmissionKey,
+  parseJsonLines,
+  toJsonLine,
+} from "../../src/services/storage/records.js";
+import { R2LeadStore } from "../../src/services/storage/adapters/r2.js";
+import { D1LeadStore } from "../../src/services/storage/adapters/d1.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import { FileLeadStore } from "../../src/services/storage/adapters/filesystem.js";
+
+// Minimal stand-in for an R2 bucket binding
+function createMockBucket() {
+  const objects = new Map();
+  return {
+    objects,
+    async get(key) {
+      if (!objects.has(key)) return null;
+      const value = objects.get(key);
+      return { text: async () => value };
+    },
+    async put(key, value) {
+      objects.set(key, value);
+    },
+    async list({ prefix = "", cursor, limit = 2 }) {
+      const keys = Array.from(objects.keys())
+        .filter((key) => key.startsWith(prefix))
+        .sort();
+      const start = cursor ? Number(cursor) : 0;
+      const end = start + limit;
+      return {
+        objects: keys.slice(start, end).map((key) => ({ key })),
+        truncated: end < keys.length,
+        cursor: end < keys.length ? String(end) : undefined,
+      };
+    },
+    async delete(keys) {
+      for (const key of [keys].flat()) objects.delete(key);
+    },
+  };
+}
+
+// Minimal stand-in for a D1 binding backed by an array of rows
+function createMockD1() {
+  const rows = [];
+  return {
+    rows,
+    prepare(sql) {
+      return {
+        bind(...params) {
+          return {
+            async run() {
+              const [id, timestamp, date_key, data, meta] = params;
+              rows.push({ id, timestamp, date_key, data, meta });
+              return { success: true };
+            },
+            async first() {
+              return rows.find((row) => row.id === params[0]) || null;
+            },
+            async all() {
+              return {
+                results: rows.filter((row) => row.date_key === params[0]),
+              };
+            },
+          };
+        },
+      };
+    },
+  };
+}
+
+const sampleData = {
+  name: "John Doe",
+  email: "john@example.com",
+  phone: "(512) 555-0123",
+  moveDate: "2025-06-15",
+  fromZip: "78701",
+  toZip: "78704",
+  moveSize: "2-bed",
+  serviceType: "full-service",
+  specialItems: ["piano"],
+  turnstileResponse: "token",
+  honeypot: "",
+  ipAddress: "203.0.113.1",
+};
+
+describe("Submission records", () => {
+  it("should keep the JSONL layout written by the Pages Function", () => {
+    const record = createSubmissionRecord(
+      "AMF-1",
+      sampleData,
+      "2025-05-01T10:00:00.000Z",
+    );
+
+    expect(record.id).toBe("AMF-1");
+    expect(record.timestamp).toBe("2025-05-01T10:00:00.000Z");
+    expect(record.data.fromZip).toBe("78701");
+    expect(record.data.specialItems).toEqual(["piano"]);
+    expect(record.meta.ipAddress).toBe("203.0.113.1");
+  });
+
+  it("should not persist security fields", () => {
+    const record = createSubmissionRecord("AMF-1", sampleData);
+
+    expect(record.data.turnstileResponse).toBeUndefined();
+    expect(record.data.honeypot).toBeUndefined();
+  });
+
+  it("should skip corrupt JSONL lines", () => {
+    const records = parseJsonLines('{"id":"a"}\nnot json\n\n{"id":"b"}\n');
+    expect(records.map((record) => record.id)).toEqual(["a", "b"]);
+  });
+});
+
+describe("createLeadStore", () => {
+  it("should prefer D1 over R2", () => {
+    const store = createLeadStore({
+      DB: createMockD1(),
+      R2_BUCKET: createMockBucket(),
+    });
+    expect(store).toBeInstanceOf(D1LeadStore);
+  });
+
+  it("should use R2 when only the bucket is bound", () => {
+    const store = createLeadStore({ R2_BUCKET: createMockBucket() });
+    expect(store).toBeInstanceOf(R2LeadStore);
+  });
+
+  it("should fall back to a shared in-memory store", () => {
+    const store = createLeadStore();
+    expect(store).toBeInstanceOf(MemoryLeadStore);
+    expect(createLeadStore({})).toBe(store);
+  });
+});
+
+describe("Lead store adapters", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "lead-store-"));
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  const adapters = {
+    R2: () => new R2LeadStore(createMockBucket()),
+    D1: () => new D1LeadStore(createMockD1()),
+    Memory: () => new MemoryLeadStore(),
+    Filesystem: () => new FileLeadStore(tempDir),
+  };
+
+  Object.entries(adapters).forEach(([name, createStore]) => {
+    describe(name, () => {
+      it("should read a saved record back by ID", async () => {
+        const store = createStore();
+        const record = createSubmissionRecord(
+          "AMF-123",
+          sampleData,
+          "2025-05-01T10:00:00.000Z",
+        );
+
+        await store.save(record);
+
+        expect(await store.get("AMF-123")).toEqual(record);
+      });
+
+      it("should return null for unknown IDs", async () => {
+        const store = createStore();
+        expect(await store.get("AMF-MISSING")).toBeNull();
+      });
+
+      it("should list records by day", async () => {
+        const store = createStore();
+        await store.save(
+          createSubmissionRecord("A", sampleData, "2025-05-01T10:00:00.000Z"),
+        );
+        await store.save(
+          createSubmissionRecord("B", sampleData, "2025-05-01T18:00:00.000Z"),
+        );
+        await store.save(
+          createSubmissionRecord("C", sampleData, "2025-05-02T09:00:00.000Z"),
+        );
+
+        const records = await store.listByDate("2025-05-01");
+        expect(records.map((record) => record.id)).toEqual(["A", "B"]);
+      });
+    });
+  });
+
+  it("should write each submission to its own R2 object", async () => {
+    const bucket = createMockBucket();
+    const store = new R2LeadStore(bucket);
+
+    // Saved together, neither write can overwrite the other
+    await Promise.all([
+      store.save(
+        createSubmissionRecord("A", sampleData, "2025-05-01T10:00:00.000Z"),
+      ),
+      store.save(
+        createSubmissionRecord("B", sampleData, "2025-05-01T11:00:00.000Z"),
+      ),
+    ]);
+
+    expect(bucket.objects.has(getDailyKey("2025-05-01"))).toBe(false);
+    expect(
+      JSON.parse(bucket.objects.get(getSubmissionKey("2025-05-01", "B"))).id,
+    ).toBe("B");
+    expect(
+      (await store.listByDate("2025-05-01")).map((record) => record.id),
+    ).toEqual(["A", "B"]);
+  });
+
+  it("should write the same layout to disk", async () => {
+    const store = new FileLeadStore(tempDir);
+    await store.save(
+      createSubmissionRecord("A", sampleData, "2025-05-01T10:00:00.000Z"),
+    );
+
+    const content = await readFile(
+      join(tempDir, "submissions", "2025-05-01", "A.json"),
+      "utf8",
+    );
+    expect(JSON.parse(content).id).toBe("A");
+  });
+
+  describe.each([
+    ["R2", () => new R2LeadStore(createMockBucket())],
+    ["Filesystem", () => new FileLeadStore(tempDir)],
+  ])("%s compaction", (name, createStore) => {
+    it("should fold a day into its JSONL rollup", async () => {
+      const store = createStore();
+      for (const [id, time] of [
+        ["C", "12:00"],
+        ["A", "10:00"],
+        ["B", "11:00"],
+        ["D", "09:00"],
+      ]) {
+        await store.save(
+          createSubmissionRecord(
+            id,
+            sampleData,
+            `2025-05-0${id === "D" ? 2 : 1}T${time}:00.000Z`,
+          ),
+        );
+      }
+
+      expect(await store.compact("2025-05-01")).toEqual({
+        dateKey: "2025-05-01",
+        compacted: 3,
+        total: 3,
+      });
+      expect(await store.readPending("2025-05-01")).toMatchObject({
+        keys: [],
+      });
+      expect(
+        (await store.readRollup("2025-05-01")).map((record) => record.id),
+      ).toEqual(["A", "B", "C"]);
+      expect((await store.get("B")).id).toBe("B");
+      expect((await store.get("D")).id).toBe("D");
+
+      // Nothing left to fold
+      expect(await store.compact("2025-05-01")).toEqual({
+        dateKey: "2025-05-01",
+        compacted: 0,
+        total: null,
+      });
+    });
+
+    it("should merge a rollup with submissions saved after it", async () => {
+      const store = createStore();
+      await store.save(
+        createSubmissionRecord("A", sampleData, "2025-05-01T10:00:00.000Z"),
+      );
+      await store.compact("2025-05-01");
+      await store.save(
+        createSubmissionRecord("B", sampleData, "2025-05-01T09:00:00.000Z"),
+      );
+
+      expect(
+        (await store.listByDate("2025-05-01")).map((record) => record.id),
+      ).toEqual(["B", "A"]);
+
+      await store.compact("2025-05-01");
+      expect(
+        (await store.readRollup("2025-05-01")).map((record) => record.id),
+      ).toEqual(["B", "A"]);
+    });
+  });
+
+  it("should read days written before the per-submission layout", async () => {
+    const bucket = createMockBucket();
+    const record = createSubmissionRecord(
+      "A",
+      sampleData,
+      "2025-05-01T10:00:00.000Z",
+    );
+    bucket.objects.set(getDailyKey("2025-05-01"), toJsonLine(record));
+    bucket.objects.set("submissions/index/A", "2025-05-01");
+    const store = new R2LeadStore(bucket);
+
+    expect(await store.get("A")).toEqual(record);
+    expect(await store.listByDate("2025-05-01")).toEqual([record]);
+  });
+
+  it("should skip a day another compaction is folding", async () => {
+    const bucket = createMockBucket();
+    const store = new R2LeadStore(bucket);
+    await store.save(
+      createSubmissionRecord("A", sampleData, "2025-05-01T10:00:00.000Z"),
+    );
+
+    const get = bucket.get;
+    bucket.get = async (key) =>
+      key === getSubmissionKey("2025-05-01", "A") ? null : get(key);
+
+    expect(await store.compact("2025-05-01")).toEqual({
+      dateKey: "2025-05-01",
+      skipped: true,
+    });
+    expect(bucket.objects.has(getDailyKey("2025-05-01"))).toBe(false);
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * Duplicate Lead Tests
+ * Covers fingerprinting, the duplicate window and how both submit
+ * pipelines link repeat submissions to the original lead
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  DuplicateDetector,
+  getQuoteFingerprint,
+  getLeadFingerprint,
+} from "../../src/services/submission/duplicates.js";
+import {
+  normalizeEmail,
+  normalizePhone,
+} from "../../src/services/submission/fingerprint.js";
+import { handleQuoteSubmission } from "../../src/services/submission/quoteSubmission.js";
+import { handleLeadSubmission } from "../../src/services/submission/leadSubmission.js";
+import { getDuplicateConfig } from "../../src/config/duplicates.js";
+import { MemoryJsonStore } from "../../src/services/storage/keyValue.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import { RateLimiter } from "../../src/services/rateLimit/rateLimiter.js";
+import { MemoryRateLimitStore } from "../../src/services/rateLimit/stores.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createFingerprint(overrides = {}) {
+  return {
+    email: "john@example.com",
+    phone: "+15125550123",
+    fromZip: "78701",
+    toZip: "78704",
+    moveDate: "2030-09-15",
+    ...overrides,
+  };
+}
+
+describe("Contact normalization", () => {
+  it("should lowercase and trim emails", () => {
+    expect(normalizeEmail("  John@Example.COM ")).toBe("john@example.com");
+    expect(normalizeEmail("")).toBeNull();
+  });
+
+  it.each([
+    ["(512) 555-0123", "+15125550123"],
+    ["512-555-0123", "+15125550123"],
+    ["1 512 555 0123", "+15125550123"],
+    ["+15125550123", "+15125550123"],
+    ["+44 20 7946 0958", "+442079460958"],
+  ])("should convert %s to E.164", (input, expected) => {
+    expect(normalizePhone(input)).toBe(expected);
+  });
+
+  it("should fingerprint both form shapes the same way", () => {
+    const quote = getQuoteFingerprint({
+      email: "John@Example.com",
+      phone: "(512) 555-0123",
+      fromZip: "78701",
+      toZip: "78704",
+      moveDate: "2030-09-15",
+    });
+    const lead = getLeadFingerprint({
+      prospect: { email: "john@example.com", phone: "+15125550123" },
+      move: { from_zip: "78701", to_zip: "78704", date: "2030-09-15" },
+    });
+
+    expect(quote).toEqual(lead);
+  });
+});
+
+describe("DuplicateDetector", () => {
+  let clock;
+  let detector;
+
+  beforeEach(() => {
+    clock = Date.parse("2030-08-01T12:00:00Z");
+    detector = new DuplicateDetector(new MemoryJsonStore(), undefined, {
+      now: () => clock,
+    });
+  });
+
+  it("should not flag the first submission", async () => {
+    expect(await detector.findOriginal(createFingerprint())).toBeNull();
+  });
+
+  it("should match on email or phone alone", async () => {
+    await detector.remember("AMF-1", createFingerprint());
+
+    const byEmail = await detector.findOriginal(
+      createFingerprint({ phone: "+15125559999" }),
+    );
+    const byPhone = await detector.findOriginal(
+      createFingerprint({ email: "other@example.com" }),
+    );
+
+    expect(byEmail.id).toBe("AMF-1");
+    expect(byPhone.id).toBe("AMF-1");
+  });
+
+  it("should not match a different move", async () => {
+    await detector.remember("AMF-1", createFingerprint());
+
+    expect(
+      await detector.findOriginal(createFingerprint({ toZip: "78745" })),
+    ).toBeNull();
+    expect(
+      await detector.findOriginal(
+        createFingerprint({ moveDate: "2030-10-15" }),
+      ),
+    ).toBeNull();
+  });
+
+  it("should allow move dates within the tolerance", async () => {
+    await detector.remember("AMF-1", createFingerprint());
+
+    const original = await detector.findOriginal(
+      createFingerprint({ moveDate: "2030-09-20" }),
+    );
+    expect(original.id).toBe("AMF-1");
+  });
+
+  it("should treat a missing move date as the same move", async () => {
+    await detector.remember("AMF-1", createFingerprint({ moveDate: null }));
+
+    const original = await detector.findOriginal(createFingerprint());
+    expect(original.id).toBe("AMF-1");
+  });
+
+  it("should forget originals outside the window", async () => {
+    await detector.remember("AMF-1", createFingerprint());
+    clock += 31 * DAY_MS;
+
+    expect(await detector.findOriginal(createFingerprint())).toBeNull();
+  });
+
+  it("should link to the earliest original", async () => {
+    await detector.remember("AMF-1", createFingerprint({ phone: null }));
+    clock += DAY_MS;
+    await detector.remember("AMF-2", createFingerprint({ email: null }));
+
+    const original = await detector.findOriginal(createFingerprint());
+    expect(original.id).toBe("AMF-1");
+  });
+
+  it("should not store raw contact details in index keys", async () => {
+    const store = new MemoryJsonStore();
+    detector = new DuplicateDetector(store);
+
+    await detector.remember("AMF-1", createFingerprint());
+
+    const keys = [...store.entries.keys()];
+    expect(keys).toHaveLength(2);
+    keys.forEach((key) => {
+      expect(key).toMatch(/^duplicate:(email|phone):[0-9a-f]{64}$/);
+    });
+  });
+
+  it("should read the window from DUPLICATE_WINDOW_DAYS", () => {
+    expect(getDuplicateConfig({ DUPLICATE_WINDOW_DAYS: "7" }).windowDays).toBe(
+      7,
+    );
+    expect(
+      getDuplicateConfig({ DUPLICATE_WINDOW_DAYS: "nope" }).windowDays,
+    ).toBe(30);
+  });
+});
+
+describe("Duplicate submissions", () => {
+  let leadStore;
+  let options;
+
+  beforeEach(() => {
+    leadStore = new MemoryLeadStore();
+    options = {
+      leadStore,
+      rateLimiter: new RateLimiter(new MemoryRateLimitStore()),
+      duplicateDetector: new DuplicateDetector(new MemoryJsonStore()),
+      mailer: {
+        sendCustomerConfirmation: vi.fn().mockResolvedValue({ success: true }),
+        sendBusinessNotification: vi.fn().mockResolvedValue({ success: true }),
+      },
+    };
+  });
+
+  function submitQuote(fields = {}) {
+    const date = new Date();
+    date.setDate(date.getDate() + 14);
+
+    const formData = new FormData();
+    Object.entries({
+      name: "John Doe",
+      email: "john@example.com",
+      phone: "(512) 555-0123",
+      "move-date": date.toISOString().split("T")[0],
+      "from-zip": "78701",
+      "to-zip": "78704",
+      "move-size": "2-bed",
+      "service-type": "full-service",
+      ...fields,
+    }).forEach(([name, value]) => formData.append(name, value));
+
+    return handleQuoteSubmission(
+      new Request("https://austinmovefinder.com/api/submit", {
+        method: "POST",
+        body: formData,
+      }),
+      options,
+    ).then((response) => response.json());
+  }
+
+  it("should link a resubmitted quote to the original", async () => {
+    const first = await submitQuote();
+    const repeat = await submitQuote({ email: "JOHN@example.com" });
+
+    expect(repeat.success).toBe(true);
+    expect(repeat.quoteId).not.toBe(first.quoteId);
+
+    const original = await leadStore.get(first.quoteId);
+    const duplicate = await leadStore.get(repeat.quoteId);
+    expect(original.meta.duplicateOf).toBeNull();
+    expect(duplicate.meta.duplicateOf).toBe(first.quoteId);
+  });
+
+  it("should only notify the business about the original quote", async () => {
+    const first = await submitQuote();
+    await submitQuote();
+
+    const { mailer } = options;
+    expect(mailer.sendCustomerConfirmation).toHaveBeenCalledTimes(2);
+    expect(mailer.sendBusinessNotification).toHaveBeenCalledTimes(1);
+    expect(mailer.sendBusinessNotification).toHaveBeenCalledWith(
+      expect.anything(),
+      first.quoteId,
+    );
+  });
+
+  it("should treat a different move as a new quote", async () => {
+    await submitQuote();
+    await submitQuote({ "to-zip": "78745" });
+
+    expect(options.mailer.sendBusinessNotification).toHaveBeenCalledTimes(2);
+  });
+
+  it("should link resubmitted structured leads", async () => {
+    const payload = {
+      prospect: {
+        first_name: "Jane",
+        last_name: "Doe",
+        email: "jane@example.com",
+        phone: "+15125551234",
+      },
+      move: {
+        from_zip: "78701",
+        to_zip: "78745",
+        date: null,
+        flexible: true,
+        home_size: "2BR",
+      },
+      tracking: {},
+      consent: { tcpa: true, text: "I agree to be contacted." },
+    };
+    const submitLead = () =>
+      handleLeadSubmission(
+        new Request("https://austinmovefinder.com/api/submit-lead", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(payload),
+        }),
+        options,
+      ).then((response) => response.json());
+
+    const first = await submitLead();
+    const repeat = await submitLead();
+
+    const duplicate = await leadStore.get(repeat.lead_id);
+    expect(duplicate.meta.duplicateOf).toBe(first.lead_id);
+  });
+});
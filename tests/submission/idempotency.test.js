@@ -0,0 +1,285 @@
+/**
+ * Idempotency Tests
+ * Covers Idempotency-Key replays for both submit endpoints
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { withIdempotency } from "../../src/services/submission/idempotency.js";
+import {
+  KvJsonStore,
+  MemoryJsonStore,
+} from "../../src/services/storage/keyValue.js";
+import { handleQuoteSubmission } from "../../src/services/submission/quoteSubmission.js";
+import { handleLeadSubmission } from "../../src/services/submission/leadSubmission.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import { RateLimiter } from "../../src/services/rateLimit/rateLimiter.js";
+import { MemoryRateLimitStore } from "../../src/services/rateLimit/stores.js";
+import { jsonResponse } from "../../src/services/submission/http.js";
+
+function createRequest(idempotencyKey, init = {}) {
+  const headers = new Headers(init.headers);
+  if (idempotencyKey !== undefined) {
+    headers.set("Idempotency-Key", idempotencyKey);
+  }
+
+  return new Request("https://austinmovefinder.com/api/submit", {
+    method: "POST",
+    ...init,
+    headers,
+  });
+}
+
+const reject = (status, error) => jsonResponse({ error }, status);
+
+describe("withIdempotency", () => {
+  let store;
+  let handler;
+
+  beforeEach(() => {
+    store = new MemoryJsonStore();
+    handler = vi.fn(async () => jsonResponse({ ok: true, count: 1 }, 200));
+  });
+
+  function run(idempotencyKey, scope = "submit") {
+    return withIdempotency(
+      createRequest(idempotencyKey),
+      { scope, store, reject },
+      handler,
+    );
+  }
+
+  it("should process requests without a key every time", async () => {
+    await run(undefined);
+    await run(undefined);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it("should replay the original response for a repeated key", async () => {
+    const first = await run("key-1");
+    const replay = await run("key-1");
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(replay.status).toBe(first.status);
+    expect(await replay.json()).toEqual({ ok: true, count: 1 });
+    expect(replay.headers.get("Content-Type")).toBe("application/json");
+    expect(replay.headers.get("Idempotent-Replayed")).toBe("true");
+    expect(first.headers.get("Idempotent-Replayed")).toBeNull();
+  });
+
+  it("should keep keys separate per scope", async () => {
+    await run("key-1", "submit");
+    await run("key-1", "submit-lead");
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it("should replay client errors", async () => {
+    handler.mockResolvedValueOnce(jsonResponse({ error: "invalid" }, 400));
+
+    await run("key-1");
+    const replay = await run("key-1");
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(replay.status).toBe(400);
+  });
+
+  it.each([500, 429])("should not remember %i responses", async (status) => {
+    handler.mockResolvedValueOnce(jsonResponse({ error: "retry" }, status));
+
+    await run("key-1");
+    const retry = await run("key-1");
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(retry.status).toBe(200);
+  });
+
+  it("should release the key when the handler throws", async () => {
+    handler.mockRejectedValueOnce(new Error("boom"));
+
+    await expect(run("key-1")).rejects.toThrow("boom");
+    await run("key-1");
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it("should reject a key whose first request is still running", async () => {
+    let finish;
+    handler.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          finish = () => resolve(jsonResponse({ ok: true }, 200));
+        }),
+    );
+
+    const first = run("key-1");
+    await vi.waitFor(() => expect(finish).toBeDefined());
+    const concurrent = await run("key-1");
+    finish();
+
+    expect(concurrent.status).toBe(409);
+    expect((await first).status).toBe(200);
+  });
+
+  it("should reject a key reused with a different body", async () => {
+    const send = (body) =>
+      withIdempotency(
+        createRequest("key-1", { body }),
+        { scope: "submit", store, reject },
+        handler,
+      );
+
+    await send('{"email":"jane@example.com"}');
+    const replay = await send('{"email":"jane@example.com"}');
+    const reused = await send('{"email":"john@example.com"}');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(replay.headers.get("Idempotent-Replayed")).toBe("true");
+    expect(reused.status).toBe(422);
+    expect(await reused.json()).toEqual({
+      error:
+        "This Idempotency-Key was already used with a different request body",
+    });
+  });
+
+  it("should reject keys that are blank or too long", async () => {
+    expect((await run("   ")).status).toBe(400);
+    expect((await run("k".repeat(256))).status).toBe(400);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it("should store entries in KV with an expiry", async () => {
+    const puts = [];
+    const values = new Map();
+    const kv = {
+      async get(key, type) {
+        const value = values.get(key);
+        return value === undefined || type !== "json"
+          ? null
+          : JSON.parse(value);
+      },
+      async put(key, value, options) {
+        puts.push({ key, options });
+        values.set(key, value);
+      },
+      async delete(key) {
+        values.delete(key);
+      },
+    };
+    store = new KvJsonStore(kv);
+
+    await run("key-1");
+    await run("key-1");
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(puts.map(({ key }) => key)).toEqual([
+      "idempotency:submit:key-1",
+      "idempotency:submit:key-1",
+    ]);
+    expect(puts[1].options.expirationTtl).toBe(86400);
+  });
+});
+
+describe("Idempotent submit endpoints", () => {
+  let leadStore;
+  let idempotencyStore;
+  let rateLimiter;
+
+  beforeEach(() => {
+    leadStore = new MemoryLeadStore();
+    idempotencyStore = new MemoryJsonStore();
+    rateLimiter = new RateLimiter(new MemoryRateLimitStore());
+  });
+
+  function createQuoteForm() {
+    const date = new Date();
+    date.setDate(date.getDate() + 14);
+
+    const formData = new FormData();
+    Object.entries({
+      name: "John Doe",
+      email: "john@example.com",
+      phone: "(512) 555-0123",
+      "move-date": date.toISOString().split("T")[0],
+      "from-zip": "78701",
+      "to-zip": "78704",
+      "move-size": "2-bed",
+      "service-type": "full-service",
+    }).forEach(([name, value]) => formData.append(name, value));
+    return formData;
+  }
+
+  it("should store a replayed quote and send its emails only once", async () => {
+    const mailer = {
+      sendCustomerConfirmation: vi.fn().mockResolvedValue({ success: true }),
+      sendBusinessNotification: vi.fn().mockResolvedValue({ success: true }),
+    };
+    const submit = () =>
+      handleQuoteSubmission(
+        createRequest("quote-key", { body: createQuoteForm() }),
+        { leadStore, mailer, rateLimiter, idempotencyStore },
+      );
+
+    const first = await (await submit()).json();
+    const replay = await (await submit()).json();
+
+    expect(replay.quoteId).toBe(first.quoteId);
+    expect(leadStore.records.size).toBe(1);
+    expect(mailer.sendCustomerConfirmation).toHaveBeenCalledTimes(1);
+    expect(mailer.sendBusinessNotification).toHaveBeenCalledTimes(1);
+  });
+
+  it("should answer malformed quote keys in the quote error shape", async () => {
+    const response = await handleQuoteSubmission(
+      createRequest(" ", { body: createQuoteForm() }),
+      { leadStore, rateLimiter, idempotencyStore },
+    );
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      success: false,
+      error: "Idempotency-Key must be 1-255 characters",
+      errors: [
+        {
+          field: null,
+          code: "invalid_idempotency_key",
+          message: "Idempotency-Key must be 1-255 characters",
+        },
+      ],
+    });
+  });
+
+  it("should return the original lead_id for a replayed lead", async () => {
+    const payload = {
+      prospect: {
+        first_name: "Jane",
+        last_name: "Doe",
+        email: "jane@example.com",
+        phone: "+15125551234",
+      },
+      move: {
+        from_zip: "78701",
+        to_zip: "78745",
+        date: null,
+        flexible: true,
+        home_size: "2BR",
+      },
+      tracking: {},
+      consent: { tcpa: true, text: "I agree to be contacted." },
+    };
+    const submit = () =>
+      handleLeadSubmission(
+        createRequest("lead-key", {
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(payload),
+        }),
+        { leadStore, rateLimiter, idempotencyStore },
+      );
+
+    const first = await (await submit()).json();
+    const replay = await (await submit()).json();
+
+    expect(replay).toEqual(first);
+    expect(leadStore.records.size).toBe(1);
+  });
+});
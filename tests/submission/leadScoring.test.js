@@ -0,0 +1,282 @@
+/**
+ * Lead Scoring Tests
+ * Covers the scoring signals, tiers and where the score shows up: the stored
+ * records and the business notification email
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  calculateLeadScore,
+  getLeadScoringSignals,
+  getLeadSource,
+  getQuoteScoringSignals,
+} from "../../src/services/submission/leadScoring.js";
+import { handleQuoteSubmission } from "../../src/services/submission/quoteSubmission.js";
+import { handleLeadSubmission } from "../../src/services/submission/leadSubmission.js";
+import { DuplicateDetector } from "../../src/services/submission/duplicates.js";
+import { EmailTemplateEngine } from "../../src/services/email/templateEngine.js";
+import { MemoryJsonStore } from "../../src/services/storage/keyValue.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import { RateLimiter } from "../../src/services/rateLimit/rateLimiter.js";
+import { MemoryRateLimitStore } from "../../src/services/rateLimit/stores.js";
+
+function createQuote(overrides = {}) {
+  return {
+    email: "john@example.com",
+    phone: "(512) 555-0123",
+    moveSize: "2-bed",
+    serviceType: "full-service",
+    flexibleDates: "exact",
+    specialItems: [],
+    fromFloor: "ground",
+    toFloor: "ground",
+    ...overrides,
+  };
+}
+
+function score(overrides) {
+  return calculateLeadScore(getQuoteScoringSignals(createQuote(overrides)));
+}
+
+function futureDate(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+describe("calculateLeadScore", () => {
+  it("should add up the points for each signal", () => {
+    const result = score();
+
+    expect(result.factors).toEqual([
+      { factor: "moveSize", label: "Home size: 2-bed", points: 12 },
+      { factor: "serviceType", label: "Service: full-service", points: 15 },
+      { factor: "flexibility", label: "Date flexibility: exact", points: 2 },
+      { factor: "floors", label: "Floors: ground → ground", points: 0 },
+      { factor: "source", label: "Source: Direct / organic", points: 2 },
+      { factor: "contact", label: "Contact: phone + email", points: 15 },
+    ]);
+    expect(result.score).toBe(46);
+    expect(result.tier).toBe("warm");
+  });
+
+  it("should rank large paid-search moves as hot", () => {
+    const result = score({
+      moveSize: "4-bed",
+      budget: "5000-10000",
+      specialItems: ["piano", "safe"],
+      fromFloor: "3rd",
+      gclid: "abc123",
+    });
+
+    expect(result.score).toBe(88);
+    expect(result).toMatchObject({
+      tier: "hot",
+      label: "Hot",
+      responseTime: "Call within 15 minutes",
+    });
+  });
+
+  it("should rank small labor-only moves as cold", () => {
+    expect(score({ moveSize: "studio", serviceType: "labor-only" }).tier).toBe(
+      "cold",
+    );
+  });
+
+  it("should cap special items and ignore none", () => {
+    const items = ["piano", "safe", "artwork", "antiques", "hot-tub"];
+
+    expect(
+      score({ specialItems: items }).factors.find(
+        (factor) => factor.factor === "specialItems",
+      ).points,
+    ).toBe(12);
+    expect(
+      score({ specialItems: ["none"] }).factors.some(
+        (factor) => factor.factor === "specialItems",
+      ),
+    ).toBe(false);
+  });
+
+  it("should cap scores at 100", () => {
+    const result = score({
+      moveSize: "5-bed-plus",
+      budget: "over-10000",
+      flexibleDates: "2-weeks",
+      specialItems: ["piano", "safe", "artwork"],
+      fromFloor: "4th-plus",
+      toFloor: "4th-plus",
+      gclid: "abc123",
+    });
+
+    expect(result.score).toBe(100);
+  });
+
+  it.each([
+    [{ gclid: "abc" }, "paid_search"],
+    [{ utmSource: "google", utmMedium: "CPC" }, "paid_search"],
+    [{ fbclid: "xyz" }, "paid_social"],
+    [{ utmSource: "newsletter", utmMedium: "email" }, "campaign"],
+    [{}, "direct"],
+  ])("should classify %o as %s", (tracking, source) => {
+    expect(getLeadSource(tracking)).toBe(source);
+  });
+
+  it("should score structured leads with their own vocabulary", () => {
+    const result = calculateLeadScore(
+      getLeadScoringSignals({
+        prospect: { email: null, phone: "+15125551234" },
+        move: {
+          home_size: "3BR",
+          budget_range: "$2k-$3.9k",
+          flexible: true,
+          stairs_or_elevator: "stairs",
+        },
+        tracking: { utm_source: "facebook", fbclid: "xyz" },
+      }),
+    );
+
+    expect(
+      result.factors.map(({ factor, points }) => [factor, points]),
+    ).toEqual([
+      ["moveSize", 16],
+      ["budget", 10],
+      ["flexibility", 5],
+      ["floors", 3],
+      ["source", 6],
+      ["contact", 10],
+    ]);
+    expect(result.score).toBe(50);
+  });
+});
+
+describe("Scored submissions", () => {
+  let options;
+
+  beforeEach(() => {
+    options = {
+      leadStore: new MemoryLeadStore(),
+      rateLimiter: new RateLimiter(new MemoryRateLimitStore()),
+      duplicateDetector: new DuplicateDetector(new MemoryJsonStore()),
+      mailer: {
+        sendCustomerConfirmation: vi.fn().mockResolvedValue({ success: true }),
+        sendBusinessNotification: vi.fn().mockResolvedValue({ success: true }),
+      },
+    };
+  });
+
+  it("should store the score and lead source with the quote", async () => {
+    const formData = new FormData();
+    Object.entries({
+      name: "John Doe",
+      email: "john@example.com",
+      phone: "(512) 555-0123",
+      "move-date": futureDate(14),
+      "from-zip": "78701",
+      "to-zip": "78704",
+      "move-size": "2-bed",
+      "service-type": "full-service",
+      utm_source: "google",
+      utm_medium: "cpc",
+      gclid: "abc123",
+    }).forEach(([name, value]) => formData.append(name, value));
+
+    const response = await handleQuoteSubmission(
+      new Request("https://austinmovefinder.com/api/submit", {
+        method: "POST",
+        body: formData,
+      }),
+      options,
+    );
+    const { quoteId } = await response.json();
+
+    const record = await options.leadStore.get(quoteId);
+    expect(record.meta.tracking).toMatchObject({
+      utmSource: "google",
+      utmMedium: "cpc",
+      gclid: "abc123",
+    });
+    expect(record.meta.leadScore).toMatchObject({ score: 52, tier: "warm" });
+    expect(options.mailer.sendBusinessNotification).toHaveBeenCalledWith(
+      expect.objectContaining({
+        leadScore: expect.objectContaining({ score: 52 }),
+      }),
+      quoteId,
+    );
+  });
+
+  it("should store the score with structured leads", async () => {
+    const response = await handleLeadSubmission(
+      new Request("https://austinmovefinder.com/api/submit-lead", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          prospect: {
+            first_name: "Jane",
+            last_name: "Doe",
+            email: "jane@example.com",
+            phone: null,
+          },
+          move: {
+            from_zip: "78701",
+            to_zip: "78745",
+            date: null,
+            flexible: true,
+            home_size: "2BR",
+          },
+          tracking: {},
+          consent: { tcpa: true, text: "I agree to be contacted." },
+        }),
+      }),
+      options,
+    );
+    const { lead_id } = await response.json();
+
+    const record = await options.leadStore.get(lead_id);
+    expect(record.meta.leadScore).toMatchObject({ score: 24, tier: "cold" });
+  });
+});
+
+describe("Business notification template", () => {
+  const engine = new EmailTemplateEngine({ cache: false });
+
+  function render(customer) {
+    return engine.renderBusinessNotification({
+      quoteId: "AMF-123",
+      submissionTime: "2030-03-06T18:00:00Z",
+      customer: { name: "John Doe", ...customer },
+      businessName: "Austin Move Finder",
+    });
+  }
+
+  it("should lead with the score in the subject and body", async () => {
+    const leadScore = score({
+      moveSize: "4-bed",
+      budget: "5000-10000",
+      gclid: "abc123",
+    });
+    const rendered = await render({ leadScore });
+
+    expect(rendered.subject).toBe(
+      `[Hot ${leadScore.score}] New Quote Request - AMF-123`,
+    );
+    expect(rendered.html).toContain(`${leadScore.score}/100`);
+    expect(rendered.html).toContain("Call within 15 minutes");
+    expect(rendered.html).toContain(
+      "Home size: 4-bed (+20), Service: full-service (+15), Budget: 5000-10000 (+15)",
+    );
+  });
+
+  it("should render quotes without a score", async () => {
+    const rendered = await render({});
+
+    expect(rendered.subject).toBe("[Unscored] New Quote Request - AMF-123");
+    expect(rendered.html).toContain("Not shown");
+  });
+
+  it("should show the estimate the customer saw", async () => {
+    const rendered = await render({ estimateLow: 1150, estimateHigh: 2480 });
+
+    expect(rendered.html).toContain("$1,150 - $2,480");
+  });
+});
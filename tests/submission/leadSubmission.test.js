@@ -0,0 +1,268 @@
+/**
+ * Lead Submission Tests
+ * Covers validation of the structured lead payload and the /api/submit-lead route
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import jsonSchema from "../../moving-company-lead-capture-form/other/json-schema.json";
+import { handleLeadSubmission } from "../../src/services/submission/leadSubmission.js";
+import {
+  HOME_SIZES,
+  STAIRS_OR_ELEVATOR,
+  BUDGET_RANGES,
+} from "../../src/services/submission/leadSchema.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import { RateLimiter } from "../../src/services/rateLimit/rateLimiter.js";
+import { MemoryRateLimitStore } from "../../src/services/rateLimit/stores.js";
+import { DuplicateDetector } from "../../src/services/submission/duplicates.js";
+import { MemoryJsonStore } from "../../src/services/storage/keyValue.js";
+import { POST } from "../../src/pages/api/submit-lead.js";
+
+const TCPA_TEXT =
+  "I agree to be contacted by phone, SMS, and email by partner moving companies regarding my inquiry. Message/data rates may apply. Consent not required to purchase.";
+
+function futureDate(days = 30) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+// Mirrors the shape produced by LeadFormHandler.preparePayload
+function createPayload(overrides = {}) {
+  return {
+    prospect: {
+      first_name: "Jane",
+      last_name: "Doe",
+      email: "jane.doe@example.com",
+      phone: "+15125551234",
+      ...overrides.prospect,
+    },
+    move: {
+      from_zip: "78701",
+      to_zip: "78745",
+      date: futureDate(),
+      flexible: false,
+      home_size: "2BR",
+      items_count: null,
+      stairs_or_elevator: "elevator",
+      parking_constraints: "",
+      budget_range: "$2k-$3.9k",
+      notes: "",
+      ...overrides.move,
+    },
+    tracking: {
+      utm_source: "google",
+      utm_medium: "cpc",
+      utm_campaign: null,
+      utm_term: null,
+      utm_content: null,
+      gclid: "Cj0KCQjw",
+      fbclid: null,
+      referrer_url: "https://www.google.com/",
+      landing_url: "https://austinmovefinder.com/quote?utm_source=google",
+      user_agent: "Mozilla/5.0",
+      ip: "198.51.100.7",
+      first_page_seen_at: "2030-08-15T14:28:10Z",
+      session_id: "1723732090000-abcdef1",
+      ...overrides.tracking,
+    },
+    consent: { tcpa: true, text: TCPA_TEXT, ...overrides.consent },
+    timestamp: "2030-08-15T14:30:00Z",
+    ...overrides.root,
+  };
+}
+
+function createRequest(body, headers = {}) {
+  return new Request("https://austinmovefinder.com/api/submit-lead", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "cf-connecting-ip": "203.0.113.1",
+      ...headers,
+    },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+}
+
+describe("Lead submission", () => {
+  let leadStore;
+  let rateLimiter;
+  let duplicateDetector;
+
+  beforeEach(() => {
+    leadStore = new MemoryLeadStore();
+    rateLimiter = new RateLimiter(new MemoryRateLimitStore());
+    duplicateDetector = new DuplicateDetector(new MemoryJsonStore());
+  });
+
+  async function submit(payload, headers) {
+    const response = await handleLeadSubmission(
+      createRequest(payload, headers),
+      { leadStore, rateLimiter, duplicateDetector },
+    );
+    return { response, body: await response.json() };
+  }
+
+  it("should accept a valid lead and return its lead_id", async () => {
+    const { response, body } = await submit(createPayload());
+
+    expect(response.status).toBe(200);
+    expect(body.ok).toBe(true);
+    expect(body.lead_id).toMatch(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/,
+    );
+  });
+
+  it("should store the lead with the server IP stamped in", async () => {
+    const { body } = await submit(createPayload());
+
+    const record = await leadStore.get(body.lead_id);
+    expect(record.data.tracking.ip).toBe("203.0.113.1");
+    expect(record.data.prospect.first_name).toBe("Jane");
+    expect(record.data.consent.tcpa).toBe(true);
+    expect(record.meta.source).toBe("lead-form");
+  });
+
+  it("should ignore client-supplied lead_id and timestamp", async () => {
+    const { body } = await submit(
+      createPayload({ root: { lead_id: "client-chosen" } }),
+    );
+
+    expect(body.lead_id).not.toBe("client-chosen");
+    const record = await leadStore.get(body.lead_id);
+    expect(record.timestamp).not.toBe("2030-08-15T14:30:00Z");
+  });
+
+  it("should reject leads without TCPA consent", async () => {
+    const { response, body } = await submit(
+      createPayload({ consent: { tcpa: false } }),
+    );
+
+    expect(response.status).toBe(400);
+    expect(body.error).toBe("validation_failed");
+    expect(body.details["consent.tcpa"]).toBe(
+      "You must agree to be contacted to receive quotes.",
+    );
+  });
+
+  it("should require either email or phone", async () => {
+    const { body } = await submit(
+      createPayload({ prospect: { email: "", phone: "" } }),
+    );
+    expect(body.details["prospect.email"]).toBe(
+      "Either email or phone is required.",
+    );
+  });
+
+  it("should accept phone-only leads", async () => {
+    const { response } = await submit(
+      createPayload({ prospect: { email: "" } }),
+    );
+    expect(response.status).toBe(200);
+  });
+
+  it("should reject phones that are not E.164", async () => {
+    const { body } = await submit(
+      createPayload({ prospect: { phone: "(512)555-1234" } }),
+    );
+    expect(body.details["prospect.phone"]).toBeDefined();
+  });
+
+  it("should require a date unless dates are flexible", async () => {
+    const missingDate = await submit(createPayload({ move: { date: "" } }));
+    expect(missingDate.body.details["move.date"]).toBeDefined();
+
+    const flexible = await submit(
+      createPayload({ move: { date: "", flexible: true } }),
+    );
+    expect(flexible.response.status).toBe(200);
+  });
+
+  it("should accept an item count instead of a home size", async () => {
+    const { response, body } = await submit(
+      createPayload({ move: { home_size: "", items_count: "50" } }),
+    );
+
+    expect(response.status).toBe(200);
+    const record = await leadStore.get(body.lead_id);
+    expect(record.data.move.items_count).toBe(50);
+    expect(record.data.move.home_size).toBeNull();
+  });
+
+  it("should reject unknown enum values", async () => {
+    const { body } = await submit(
+      createPayload({ move: { home_size: "6BR" } }),
+    );
+    expect(body.details["move.home_size"]).toBeDefined();
+  });
+
+  it("should reject malformed JSON", async () => {
+    const { response, body } = await submit("{not json");
+
+    expect(response.status).toBe(400);
+    expect(body).toEqual({
+      ok: false,
+      error: "validation_failed",
+      details: { body: "Request body must be valid JSON." },
+    });
+  });
+
+  it("should reject honeypot submissions", async () => {
+    const { response } = await submit(
+      createPayload({ root: { honeypot_nickname: "bot" } }),
+    );
+    expect(response.status).toBe(400);
+    expect(leadStore.records.size).toBe(0);
+  });
+
+  it("should report storage failures as internal_error", async () => {
+    leadStore.save = async () => {
+      throw new Error("R2 down");
+    };
+
+    const { response, body } = await submit(createPayload());
+    expect(response.status).toBe(500);
+    expect(body).toEqual({ ok: false, error: "internal_error" });
+  });
+
+  it("should rate limit repeat leads for the same phone", async () => {
+    for (let i = 0; i < 3; i++) {
+      await submit(
+        createPayload({ prospect: { email: `jane${i}@example.com` } }),
+      );
+    }
+
+    const { response, body } = await submit(
+      createPayload({ prospect: { email: "" } }),
+      { "cf-connecting-ip": "198.51.100.7" },
+    );
+    expect(response.status).toBe(429);
+    expect(body).toEqual({ ok: false, error: "rate_limited" });
+    expect(response.headers.get("Retry-After")).toBe("3600");
+    expect(leadStore.records.size).toBe(3);
+  });
+
+  it("should keep enums in sync with the JSON schema", () => {
+    const move = jsonSchema.properties.move.properties;
+    const withoutNull = (values) => values.filter((value) => value !== null);
+
+    expect(withoutNull(move.home_size.enum)).toEqual(HOME_SIZES);
+    expect(withoutNull(move.stairs_or_elevator.enum)).toEqual(
+      STAIRS_OR_ELEVATOR,
+    );
+    expect(withoutNull(move.budget_range.enum)).toEqual(BUDGET_RANGES);
+  });
+});
+
+describe("/api/submit-lead route", () => {
+  it("should respond with the openapi success shape", async () => {
+    const response = await POST({
+      request: createRequest(createPayload()),
+      locals: {},
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(Object.keys(body).sort()).toEqual(["lead_id", "ok"]);
+  });
+});
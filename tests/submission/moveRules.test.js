@@ -0,0 +1,279 @@
+/**
+ * Move Rules Tests
+ * Covers the service area, lead time, holiday and blackout rules and how
+ * the submit endpoints report them
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  evaluateMoveRules,
+  getHolidays,
+} from "../../src/services/submission/moveRules.js";
+import { MOVE_RULES } from "../../src/config/moveRules.js";
+import {
+  NEIGHBORHOOD_ZIPS,
+  SERVICE_AREA_ZIPS,
+  getNeighborhoodsForZip,
+  isServiceAreaZip,
+} from "../../src/config/serviceArea.js";
+import { AUSTIN_NEIGHBORHOODS } from "../../src/config/seo";
+import { handleQuoteSubmission } from "../../src/services/submission/quoteSubmission.js";
+import { handleLeadSubmission } from "../../src/services/submission/leadSubmission.js";
+import { DuplicateDetector } from "../../src/services/submission/duplicates.js";
+import { MemoryJsonStore } from "../../src/services/storage/keyValue.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import { RateLimiter } from "../../src/services/rateLimit/rateLimiter.js";
+import { MemoryRateLimitStore } from "../../src/services/rateLimit/stores.js";
+
+// Noon in Austin on a Wednesday with no holidays nearby
+const NOW = new Date("2030-03-06T18:00:00Z");
+
+function evaluate(move, rules = MOVE_RULES) {
+  return evaluateMoveRules(
+    { fromZip: "78701", toZip: "78745", moveDate: "2030-03-20", ...move },
+    { rules, now: NOW },
+  );
+}
+
+function futureDate(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+describe("Service area", () => {
+  it("should cover every Austin neighborhood", () => {
+    AUSTIN_NEIGHBORHOODS.forEach((name) => {
+      expect(NEIGHBORHOOD_ZIPS[name]?.length).toBeGreaterThan(0);
+      NEIGHBORHOOD_ZIPS[name].forEach((zip) => {
+        expect(SERVICE_AREA_ZIPS).toContain(zip);
+      });
+    });
+  });
+
+  it("should look up neighborhoods by ZIP", () => {
+    expect(getNeighborhoodsForZip("78723")).toEqual([
+      "East Austin",
+      "Mueller",
+      "Windsor Park",
+    ]);
+    expect(isServiceAreaZip("10001")).toBe(false);
+  });
+});
+
+describe("evaluateMoveRules", () => {
+  it("should pass a local move with enough notice", () => {
+    expect(evaluate({})).toEqual({ rejections: [], flags: [] });
+  });
+
+  it("should reject moves with neither ZIP in the service area", () => {
+    const { rejections } = evaluate({ fromZip: "10001", toZip: "94105" });
+
+    expect(rejections).toEqual([
+      expect.objectContaining({
+        field: "fromZip",
+        code: "outside_service_area",
+      }),
+    ]);
+  });
+
+  it("should flag moves with one end outside the service area", () => {
+    const { rejections, flags } = evaluate({ toZip: "77002" });
+
+    expect(rejections).toEqual([]);
+    expect(flags).toEqual([
+      {
+        field: "toZip",
+        code: "partial_service_area",
+        message:
+          "77002 is outside our Austin service area, so long-distance pricing may apply.",
+      },
+    ]);
+  });
+
+  it("should reject same-day moves in Austin time", () => {
+    // 03:00 UTC on March 7 is still March 6 in Austin
+    const { rejections } = evaluateMoveRules(
+      { fromZip: "78701", toZip: "78745", moveDate: "2030-03-06" },
+      { now: new Date("2030-03-07T03:00:00Z") },
+    );
+
+    expect(rejections[0]).toMatchObject({
+      field: "moveDate",
+      code: "same_day",
+    });
+  });
+
+  it("should reject dates beyond the booking horizon", () => {
+    const { rejections } = evaluate({ moveDate: "2031-03-20" });
+    expect(rejections[0].code).toBe("date_too_far");
+  });
+
+  it("should enforce a longer minimum lead time", () => {
+    const rules = {
+      ...MOVE_RULES,
+      leadTime: { ...MOVE_RULES.leadTime, minDays: 3 },
+    };
+    const { rejections } = evaluate({ moveDate: "2030-03-08" }, rules);
+
+    expect(rejections[0]).toMatchObject({
+      code: "insufficient_lead_time",
+      message: "Please choose a move date at least 3 days from today.",
+    });
+  });
+
+  it("should flag holidays", () => {
+    const { flags } = evaluate({ moveDate: "2030-05-27" });
+
+    expect(flags[0]).toMatchObject({ field: "moveDate", code: "holiday" });
+    expect(flags[0].message).toContain("Memorial Day");
+  });
+
+  it("should reject blackout dates with their reason", () => {
+    const rules = {
+      ...MOVE_RULES,
+      blackoutDates: {
+        action: "reject",
+        dates: [{ date: "2030-03-20", reason: "SXSW" }],
+      },
+    };
+    const { rejections } = evaluate({}, rules);
+
+    expect(rejections[0]).toEqual({
+      field: "moveDate",
+      code: "blackout_date",
+      message:
+        "We aren't booking moves on 2030-03-20 (SXSW). Please choose another date.",
+    });
+  });
+
+  it("should skip rules that are turned off", () => {
+    const rules = {
+      ...MOVE_RULES,
+      serviceArea: { outside: "off", partial: "off" },
+    };
+    expect(evaluate({ fromZip: "10001", toZip: "94105" }, rules)).toEqual({
+      rejections: [],
+      flags: [],
+    });
+  });
+
+  it("should skip date rules for flexible dates", () => {
+    expect(evaluate({ moveDate: null })).toEqual({ rejections: [], flags: [] });
+  });
+
+  it("should compute floating holidays", () => {
+    const holidays = Object.fromEntries(
+      getHolidays(2030).map(({ name, date }) => [name, date]),
+    );
+
+    expect(holidays["Memorial Day"]).toBe("2030-05-27");
+    expect(holidays["Labor Day"]).toBe("2030-09-02");
+    expect(holidays["Thanksgiving Day"]).toBe("2030-11-28");
+  });
+});
+
+describe("Move rules in the submit endpoints", () => {
+  let options;
+
+  beforeEach(() => {
+    options = {
+      leadStore: new MemoryLeadStore(),
+      rateLimiter: new RateLimiter(new MemoryRateLimitStore()),
+      duplicateDetector: new DuplicateDetector(new MemoryJsonStore()),
+      mailer: {
+        sendCustomerConfirmation: vi.fn().mockResolvedValue({ success: true }),
+        sendBusinessNotification: vi.fn().mockResolvedValue({ success: true }),
+      },
+    };
+  });
+
+  function submitQuote(fields) {
+    const formData = new FormData();
+    Object.entries({
+      name: "John Doe",
+      email: "john@example.com",
+      phone: "(512) 555-0123",
+      "move-date": futureDate(14),
+      "from-zip": "78701",
+      "to-zip": "78704",
+      "move-size": "2-bed",
+      "service-type": "full-service",
+      ...fields,
+    }).forEach(([name, value]) => formData.append(name, value));
+
+    return handleQuoteSubmission(
+      new Request("https://austinmovefinder.com/api/submit", {
+        method: "POST",
+        body: formData,
+      }),
+      options,
+    );
+  }
+
+  it("should explain quote rejections on the form field", async () => {
+    const response = await submitQuote({
+      "from-zip": "10001",
+      "to-zip": "94105",
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.errors).toEqual([
+      expect.objectContaining({
+        field: "from-zip",
+        code: "outside_service_area",
+      }),
+    ]);
+    expect(body.error).toBe(body.errors[0].message);
+    expect(options.leadStore.records.size).toBe(0);
+  });
+
+  it("should store flags with accepted quotes", async () => {
+    const response = await submitQuote({ "to-zip": "77002" });
+    const { quoteId } = await response.json();
+
+    const record = await options.leadStore.get(quoteId);
+    expect(record.meta.flags).toEqual([
+      expect.objectContaining({ field: "toZip", code: "partial_service_area" }),
+    ]);
+  });
+
+  it("should report lead rejections by payload path", async () => {
+    const response = await handleLeadSubmission(
+      new Request("https://austinmovefinder.com/api/submit-lead", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          prospect: {
+            first_name: "Jane",
+            last_name: "Doe",
+            email: "jane@example.com",
+            phone: null,
+          },
+          move: {
+            from_zip: "78701",
+            to_zip: "78745",
+            date: futureDate(400),
+            flexible: false,
+            home_size: "2BR",
+          },
+          tracking: {},
+          consent: { tcpa: true, text: "I agree to be contacted." },
+        }),
+      }),
+      options,
+    );
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body).toEqual({
+      ok: false,
+      error: "validation_failed",
+      details: {
+        "move.date":
+          "We can only quote moves within the next 365 days. Please choose an earlier move date.",
+      },
+    });
+  });
+});
@@ -0,0 +1,478 @@
+/**
+ * Quote Submission Tests
+ * Covers the shared pipeline used by both submit endpoints
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  handleQuoteSubmission,
+  verifyTurnstile,
+  generateQuoteId,
+} from "../../src/services/submission/quoteSubmission.js";
+import { normalizeQuoteForm } from "../../src/services/submission/quoteSchema.js";
+import { MemoryLeadStore } from "../../src/services/storage/adapters/memory.js";
+import { createLeadStore } from "../../src/services/storage/leadStore.js";
+import { RateLimiter } from "../../src/services/rateLimit/rateLimiter.js";
+import { MemoryRateLimitStore } from "../../src/services/rateLimit/stores.js";
+import { DuplicateDetector } from "../../src/services/submission/duplicates.js";
+import { MemoryJsonStore } from "../../src/services/storage/keyValue.js";
+import { QuoteLifecycle } from "../../src/services/quotes/lifecycle.js";
+import { MemoryQuoteStatusStore } from "../../src/services/quotes/statusStore.js";
+import { verifyStatusToken } from "../../src/services/quotes/statusToken.js";
+import { POST } from "../../src/pages/api/submit.js";
+import { onRequestPost } from "../../functions/api/submit.ts";
+
+function futureDate(days = 14) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+function createFormData(overrides = {}) {
+  const fields = {
+    name: "John Doe",
+    email: "john@example.com",
+    phone: "(512) 555-0123",
+    "move-date": futureDate(),
+    "from-zip": "78701",
+    "to-zip": "78704",
+    "move-size": "2-bed",
+    "service-type": "full-service",
+    "cf-turnstile-response": "valid-token",
+    ...overrides,
+  };
+
+  const formData = new FormData();
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value === undefined) return;
+    (Array.isArray(value) ? value : [value]).forEach((item) =>
+      formData.append(name, item),
+    );
+  });
+  return formData;
+}
+
+function createRequest(formData, headers = {}) {
+  return new Request("https://austinmovefinder.com/api/submit", {
+    method: "POST",
+    body: formData,
+    headers: { "cf-connecting-ip": "203.0.113.1", ...headers },
+  });
+}
+
+function createMailer() {
+  return {
+    sendCustomerConfirmation: vi.fn().mockResolvedValue({ success: true }),
+    sendBusinessNotification: vi.fn().mockResolvedValue({ success: true }),
+  };
+}
+
+describe("Quote submission pipeline", () => {
+  let leadStore;
+  let mailer;
+  let rateLimiter;
+  let duplicateDetector;
+
+  beforeEach(() => {
+    leadStore = new MemoryLeadStore();
+    mailer = createMailer();
+    rateLimiter = new RateLimiter(new MemoryRateLimitStore());
+    duplicateDetector = new DuplicateDetector(new MemoryJsonStore());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  async function submit(formData, options = {}) {
+    const response = await handleQuoteSubmission(createRequest(formData), {
+      leadStore,
+      mailer,
+      rateLimiter,
+      duplicateDetector,
+      ...options,
+    });
+    return { response, body: await response.json() };
+  }
+
+  describe("Validation", () => {
+    it("should accept a complete submission", async () => {
+      const { response, body } = await submit(createFormData());
+
+      expect(response.status).toBe(200);
+      expect(body.success).toBe(true);
+      expect(body.quoteId).toMatch(/^AMF-\d+-[A-Z0-9]+$/);
+    });
+
+    it("should reject missing required fields", async () => {
+      const { response, body } = await submit(
+        createFormData({ email: undefined, "move-size": undefined }),
+      );
+
+      expect(response.status).toBe(400);
+      expect(body.success).toBe(false);
+      expect(body.errors).toEqual(
+        expect.arrayContaining([
+          { field: "email", code: "required", message: "Email is required" },
+          {
+            field: "move-size",
+            code: "required",
+            message: "Please select your home size",
+          },
+        ]),
+      );
+    });
+
+    it("should reject badly formatted phone numbers", async () => {
+      const { body } = await submit(createFormData({ phone: "5125550123" }));
+      expect(body.error).toBe("Please enter a valid phone number");
+    });
+
+    it("should reject invalid ZIP codes", async () => {
+      const { body } = await submit(createFormData({ "to-zip": "7870" }));
+      expect(body.errors[0]).toEqual({
+        field: "to-zip",
+        code: "invalid_format",
+        message: "Please enter a valid ZIP code",
+      });
+    });
+
+    it("should reject move dates in the past", async () => {
+      const { body } = await submit(
+        createFormData({ "move-date": "2020-01-01" }),
+      );
+      expect(body.error).toBe("Move date must be today or in the future");
+      expect(body.errors[0]).toMatchObject({
+        field: "move-date",
+        code: "date_in_past",
+      });
+    });
+
+    it("should reject unknown service types", async () => {
+      const { response, body } = await submit(
+        createFormData({ "service-type": "teleport" }),
+      );
+      expect(response.status).toBe(400);
+      expect(body.errors[0]).toMatchObject({
+        field: "service-type",
+        code: "invalid_option",
+      });
+    });
+
+    it("should report each field once with its first error", async () => {
+      const { body } = await submit(createFormData({ name: "J" }));
+
+      expect(body.errors).toEqual([
+        {
+          field: "name",
+          code: "too_short",
+          message: "Name must be at least 2 characters",
+        },
+      ]);
+    });
+
+    it("should accept camelCase field names", () => {
+      const formData = new FormData();
+      formData.append("moveDate", "2030-01-01");
+      formData.append("fromZip", "78701");
+
+      const data = normalizeQuoteForm(formData);
+      expect(data.moveDate).toBe("2030-01-01");
+      expect(data.fromZip).toBe("78701");
+    });
+  });
+
+  describe("Honeypot", () => {
+    it("should reject submissions with the honeypot filled", async () => {
+      const { response, body } = await submit(
+        createFormData({ website: "http://spam.example" }),
+      );
+
+      expect(response.status).toBe(400);
+      expect(body).toEqual({
+        success: false,
+        error: "Submission failed validation",
+        errors: [
+          {
+            field: null,
+            code: "submission_rejected",
+            message: "Submission failed validation",
+          },
+        ],
+      });
+      expect(mailer.sendBusinessNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Turnstile", () => {
+    it("should skip verification without a secret", async () => {
+      expect(await verifyTurnstile(undefined, undefined)).toBe(true);
+    });
+
+    it("should reject submissions in production without a secret", async () => {
+      expect(
+        await verifyTurnstile("token", undefined, undefined, {
+          ENVIRONMENT: "production",
+        }),
+      ).toBe(false);
+
+      const { response } = await submit(createFormData(), {
+        env: { ENVIRONMENT: "production" },
+      });
+      expect(response.status).toBe(403);
+    });
+
+    it("should require a token when a secret is configured", async () => {
+      const { response } = await submit(
+        createFormData({ "cf-turnstile-response": undefined }),
+        { turnstileSecret: "secret" },
+      );
+      expect(response.status).toBe(403);
+    });
+
+    it("should reject tokens Cloudflare does not accept", async () => {
+      vi.stubGlobal(
+        "fetch",
+        vi.fn().mockResolvedValue({ json: async () => ({ success: false }) }),
+      );
+
+      const { response, body } = await submit(createFormData(), {
+        turnstileSecret: "secret",
+      });
+
+      expect(response.status).toBe(403);
+      expect(body.error).toContain("Security verification failed");
+      expect(body.errors[0]).toMatchObject({
+        field: null,
+        code: "verification_failed",
+      });
+    });
+
+    it("should accept verified tokens", async () => {
+      const fetchMock = vi
+        .fn()
+        .mockResolvedValue({ json: async () => ({ success: true }) });
+      vi.stubGlobal("fetch", fetchMock);
+
+      const { response } = await submit(createFormData(), {
+        turnstileSecret: "secret",
+      });
+
+      expect(response.status).toBe(200);
+      const params = fetchMock.mock.calls[0][1].body;
+      expect(params.get("response")).toBe("valid-token");
+      expect(params.get("remoteip")).toBe("203.0.113.1");
+    });
+  });
+
+  describe("Storage and email", () => {
+    it("should store the quote under the returned ID", async () => {
+      const { body } = await submit(
+        createFormData({ "special-items": ["piano", "safe"] }),
+      );
+
+      const record = await leadStore.get(body.quoteId);
+      expect(record.data.email).toBe("john@example.com");
+      expect(record.data.specialItems).toEqual(["piano", "safe"]);
+      expect(record.meta.ipAddress).toBe("203.0.113.1");
+    });
+
+    it("should store the estimate shown on the form", async () => {
+      const { body } = await submit(
+        createFormData({ "estimate-low": "1150", "estimate-high": "2480" }),
+      );
+      const { body: withoutEstimate } = await submit(
+        createFormData({ "to-zip": "78745" }),
+      );
+
+      const record = await leadStore.get(body.quoteId);
+      expect(record.data.shownEstimate).toEqual({ low: 1150, high: 2480 });
+      expect(
+        (await leadStore.get(withoutEstimate.quoteId)).data.shownEstimate,
+      ).toBeNull();
+    });
+
+    it("should send both notification emails", async () => {
+      const { body } = await submit(createFormData());
+
+      expect(mailer.sendCustomerConfirmation).toHaveBeenCalledWith(
+        expect.objectContaining({ email: "john@example.com" }),
+        body.quoteId,
+      );
+      expect(mailer.sendBusinessNotification).toHaveBeenCalledWith(
+        expect.objectContaining({ fromZip: "78701" }),
+        body.quoteId,
+      );
+    });
+
+    it("should still succeed when email delivery fails", async () => {
+      mailer.sendCustomerConfirmation.mockRejectedValue(new Error("down"));
+      mailer.sendBusinessNotification.mockRejectedValue(new Error("down"));
+
+      const { response } = await submit(createFormData());
+      expect(response.status).toBe(200);
+    });
+
+    it("should fail with a generic error when storage fails", async () => {
+      leadStore.save = vi.fn().mockRejectedValue(new Error("R2 down"));
+
+      const { response, body } = await submit(createFormData());
+
+      expect(response.status).toBe(500);
+      expect(body.error).toBe(
+        "An unexpected error occurred. Please try again.",
+      );
+      expect(body.errors[0].code).toBe("internal_error");
+      expect(mailer.sendCustomerConfirmation).not.toHaveBeenCalled();
+    });
+
+    it("should record new quotes and link duplicates in the lifecycle", async () => {
+      const lifecycle = new QuoteLifecycle(new MemoryQuoteStatusStore(), {
+        mailer,
+      });
+
+      const { body: original } = await submit(createFormData(), { lifecycle });
+      const { body: repeat } = await submit(createFormData(), { lifecycle });
+
+      expect(await lifecycle.get(original.quoteId)).toMatchObject({
+        status: "new",
+        history: [{ from: null, to: "new", actor: "system" }],
+      });
+      expect(await lifecycle.get(repeat.quoteId)).toMatchObject({
+        status: "duplicate",
+        history: [{ reason: `Repeats ${original.quoteId}` }],
+      });
+    });
+
+    it("should link the confirmation email to the signed status page", async () => {
+      const { body } = await submit(createFormData(), {
+        env: { QUOTE_STATUS_SECRET: "status-secret" },
+      });
+
+      const [data] = mailer.sendCustomerConfirmation.mock.calls[0];
+      const url = new URL(data.statusUrl);
+      expect(url.origin + url.pathname).toBe(
+        `https://austinmovefinder.com/quote/status/${body.quoteId}`,
+      );
+      expect(
+        await verifyStatusToken(
+          body.quoteId,
+          url.searchParams.get("token"),
+          "status-secret",
+        ),
+      ).toBe("valid");
+    });
+
+    it("should apply extra response headers", async () => {
+      const { response } = await submit(createFormData(), {
+        headers: { "Access-Control-Allow-Origin": "https://mitm.life" },
+      });
+      expect(response.headers.get("Access-Control-Allow-Origin")).toBe(
+        "https://mitm.life",
+      );
+    });
+  });
+
+  describe("Rate limiting", () => {
+    it("should send RateLimit headers with every response", async () => {
+      const { response } = await submit(createFormData());
+
+      expect(response.headers.get("RateLimit-Limit")).toBe("3");
+      expect(response.headers.get("RateLimit-Remaining")).toBe("2");
+      expect(response.headers.get("RateLimit-Policy")).toBe("3;w=3600");
+    });
+
+    it("should reject clients over the IP limit with Retry-After", async () => {
+      for (let i = 0; i < 5; i++) {
+        await submit(createFormData({ email: "not-an-email" }));
+      }
+
+      const { response, body } = await submit(createFormData());
+      expect(response.status).toBe(429);
+      expect(body.error).toBe("Rate limit exceeded. Please try again later.");
+      expect(body.errors[0]).toMatchObject({
+        field: null,
+        code: "rate_limited",
+      });
+      expect(response.headers.get("Retry-After")).toBe("3600");
+      expect(leadStore.records.size).toBe(0);
+    });
+
+    it("should limit repeat submissions for the same email", async () => {
+      for (let i = 0; i < 3; i++) {
+        const { response } = await submit(
+          createFormData({ phone: `(512) 555-010${i}` }),
+        );
+        expect(response.status).toBe(200);
+      }
+
+      const { response } = await submit(
+        createFormData({ email: "John@Example.com", phone: "(512) 555-0199" }),
+      );
+      expect(response.status).toBe(429);
+      expect(leadStore.records.size).toBe(3);
+      expect(mailer.sendCustomerConfirmation).toHaveBeenCalledTimes(3);
+    });
+
+    it("should not count contact limits for failed verification", async () => {
+      vi.stubGlobal(
+        "fetch",
+        vi.fn().mockResolvedValue({ json: async () => ({ success: false }) }),
+      );
+
+      for (let i = 0; i < 3; i++) {
+        await submit(createFormData(), { turnstileSecret: "secret" });
+      }
+      vi.unstubAllGlobals();
+
+      const { response } = await submit(createFormData());
+      expect(response.status).toBe(200);
+    });
+  });
+
+  it("should generate unique quote IDs", () => {
+    expect(generateQuoteId()).not.toBe(generateQuoteId());
+  });
+});
+
+describe("Submit endpoints", () => {
+  const endpoints = {
+    "Astro route": (request) => POST({ request, locals: {} }),
+    "Pages Function": (request) => onRequestPost({ request, env: {} }),
+  };
+
+  Object.entries(endpoints).forEach(([name, callEndpoint]) => {
+    describe(name, () => {
+      it("should store valid submissions in the shared store", async () => {
+        const response = await callEndpoint(createRequest(createFormData()));
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.message).toBe("Quote request submitted successfully");
+
+        const record = await createLeadStore().get(body.quoteId);
+        expect(record.data.name).toBe("John Doe");
+      });
+
+      it("should return the shared validation error shape", async () => {
+        const response = await callEndpoint(
+          createRequest(createFormData({ email: "not-an-email" })),
+        );
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body).toEqual({
+          success: false,
+          error: "Please enter a valid email address",
+          errors: [
+            {
+              field: "email",
+              code: "invalid_format",
+              message: "Please enter a valid email address",
+            },
+          ],
+        });
+      });
+    });
+  });
+});